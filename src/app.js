@@ -37,11 +37,30 @@ const limiter = rateLimit({
   message: 'Too many requests from this IP, please try again later.',
   standardHeaders: true,
   legacyHeaders: false,
+  // Device calls have their own limiter below
+  skip: req => req.originalUrl.startsWith('/api/device/'),
 });
 app.use('/api/', limiter);
 
+// A site's machines often share one IP, so each machine gets its own budget
+const deviceLimiter = rateLimit({
+  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.DEVICE_RATE_LIMIT_MAX_REQUESTS) || 600,
+  keyGenerator: req => `machine:${req.get('X-Machine-Id') || ''}`,
+  message: 'Too many requests from this machine, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+app.use('/api/device/', deviceLimiter);
+
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw body so device requests can be HMAC-verified byte for byte
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Compression middleware
@@ -109,46 +128,12 @@ app.get('/api/health', async (req, res) => {
   });
 });
 
-// Admin DB info endpoint (protected)
-app.get('/api/admin/db-info', async (req, res) => {
-  const { pool } = require('./config/database');
-
-  try {
-    // Quick inline auth check
-    const token = req.headers.authorization?.split(' ')[1];
-    if (!token) {
-      return res.status(401).json({ success: false, message: 'No token provided' });
-    }
-
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    if (decoded.role !== 'vendor') {
-      return res.status(403).json({ success: false, message: 'Vendor access required' });
-    }
-
-    const machinesResult = await pool.query('SELECT COUNT(*) as count FROM vending_machines');
-    const vendorsResult = await pool.query('SELECT COUNT(*) as count FROM users WHERE role = $1', ['vendor']);
-    const lastMachineResult = await pool.query(
-      'SELECT created_at FROM vending_machines ORDER BY created_at DESC LIMIT 1'
-    );
-
-    res.json({
-      success: true,
-      data: {
-        machines_count: parseInt(machinesResult.rows[0].count),
-        vendors_count: parseInt(vendorsResult.rows[0].count),
-        last_machine_created_at: lastMachineResult.rows[0]?.created_at || null,
-      }
-    });
-  } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
-  }
-});
-
 // API routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/vendor', require('./routes/vendor'));
 app.use('/api/customer', require('./routes/customer'));
+app.use('/api/device', require('./routes/device'));
+app.use('/api/admin', require('./routes/admin'));
 
 // 404 handler
 app.use((req, res) => {
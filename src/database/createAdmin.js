@@ -0,0 +1,34 @@
+const { pool } = require('../config/database');
+const User = require('../models/User');
+require('dotenv').config();
+
+// Usage: ADMIN_PASSWORD=... node src/database/createAdmin.js <email> [full name]
+// The password comes from the environment so it doesn't end up in shell history.
+async function createAdmin() {
+  const email = (process.argv[2] || '').trim().toLowerCase();
+  const fullName = process.argv.slice(3).join(' ') || 'Platform Admin';
+  const password = process.env.ADMIN_PASSWORD;
+
+  if (!email || !password) {
+    console.error('Usage: ADMIN_PASSWORD=... node src/database/createAdmin.js <email> [full name]');
+    process.exitCode = 1;
+    return;
+  }
+  if (password.length < 12) {
+    console.error('✗ ADMIN_PASSWORD must be at least 12 characters');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const admin = await User.createAdmin({ email, password, fullName });
+    console.log(`✓ Created admin ${admin.email} (id ${admin.id})`);
+  } catch (error) {
+    console.error('✗ Error creating admin:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+createAdmin();
@@ -1,30 +1,13 @@
-const { pool } = require('../config/database');
-const fs = require('fs');
-const path = require('path');
+const migrator = require('./migrator');
 
 async function runMigrations() {
-  const migrationsDir = path.join(__dirname, 'migrations');
-  const migrationFiles = fs.readdirSync(migrationsDir).sort();
-
   console.log('Starting database migrations...\n');
 
-  for (const file of migrationFiles) {
-    if (!file.endsWith('.sql')) continue;
-
-    try {
-      console.log(`Running migration: ${file}`);
-      const filePath = path.join(migrationsDir, file);
-      const sql = fs.readFileSync(filePath, 'utf8');
-
-      await pool.query(sql);
-      console.log(`✓ ${file} completed successfully\n`);
-    } catch (error) {
-      console.error(`✗ Error running migration ${file}:`, error.message);
-      process.exit(1);
-    }
-  }
+  const ran = await migrator.up();
 
-  console.log('✓ All migrations completed successfully!\n');
+  console.log(ran.length
+    ? `\n✓ Applied ${ran.length} migration(s)\n`
+    : '✓ Database is up to date\n');
 }
 
 runMigrations()
@@ -33,6 +16,6 @@ runMigrations()
     require('../server');
   })
   .catch((err) => {
-    console.error('Migration failed:', err);
+    console.error('Migration failed:', err.message);
     process.exit(1);
   });
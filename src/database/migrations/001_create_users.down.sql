@@ -0,0 +1,3 @@
+-- Revert 001_create_users
+DROP TABLE IF EXISTS users CASCADE;
+DROP FUNCTION IF EXISTS update_updated_at_column();
@@ -0,0 +1,2 @@
+-- Revert 002_create_vending_machines
+DROP TABLE IF EXISTS vending_machines CASCADE;
@@ -0,0 +1,2 @@
+-- Revert 003_create_products
+DROP TABLE IF EXISTS products CASCADE;
@@ -0,0 +1,2 @@
+-- Revert 004_create_machine_products
+DROP TABLE IF EXISTS machine_products CASCADE;
@@ -0,0 +1,2 @@
+-- Revert 005_create_customer_sessions
+DROP TABLE IF EXISTS customer_sessions CASCADE;
@@ -0,0 +1,2 @@
+-- Revert 006_create_discount_codes
+DROP TABLE IF EXISTS discount_codes CASCADE;
@@ -16,11 +16,12 @@ CREATE TABLE IF NOT EXISTS discount_codes (
 );
 
 -- Create indexes
-CREATE INDEX idx_discounts_code ON discount_codes(code);
-CREATE INDEX idx_discounts_vendor ON discount_codes(vendor_id);
-CREATE INDEX idx_discounts_product ON discount_codes(product_id);
-CREATE INDEX idx_discounts_active ON discount_codes(is_active);
+CREATE INDEX IF NOT EXISTS idx_discounts_code ON discount_codes(code);
+CREATE INDEX IF NOT EXISTS idx_discounts_vendor ON discount_codes(vendor_id);
+CREATE INDEX IF NOT EXISTS idx_discounts_product ON discount_codes(product_id);
+CREATE INDEX IF NOT EXISTS idx_discounts_active ON discount_codes(is_active);
 
 -- Create trigger to update updated_at timestamp
+DROP TRIGGER IF EXISTS update_discount_codes_updated_at ON discount_codes;
 CREATE TRIGGER update_discount_codes_updated_at BEFORE UPDATE ON discount_codes
 FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
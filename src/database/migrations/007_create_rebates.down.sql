@@ -0,0 +1,2 @@
+-- Revert 007_create_rebates
+DROP TABLE IF EXISTS rebates CASCADE;
@@ -0,0 +1,3 @@
+-- Revert 008_create_loyalty_points
+DROP VIEW IF EXISTS customer_loyalty_totals;
+DROP TABLE IF EXISTS loyalty_points CASCADE;
@@ -0,0 +1,2 @@
+-- Revert 009_create_polls
+DROP TABLE IF EXISTS polls CASCADE;
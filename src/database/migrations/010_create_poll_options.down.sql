@@ -0,0 +1,2 @@
+-- Revert 010_create_poll_options
+DROP TABLE IF EXISTS poll_options CASCADE;
@@ -0,0 +1,3 @@
+-- Revert 011_create_poll_votes
+DROP VIEW IF EXISTS poll_results;
+DROP TABLE IF EXISTS poll_votes CASCADE;
@@ -0,0 +1,2 @@
+-- Revert 012_add_category_to_products
+ALTER TABLE products DROP COLUMN IF EXISTS category;
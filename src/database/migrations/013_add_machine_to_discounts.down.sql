@@ -0,0 +1,3 @@
+-- Revert 013_add_machine_to_discounts
+DROP INDEX IF EXISTS idx_discounts_machine;
+ALTER TABLE discount_codes DROP COLUMN IF EXISTS machine_id;
@@ -0,0 +1,7 @@
+-- Revert 014_fix_loyalty_points_schema
+DROP TRIGGER IF EXISTS update_loyalty_points_updated_at ON loyalty_points;
+ALTER TABLE loyalty_points DROP CONSTRAINT IF EXISTS unique_customer_machine;
+ALTER TABLE loyalty_points
+  DROP COLUMN IF EXISTS updated_at,
+  DROP COLUMN IF EXISTS lifetime_points,
+  DROP COLUMN IF EXISTS points_balance;
@@ -0,0 +1,2 @@
+-- Revert 015_create_discount_redemptions
+DROP TABLE IF EXISTS discount_redemptions CASCADE;
@@ -0,0 +1,6 @@
+-- Revert 016_add_proof_to_redemptions
+DROP INDEX IF EXISTS idx_redemptions_status;
+ALTER TABLE discount_redemptions
+  DROP COLUMN IF EXISTS points_awarded,
+  DROP COLUMN IF EXISTS status,
+  DROP COLUMN IF EXISTS proof_image_url;
@@ -0,0 +1,21 @@
+-- Revert 017_fix_poll_votes_constraint
+DROP INDEX IF EXISTS unique_customer_option_vote;
+DROP INDEX IF EXISTS unique_session_option_vote;
+
+ALTER TABLE poll_votes ADD CONSTRAINT unique_customer_vote UNIQUE(poll_id, customer_id);
+ALTER TABLE poll_votes ADD CONSTRAINT unique_session_vote UNIQUE(poll_id, session_id);
+
+-- Restore the original poll_results view from 011
+DROP VIEW IF EXISTS poll_results;
+CREATE VIEW poll_results AS
+SELECT
+  po.poll_id,
+  po.id as option_id,
+  po.option_text,
+  po.product_id,
+  COUNT(CASE WHEN pv.vote_type = 'like' THEN 1 END) as likes,
+  COUNT(CASE WHEN pv.vote_type = 'dislike' THEN 1 END) as dislikes,
+  COUNT(*) as total_votes
+FROM poll_options po
+LEFT JOIN poll_votes pv ON po.id = pv.poll_option_id
+GROUP BY po.poll_id, po.id, po.option_text, po.product_id;
@@ -2,13 +2,14 @@
 ALTER TABLE poll_votes DROP CONSTRAINT IF EXISTS unique_customer_vote;
 ALTER TABLE poll_votes DROP CONSTRAINT IF EXISTS unique_session_vote;
 
--- Allow one vote per option per customer
-ALTER TABLE poll_votes ADD CONSTRAINT unique_customer_option_vote
-  UNIQUE(poll_option_id, customer_id)
+-- Allow one vote per option per customer (partial unique indexes, since
+-- table constraints cannot carry a WHERE clause)
+CREATE UNIQUE INDEX IF NOT EXISTS unique_customer_option_vote
+  ON poll_votes(poll_option_id, customer_id)
   WHERE customer_id IS NOT NULL;
 
-ALTER TABLE poll_votes ADD CONSTRAINT unique_session_option_vote
-  UNIQUE(poll_option_id, session_id)
+CREATE UNIQUE INDEX IF NOT EXISTS unique_session_option_vote
+  ON poll_votes(poll_option_id, session_id)
   WHERE session_id IS NOT NULL;
 
 -- Update poll_results view to include percentages
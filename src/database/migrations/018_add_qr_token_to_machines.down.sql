@@ -0,0 +1,3 @@
+-- Revert 018_add_qr_token_to_machines
+DROP INDEX IF EXISTS idx_machines_qr_token;
+ALTER TABLE vending_machines DROP COLUMN IF EXISTS qr_token;
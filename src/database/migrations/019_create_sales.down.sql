@@ -0,0 +1,2 @@
+-- Revert 019_create_sales
+DROP TABLE IF EXISTS sales CASCADE;
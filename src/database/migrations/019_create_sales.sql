@@ -0,0 +1,24 @@
+-- Create sales table (one row per vend event)
+CREATE TABLE IF NOT EXISTS sales (
+  id SERIAL PRIMARY KEY,
+  machine_id INTEGER NOT NULL REFERENCES vending_machines(id) ON DELETE CASCADE,
+  machine_product_id INTEGER REFERENCES machine_products(id) ON DELETE SET NULL,
+  product_id INTEGER REFERENCES products(id) ON DELETE SET NULL,
+  slot_code VARCHAR(10),
+  quantity INTEGER NOT NULL DEFAULT 1 CHECK (quantity > 0),
+  unit_price DECIMAL(10, 2) NOT NULL CHECK (unit_price >= 0),
+  price_paid DECIMAL(10, 2) NOT NULL CHECK (price_paid >= 0),
+  payment_type VARCHAR(20) NOT NULL CHECK (payment_type IN ('cash', 'card', 'mobile', 'free', 'other')),
+  discount_code_id INTEGER REFERENCES discount_codes(id) ON DELETE SET NULL,
+  customer_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  source VARCHAR(20) NOT NULL DEFAULT 'manual',
+  recorded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  sold_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_sales_machine_sold ON sales(machine_id, sold_at DESC);
+CREATE INDEX IF NOT EXISTS idx_sales_product ON sales(product_id);
+CREATE INDEX IF NOT EXISTS idx_sales_discount ON sales(discount_code_id);
+CREATE INDEX IF NOT EXISTS idx_sales_customer ON sales(customer_id);
@@ -0,0 +1,10 @@
+-- Revert 020_create_device_auth_and_events
+DROP TABLE IF EXISTS device_request_nonces CASCADE;
+DROP TABLE IF EXISTS device_events CASCADE;
+
+DROP INDEX IF EXISTS idx_sales_external;
+ALTER TABLE sales DROP COLUMN IF EXISTS external_id;
+
+ALTER TABLE vending_machines
+  DROP COLUMN IF EXISTS device_secret_rotated_at,
+  DROP COLUMN IF EXISTS device_secret;
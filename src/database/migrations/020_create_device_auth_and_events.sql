@@ -0,0 +1,40 @@
+-- Per-machine secret used by the telemetry board to sign /api/device requests
+-- (stored encrypted with QR_ENCRYPTION_KEY, NULL means device access is revoked)
+ALTER TABLE vending_machines
+  ADD COLUMN IF NOT EXISTS device_secret TEXT,
+  ADD COLUMN IF NOT EXISTS device_secret_rotated_at TIMESTAMP;
+
+-- Device-generated event id so retried vends are only recorded once
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS external_id VARCHAR(100);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sales_external
+  ON sales(machine_id, external_id)
+  WHERE external_id IS NOT NULL;
+
+-- Create device_events table for door, temperature and error telemetry
+CREATE TABLE IF NOT EXISTS device_events (
+  id SERIAL PRIMARY KEY,
+  machine_id INTEGER NOT NULL REFERENCES vending_machines(id) ON DELETE CASCADE,
+  event_id VARCHAR(100) NOT NULL,
+  event_type VARCHAR(20) NOT NULL CHECK (event_type IN ('door_open', 'door_close', 'temperature', 'error')),
+  temperature_c DECIMAL(5, 2),
+  error_code VARCHAR(50),
+  details JSONB,
+  occurred_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT unique_device_event UNIQUE (machine_id, event_id)
+);
+
+-- Create device_request_nonces table (X-Nonce values of recently accepted signed device requests,
+-- so a captured request can't be replayed while its timestamp is still inside the allowed window)
+CREATE TABLE IF NOT EXISTS device_request_nonces (
+  machine_id INTEGER NOT NULL REFERENCES vending_machines(id) ON DELETE CASCADE,
+  nonce VARCHAR(64) NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (machine_id, nonce)
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_device_events_machine ON device_events(machine_id, occurred_at DESC);
+CREATE INDEX IF NOT EXISTS idx_device_events_type ON device_events(event_type);
+CREATE INDEX IF NOT EXISTS idx_device_request_nonces_created ON device_request_nonces(machine_id, created_at);
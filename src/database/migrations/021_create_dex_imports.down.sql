@@ -0,0 +1,6 @@
+-- Revert 021_create_dex_imports
+DROP TABLE IF EXISTS dex_import_columns CASCADE;
+DROP TABLE IF EXISTS dex_imports CASCADE;
+
+DROP INDEX IF EXISTS idx_machine_products_slot;
+ALTER TABLE machine_products DROP COLUMN IF EXISTS slot_code;
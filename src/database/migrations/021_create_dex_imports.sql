@@ -0,0 +1,40 @@
+-- Slot/column code printed on the machine (e.g. A1), used to map DEX columns
+ALTER TABLE machine_products ADD COLUMN IF NOT EXISTS slot_code VARCHAR(10);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_machine_products_slot
+  ON machine_products(machine_id, UPPER(slot_code))
+  WHERE slot_code IS NOT NULL;
+
+-- Create dex_imports table (one row per uploaded DEX/EVA-DTS audit)
+CREATE TABLE IF NOT EXISTS dex_imports (
+  id SERIAL PRIMARY KEY,
+  machine_id INTEGER NOT NULL REFERENCES vending_machines(id) ON DELETE CASCADE,
+  uploaded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  machine_serial VARCHAR(50),
+  vend_value_cents INTEGER,
+  vend_count INTEGER,
+  is_baseline BOOLEAN DEFAULT false,
+  raw_text TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create dex_import_columns table (per-column counters and reconciliation result)
+CREATE TABLE IF NOT EXISTS dex_import_columns (
+  id SERIAL PRIMARY KEY,
+  dex_import_id INTEGER NOT NULL REFERENCES dex_imports(id) ON DELETE CASCADE,
+  column_code VARCHAR(10) NOT NULL,
+  machine_product_id INTEGER REFERENCES machine_products(id) ON DELETE SET NULL,
+  price_cents INTEGER,
+  vend_count INTEGER,
+  vend_value_cents INTEGER,
+  dex_vends INTEGER,
+  recorded_vends INTEGER,
+  reconciled_vends INTEGER,
+  stock_before INTEGER,
+  stock_after INTEGER,
+  UNIQUE(dex_import_id, column_code)
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_dex_imports_machine ON dex_imports(machine_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_dex_import_columns_import ON dex_import_columns(dex_import_id);
@@ -0,0 +1,3 @@
+-- Revert 022_create_inventory_movements
+DROP TABLE IF EXISTS inventory_movements CASCADE;
+DROP FUNCTION IF EXISTS prevent_inventory_movement_update();
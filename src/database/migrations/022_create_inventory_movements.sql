@@ -0,0 +1,52 @@
+-- Create inventory_movements table (append-only stock ledger per slot)
+CREATE TABLE IF NOT EXISTS inventory_movements (
+  id SERIAL PRIMARY KEY,
+  machine_id INTEGER NOT NULL REFERENCES vending_machines(id) ON DELETE CASCADE,
+  machine_product_id INTEGER REFERENCES machine_products(id) ON DELETE SET NULL,
+  product_id INTEGER REFERENCES products(id) ON DELETE SET NULL,
+  reason VARCHAR(20) NOT NULL CHECK (reason IN ('restock', 'sale', 'spoilage', 'count_adjustment', 'transfer')),
+  quantity_change INTEGER NOT NULL,
+  stock_after INTEGER NOT NULL CHECK (stock_after >= 0),
+  sale_id INTEGER REFERENCES sales(id) ON DELETE SET NULL,
+  transfer_id UUID,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  notes TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_slot ON inventory_movements(machine_product_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_machine ON inventory_movements(machine_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_transfer ON inventory_movements(transfer_id) WHERE transfer_id IS NOT NULL;
+
+-- Movements are never edited; only foreign keys may be nulled by ON DELETE SET NULL
+CREATE OR REPLACE FUNCTION prevent_inventory_movement_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.machine_id IS DISTINCT FROM OLD.machine_id
+     OR NEW.reason IS DISTINCT FROM OLD.reason
+     OR NEW.quantity_change IS DISTINCT FROM OLD.quantity_change
+     OR NEW.stock_after IS DISTINCT FROM OLD.stock_after
+     OR NEW.transfer_id IS DISTINCT FROM OLD.transfer_id
+     OR NEW.notes IS DISTINCT FROM OLD.notes
+     OR NEW.created_at IS DISTINCT FROM OLD.created_at
+     OR (NEW.machine_product_id IS NOT NULL AND NEW.machine_product_id IS DISTINCT FROM OLD.machine_product_id)
+     OR (NEW.product_id IS NOT NULL AND NEW.product_id IS DISTINCT FROM OLD.product_id)
+     OR (NEW.sale_id IS NOT NULL AND NEW.sale_id IS DISTINCT FROM OLD.sale_id)
+     OR (NEW.user_id IS NOT NULL AND NEW.user_id IS DISTINCT FROM OLD.user_id) THEN
+    RAISE EXCEPTION 'inventory_movements is append-only';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS prevent_inventory_movement_update ON inventory_movements;
+CREATE TRIGGER prevent_inventory_movement_update BEFORE UPDATE ON inventory_movements
+FOR EACH ROW EXECUTE FUNCTION prevent_inventory_movement_update();
+
+-- Opening balance so the ledger sums to the current stock of existing slots
+INSERT INTO inventory_movements (machine_id, machine_product_id, product_id, reason, quantity_change, stock_after, notes)
+SELECT mp.machine_id, mp.id, mp.product_id, 'count_adjustment', mp.current_stock, mp.current_stock, 'Opening balance'
+FROM machine_products mp
+WHERE mp.current_stock > 0
+  AND NOT EXISTS (SELECT 1 FROM inventory_movements im WHERE im.machine_product_id = mp.id);
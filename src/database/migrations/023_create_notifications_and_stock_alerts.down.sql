@@ -0,0 +1,3 @@
+-- Revert 023_create_notifications_and_stock_alerts
+DROP TABLE IF EXISTS stock_alerts CASCADE;
+DROP TABLE IF EXISTS notifications CASCADE;
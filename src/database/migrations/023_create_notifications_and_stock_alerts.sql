@@ -0,0 +1,34 @@
+-- Create notifications table (in-app notifications for vendors and customers)
+CREATE TABLE IF NOT EXISTS notifications (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  type VARCHAR(50) NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  message TEXT,
+  data JSONB,
+  read_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_unread ON notifications(user_id) WHERE read_at IS NULL;
+
+-- Create stock_alerts table (one open alert per slot while it is at or below threshold)
+CREATE TABLE IF NOT EXISTS stock_alerts (
+  id SERIAL PRIMARY KEY,
+  machine_product_id INTEGER NOT NULL REFERENCES machine_products(id) ON DELETE CASCADE,
+  machine_id INTEGER NOT NULL REFERENCES vending_machines(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved')),
+  stock_at_open INTEGER NOT NULL,
+  threshold_at_open INTEGER NOT NULL,
+  notification_id INTEGER REFERENCES notifications(id) ON DELETE SET NULL,
+  opened_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  resolved_at TIMESTAMP
+);
+
+-- De-duplicate: a slot can only have one open alert at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_stock_alerts_open
+  ON stock_alerts(machine_product_id)
+  WHERE status = 'open';
+
+CREATE INDEX IF NOT EXISTS idx_stock_alerts_machine ON stock_alerts(machine_id, opened_at DESC);
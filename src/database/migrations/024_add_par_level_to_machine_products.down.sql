@@ -0,0 +1,2 @@
+-- Revert 024_add_par_level_to_machine_products
+ALTER TABLE machine_products DROP COLUMN IF EXISTS par_level;
@@ -0,0 +1,3 @@
+-- Par level: how many units a driver should fill a slot up to
+ALTER TABLE machine_products
+  ADD COLUMN IF NOT EXISTS par_level INTEGER CHECK (par_level >= 0);
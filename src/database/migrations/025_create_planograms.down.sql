@@ -0,0 +1,7 @@
+-- Revert 025_create_planograms
+ALTER TABLE machine_products
+  DROP COLUMN IF EXISTS price_override,
+  DROP COLUMN IF EXISTS capacity;
+DROP TABLE IF EXISTS planogram_slots CASCADE;
+DROP TABLE IF EXISTS planogram_trays CASCADE;
+DROP TABLE IF EXISTS planograms CASCADE;
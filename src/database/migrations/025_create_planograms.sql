@@ -0,0 +1,42 @@
+-- Create planograms table (versioned tray/slot layout per machine; the highest version is live)
+CREATE TABLE IF NOT EXISTS planograms (
+  id SERIAL PRIMARY KEY,
+  machine_id INTEGER NOT NULL REFERENCES vending_machines(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL CHECK (version > 0),
+  notes TEXT,
+  cloned_from_id INTEGER REFERENCES planograms(id) ON DELETE SET NULL,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(machine_id, version)
+);
+
+-- Create planogram_trays table (shelves, e.g. tray A)
+CREATE TABLE IF NOT EXISTS planogram_trays (
+  id SERIAL PRIMARY KEY,
+  planogram_id INTEGER NOT NULL REFERENCES planograms(id) ON DELETE CASCADE,
+  tray_code VARCHAR(5) NOT NULL,
+  position INTEGER NOT NULL,
+  UNIQUE(planogram_id, tray_code)
+);
+
+-- Create planogram_slots table (coils/slots on a tray, e.g. A1..A10)
+CREATE TABLE IF NOT EXISTS planogram_slots (
+  id SERIAL PRIMARY KEY,
+  planogram_id INTEGER NOT NULL REFERENCES planograms(id) ON DELETE CASCADE,
+  tray_id INTEGER NOT NULL REFERENCES planogram_trays(id) ON DELETE CASCADE,
+  slot_code VARCHAR(10) NOT NULL,
+  position INTEGER NOT NULL,
+  capacity INTEGER NOT NULL CHECK (capacity > 0),
+  product_id INTEGER REFERENCES products(id) ON DELETE SET NULL,
+  price_override DECIMAL(10, 2) CHECK (price_override >= 0),
+  UNIQUE(planogram_id, slot_code)
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_planograms_machine ON planograms(machine_id, version DESC);
+CREATE INDEX IF NOT EXISTS idx_planogram_slots_planogram ON planogram_slots(planogram_id);
+
+-- Live slot settings copied from the current planogram version
+ALTER TABLE machine_products
+  ADD COLUMN IF NOT EXISTS capacity INTEGER CHECK (capacity > 0),
+  ADD COLUMN IF NOT EXISTS price_override DECIMAL(10, 2) CHECK (price_override >= 0);
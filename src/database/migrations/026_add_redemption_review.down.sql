@@ -0,0 +1,28 @@
+-- Revert 026_add_redemption_review
+DROP TABLE IF EXISTS vendor_redemption_settings CASCADE;
+ALTER TABLE discount_codes
+  DROP COLUMN IF EXISTS auto_approve_max_points,
+  DROP COLUMN IF EXISTS redemption_points;
+DROP INDEX IF EXISTS idx_redemptions_pending;
+
+-- The original index allows one redemption per customer per code; drop superseded rejected proofs
+DELETE FROM discount_redemptions r
+WHERE r.status = 'rejected'
+  AND r.customer_id IS NOT NULL
+  AND EXISTS (
+    SELECT 1 FROM discount_redemptions o
+    WHERE o.discount_code_id = r.discount_code_id
+      AND o.customer_id = r.customer_id
+      AND o.id > r.id
+  );
+DROP INDEX IF EXISTS idx_redemptions_unique;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_redemptions_unique
+  ON discount_redemptions(discount_code_id, customer_id)
+  WHERE customer_id IS NOT NULL;
+
+ALTER TABLE discount_redemptions
+  DROP COLUMN IF EXISTS review_notes,
+  DROP COLUMN IF EXISTS reviewed_at,
+  DROP COLUMN IF EXISTS reviewed_by,
+  DROP COLUMN IF EXISTS auto_approved,
+  DROP COLUMN IF EXISTS points_value;
@@ -0,0 +1,41 @@
+-- Add vendor review tracking to proof-of-purchase redemptions
+ALTER TABLE discount_redemptions
+  ADD COLUMN IF NOT EXISTS points_value INTEGER DEFAULT 0 CHECK (points_value >= 0),
+  ADD COLUMN IF NOT EXISTS auto_approved BOOLEAN DEFAULT false,
+  ADD COLUMN IF NOT EXISTS reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS review_notes TEXT;
+
+-- Proofs approved by the old submit flow were all auto-approved
+UPDATE discount_redemptions
+SET points_value = points_awarded, auto_approved = true
+WHERE status = 'approved' AND proof_image_url IS NOT NULL AND reviewed_at IS NULL AND auto_approved = false;
+
+-- A rejected proof can be resubmitted
+DROP INDEX IF EXISTS idx_redemptions_unique;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_redemptions_unique
+  ON discount_redemptions(discount_code_id, customer_id)
+  WHERE customer_id IS NOT NULL AND status <> 'rejected';
+
+CREATE INDEX IF NOT EXISTS idx_redemptions_pending
+  ON discount_redemptions(discount_code_id, redeemed_at)
+  WHERE status = 'pending';
+
+-- Per-code redemption rule (NULL = use the vendor's setting)
+ALTER TABLE discount_codes
+  ADD COLUMN IF NOT EXISTS redemption_points INTEGER CHECK (redemption_points >= 0),
+  ADD COLUMN IF NOT EXISTS auto_approve_max_points INTEGER CHECK (auto_approve_max_points >= 0);
+
+-- Create vendor_redemption_settings table (vendor-wide defaults)
+-- auto_approve_max_points NULL means every proof waits for review
+CREATE TABLE IF NOT EXISTS vendor_redemption_settings (
+  vendor_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  points_per_redemption INTEGER NOT NULL DEFAULT 10 CHECK (points_per_redemption >= 0),
+  auto_approve_max_points INTEGER CHECK (auto_approve_max_points >= 0),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+DROP TRIGGER IF EXISTS update_vendor_redemption_settings_updated_at ON vendor_redemption_settings;
+CREATE TRIGGER update_vendor_redemption_settings_updated_at BEFORE UPDATE ON vendor_redemption_settings
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,5 @@
+-- Revert 027_repair_rebates
+DROP TABLE IF EXISTS payouts CASCADE;
+DROP INDEX IF EXISTS idx_rebates_customer_discount;
+DROP INDEX IF EXISTS idx_rebates_discount;
+ALTER TABLE rebates DROP COLUMN IF EXISTS approved_amount;
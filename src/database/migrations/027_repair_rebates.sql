@@ -0,0 +1,27 @@
+-- Add approved amount to rebates and record approved rebates as payouts
+ALTER TABLE rebates
+  ADD COLUMN IF NOT EXISTS approved_amount DECIMAL(10, 2) CHECK (approved_amount >= 0);
+
+CREATE INDEX IF NOT EXISTS idx_rebates_discount ON rebates(discount_code_id);
+
+-- One live rebate per customer per discount code; a rejected rebate may be resubmitted
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rebates_customer_discount
+  ON rebates(customer_id, discount_code_id)
+  WHERE discount_code_id IS NOT NULL AND status <> 'rejected';
+
+-- Create payouts table (money owed to a customer, one per approved rebate)
+CREATE TABLE IF NOT EXISTS payouts (
+  id SERIAL PRIMARY KEY,
+  vendor_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  customer_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  rebate_id INTEGER UNIQUE REFERENCES rebates(id) ON DELETE SET NULL,
+  amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'paid', 'cancelled')),
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  paid_at TIMESTAMP
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_payouts_vendor ON payouts(vendor_id, status);
+CREATE INDEX IF NOT EXISTS idx_payouts_customer ON payouts(customer_id);
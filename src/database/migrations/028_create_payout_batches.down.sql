@@ -0,0 +1,11 @@
+-- Revert 028_create_payout_batches
+DROP INDEX IF EXISTS idx_payouts_unbatched;
+DROP INDEX IF EXISTS idx_payouts_batch_item;
+DELETE FROM payouts WHERE source <> 'rebate';
+ALTER TABLE payouts DROP CONSTRAINT IF EXISTS payouts_source_check;
+ALTER TABLE payouts
+  DROP COLUMN IF EXISTS batch_item_id,
+  DROP COLUMN IF EXISTS description,
+  DROP COLUMN IF EXISTS source;
+DROP TABLE IF EXISTS payout_batch_items CASCADE;
+DROP TABLE IF EXISTS payout_batches CASCADE;
@@ -0,0 +1,44 @@
+-- Create payout_batches table (a vendor's manual send run; paid with one reference)
+CREATE TABLE IF NOT EXISTS payout_batches (
+  id SERIAL PRIMARY KEY,
+  vendor_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'paid', 'cancelled')),
+  total_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  payment_reference VARCHAR(255),
+  notes TEXT,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  paid_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  paid_at TIMESTAMP,
+  cancelled_at TIMESTAMP
+);
+
+-- Create payout_batch_items table (one line per customer per batch, with the handle it was sent to)
+CREATE TABLE IF NOT EXISTS payout_batch_items (
+  id SERIAL PRIMARY KEY,
+  batch_id INTEGER NOT NULL REFERENCES payout_batches(id) ON DELETE CASCADE,
+  customer_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+  payout_count INTEGER NOT NULL,
+  payment_method VARCHAR(20) NOT NULL,
+  payment_username VARCHAR(255) NOT NULL,
+  UNIQUE(batch_id, customer_id)
+);
+
+-- Payouts can now come from rebates or vendor-issued cashback and are grouped into batches
+ALTER TABLE payouts
+  ADD COLUMN IF NOT EXISTS source VARCHAR(20) NOT NULL DEFAULT 'rebate',
+  ADD COLUMN IF NOT EXISTS description TEXT,
+  ADD COLUMN IF NOT EXISTS batch_item_id INTEGER REFERENCES payout_batch_items(id) ON DELETE SET NULL;
+
+ALTER TABLE payouts DROP CONSTRAINT IF EXISTS payouts_source_check;
+ALTER TABLE payouts ADD CONSTRAINT payouts_source_check CHECK (source IN ('rebate', 'cashback'));
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_payout_batches_vendor ON payout_batches(vendor_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_payout_batch_items_batch ON payout_batch_items(batch_id);
+CREATE INDEX IF NOT EXISTS idx_payout_batch_items_customer ON payout_batch_items(customer_id);
+CREATE INDEX IF NOT EXISTS idx_payouts_batch_item ON payouts(batch_item_id);
+CREATE INDEX IF NOT EXISTS idx_payouts_unbatched
+  ON payouts(vendor_id, customer_id)
+  WHERE status = 'pending' AND batch_item_id IS NULL;
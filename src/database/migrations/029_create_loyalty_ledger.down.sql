@@ -0,0 +1,35 @@
+-- Revert 029_create_loyalty_ledger
+DROP VIEW IF EXISTS customer_loyalty_totals;
+
+ALTER TABLE loyalty_points
+  ADD COLUMN IF NOT EXISTS rebate_id INTEGER REFERENCES rebates(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS points_earned INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS transaction_type VARCHAR(50) NOT NULL DEFAULT 'ledger',
+  ADD COLUMN IF NOT EXISTS description TEXT,
+  ADD COLUMN IF NOT EXISTS points_balance INTEGER DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS lifetime_points INTEGER DEFAULT 0;
+
+UPDATE loyalty_points lp
+SET points_balance = totals.balance,
+    lifetime_points = totals.lifetime,
+    points_earned = totals.lifetime
+FROM (
+  SELECT customer_id, machine_id,
+         SUM(points) as balance,
+         COALESCE(SUM(points) FILTER (WHERE points > 0 AND entry_type <> 'transfer'), 0) as lifetime
+  FROM loyalty_ledger
+  GROUP BY customer_id, machine_id
+) totals
+WHERE totals.customer_id = lp.customer_id AND totals.machine_id = lp.machine_id;
+
+CREATE VIEW customer_loyalty_totals AS
+SELECT
+  customer_id,
+  SUM(points_earned) as total_points,
+  COUNT(*) as transaction_count,
+  MAX(created_at) as last_activity
+FROM loyalty_points
+GROUP BY customer_id;
+
+DROP TABLE IF EXISTS loyalty_ledger CASCADE;
+DROP FUNCTION IF EXISTS prevent_loyalty_ledger_update();
@@ -0,0 +1,122 @@
+-- Create loyalty_ledger table (append-only points ledger; balances are derived from it)
+-- Each entry records both sides: the customer's account and the program account it
+-- moved against (points issued, redeemed, expired, adjusted) or, for transfers, the
+-- other customer account in the same transaction_id.
+CREATE TABLE IF NOT EXISTS loyalty_ledger (
+  id SERIAL PRIMARY KEY,
+  transaction_id UUID NOT NULL,
+  customer_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  machine_id INTEGER NOT NULL REFERENCES vending_machines(id) ON DELETE CASCADE,
+  vendor_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  entry_type VARCHAR(20) NOT NULL CHECK (entry_type IN ('earn', 'redeem', 'expire', 'adjust', 'transfer')),
+  counter_account VARCHAR(20) NOT NULL CHECK (counter_account IN ('issued', 'redeemed', 'expired', 'adjustment', 'customer')),
+  points INTEGER NOT NULL CHECK (points <> 0),
+  balance_after INTEGER NOT NULL CHECK (balance_after >= 0),
+  reference_type VARCHAR(30),
+  reference_id INTEGER,
+  idempotency_key VARCHAR(100),
+  description TEXT,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT loyalty_ledger_sign_check CHECK (
+    (entry_type = 'earn' AND points > 0)
+    OR (entry_type IN ('redeem', 'expire') AND points < 0)
+    OR entry_type IN ('adjust', 'transfer')
+  )
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_loyalty_ledger_account ON loyalty_ledger(customer_id, machine_id, id);
+CREATE INDEX IF NOT EXISTS idx_loyalty_ledger_vendor ON loyalty_ledger(vendor_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_loyalty_ledger_transaction ON loyalty_ledger(transaction_id);
+CREATE INDEX IF NOT EXISTS idx_loyalty_ledger_reference ON loyalty_ledger(reference_type, reference_id)
+  WHERE reference_type IS NOT NULL;
+
+-- A retried request with the same key returns the original entry instead of posting twice
+CREATE UNIQUE INDEX IF NOT EXISTS idx_loyalty_ledger_idempotency
+  ON loyalty_ledger(customer_id, idempotency_key)
+  WHERE idempotency_key IS NOT NULL;
+
+-- Entries are never edited; only created_by may be nulled by ON DELETE SET NULL
+CREATE OR REPLACE FUNCTION prevent_loyalty_ledger_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.transaction_id IS DISTINCT FROM OLD.transaction_id
+     OR NEW.customer_id IS DISTINCT FROM OLD.customer_id
+     OR NEW.machine_id IS DISTINCT FROM OLD.machine_id
+     OR NEW.vendor_id IS DISTINCT FROM OLD.vendor_id
+     OR NEW.entry_type IS DISTINCT FROM OLD.entry_type
+     OR NEW.counter_account IS DISTINCT FROM OLD.counter_account
+     OR NEW.points IS DISTINCT FROM OLD.points
+     OR NEW.balance_after IS DISTINCT FROM OLD.balance_after
+     OR NEW.reference_type IS DISTINCT FROM OLD.reference_type
+     OR NEW.reference_id IS DISTINCT FROM OLD.reference_id
+     OR NEW.idempotency_key IS DISTINCT FROM OLD.idempotency_key
+     OR NEW.description IS DISTINCT FROM OLD.description
+     OR NEW.created_at IS DISTINCT FROM OLD.created_at
+     OR (NEW.created_by IS NOT NULL AND NEW.created_by IS DISTINCT FROM OLD.created_by) THEN
+    RAISE EXCEPTION 'loyalty_ledger is append-only';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS prevent_loyalty_ledger_update ON loyalty_ledger;
+CREATE TRIGGER prevent_loyalty_ledger_update BEFORE UPDATE ON loyalty_ledger
+FOR EACH ROW EXECUTE FUNCTION prevent_loyalty_ledger_update();
+
+-- Opening entries from the old balance rows: lifetime points earned, minus what was spent
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'loyalty_points' AND column_name = 'points_balance'
+  ) THEN
+    INSERT INTO loyalty_ledger
+      (transaction_id, customer_id, machine_id, vendor_id, entry_type, counter_account,
+       points, balance_after, reference_type, description)
+    SELECT md5(random()::text || clock_timestamp()::text || lp.id)::uuid, lp.customer_id, lp.machine_id,
+           vm.vendor_id, 'earn', 'issued',
+           GREATEST(lp.lifetime_points, lp.points_balance), GREATEST(lp.lifetime_points, lp.points_balance),
+           'migration', 'Opening balance (lifetime points)'
+    FROM loyalty_points lp
+    JOIN vending_machines vm ON lp.machine_id = vm.id
+    WHERE GREATEST(lp.lifetime_points, lp.points_balance) > 0
+      AND NOT EXISTS (
+        SELECT 1 FROM loyalty_ledger ll
+        WHERE ll.customer_id = lp.customer_id AND ll.machine_id = lp.machine_id
+      );
+
+    INSERT INTO loyalty_ledger
+      (transaction_id, customer_id, machine_id, vendor_id, entry_type, counter_account,
+       points, balance_after, reference_type, description)
+    SELECT md5(random()::text || clock_timestamp()::text || lp.id)::uuid, lp.customer_id, lp.machine_id,
+           vm.vendor_id, 'redeem', 'redeemed',
+           lp.points_balance - lp.lifetime_points, lp.points_balance,
+           'migration', 'Opening balance (points already spent)'
+    FROM loyalty_points lp
+    JOIN vending_machines vm ON lp.machine_id = vm.id
+    WHERE lp.lifetime_points > lp.points_balance
+      AND lp.points_balance >= 0;
+  END IF;
+END $$;
+
+-- loyalty_points is now just the account row (one per customer per machine) that
+-- writers lock; its balance columns would only drift from the ledger
+DROP VIEW IF EXISTS customer_loyalty_totals;
+ALTER TABLE loyalty_points
+  DROP COLUMN IF EXISTS points_balance,
+  DROP COLUMN IF EXISTS lifetime_points,
+  DROP COLUMN IF EXISTS points_earned,
+  DROP COLUMN IF EXISTS transaction_type,
+  DROP COLUMN IF EXISTS description,
+  DROP COLUMN IF EXISTS rebate_id;
+
+CREATE VIEW customer_loyalty_totals AS
+SELECT
+  customer_id,
+  SUM(points) as total_points,
+  COUNT(*) as transaction_count,
+  MAX(created_at) as last_activity
+FROM loyalty_ledger
+GROUP BY customer_id;
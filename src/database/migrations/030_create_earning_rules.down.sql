@@ -0,0 +1,5 @@
+-- Revert 030_create_earning_rules
+DROP INDEX IF EXISTS idx_sales_claim_code;
+ALTER TABLE sales DROP COLUMN IF EXISTS claim_code;
+DROP TABLE IF EXISTS loyalty_claims CASCADE;
+DROP TABLE IF EXISTS earning_rules CASCADE;
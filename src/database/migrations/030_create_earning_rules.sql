@@ -0,0 +1,63 @@
+-- Create earning_rules table (vendor-configured ways to earn loyalty points)
+-- machine_id NULL applies the rule at every machine the vendor owns.
+CREATE TABLE IF NOT EXISTS earning_rules (
+  id SERIAL PRIMARY KEY,
+  vendor_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  machine_id INTEGER REFERENCES vending_machines(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  rule_type VARCHAR(30) NOT NULL CHECK (rule_type IN (
+    'points_per_dollar', 'bonus_product', 'first_purchase_of_day', 'streak', 'poll_vote'
+  )),
+  points INTEGER NOT NULL CHECK (points > 0),
+  product_id INTEGER REFERENCES products(id) ON DELETE CASCADE,
+  streak_days INTEGER CHECK (streak_days >= 2),
+  is_active BOOLEAN DEFAULT true,
+  valid_from TIMESTAMP,
+  valid_until TIMESTAMP,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT earning_rules_product_check CHECK (rule_type <> 'bonus_product' OR product_id IS NOT NULL),
+  CONSTRAINT earning_rules_streak_check CHECK (rule_type <> 'streak' OR streak_days IS NOT NULL)
+);
+
+-- Create loyalty_claims table (customer claims for points on a vend or a receipt)
+-- Vend claims are verified against the sale and approved on submit; receipts wait for the vendor.
+CREATE TABLE IF NOT EXISTS loyalty_claims (
+  id SERIAL PRIMARY KEY,
+  customer_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  machine_id INTEGER NOT NULL REFERENCES vending_machines(id) ON DELETE CASCADE,
+  claim_type VARCHAR(20) NOT NULL CHECK (claim_type IN ('vend', 'receipt')),
+  sale_id INTEGER UNIQUE REFERENCES sales(id) ON DELETE SET NULL,
+  product_id INTEGER REFERENCES products(id) ON DELETE SET NULL,
+  purchase_amount DECIMAL(10, 2) NOT NULL CHECK (purchase_amount >= 0),
+  purchased_at TIMESTAMP NOT NULL,
+  receipt_image_url VARCHAR(500),
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  points_awarded INTEGER NOT NULL DEFAULT 0,
+  reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMP,
+  review_notes TEXT,
+  submitted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT loyalty_claims_receipt_check CHECK (claim_type <> 'receipt' OR receipt_image_url IS NOT NULL)
+);
+
+-- Short code shown on the machine after a vend so the customer can claim it
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS claim_code VARCHAR(12);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sales_claim_code
+  ON sales(machine_id, claim_code)
+  WHERE claim_code IS NOT NULL;
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_earning_rules_vendor ON earning_rules(vendor_id, rule_type) WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_earning_rules_machine ON earning_rules(machine_id);
+CREATE INDEX IF NOT EXISTS idx_loyalty_claims_customer ON loyalty_claims(customer_id, submitted_at DESC);
+CREATE INDEX IF NOT EXISTS idx_loyalty_claims_pending
+  ON loyalty_claims(machine_id, submitted_at)
+  WHERE status = 'pending';
+
+-- Create trigger to update updated_at timestamp
+DROP TRIGGER IF EXISTS update_earning_rules_updated_at ON earning_rules;
+CREATE TRIGGER update_earning_rules_updated_at BEFORE UPDATE ON earning_rules
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
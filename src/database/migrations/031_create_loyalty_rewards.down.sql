@@ -0,0 +1,6 @@
+-- Revert 031_create_loyalty_rewards
+DROP TABLE IF EXISTS loyalty_reward_redemptions CASCADE;
+DROP INDEX IF EXISTS idx_discounts_customer;
+DELETE FROM discount_codes WHERE customer_id IS NOT NULL;
+ALTER TABLE discount_codes DROP COLUMN IF EXISTS customer_id;
+DROP TABLE IF EXISTS loyalty_rewards CASCADE;
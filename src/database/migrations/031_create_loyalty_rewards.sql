@@ -0,0 +1,53 @@
+-- Create loyalty_rewards table (catalog of rewards customers buy with points)
+-- machine_id NULL offers the reward at every machine the vendor owns. reward_value is the
+-- percent for percent_off and the amount for fixed_credit; a free_item is always its product.
+CREATE TABLE IF NOT EXISTS loyalty_rewards (
+  id SERIAL PRIMARY KEY,
+  vendor_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  machine_id INTEGER REFERENCES vending_machines(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+  reward_type VARCHAR(20) NOT NULL CHECK (reward_type IN ('free_item', 'percent_off', 'fixed_credit')),
+  points_cost INTEGER NOT NULL CHECK (points_cost > 0),
+  product_id INTEGER REFERENCES products(id) ON DELETE CASCADE,
+  reward_value DECIMAL(10, 2) CHECK (reward_value > 0),
+  code_valid_days INTEGER NOT NULL DEFAULT 30 CHECK (code_valid_days > 0),
+  max_redemptions INTEGER CHECK (max_redemptions > 0),
+  redeemed_count INTEGER NOT NULL DEFAULT 0,
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT loyalty_rewards_value_check CHECK (
+    (reward_type = 'free_item' AND product_id IS NOT NULL)
+    OR (reward_type = 'percent_off' AND reward_value IS NOT NULL AND reward_value <= 100)
+    OR (reward_type = 'fixed_credit' AND reward_value IS NOT NULL)
+  )
+);
+
+-- One-time codes issued for a reward can only be used by the customer who bought them
+ALTER TABLE discount_codes
+  ADD COLUMN IF NOT EXISTS customer_id INTEGER REFERENCES users(id) ON DELETE CASCADE;
+
+-- Create loyalty_reward_redemptions table (points spent on a reward and the code issued for it)
+CREATE TABLE IF NOT EXISTS loyalty_reward_redemptions (
+  id SERIAL PRIMARY KEY,
+  reward_id INTEGER REFERENCES loyalty_rewards(id) ON DELETE SET NULL,
+  customer_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  machine_id INTEGER NOT NULL REFERENCES vending_machines(id) ON DELETE CASCADE,
+  discount_code_id INTEGER REFERENCES discount_codes(id) ON DELETE SET NULL,
+  ledger_entry_id INTEGER REFERENCES loyalty_ledger(id) ON DELETE SET NULL,
+  points_spent INTEGER NOT NULL CHECK (points_spent > 0),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_loyalty_rewards_vendor ON loyalty_rewards(vendor_id);
+CREATE INDEX IF NOT EXISTS idx_loyalty_rewards_machine ON loyalty_rewards(machine_id);
+CREATE INDEX IF NOT EXISTS idx_discounts_customer ON discount_codes(customer_id) WHERE customer_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_reward_redemptions_customer ON loyalty_reward_redemptions(customer_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_reward_redemptions_reward ON loyalty_reward_redemptions(reward_id);
+
+-- Create trigger to update updated_at timestamp
+DROP TRIGGER IF EXISTS update_loyalty_rewards_updated_at ON loyalty_rewards;
+CREATE TRIGGER update_loyalty_rewards_updated_at BEFORE UPDATE ON loyalty_rewards
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,13 @@
+-- Revert 032_create_loyalty_programs
+-- Vendor-level ledger entries (pooled expiries) have no machine to fall back to
+DROP INDEX IF EXISTS idx_loyalty_ledger_customer_vendor;
+DELETE FROM loyalty_ledger WHERE machine_id IS NULL;
+ALTER TABLE loyalty_ledger ALTER COLUMN machine_id SET NOT NULL;
+
+DROP INDEX IF EXISTS idx_loyalty_points_vendor_account;
+DELETE FROM loyalty_points WHERE machine_id IS NULL;
+ALTER TABLE loyalty_points ALTER COLUMN machine_id SET NOT NULL;
+ALTER TABLE loyalty_points DROP COLUMN IF EXISTS vendor_id;
+
+DROP TABLE IF EXISTS loyalty_tiers CASCADE;
+DROP TABLE IF EXISTS loyalty_programs CASCADE;
@@ -0,0 +1,54 @@
+-- Create loyalty_programs table (one per vendor; no row means per-machine balances that never expire)
+-- balance_scope 'vendor' pools a customer's points across all of the vendor's machines.
+CREATE TABLE IF NOT EXISTS loyalty_programs (
+  vendor_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  balance_scope VARCHAR(20) NOT NULL DEFAULT 'machine' CHECK (balance_scope IN ('machine', 'vendor')),
+  points_expiry_days INTEGER CHECK (points_expiry_days > 0),
+  pooled_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create loyalty_tiers table (reached by lifetime points earned with the vendor)
+CREATE TABLE IF NOT EXISTS loyalty_tiers (
+  id SERIAL PRIMARY KEY,
+  vendor_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(50) NOT NULL,
+  min_lifetime_points INTEGER NOT NULL CHECK (min_lifetime_points >= 0),
+  multiplier DECIMAL(4, 2) NOT NULL DEFAULT 1 CHECK (multiplier >= 1 AND multiplier <= 10),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(vendor_id, name),
+  UNIQUE(vendor_id, min_lifetime_points)
+);
+
+-- Pooled programs lock one account row per customer per vendor (machine_id NULL)
+ALTER TABLE loyalty_points ADD COLUMN IF NOT EXISTS vendor_id INTEGER REFERENCES users(id) ON DELETE CASCADE;
+
+UPDATE loyalty_points lp
+SET vendor_id = vm.vendor_id
+FROM vending_machines vm
+WHERE lp.machine_id = vm.id AND lp.vendor_id IS NULL;
+
+ALTER TABLE loyalty_points ALTER COLUMN vendor_id SET NOT NULL;
+ALTER TABLE loyalty_points ALTER COLUMN machine_id DROP NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_loyalty_points_vendor_account
+  ON loyalty_points(customer_id, vendor_id)
+  WHERE machine_id IS NULL;
+
+-- Expiring a pooled balance isn't tied to any one machine
+ALTER TABLE loyalty_ledger ALTER COLUMN machine_id DROP NOT NULL;
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_loyalty_tiers_vendor ON loyalty_tiers(vendor_id, min_lifetime_points);
+CREATE INDEX IF NOT EXISTS idx_loyalty_ledger_customer_vendor ON loyalty_ledger(customer_id, vendor_id, created_at);
+
+-- Create triggers to update updated_at timestamp
+DROP TRIGGER IF EXISTS update_loyalty_programs_updated_at ON loyalty_programs;
+CREATE TRIGGER update_loyalty_programs_updated_at BEFORE UPDATE ON loyalty_programs
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_loyalty_tiers_updated_at ON loyalty_tiers;
+CREATE TRIGGER update_loyalty_tiers_updated_at BEFORE UPDATE ON loyalty_tiers
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,12 @@
+-- Revert 033_extend_discount_types
+DELETE FROM discount_codes WHERE discount_type = 'bogo';
+ALTER TABLE discount_codes DROP CONSTRAINT IF EXISTS discount_codes_value_check;
+ALTER TABLE discount_codes DROP CONSTRAINT IF EXISTS discount_codes_scope_check;
+ALTER TABLE discount_codes
+  DROP COLUMN IF EXISTS get_quantity,
+  DROP COLUMN IF EXISTS buy_quantity,
+  DROP COLUMN IF EXISTS min_purchase_amount,
+  DROP COLUMN IF EXISTS category;
+ALTER TABLE discount_codes DROP CONSTRAINT IF EXISTS discount_codes_discount_type_check;
+ALTER TABLE discount_codes ADD CONSTRAINT discount_codes_discount_type_check
+  CHECK (discount_type IN ('percentage', 'fixed'));
@@ -0,0 +1,23 @@
+-- Support buy-X-get-Y codes, category scope and a minimum spend on discount_codes
+-- For 'bogo', discount_value is the percent taken off each "get" item (100 = free).
+ALTER TABLE discount_codes DROP CONSTRAINT IF EXISTS discount_codes_discount_type_check;
+ALTER TABLE discount_codes ADD CONSTRAINT discount_codes_discount_type_check
+  CHECK (discount_type IN ('percentage', 'fixed', 'bogo'));
+
+ALTER TABLE discount_codes
+  ADD COLUMN IF NOT EXISTS category VARCHAR(100),
+  ADD COLUMN IF NOT EXISTS min_purchase_amount DECIMAL(10, 2) CHECK (min_purchase_amount > 0),
+  ADD COLUMN IF NOT EXISTS buy_quantity INTEGER CHECK (buy_quantity > 0),
+  ADD COLUMN IF NOT EXISTS get_quantity INTEGER CHECK (get_quantity > 0);
+
+-- A code is scoped to one product, one category, or (neither) the whole machine
+ALTER TABLE discount_codes DROP CONSTRAINT IF EXISTS discount_codes_scope_check;
+ALTER TABLE discount_codes ADD CONSTRAINT discount_codes_scope_check
+  CHECK (product_id IS NULL OR category IS NULL);
+
+ALTER TABLE discount_codes DROP CONSTRAINT IF EXISTS discount_codes_value_check;
+ALTER TABLE discount_codes ADD CONSTRAINT discount_codes_value_check CHECK (
+  (discount_type = 'fixed')
+  OR (discount_type = 'percentage' AND discount_value <= 100)
+  OR (discount_type = 'bogo' AND discount_value <= 100 AND buy_quantity IS NOT NULL AND get_quantity IS NOT NULL)
+);
@@ -0,0 +1,6 @@
+-- Revert 034_create_discount_campaigns
+DROP INDEX IF EXISTS idx_discounts_campaign;
+DELETE FROM discount_codes WHERE campaign_id IS NOT NULL;
+ALTER TABLE discount_codes DROP COLUMN IF EXISTS campaign_id;
+DROP TABLE IF EXISTS discount_campaign_machines CASCADE;
+DROP TABLE IF EXISTS discount_campaigns CASCADE;
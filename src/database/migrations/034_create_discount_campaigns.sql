@@ -0,0 +1,42 @@
+-- Create discount_campaigns table (batches of single-use codes generated from a pattern)
+-- The campaign holds the terms; they are copied onto each of its codes so redemption reads
+-- one row, and campaign updates are pushed down to the codes.
+CREATE TABLE IF NOT EXISTS discount_campaigns (
+  id SERIAL PRIMARY KEY,
+  vendor_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  code_pattern VARCHAR(50) NOT NULL,
+  discount_type VARCHAR(20) NOT NULL CHECK (discount_type IN ('percentage', 'fixed', 'bogo')),
+  discount_value DECIMAL(10, 2) NOT NULL CHECK (discount_value > 0),
+  product_id INTEGER REFERENCES products(id) ON DELETE CASCADE,
+  category VARCHAR(100),
+  min_purchase_amount DECIMAL(10, 2) CHECK (min_purchase_amount > 0),
+  buy_quantity INTEGER CHECK (buy_quantity > 0),
+  get_quantity INTEGER CHECK (get_quantity > 0),
+  valid_from TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  valid_until TIMESTAMP,
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create discount_campaign_machines table (machines a campaign's codes are good at)
+CREATE TABLE IF NOT EXISTS discount_campaign_machines (
+  campaign_id INTEGER NOT NULL REFERENCES discount_campaigns(id) ON DELETE CASCADE,
+  machine_id INTEGER NOT NULL REFERENCES vending_machines(id) ON DELETE CASCADE,
+  PRIMARY KEY (campaign_id, machine_id)
+);
+
+-- Campaign codes leave machine_id NULL and are checked against the campaign's machine list
+ALTER TABLE discount_codes
+  ADD COLUMN IF NOT EXISTS campaign_id INTEGER REFERENCES discount_campaigns(id) ON DELETE CASCADE;
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_discount_campaigns_vendor ON discount_campaigns(vendor_id);
+CREATE INDEX IF NOT EXISTS idx_discount_campaign_machines_machine ON discount_campaign_machines(machine_id);
+CREATE INDEX IF NOT EXISTS idx_discounts_campaign ON discount_codes(campaign_id) WHERE campaign_id IS NOT NULL;
+
+-- Create trigger to update updated_at timestamp
+DROP TRIGGER IF EXISTS update_discount_campaigns_updated_at ON discount_campaigns;
+CREATE TRIGGER update_discount_campaigns_updated_at BEFORE UPDATE ON discount_campaigns
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
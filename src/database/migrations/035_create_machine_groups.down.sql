@@ -0,0 +1,9 @@
+-- Revert 035_create_machine_groups
+DROP TABLE IF EXISTS discount_code_machines CASCADE;
+DELETE FROM discount_codes WHERE machine_scope IN ('machines', 'group');
+ALTER TABLE discount_codes DROP CONSTRAINT IF EXISTS discount_codes_machine_target_check;
+DROP INDEX IF EXISTS idx_discounts_machine_group;
+ALTER TABLE discount_codes DROP COLUMN IF EXISTS machine_group_id;
+ALTER TABLE discount_codes DROP COLUMN IF EXISTS machine_scope;
+DROP TABLE IF EXISTS machine_group_members CASCADE;
+DROP TABLE IF EXISTS machine_groups CASCADE;
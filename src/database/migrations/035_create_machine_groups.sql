@@ -0,0 +1,55 @@
+-- Create machine_groups table (named sets of a vendor's machines, e.g. "Campus East")
+CREATE TABLE IF NOT EXISTS machine_groups (
+  id SERIAL PRIMARY KEY,
+  vendor_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (vendor_id, name)
+);
+
+-- Create machine_group_members table (a machine can belong to several groups)
+CREATE TABLE IF NOT EXISTS machine_group_members (
+  group_id INTEGER NOT NULL REFERENCES machine_groups(id) ON DELETE CASCADE,
+  machine_id INTEGER NOT NULL REFERENCES vending_machines(id) ON DELETE CASCADE,
+  PRIMARY KEY (group_id, machine_id)
+);
+
+-- Where a code can be used: one machine (machine_id), a list of machines
+-- (discount_code_machines), a machine group, or every machine the vendor owns.
+-- Campaign codes keep using their campaign's machine list.
+ALTER TABLE discount_codes
+  ADD COLUMN IF NOT EXISTS machine_scope VARCHAR(10) NOT NULL DEFAULT 'machine'
+    CHECK (machine_scope IN ('machine', 'machines', 'group', 'vendor')),
+  ADD COLUMN IF NOT EXISTS machine_group_id INTEGER REFERENCES machine_groups(id);
+
+-- Codes created before machine_id existed were already accepted at any of the vendor's machines for rebates
+UPDATE discount_codes SET machine_scope = 'vendor'
+WHERE machine_id IS NULL AND campaign_id IS NULL AND machine_scope = 'machine';
+
+ALTER TABLE discount_codes DROP CONSTRAINT IF EXISTS discount_codes_machine_target_check;
+ALTER TABLE discount_codes ADD CONSTRAINT discount_codes_machine_target_check CHECK (
+  campaign_id IS NOT NULL
+  OR (machine_scope = 'machine' AND machine_id IS NOT NULL)
+  OR (machine_scope = 'group' AND machine_group_id IS NOT NULL)
+  OR machine_scope IN ('machines', 'vendor')
+);
+
+-- Create discount_code_machines table (machines a 'machines'-scoped code is good at)
+CREATE TABLE IF NOT EXISTS discount_code_machines (
+  discount_code_id INTEGER NOT NULL REFERENCES discount_codes(id) ON DELETE CASCADE,
+  machine_id INTEGER NOT NULL REFERENCES vending_machines(id) ON DELETE CASCADE,
+  PRIMARY KEY (discount_code_id, machine_id)
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_machine_groups_vendor ON machine_groups(vendor_id);
+CREATE INDEX IF NOT EXISTS idx_machine_group_members_machine ON machine_group_members(machine_id);
+CREATE INDEX IF NOT EXISTS idx_discount_code_machines_machine ON discount_code_machines(machine_id);
+CREATE INDEX IF NOT EXISTS idx_discounts_machine_group ON discount_codes(machine_group_id) WHERE machine_group_id IS NOT NULL;
+
+-- Create trigger to update updated_at timestamp
+DROP TRIGGER IF EXISTS update_machine_groups_updated_at ON machine_groups;
+CREATE TRIGGER update_machine_groups_updated_at BEFORE UPDATE ON machine_groups
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
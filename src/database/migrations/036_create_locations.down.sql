@@ -0,0 +1,4 @@
+-- Revert 036_create_locations
+DROP INDEX IF EXISTS idx_machines_location;
+ALTER TABLE vending_machines DROP COLUMN IF EXISTS location_id;
+DROP TABLE IF EXISTS locations CASCADE;
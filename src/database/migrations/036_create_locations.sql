@@ -0,0 +1,34 @@
+-- Create locations table (sites machines are placed at)
+-- vending_machines.location stays as a free-text placement note (e.g. "2nd floor lobby").
+CREATE TABLE IF NOT EXISTS locations (
+  id SERIAL PRIMARY KEY,
+  vendor_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  address_line1 VARCHAR(255),
+  address_line2 VARCHAR(255),
+  city VARCHAR(100),
+  region VARCHAR(100),
+  postal_code VARCHAR(20),
+  country VARCHAR(2),
+  latitude DECIMAL(9, 6) CHECK (latitude BETWEEN -90 AND 90),
+  longitude DECIMAL(9, 6) CHECK (longitude BETWEEN -180 AND 180),
+  contact_name VARCHAR(255),
+  contact_phone VARCHAR(50),
+  contact_email VARCHAR(255),
+  notes TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (vendor_id, name)
+);
+
+ALTER TABLE vending_machines
+  ADD COLUMN IF NOT EXISTS location_id INTEGER REFERENCES locations(id) ON DELETE SET NULL;
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_locations_vendor ON locations(vendor_id);
+CREATE INDEX IF NOT EXISTS idx_machines_location ON vending_machines(location_id);
+
+-- Create trigger to update updated_at timestamp
+DROP TRIGGER IF EXISTS update_locations_updated_at ON locations;
+CREATE TRIGGER update_locations_updated_at BEFORE UPDATE ON locations
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
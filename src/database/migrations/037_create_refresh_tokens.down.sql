@@ -0,0 +1,4 @@
+-- Revert 037_create_refresh_tokens
+ALTER TABLE users DROP COLUMN IF EXISTS token_version;
+DROP TABLE IF EXISTS refresh_tokens CASCADE;
+DROP TABLE IF EXISTS auth_sessions CASCADE;
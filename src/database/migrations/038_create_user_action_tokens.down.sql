@@ -0,0 +1,3 @@
+-- Revert 038_create_user_action_tokens
+ALTER TABLE users DROP COLUMN IF EXISTS email_verified_at;
+DROP TABLE IF EXISTS user_action_tokens CASCADE;
@@ -0,0 +1,18 @@
+-- Create user_action_tokens table (single-use password reset and email verification tokens)
+-- Only a SHA-256 hash of each token is stored; the token itself is only ever emailed.
+-- email is the address it was sent to, so changing the account email voids it.
+CREATE TABLE IF NOT EXISTS user_action_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  purpose VARCHAR(20) NOT NULL CHECK (purpose IN ('password_reset', 'email_verify')),
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  email VARCHAR(255) NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP;
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_user_action_tokens_user ON user_action_tokens(user_id, purpose);
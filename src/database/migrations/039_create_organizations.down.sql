@@ -0,0 +1,4 @@
+-- Revert 039_create_organizations
+DROP TABLE IF EXISTS organization_invites CASCADE;
+DROP TABLE IF EXISTS organization_members CASCADE;
+DROP TABLE IF EXISTS organizations CASCADE;
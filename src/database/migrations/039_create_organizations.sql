@@ -0,0 +1,60 @@
+-- Create organizations table (a vendor business and its staff)
+-- Machines, products and everything else stay keyed by vendor_id = the owner's user ID,
+-- so staff act on the owner's data through their membership.
+CREATE TABLE IF NOT EXISTS organizations (
+  id SERIAL PRIMARY KEY,
+  owner_id INTEGER NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create organization_members table (each vendor-side login belongs to exactly one organization)
+CREATE TABLE IF NOT EXISTS organization_members (
+  organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+  role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'manager', 'driver', 'viewer')),
+  invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (organization_id, user_id)
+);
+
+-- Create organization_invites table (single-use, emailed; only the token hash is stored)
+CREATE TABLE IF NOT EXISTS organization_invites (
+  id SERIAL PRIMARY KEY,
+  organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  email VARCHAR(255) NOT NULL,
+  role VARCHAR(20) NOT NULL CHECK (role IN ('manager', 'driver', 'viewer')),
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  expires_at TIMESTAMP NOT NULL,
+  accepted_at TIMESTAMP,
+  accepted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  revoked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Every existing vendor becomes the owner of a one-person organization
+INSERT INTO organizations (owner_id, name)
+SELECT id, COALESCE(full_name, email) FROM users WHERE role = 'vendor'
+ON CONFLICT (owner_id) DO NOTHING;
+
+INSERT INTO organization_members (organization_id, user_id, role)
+SELECT id, owner_id, 'owner' FROM organizations
+ON CONFLICT DO NOTHING;
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_organization_invites_org ON organization_invites(organization_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_organization_invites_pending
+  ON organization_invites(organization_id, LOWER(email))
+  WHERE accepted_at IS NULL AND revoked_at IS NULL;
+
+-- Create triggers to update updated_at timestamp
+DROP TRIGGER IF EXISTS update_organizations_updated_at ON organizations;
+CREATE TRIGGER update_organizations_updated_at BEFORE UPDATE ON organizations
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_organization_members_updated_at ON organization_members;
+CREATE TRIGGER update_organization_members_updated_at BEFORE UPDATE ON organization_members
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
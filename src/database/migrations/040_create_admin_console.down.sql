@@ -0,0 +1,11 @@
+-- Revert 040_create_admin_console
+DROP TABLE IF EXISTS organization_feature_flags CASCADE;
+DROP TABLE IF EXISTS feature_flags CASCADE;
+DROP TABLE IF EXISTS admin_audit_log CASCADE;
+DROP TABLE IF EXISTS impersonation_sessions CASCADE;
+ALTER TABLE organizations
+  DROP COLUMN IF EXISTS suspended_reason,
+  DROP COLUMN IF EXISTS suspended_at;
+DELETE FROM users WHERE role = 'admin';
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE users ADD CONSTRAINT users_role_check CHECK (role IN ('customer', 'vendor'));
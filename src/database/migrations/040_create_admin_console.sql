@@ -0,0 +1,68 @@
+-- Platform administrators: extend users.role beyond customer/vendor
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE users ADD CONSTRAINT users_role_check CHECK (role IN ('customer', 'vendor', 'admin'));
+
+-- A suspended organization's logins are refused on every vendor route
+ALTER TABLE organizations
+  ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS suspended_reason TEXT;
+
+-- Create impersonation_sessions table (an admin acting as a vendor owner for support)
+CREATE TABLE IF NOT EXISTS impersonation_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  admin_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  reason TEXT NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  ended_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create admin_audit_log table (append-only record of admin actions and impersonated writes)
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+  id SERIAL PRIMARY KEY,
+  admin_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  action VARCHAR(50) NOT NULL,
+  target_type VARCHAR(30),
+  target_id VARCHAR(100),
+  impersonation_id UUID REFERENCES impersonation_sessions(id) ON DELETE SET NULL,
+  details JSONB,
+  ip_address VARCHAR(45),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create feature_flags table (platform defaults) and per-organization overrides
+CREATE TABLE IF NOT EXISTS feature_flags (
+  key VARCHAR(100) PRIMARY KEY,
+  description TEXT,
+  default_enabled BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS organization_feature_flags (
+  organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  flag_key VARCHAR(100) NOT NULL REFERENCES feature_flags(key) ON DELETE CASCADE,
+  enabled BOOLEAN NOT NULL,
+  updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (organization_id, flag_key)
+);
+
+-- Flags the vendor routes check; on by default so admins can switch a feature off for one vendor
+INSERT INTO feature_flags (key, description, default_enabled) VALUES
+  ('dex_import', 'Upload DEX audit files and reconcile them against sales', true),
+  ('discount_campaigns', 'Bulk single-use discount code campaigns', true),
+  ('payout_batches', 'Customer payout batches and CSV export', true)
+ON CONFLICT (key) DO NOTHING;
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_impersonation_sessions_admin ON impersonation_sessions(admin_id);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created ON admin_audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_target ON admin_audit_log(target_type, target_id);
+
+-- Create trigger to update updated_at timestamp
+DROP TRIGGER IF EXISTS update_feature_flags_updated_at ON feature_flags;
+CREATE TRIGGER update_feature_flags_updated_at BEFORE UPDATE ON feature_flags
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
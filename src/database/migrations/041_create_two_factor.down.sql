@@ -0,0 +1,10 @@
+-- Revert 041_create_two_factor
+ALTER TABLE auth_sessions DROP COLUMN IF EXISTS step_up_at;
+DROP TABLE IF EXISTS mfa_challenges CASCADE;
+DROP TABLE IF EXISTS user_recovery_codes CASCADE;
+ALTER TABLE users
+  DROP COLUMN IF EXISTS mfa_locked_until,
+  DROP COLUMN IF EXISTS mfa_failed_attempts,
+  DROP COLUMN IF EXISTS totp_last_step,
+  DROP COLUMN IF EXISTS totp_enabled_at,
+  DROP COLUMN IF EXISTS totp_secret;
@@ -0,0 +1,40 @@
+-- Two-factor authentication (TOTP) for vendor and admin logins
+-- totp_secret is encrypted at rest; it is set at enrollment and only counts once totp_enabled_at is set.
+-- totp_last_step is the last 30-second step a code was accepted for, so a code can't be replayed.
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS totp_secret TEXT,
+  ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+
+-- Wrong second-factor codes in a row (logins, step-up, 2FA changes); too many lock them until mfa_locked_until
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS mfa_failed_attempts INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS mfa_locked_until TIMESTAMP;
+
+-- Create user_recovery_codes table (one-time codes for when the authenticator is lost; stored hashed)
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash VARCHAR(64) NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_id, code_hash)
+);
+
+-- Create mfa_challenges table (password accepted, waiting for the second factor)
+CREATE TABLE IF NOT EXISTS mfa_challenges (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Last time the session re-proved its second factor; sensitive actions need a recent one
+ALTER TABLE auth_sessions ADD COLUMN IF NOT EXISTS step_up_at TIMESTAMP;
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user ON user_recovery_codes(user_id) WHERE used_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_mfa_challenges_user ON mfa_challenges(user_id);
@@ -0,0 +1,267 @@
+const { pool } = require('../config/database');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Arbitrary constant so only one migrator runs against a database at a time
+const MIGRATION_LOCK_ID = 8675309;
+
+/**
+ * Load migration files from disk, pairing each up file with its .down.sql
+ * @returns {array} - Migrations sorted by version
+ */
+function loadMigrations() {
+  const files = fs.readdirSync(MIGRATIONS_DIR);
+  const migrations = [];
+  const seenVersions = new Map();
+
+  for (const file of files.sort()) {
+    if (!file.endsWith('.sql') || file.endsWith('.down.sql')) continue;
+
+    const match = file.match(/^(\d+)_(.+)\.sql$/);
+    if (!match) {
+      throw new Error(`Invalid migration filename: ${file}`);
+    }
+
+    const version = match[1];
+    if (seenVersions.has(version)) {
+      throw new Error(`Duplicate migration version ${version}: ${seenVersions.get(version)} and ${file}`);
+    }
+    seenVersions.set(version, file);
+
+    const upSql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+    const downFile = file.replace(/\.sql$/, '.down.sql');
+    const downPath = path.join(MIGRATIONS_DIR, downFile);
+
+    migrations.push({
+      version,
+      name: match[2],
+      file,
+      upSql,
+      downSql: fs.existsSync(downPath) ? fs.readFileSync(downPath, 'utf8') : null,
+      checksum: checksum(upSql),
+    });
+  }
+
+  return migrations;
+}
+
+/**
+ * Compute checksum of a migration body
+ * @param {string} sql - Migration SQL
+ * @returns {string} - SHA-256 hex digest
+ */
+function checksum(sql) {
+  return crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+}
+
+/**
+ * Create the schema_migrations history table if needed
+ * @param {object} client - Connected pg client
+ */
+async function ensureHistoryTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(20) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum VARCHAR(64) NOT NULL,
+      execution_ms INTEGER,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+/**
+ * Get applied migrations keyed by version
+ * @param {object} client - Connected pg client
+ * @returns {Map} - version -> history row
+ */
+async function getApplied(client) {
+  const result = await client.query(
+    'SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version'
+  );
+  return new Map(result.rows.map(row => [row.version, row]));
+}
+
+/**
+ * Ensure applied migrations still match the files on disk
+ * @param {array} migrations - Migrations loaded from disk
+ * @param {Map} applied - Applied migrations
+ */
+function verifyChecksums(migrations, applied) {
+  const byVersion = new Map(migrations.map(m => [m.version, m]));
+
+  for (const [version, row] of applied) {
+    const migration = byVersion.get(version);
+    if (!migration) {
+      throw new Error(`Applied migration ${version}_${row.name} is missing from ${MIGRATIONS_DIR}`);
+    }
+    if (migration.checksum !== row.checksum) {
+      throw new Error(`Checksum mismatch for ${migration.file}: file was modified after it was applied`);
+    }
+  }
+}
+
+/**
+ * Run a callback with a dedicated client holding the migration lock
+ * @param {function} callback - Receives (client, migrations, applied)
+ * @returns {*} - Callback result
+ */
+async function withLock(callback) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    try {
+      await ensureHistoryTable(client);
+      const migrations = loadMigrations();
+      const applied = await getApplied(client);
+      verifyChecksums(migrations, applied);
+      return await callback(client, migrations, applied);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Apply a single migration inside its own transaction
+ * @param {object} client - Connected pg client
+ * @param {object} migration - Migration to apply
+ */
+async function applyMigration(client, migration) {
+  const start = Date.now();
+  try {
+    await client.query('BEGIN');
+    await client.query(migration.upSql);
+    await client.query(
+      `INSERT INTO schema_migrations (version, name, checksum, execution_ms)
+       VALUES ($1, $2, $3, $4)`,
+      [migration.version, migration.name, migration.checksum, Date.now() - start]
+    );
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw new Error(`Migration ${migration.file} failed: ${error.message}`);
+  }
+}
+
+/**
+ * Revert a single migration inside its own transaction
+ * @param {object} client - Connected pg client
+ * @param {object} migration - Migration to revert
+ */
+async function revertMigration(client, migration) {
+  if (!migration.downSql) {
+    throw new Error(`Migration ${migration.file} has no down migration`);
+  }
+
+  try {
+    await client.query('BEGIN');
+    await client.query(migration.downSql);
+    await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw new Error(`Rollback of ${migration.file} failed: ${error.message}`);
+  }
+}
+
+/**
+ * Get applied/pending state of every migration
+ * @returns {array} - Status rows
+ */
+async function status() {
+  return withLock(async (client, migrations, applied) =>
+    migrations.map(m => ({
+      version: m.version,
+      file: m.file,
+      applied: applied.has(m.version),
+      appliedAt: applied.get(m.version)?.applied_at || null,
+      hasDown: !!m.downSql,
+    }))
+  );
+}
+
+/**
+ * Apply all pending migrations in order
+ * @param {object} options - { log }
+ * @returns {array} - Applied migration files
+ */
+async function up({ log = console.log } = {}) {
+  return withLock(async (client, migrations, applied) => {
+    const pending = migrations.filter(m => !applied.has(m.version));
+    const ran = [];
+
+    for (const migration of pending) {
+      log(`Running migration: ${migration.file}`);
+      await applyMigration(client, migration);
+      log(`✓ ${migration.file} completed successfully`);
+      ran.push(migration.file);
+    }
+
+    return ran;
+  });
+}
+
+/**
+ * Revert the most recently applied migrations
+ * @param {object} options - { steps, log }
+ * @returns {array} - Reverted migration files
+ */
+async function down({ steps = 1, log = console.log } = {}) {
+  return withLock(async (client, migrations, applied) => {
+    const targets = migrations
+      .filter(m => applied.has(m.version))
+      .reverse()
+      .slice(0, steps);
+    const reverted = [];
+
+    for (const migration of targets) {
+      log(`Reverting migration: ${migration.file}`);
+      await revertMigration(client, migration);
+      log(`✓ ${migration.file} reverted`);
+      reverted.push(migration.file);
+    }
+
+    return reverted;
+  });
+}
+
+/**
+ * Revert and re-apply the most recently applied migrations
+ * @param {object} options - { steps, log }
+ * @returns {array} - Re-applied migration files
+ */
+async function redo({ steps = 1, log = console.log } = {}) {
+  return withLock(async (client, migrations, applied) => {
+    const targets = migrations
+      .filter(m => applied.has(m.version))
+      .reverse()
+      .slice(0, steps);
+
+    for (const migration of targets) {
+      log(`Reverting migration: ${migration.file}`);
+      await revertMigration(client, migration);
+    }
+
+    for (const migration of targets.reverse()) {
+      log(`Running migration: ${migration.file}`);
+      await applyMigration(client, migration);
+      log(`✓ ${migration.file} redone`);
+    }
+
+    return targets.map(m => m.file);
+  });
+}
+
+module.exports = {
+  loadMigrations,
+  status,
+  up,
+  down,
+  redo,
+};
@@ -1,32 +1,49 @@
 const { pool } = require('../config/database');
-const fs = require('fs');
-const path = require('path');
+const migrator = require('./migrator');
 
+// Usage: node src/database/runMigrations.js [status|up|down|redo] [steps]
 async function runMigrations() {
-  const migrationsDir = path.join(__dirname, 'migrations');
-  const migrationFiles = fs.readdirSync(migrationsDir).sort();
+  const command = process.argv[2] || 'up';
+  const steps = parseInt(process.argv[3]) || 1;
 
-  console.log('Starting database migrations...\n');
-
-  for (const file of migrationFiles) {
-    if (!file.endsWith('.sql')) continue;
-
-    try {
-      console.log(`Running migration: ${file}`);
-      const filePath = path.join(migrationsDir, file);
-      const sql = fs.readFileSync(filePath, 'utf8');
-
-      await pool.query(sql);
-      console.log(`✓ ${file} completed successfully\n`);
-    } catch (error) {
-      console.error(`✗ Error running migration ${file}:`, error.message);
-      process.exit(1);
+  try {
+    switch (command) {
+      case 'status': {
+        const rows = await migrator.status();
+        for (const row of rows) {
+          const state = row.applied ? `applied ${new Date(row.appliedAt).toISOString()}` : 'pending';
+          console.log(`${row.applied ? '✓' : ' '} ${row.file.padEnd(45)} ${state}${row.hasDown ? '' : ' (no down)'}`);
+        }
+        const pending = rows.filter(row => !row.applied).length;
+        console.log(`\n${rows.length - pending} applied, ${pending} pending`);
+        break;
+      }
+      case 'up': {
+        console.log('Starting database migrations...\n');
+        const ran = await migrator.up();
+        console.log(ran.length ? `\n✓ Applied ${ran.length} migration(s)` : '✓ Database is up to date');
+        break;
+      }
+      case 'down': {
+        const reverted = await migrator.down({ steps });
+        console.log(reverted.length ? `\n✓ Reverted ${reverted.length} migration(s)` : 'Nothing to revert');
+        break;
+      }
+      case 'redo': {
+        const redone = await migrator.redo({ steps });
+        console.log(redone.length ? `\n✓ Redid ${redone.length} migration(s)` : 'Nothing to redo');
+        break;
+      }
+      default:
+        console.error(`Unknown command "${command}". Use one of: status, up, down, redo`);
+        process.exitCode = 1;
     }
+  } catch (error) {
+    console.error('✗ Migration error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
   }
-
-  console.log('✓ All migrations completed successfully!');
-  await pool.end();
-  process.exit(0);
 }
 
 runMigrations();
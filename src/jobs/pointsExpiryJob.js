@@ -0,0 +1,49 @@
+const { pool } = require('../config/database');
+const { expirePoints } = require('../services/loyaltyService');
+require('dotenv').config();
+
+const DEFAULT_INTERVAL_HOURS = 24;
+
+/**
+ * Run one expiry pass and log what it did
+ * @returns {object} - { vendors, accounts, pointsExpired }
+ */
+async function runPointsExpiry() {
+  const summary = await expirePoints();
+  console.log(`✓ Points expiry: ${summary.pointsExpired} points expired across ${summary.accounts} account(s) for ${summary.vendors} vendor(s)`);
+  return summary;
+}
+
+/**
+ * Run the expiry pass on a timer inside the API process
+ * Set POINTS_EXPIRY_INTERVAL_HOURS=0 to disable it (e.g. when an external cron runs this file).
+ * @returns {object|null} - Interval handle, or null if disabled
+ */
+function startPointsExpiryJob() {
+  const hours = parseFloat(process.env.POINTS_EXPIRY_INTERVAL_HOURS ?? DEFAULT_INTERVAL_HOURS);
+  if (!hours) {
+    return null;
+  }
+
+  const run = () => runPointsExpiry().catch((error) => {
+    console.error('Error expiring loyalty points:', error);
+  });
+
+  const timer = setInterval(run, hours * 60 * 60 * 1000);
+  // Don't keep the process alive just for this timer
+  timer.unref();
+  run();
+  return timer;
+}
+
+// Usage: node src/jobs/pointsExpiryJob.js (one pass, for cron)
+if (require.main === module) {
+  runPointsExpiry()
+    .catch((error) => {
+      console.error('✗ Points expiry failed:', error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
+
+module.exports = { runPointsExpiry, startPointsExpiryJob };
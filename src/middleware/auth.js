@@ -1,5 +1,34 @@
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const { query } = require('../config/database');
+const { decrypt } = require('../services/qrCodeService');
+const { authenticateAccessToken } = require('../services/tokenService');
+const { getMembership } = require('../services/organizationService');
+const { logAdminAction } = require('../services/adminService');
+const { hasRecentStepUp } = require('../services/twoFactorService');
+const { isFeatureEnabled } = require('../services/featureFlagService');
+
+// Maximum clock skew accepted on signed device requests
+const DEVICE_SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// X-Nonce: 16-64 URL-safe characters, unique per request from a machine
+const DEVICE_NONCE_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+
+// Record every write an admin makes while impersonating a vendor
+const auditImpersonatedRequest = async (req) => {
+  if (!req.user.impersonationId || ['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+    return;
+  }
+
+  await logAdminAction({
+    adminId: req.user.impersonatedBy,
+    action: 'impersonation.request',
+    targetType: 'user',
+    targetId: req.user.id,
+    impersonationId: req.user.impersonationId,
+    details: { method: req.method, path: req.originalUrl },
+    ipAddress: req.ip,
+  });
+};
 
 // Verify JWT token for vendor authentication
 const verifyToken = async (req, res, next) => {
@@ -15,16 +44,10 @@ const verifyToken = async (req, res, next) => {
       });
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    // Check if user exists and is a vendor
-    const result = await query(
-      'SELECT id, email, role FROM users WHERE id = $1 AND role = $2',
-      [decoded.id, 'vendor']
-    );
+    // Verify token (rejects revoked sessions) and check the user is a vendor
+    const user = await authenticateAccessToken(token);
 
-    if (result.rows.length === 0) {
+    if (!user || user.role !== 'vendor') {
       return res.status(401).json({
         success: false,
         message: 'Invalid token or user not found.',
@@ -33,11 +56,16 @@ const verifyToken = async (req, res, next) => {
 
     // Attach user to request
     req.user = {
-      id: decoded.id,
-      email: decoded.email,
-      role: decoded.role,
+      id: user.id,
+      email: user.email,
+      role: user.role,
+      sessionId: user.session_id,
+      impersonationId: user.impersonation_id,
+      impersonatedBy: user.impersonated_by,
     };
 
+    await auditImpersonatedRequest(req);
+
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -150,25 +178,25 @@ const protect = async (req, res, next) => {
       });
     }
 
-    // Try JWT first (vendor)
+    // Try JWT first (vendor); revoked sessions are rejected
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const result = await query(
-        'SELECT id, email, full_name, role FROM users WHERE id = $1',
-        [decoded.id]
-      );
+      const user = await authenticateAccessToken(token);
 
-      if (result.rows.length > 0) {
+      if (user) {
         req.user = {
-          id: result.rows[0].id,
-          email: result.rows[0].email,
-          fullName: result.rows[0].full_name,
-          role: result.rows[0].role,
+          id: user.id,
+          email: user.email,
+          fullName: user.full_name,
+          role: user.role,
+          sessionId: user.session_id,
+          impersonationId: user.impersonation_id,
+          impersonatedBy: user.impersonated_by,
         };
         // For customer JWT tokens, also populate req.session for compatibility
-        if (result.rows[0].role === 'customer') {
-          req.session = { customerId: result.rows[0].id };
+        if (user.role === 'customer') {
+          req.session = { customerId: user.id };
         }
+        await auditImpersonatedRequest(req);
         return next();
       }
     } catch (jwtError) {
@@ -234,10 +262,249 @@ const restrictTo = (...roles) => {
   };
 };
 
+// Resolve the vendor organization a vendor-side login works for (use after restrictTo('vendor'))
+// req.vendor.id is the owner's user ID, the vendor_id all of the organization's data is stored under
+const loadVendorAccount = async (req, res, next) => {
+  try {
+    const membership = await getMembership(req.user.id);
+
+    if (!membership) {
+      return res.status(403).json({
+        success: false,
+        message: 'This login is not a member of any vendor organization.',
+      });
+    }
+
+    // Admins can still look into a suspended account while impersonating it
+    if (membership.suspendedAt && !req.user.impersonationId) {
+      return res.status(403).json({
+        success: false,
+        message: 'This vendor account is suspended.',
+      });
+    }
+
+    req.vendor = membership;
+    next();
+  } catch (error) {
+    console.error('Vendor account error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error loading vendor account.',
+    });
+  }
+};
+
+// Permission check for organization members (use after loadVendorAccount)
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.vendor) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authenticated.',
+      });
+    }
+
+    if (!permissions.every(permission => req.vendor.permissions.includes(permission))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access forbidden. Your role does not allow this.',
+      });
+    }
+
+    next();
+  };
+};
+
+// Reject tokens an admin got by impersonating a vendor (account security settings stay the owner's)
+const forbidImpersonation = (req, res, next) => {
+  if (req.user && req.user.impersonationId) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not available while impersonating',
+    });
+  }
+
+  next();
+};
+
+// Feature gate for vendor routes (use after loadVendorAccount); admins switch flags per organization
+const requireFeature = (key) => {
+  return async (req, res, next) => {
+    try {
+      const enabled = await isFeatureEnabled(req.vendor.organizationId, key);
+
+      if (!enabled) {
+        return res.status(403).json({
+          success: false,
+          message: 'This feature is not enabled for your account.',
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Feature flag check error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error checking feature access.',
+      });
+    }
+  };
+};
+
+// Sensitive actions: logins with 2FA must have re-entered a code recently (POST /api/auth/2fa/step-up)
+// An impersonating admin can never step up as the owner, so these stay closed to them
+const requireStepUp = async (req, res, next) => {
+  try {
+    if (req.user.impersonationId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not available while impersonating',
+      });
+    }
+
+    const allowed = await hasRecentStepUp(req.user.id, req.user.sessionId || null);
+
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        message: 'Confirm with your authentication code to continue.',
+        stepUpRequired: true,
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Step-up check error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error verifying authentication.',
+    });
+  }
+};
+
+// Verify HMAC-signed request from a machine's telemetry board
+// Headers: X-Machine-Id, X-Timestamp (unix seconds), X-Nonce, X-Signature (hex)
+// Signature = HMAC-SHA256(secret, `${timestamp}\n${nonce}\n${METHOD}\n${originalUrl}\n${rawBody}`)
+// A nonce is accepted once per machine, so a captured request can't be replayed inside the window.
+const verifyDevice = async (req, res, next) => {
+  try {
+    const machineId = parseInt(req.get('x-machine-id'));
+    const timestamp = req.get('x-timestamp');
+    const nonce = req.get('x-nonce');
+    const signature = req.get('x-signature');
+
+    if (!machineId || !timestamp || !nonce || !signature) {
+      return res.status(401).json({
+        success: false,
+        message: 'Missing device authentication headers.',
+      });
+    }
+
+    const skew = Math.abs(Date.now() / 1000 - parseInt(timestamp));
+    if (!(skew <= DEVICE_SIGNATURE_TOLERANCE_SECONDS)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Request timestamp outside allowed window.',
+      });
+    }
+
+    if (!DEVICE_NONCE_PATTERN.test(nonce)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid request nonce.',
+      });
+    }
+
+    const result = await query(
+      `SELECT id, vendor_id, device_secret, is_active
+       FROM vending_machines
+       WHERE id = $1`,
+      [machineId]
+    );
+
+    const machine = result.rows[0];
+
+    if (!machine || !machine.device_secret) {
+      return res.status(401).json({
+        success: false,
+        message: 'Device access not enabled for this machine.',
+      });
+    }
+
+    const secret = decrypt(machine.device_secret);
+    const body = req.rawBody ? req.rawBody.toString('utf8') : '';
+    const expected = crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}\n${nonce}\n${req.method}\n${req.originalUrl}\n${body}`)
+      .digest('hex');
+
+    const expectedBuffer = Buffer.from(expected, 'hex');
+    const providedBuffer = Buffer.from(signature, 'hex');
+
+    if (
+      providedBuffer.length !== expectedBuffer.length ||
+      !crypto.timingSafeEqual(providedBuffer, expectedBuffer)
+    ) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid device signature.',
+      });
+    }
+
+    // A timestamp up to the tolerance ahead of the server stays valid for twice the
+    // tolerance after it arrives, so nonces are kept that long
+    await query(
+      `DELETE FROM device_request_nonces
+       WHERE machine_id = $1 AND created_at < NOW() - make_interval(secs => $2)`,
+      [machine.id, DEVICE_SIGNATURE_TOLERANCE_SECONDS * 2]
+    );
+    const nonceResult = await query(
+      `INSERT INTO device_request_nonces (machine_id, nonce)
+       VALUES ($1, $2)
+       ON CONFLICT DO NOTHING
+       RETURNING nonce`,
+      [machine.id, nonce]
+    );
+
+    if (nonceResult.rows.length === 0) {
+      return res.status(401).json({
+        success: false,
+        message: 'Request has already been received.',
+      });
+    }
+
+    if (!machine.is_active) {
+      return res.status(403).json({
+        success: false,
+        message: 'This vending machine is currently inactive.',
+      });
+    }
+
+    req.device = {
+      machineId: machine.id,
+      vendorId: machine.vendor_id,
+    };
+
+    next();
+  } catch (error) {
+    console.error('Device authentication error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error verifying device.',
+    });
+  }
+};
+
 module.exports = {
   verifyToken,
   verifyCustomerSession,
   authorize,
   protect,
   restrictTo,
+  loadVendorAccount,
+  requirePermission,
+  requireFeature,
+  forbidImpersonation,
+  requireStepUp,
+  verifyDevice,
 };
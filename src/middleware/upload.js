@@ -41,4 +41,19 @@ const upload = multer({
   fileFilter: fileFilter
 });
 
-module.exports = { upload };
+// DEX audit files are parsed straight from memory, never written to disk
+const dexUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 1 * 1024 * 1024 // 1MB limit
+  },
+  fileFilter: function (req, file, cb) {
+    const allowedExtensions = ['.dex', '.txt', '.eva', ''];
+    if (allowedExtensions.includes(path.extname(file.originalname).toLowerCase())) {
+      return cb(null, true);
+    }
+    cb(new Error('Only DEX audit files (.dex, .txt, .eva) are allowed'));
+  }
+});
+
+module.exports = { upload, dexUpload };
@@ -71,6 +71,21 @@ class CustomerSession {
     return result.rows[0];
   }
 
+  /**
+   * End a session now (logout)
+   * @param {number} sessionId - Session ID
+   * @returns {boolean} - Whether an active session was ended
+   */
+  static async expire(sessionId) {
+    const result = await query(
+      `UPDATE customer_sessions SET expires_at = NOW()
+       WHERE id = $1 AND expires_at > NOW()`,
+      [sessionId]
+    );
+
+    return result.rowCount > 0;
+  }
+
   /**
    * Delete expired sessions (cleanup)
    * @returns {number} - Number of deleted sessions
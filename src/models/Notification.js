@@ -0,0 +1,92 @@
+const { query } = require('../config/database');
+
+class Notification {
+  /**
+   * Create a notification for a user
+   * @param {object} notificationData - Notification data
+   * @param {object} client - Optional pg client to join an existing transaction
+   * @returns {object} - Created notification
+   */
+  static async create({ userId, type, title, message = null, data = null }, client = null) {
+    const runQuery = client ? client.query.bind(client) : query;
+
+    const result = await runQuery(
+      `INSERT INTO notifications (user_id, type, title, message, data)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id, user_id, type, title, message, data, read_at, created_at`,
+      [userId, type, title, message, data]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Get notifications for a user
+   * @param {number} userId - User ID
+   * @param {object} options - { unreadOnly, type, limit, offset }
+   * @returns {array} - Array of notifications
+   */
+  static async findForUser(userId, { unreadOnly = false, type = null, limit = 50, offset = 0 } = {}) {
+    const result = await query(
+      `SELECT id, type, title, message, data, read_at, created_at
+       FROM notifications
+       WHERE user_id = $1
+         AND ($2::boolean = false OR read_at IS NULL)
+         AND ($3::varchar IS NULL OR type = $3)
+       ORDER BY created_at DESC
+       LIMIT $4 OFFSET $5`,
+      [userId, unreadOnly, type, limit, offset]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Count unread notifications for a user
+   * @param {number} userId - User ID
+   * @returns {number} - Unread count
+   */
+  static async countUnread(userId) {
+    const result = await query(
+      'SELECT COUNT(*) as count FROM notifications WHERE user_id = $1 AND read_at IS NULL',
+      [userId]
+    );
+
+    return parseInt(result.rows[0].count);
+  }
+
+  /**
+   * Mark a notification as read
+   * @param {number} id - Notification ID
+   * @param {number} userId - Owner user ID
+   * @returns {object|null} - Updated notification or null
+   */
+  static async markRead(id, userId) {
+    const result = await query(
+      `UPDATE notifications
+       SET read_at = COALESCE(read_at, CURRENT_TIMESTAMP)
+       WHERE id = $1 AND user_id = $2
+       RETURNING id, type, title, message, data, read_at, created_at`,
+      [id, userId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Mark all of a user's notifications as read
+   * @param {number} userId - User ID
+   * @returns {number} - Number of notifications updated
+   */
+  static async markAllRead(userId) {
+    const result = await query(
+      `UPDATE notifications SET read_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND read_at IS NULL`,
+      [userId]
+    );
+
+    return result.rowCount;
+  }
+}
+
+module.exports = Notification;
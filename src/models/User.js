@@ -7,14 +7,17 @@ class User {
   /**
    * Create a new vendor user
    * @param {object} userData - User data
+   * @param {object} client - Optional pg client to join an existing transaction
    * @returns {object} - Created user (without password)
    */
-  static async createVendor({ email, password, fullName }) {
+  static async createVendor({ email, password, fullName }, client = null) {
+    const runQuery = client ? client.query.bind(client) : query;
+
     try {
       // Hash password
       const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
 
-      const result = await query(
+      const result = await runQuery(
         `INSERT INTO users (email, password_hash, role, full_name)
          VALUES ($1, $2, $3, $4)
          RETURNING id, email, role, full_name, created_at`,
@@ -58,6 +61,33 @@ class User {
     }
   }
 
+  /**
+   * Create a platform admin user
+   * @param {object} userData - User data
+   * @returns {object} - Created user (without password)
+   */
+  static async createAdmin({ email, password, fullName }) {
+    try {
+      // Hash password
+      const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+
+      const result = await query(
+        `INSERT INTO users (email, password_hash, role, full_name, email_verified_at)
+         VALUES ($1, $2, $3, $4, NOW())
+         RETURNING id, email, role, full_name, created_at`,
+        [email, passwordHash, 'admin', fullName]
+      );
+
+      return result.rows[0];
+    } catch (error) {
+      if (error.code === '23505') {
+        // Unique violation
+        throw new Error('Email already exists');
+      }
+      throw error;
+    }
+  }
+
   /**
    * Create or get customer user
    * @param {object} userData - Customer data (optional)
@@ -110,6 +140,15 @@ class User {
     return result.rows[0] || null;
   }
 
+  /**
+   * Hash a password for storage
+   * @param {string} password - Plain text password
+   * @returns {string} - bcrypt hash
+   */
+  static async hashPassword(password) {
+    return await bcrypt.hash(password, SALT_ROUNDS);
+  }
+
   /**
    * Verify password
    * @param {string} password - Plain text password
@@ -157,6 +196,8 @@ class User {
     if (email !== undefined) {
       updates.push(`email = $${paramCount++}`);
       values.push(email);
+      // A new address has to be verified again
+      updates.push(`email_verified_at = CASE WHEN email IS DISTINCT FROM $${paramCount - 1} THEN NULL ELSE email_verified_at END`);
     }
 
     if (updates.length === 0) {
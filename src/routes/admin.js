@@ -0,0 +1,652 @@
+const express = require('express');
+const Joi = require('joi');
+const { protect, restrictTo } = require('../middleware/auth');
+const {
+  VENDOR_STATUSES,
+  logAdminAction,
+  listAuditLog,
+  getPlatformMetrics,
+  listVendors,
+  getVendor,
+  setVendorSuspended,
+  startImpersonation,
+  endImpersonation,
+  listImpersonations,
+} = require('../services/adminService');
+const {
+  listFlags,
+  upsertFlag,
+  deleteFlag,
+  getOrganizationFlags,
+  setOrganizationFlag,
+} = require('../services/featureFlagService');
+const { resetTwoFactor } = require('../services/twoFactorService');
+
+const router = express.Router();
+
+// All routes require platform admin authentication
+router.use(protect);
+router.use(restrictTo('admin'));
+
+const FLAG_KEY_PATTERN = /^[a-z0-9_.-]{1,100}$/;
+
+// ========================================
+// PLATFORM ROUTES
+// ========================================
+
+/**
+ * GET /api/admin/db-info
+ * Database counts across all tenants
+ */
+router.get('/db-info', async (req, res) => {
+  try {
+    const metrics = await getPlatformMetrics();
+
+    res.json({
+      success: true,
+      data: {
+        machines_count: metrics.machines,
+        vendors_count: metrics.vendors,
+        last_machine_created_at: metrics.last_machine_created_at,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching db info:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching db info',
+    });
+  }
+});
+
+/**
+ * GET /api/admin/metrics
+ * Platform-wide vendor, machine and sales metrics
+ */
+router.get('/metrics', async (req, res) => {
+  try {
+    const metrics = await getPlatformMetrics();
+
+    res.json({
+      success: true,
+      data: { metrics },
+    });
+  } catch (error) {
+    console.error('Error fetching platform metrics:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching platform metrics',
+    });
+  }
+});
+
+/**
+ * GET /api/admin/audit-log
+ * Admin actions, newest first
+ * Query: adminId, action, targetType, targetId, impersonationId, limit, offset
+ */
+router.get('/audit-log', async (req, res) => {
+  try {
+    const schema = Joi.object({
+      adminId: Joi.number().integer().optional(),
+      action: Joi.string().max(100).optional(),
+      targetType: Joi.string().max(50).optional(),
+      targetId: Joi.string().max(100).optional(),
+      impersonationId: Joi.string().guid().optional(),
+      limit: Joi.number().integer().min(1).max(500).default(100),
+      offset: Joi.number().integer().min(0).default(0),
+    });
+
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const { rows, total } = await listAuditLog(value);
+
+    res.json({
+      success: true,
+      data: {
+        entries: rows,
+        count: rows.length,
+        total,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching audit log',
+    });
+  }
+});
+
+// ========================================
+// VENDOR ROUTES
+// ========================================
+
+/**
+ * GET /api/admin/vendors
+ * List vendor organizations
+ * Query: search (name or owner email), status, limit, offset
+ */
+router.get('/vendors', async (req, res) => {
+  try {
+    const schema = Joi.object({
+      search: Joi.string().max(255).optional(),
+      status: Joi.string().valid(...VENDOR_STATUSES).default('all'),
+      limit: Joi.number().integer().min(1).max(200).default(50),
+      offset: Joi.number().integer().min(0).default(0),
+    });
+
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const { rows, total } = await listVendors(value);
+
+    res.json({
+      success: true,
+      data: {
+        vendors: rows,
+        count: rows.length,
+        total,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching vendors:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching vendors',
+    });
+  }
+});
+
+/**
+ * GET /api/admin/vendors/:id
+ * Get a vendor organization with its members and feature flags
+ */
+router.get('/vendors/:id', async (req, res) => {
+  try {
+    const vendor = await getVendor(req.params.id);
+
+    if (!vendor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vendor not found',
+      });
+    }
+
+    const features = await getOrganizationFlags(vendor.id);
+
+    res.json({
+      success: true,
+      data: { vendor: { ...vendor, features } },
+    });
+  } catch (error) {
+    console.error('Error fetching vendor:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching vendor',
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/vendors/:id/suspend
+ * Suspend a vendor; its logins can no longer use the vendor routes
+ */
+router.put('/vendors/:id/suspend', async (req, res) => {
+  try {
+    const schema = Joi.object({
+      reason: Joi.string().min(1).max(500).required(),
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const vendor = await setVendorSuspended(req.params.id, {
+      suspended: true,
+      reason: value.reason,
+      adminId: req.user.id,
+      ipAddress: req.ip,
+    });
+
+    if (!vendor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vendor not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Vendor suspended successfully',
+      data: { vendor },
+    });
+  } catch (error) {
+    console.error('Error suspending vendor:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error suspending vendor',
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/vendors/:id/reinstate
+ * Lift a vendor's suspension
+ */
+router.put('/vendors/:id/reinstate', async (req, res) => {
+  try {
+    const vendor = await setVendorSuspended(req.params.id, {
+      suspended: false,
+      adminId: req.user.id,
+      ipAddress: req.ip,
+    });
+
+    if (!vendor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vendor not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Vendor reinstated successfully',
+      data: { vendor },
+    });
+  } catch (error) {
+    console.error('Error reinstating vendor:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reinstating vendor',
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/users/:userId/two-factor
+ * Turn off a login's 2FA after it lost its authenticator and recovery codes
+ */
+router.delete('/users/:userId/two-factor', async (req, res) => {
+  try {
+    const wasEnabled = await resetTwoFactor(req.params.userId);
+
+    if (!wasEnabled) {
+      return res.status(404).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled for this user',
+      });
+    }
+
+    await logAdminAction({
+      adminId: req.user.id,
+      action: 'user.two_factor_reset',
+      targetType: 'user',
+      targetId: req.params.userId,
+      ipAddress: req.ip,
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset',
+    });
+  } catch (error) {
+    console.error('Error resetting two-factor authentication:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting two-factor authentication',
+    });
+  }
+});
+
+// ========================================
+// IMPERSONATION ROUTES
+// ========================================
+
+/**
+ * POST /api/admin/vendors/:id/impersonate
+ * Get a short-lived token that acts as the vendor's owner on /api/vendor
+ */
+router.post('/vendors/:id/impersonate', async (req, res) => {
+  try {
+    const schema = Joi.object({
+      reason: Joi.string().min(1).max(500).required(),
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const impersonation = await startImpersonation({
+      organizationId: req.params.id,
+      adminId: req.user.id,
+      reason: value.reason,
+      ipAddress: req.ip,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Impersonation started',
+      data: impersonation,
+    });
+  } catch (error) {
+    console.error('Error starting impersonation:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error starting impersonation',
+    });
+  }
+});
+
+/**
+ * GET /api/admin/impersonations
+ * List impersonation sessions
+ * Query: active, limit, offset
+ */
+router.get('/impersonations', async (req, res) => {
+  try {
+    const schema = Joi.object({
+      active: Joi.boolean().default(false),
+      limit: Joi.number().integer().min(1).max(200).default(50),
+      offset: Joi.number().integer().min(0).default(0),
+    });
+
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const impersonations = await listImpersonations(value);
+
+    res.json({
+      success: true,
+      data: {
+        impersonations,
+        count: impersonations.length,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching impersonations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching impersonations',
+    });
+  }
+});
+
+/**
+ * POST /api/admin/impersonations/:id/end
+ * End an impersonation session before it expires
+ */
+router.post('/impersonations/:id/end', async (req, res) => {
+  try {
+    const { error } = Joi.string().guid().validate(req.params.id);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid impersonation ID',
+      });
+    }
+
+    const ended = await endImpersonation(req.params.id, {
+      adminId: req.user.id,
+      ipAddress: req.ip,
+    });
+
+    if (!ended) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active impersonation not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Impersonation ended',
+    });
+  } catch (error) {
+    console.error('Error ending impersonation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error ending impersonation',
+    });
+  }
+});
+
+// ========================================
+// FEATURE FLAG ROUTES
+// ========================================
+
+/**
+ * GET /api/admin/feature-flags
+ * List feature flags with their defaults
+ */
+router.get('/feature-flags', async (req, res) => {
+  try {
+    const flags = await listFlags();
+
+    res.json({
+      success: true,
+      data: {
+        flags,
+        count: flags.length,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching feature flags:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching feature flags',
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/feature-flags/:key
+ * Create a feature flag or change its description/default
+ */
+router.put('/feature-flags/:key', async (req, res) => {
+  try {
+    if (!FLAG_KEY_PATTERN.test(req.params.key)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Flag keys may only contain lowercase letters, digits, ".", "_" and "-"',
+      });
+    }
+
+    const schema = Joi.object({
+      description: Joi.string().max(500).allow('', null).optional(),
+      defaultEnabled: Joi.boolean().optional(),
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const flag = await upsertFlag(req.params.key, value);
+
+    await logAdminAction({
+      adminId: req.user.id,
+      action: 'feature_flag.update',
+      targetType: 'feature_flag',
+      targetId: flag.key,
+      details: value,
+      ipAddress: req.ip,
+    });
+
+    res.json({
+      success: true,
+      message: 'Feature flag saved successfully',
+      data: { flag },
+    });
+  } catch (error) {
+    console.error('Error saving feature flag:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error saving feature flag',
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/feature-flags/:key
+ * Delete a feature flag and every vendor override of it
+ */
+router.delete('/feature-flags/:key', async (req, res) => {
+  try {
+    const deleted = await deleteFlag(req.params.key);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Feature flag not found',
+      });
+    }
+
+    await logAdminAction({
+      adminId: req.user.id,
+      action: 'feature_flag.delete',
+      targetType: 'feature_flag',
+      targetId: req.params.key,
+      ipAddress: req.ip,
+    });
+
+    res.json({
+      success: true,
+      message: 'Feature flag deleted successfully',
+    });
+  } catch (error) {
+    console.error('Error deleting feature flag:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting feature flag',
+    });
+  }
+});
+
+/**
+ * GET /api/admin/vendors/:id/feature-flags
+ * Every feature flag resolved for one vendor
+ */
+router.get('/vendors/:id/feature-flags', async (req, res) => {
+  try {
+    const vendor = await getVendor(req.params.id);
+
+    if (!vendor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vendor not found',
+      });
+    }
+
+    const flags = await getOrganizationFlags(vendor.id);
+
+    res.json({
+      success: true,
+      data: {
+        flags,
+        count: flags.length,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching vendor feature flags:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching vendor feature flags',
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/vendors/:id/feature-flags/:key
+ * Turn a feature on or off for one vendor; enabled: null goes back to the default
+ */
+router.put('/vendors/:id/feature-flags/:key', async (req, res) => {
+  try {
+    const schema = Joi.object({
+      enabled: Joi.boolean().allow(null).required(),
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const vendor = await getVendor(req.params.id);
+
+    if (!vendor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vendor not found',
+      });
+    }
+
+    await setOrganizationFlag(vendor.id, req.params.key, value.enabled, req.user.id);
+
+    await logAdminAction({
+      adminId: req.user.id,
+      action: 'feature_flag.override',
+      targetType: 'organization',
+      targetId: vendor.id,
+      details: { key: req.params.key, enabled: value.enabled },
+      ipAddress: req.ip,
+    });
+
+    const flags = await getOrganizationFlags(vendor.id);
+
+    res.json({
+      success: true,
+      message: 'Vendor feature flag updated successfully',
+      data: { flag: flags.find(flag => flag.key === req.params.key) },
+    });
+  } catch (error) {
+    console.error('Error updating vendor feature flag:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error updating vendor feature flag',
+    });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,40 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const Joi = require('joi');
 const User = require('../models/User');
 const CustomerSession = require('../models/CustomerSession');
 const { validateQRCodeData } = require('../services/qrCodeService');
-const { query } = require('../config/database');
+const {
+  issueTokens,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  authenticateAccessToken,
+} = require('../services/tokenService');
+const {
+  requestPasswordReset,
+  resetPassword,
+  sendEmailVerification,
+  verifyEmail,
+} = require('../services/accountService');
+const {
+  createOrganization,
+  getMembership,
+  getInviteByToken,
+  acceptInvite,
+} = require('../services/organizationService');
+const { endImpersonation } = require('../services/adminService');
+const {
+  getTwoFactorStatus,
+  beginEnrollment,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  createLoginChallenge,
+  completeLoginChallenge,
+  stepUp,
+} = require('../services/twoFactorService');
+const { protect, restrictTo, forbidImpersonation } = require('../middleware/auth');
+const { query, transaction } = require('../config/database');
 
 const router = express.Router();
 
@@ -20,6 +50,11 @@ const vendorLoginSchema = Joi.object({
   password: Joi.string().required(),
 });
 
+const adminLoginSchema = Joi.object({
+  email: Joi.string().email().required(),
+  password: Joi.string().required(),
+});
+
 const customerRegisterSchema = Joi.object({
   email: Joi.string().email().required(),
   password: Joi.string().min(6).required(),
@@ -35,6 +70,53 @@ const qrLoginSchema = Joi.object({
   qrData: Joi.string().required(),
 });
 
+const refreshSchema = Joi.object({
+  refreshToken: Joi.string().required(),
+});
+
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().required(),
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().required(),
+  password: Joi.string().min(6).required(),
+});
+
+const verifyEmailSchema = Joi.object({
+  token: Joi.string().required(),
+});
+
+const acceptInviteSchema = Joi.object({
+  token: Joi.string().required(),
+  password: Joi.string().min(6).required(),
+  fullName: Joi.string().min(2).required(),
+});
+
+// A TOTP code from the authenticator app or one of the recovery codes
+const SECOND_FACTOR_SCHEMA = {
+  code: Joi.string().pattern(/^\d{6}$/).messages({
+    'string.pattern.base': 'code must be the 6-digit code from your authenticator app',
+  }),
+  recoveryCode: Joi.string().max(20),
+};
+
+const twoFactorLoginSchema = Joi.object({
+  mfaToken: Joi.string().required(),
+  ...SECOND_FACTOR_SCHEMA,
+}).xor('code', 'recoveryCode');
+
+const twoFactorEnableSchema = Joi.object({
+  code: SECOND_FACTOR_SCHEMA.code.required(),
+});
+
+const twoFactorDisableSchema = Joi.object({
+  password: Joi.string().required(),
+  ...SECOND_FACTOR_SCHEMA,
+}).xor('code', 'recoveryCode');
+
+const secondFactorSchema = Joi.object(SECOND_FACTOR_SCHEMA).xor('code', 'recoveryCode');
+
 /**
  * POST /api/auth/vendor/register
  * Register a new vendor account
@@ -52,15 +134,24 @@ router.post('/vendor/register', async (req, res) => {
 
     const { email, password, fullName } = value;
 
-    // Create vendor user
-    const user = await User.createVendor({ email, password, fullName });
+    // Create the vendor and the organization it owns together (staff join it by invite),
+    // so a failure can't leave a vendor without an organization
+    const user = await transaction(async (client) => {
+      const createdUser = await User.createVendor({ email, password, fullName }, client);
+      await createOrganization(createdUser.id, fullName, client);
+      return createdUser;
+    });
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '1h' }
-    );
+    // Email a verification link; a mail failure shouldn't fail registration
+    sendEmailVerification(user.id).catch((mailError) => {
+      console.error('Verification email error:', mailError);
+    });
+
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await issueTokens(user, {
+      userAgent: req.get('user-agent'),
+      ipAddress: req.ip,
+    });
 
     res.status(201).json({
       success: true,
@@ -71,8 +162,10 @@ router.post('/vendor/register', async (req, res) => {
           email: user.email,
           fullName: user.full_name,
           role: user.role,
+          emailVerified: !!user.email_verified_at,
         },
         token,
+        refreshToken,
       },
     });
   } catch (error) {
@@ -127,12 +220,34 @@ router.post('/vendor/login', async (req, res) => {
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '1h' }
-    );
+    const membership = await getMembership(user.id);
+    if (membership && membership.suspendedAt) {
+      return res.status(403).json({
+        success: false,
+        message: 'This vendor account is suspended',
+      });
+    }
+
+    // With 2FA on, the password only earns a challenge; POST /api/auth/2fa/login finishes it
+    if (user.totp_enabled_at) {
+      const { mfaToken, expiresAt } = await createLoginChallenge(user.id);
+
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          mfaRequired: true,
+          mfaToken,
+          expiresAt,
+        },
+      });
+    }
+
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await issueTokens(user, {
+      userAgent: req.get('user-agent'),
+      ipAddress: req.ip,
+    });
 
     res.json({
       success: true,
@@ -143,12 +258,108 @@ router.post('/vendor/login', async (req, res) => {
           email: user.email,
           fullName: user.full_name,
           role: user.role,
+          emailVerified: !!user.email_verified_at,
         },
         token,
+        refreshToken,
       },
     });
   } catch (error) {
     console.error('Vendor login error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error logging in',
+    });
+  }
+});
+
+/**
+ * POST /api/auth/admin/login
+ * Login platform admin with email and password
+ */
+router.post('/admin/login', async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = adminLoginSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const { email, password } = value;
+
+    // Find admin user
+    const user = await User.findByEmail(email.trim().toLowerCase());
+
+    if (!user || user.role !== 'admin') {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid email or password',
+      });
+    }
+
+    // Verify password
+    const isValidPassword = await User.verifyPassword(password, user.password_hash);
+
+    if (!isValidPassword) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid email or password',
+      });
+    }
+
+    // With 2FA on, the password only earns a challenge; POST /api/auth/2fa/login finishes it
+    if (user.totp_enabled_at) {
+      const { mfaToken, expiresAt } = await createLoginChallenge(user.id);
+
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          mfaRequired: true,
+          mfaToken,
+          expiresAt,
+        },
+      });
+    }
+
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await issueTokens(user, {
+      userAgent: req.get('user-agent'),
+      ipAddress: req.ip,
+    });
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: {
+          id: user.id,
+          email: user.email,
+          fullName: user.full_name,
+          role: user.role,
+          emailVerified: !!user.email_verified_at,
+        },
+        token,
+        refreshToken,
+      },
+    });
+  } catch (error) {
+    console.error('Admin login error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Error logging in',
@@ -179,12 +390,16 @@ router.post('/customer/register', async (req, res) => {
     // Create customer user
     const user = await User.createCustomerWithPassword({ email: normalizedEmail, password, fullName });
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '1h' }
-    );
+    // Email a verification link; a mail failure shouldn't fail registration
+    sendEmailVerification(user.id).catch((mailError) => {
+      console.error('Verification email error:', mailError);
+    });
+
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await issueTokens(user, {
+      userAgent: req.get('user-agent'),
+      ipAddress: req.ip,
+    });
 
     res.status(201).json({
       success: true,
@@ -195,8 +410,10 @@ router.post('/customer/register', async (req, res) => {
           email: user.email,
           fullName: user.full_name,
           role: user.role,
+          emailVerified: !!user.email_verified_at,
         },
         token,
+        refreshToken,
       },
     });
   } catch (error) {
@@ -254,12 +471,11 @@ router.post('/customer/login', async (req, res) => {
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '1h' }
-    );
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await issueTokens(user, {
+      userAgent: req.get('user-agent'),
+      ipAddress: req.ip,
+    });
 
     res.json({
       success: true,
@@ -270,8 +486,10 @@ router.post('/customer/login', async (req, res) => {
           email: user.email,
           fullName: user.full_name,
           role: user.role,
+          emailVerified: !!user.email_verified_at,
         },
         token,
+        refreshToken,
       },
     });
   } catch (error) {
@@ -307,9 +525,9 @@ router.post('/customer/qr-login', async (req, res) => {
 
     if (token) {
       try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        if (decoded.role === 'customer') {
-          customerId = decoded.id;
+        const user = await authenticateAccessToken(token);
+        if (user && user.role === 'customer') {
+          customerId = user.id;
         }
       } catch (jwtError) {
         // Token invalid, create anonymous session
@@ -401,8 +619,7 @@ router.get('/verify', async (req, res) => {
 
     // Try JWT verification first (vendor)
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.id);
+      const user = await authenticateAccessToken(token);
 
       if (user && user.role === 'vendor') {
         return res.json({
@@ -451,6 +668,598 @@ router.get('/verify', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access token and refresh token
+ * The old refresh token stops working; presenting it again logs out that session.
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { error, value } = refreshSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const { user, token, refreshToken } = await rotateRefreshToken(value.refreshToken, {
+      userAgent: req.get('user-agent'),
+      ipAddress: req.ip,
+    });
+
+    res.json({
+      success: true,
+      message: 'Token refreshed',
+      data: {
+        user: {
+          id: user.id,
+          email: user.email,
+          fullName: user.full_name,
+          role: user.role,
+          emailVerified: !!user.email_verified_at,
+        },
+        token,
+        refreshToken,
+      },
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error refreshing token',
+    });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Log out this device: revokes the session behind the access token (and its refresh tokens)
+ */
+router.post('/logout', protect, async (req, res) => {
+  try {
+    if (req.user && req.user.impersonationId) {
+      await endImpersonation(req.user.impersonationId, {
+        adminId: req.user.impersonatedBy,
+        ipAddress: req.ip,
+      });
+    } else if (req.user && req.user.sessionId) {
+      await revokeSession(req.user.sessionId, req.user.id);
+    } else if (req.session && req.session.id) {
+      // QR-scan customer session
+      await CustomerSession.expire(req.session.id);
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully',
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error logging out',
+    });
+  }
+});
+
+/**
+ * POST /api/auth/logout-all
+ * Log out every device: revokes all sessions and tokens issued to the user so far
+ */
+router.post('/logout-all', protect, forbidImpersonation, async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authenticated.',
+      });
+    }
+
+    const sessionsRevoked = await revokeAllSessions(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Logged out of all devices',
+      data: { sessionsRevoked },
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error logging out',
+    });
+  }
+});
+
+/**
+ * POST /api/auth/password/forgot
+ * Email a password reset link (same response whether or not the account exists)
+ */
+router.post('/password/forgot', async (req, res) => {
+  try {
+    const { error, value } = forgotPasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    try {
+      await requestPasswordReset(value.email);
+    } catch (mailError) {
+      // Report success anyway so the response doesn't reveal the account exists
+      console.error('Password reset email error:', mailError);
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account uses that email, a password reset link has been sent',
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error requesting password reset',
+    });
+  }
+});
+
+/**
+ * POST /api/auth/password/reset
+ * Set a new password with a reset token; logs the account out of every device
+ */
+router.post('/password/reset', async (req, res) => {
+  try {
+    const { error, value } = resetPasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    await resetPassword(value.token, value.password);
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully; please log in',
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting password',
+    });
+  }
+});
+
+/**
+ * POST /api/auth/email/verify
+ * Confirm an email address with the token from the verification email
+ */
+router.post('/email/verify', async (req, res) => {
+  try {
+    const { error, value } = verifyEmailSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const user = await verifyEmail(value.token);
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      data: {
+        email: user.email,
+        emailVerifiedAt: user.email_verified_at,
+      },
+    });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying email',
+    });
+  }
+});
+
+/**
+ * POST /api/auth/email/verify/resend
+ * Send a new verification email to the logged-in user
+ */
+router.post('/email/verify/resend', protect, async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authenticated.',
+      });
+    }
+
+    const sent = await sendEmailVerification(req.user.id);
+
+    if (!sent) {
+      return res.status(409).json({
+        success: false,
+        message: 'Email is already verified',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Verification email sent',
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sending verification email',
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/login
+ * Finish a vendor or admin login with an authenticator code or a recovery code
+ */
+router.post('/2fa/login', async (req, res) => {
+  try {
+    const { error, value } = twoFactorLoginSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const { mfaToken, ...factor } = value;
+    const user = await completeLoginChallenge(mfaToken, factor);
+
+    const { token, refreshToken } = await issueTokens(user, {
+      userAgent: req.get('user-agent'),
+      ipAddress: req.ip,
+    });
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: {
+          id: user.id,
+          email: user.email,
+          fullName: user.full_name,
+          role: user.role,
+          emailVerified: !!user.email_verified_at,
+        },
+        token,
+        refreshToken,
+      },
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error logging in',
+    });
+  }
+});
+
+/**
+ * GET /api/auth/2fa
+ * Whether 2FA is on and how many recovery codes are left
+ */
+router.get('/2fa', protect, restrictTo('vendor', 'admin'), async (req, res) => {
+  try {
+    const status = await getTwoFactorStatus(req.user.id);
+
+    res.json({
+      success: true,
+      data: status,
+    });
+  } catch (error) {
+    console.error('Two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching two-factor status',
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/setup
+ * Start enrollment: returns a new secret and its QR code for the authenticator app
+ * Nothing changes at login until it is confirmed with POST /api/auth/2fa/enable.
+ */
+router.post('/2fa/setup', protect, restrictTo('vendor', 'admin'), forbidImpersonation, async (req, res) => {
+  try {
+    const enrollment = await beginEnrollment(req.user);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: enrollment,
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error starting two-factor setup',
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/enable
+ * Confirm enrollment with a code; returns recovery codes, which are only shown this once
+ */
+router.post('/2fa/enable', protect, restrictTo('vendor', 'admin'), forbidImpersonation, async (req, res) => {
+  try {
+    const { error, value } = twoFactorEnableSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const recoveryCodes = await enableTwoFactor(req.user.id, value.code);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error enabling two-factor authentication',
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/disable
+ * Turn 2FA off (password plus an authenticator or recovery code)
+ */
+router.post('/2fa/disable', protect, restrictTo('vendor', 'admin'), forbidImpersonation, async (req, res) => {
+  try {
+    const { error, value } = twoFactorDisableSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    await disableTwoFactor(req.user.id, value);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+    });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error disabling two-factor authentication',
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * Replace all recovery codes with a new set (the old ones stop working)
+ */
+router.post('/2fa/recovery-codes', protect, restrictTo('vendor', 'admin'), forbidImpersonation, async (req, res) => {
+  try {
+    const { error, value } = secondFactorSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(req.user.id, value);
+
+    res.json({
+      success: true,
+      message: 'Recovery codes regenerated',
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    console.error('Recovery code error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error regenerating recovery codes',
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/step-up
+ * Re-enter a code so this session may perform sensitive actions for the next few minutes
+ */
+router.post('/2fa/step-up', protect, restrictTo('vendor', 'admin'), forbidImpersonation, async (req, res) => {
+  try {
+    const { error, value } = secondFactorSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    if (!req.user.sessionId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Log in again to confirm this session',
+      });
+    }
+
+    const expiresAt = await stepUp(req.user.id, req.user.sessionId, value);
+
+    res.json({
+      success: true,
+      message: 'Session confirmed',
+      data: { expiresAt },
+    });
+  } catch (error) {
+    console.error('Step-up error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error confirming session',
+    });
+  }
+});
+
+/**
+ * GET /api/auth/invites/:token
+ * Show who a team invite is from before accepting it
+ */
+router.get('/invites/:token', async (req, res) => {
+  try {
+    const invite = await getInviteByToken(req.params.token);
+
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invite not found or expired',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        email: invite.email,
+        role: invite.role,
+        organizationName: invite.organization_name,
+        expiresAt: invite.expires_at,
+      },
+    });
+  } catch (error) {
+    console.error('Invite lookup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching invite',
+    });
+  }
+});
+
+/**
+ * POST /api/auth/invites/accept
+ * Accept a team invite: creates the staff login and logs it in
+ */
+router.post('/invites/accept', async (req, res) => {
+  try {
+    const { error, value } = acceptInviteSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const user = await acceptInvite(value.token, {
+      password: value.password,
+      fullName: value.fullName,
+    });
+
+    const { token, refreshToken } = await issueTokens(user, {
+      userAgent: req.get('user-agent'),
+      ipAddress: req.ip,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Invite accepted',
+      data: {
+        user: {
+          id: user.id,
+          email: user.email,
+          fullName: user.full_name,
+          role: user.role,
+          emailVerified: !!user.email_verified_at,
+        },
+        token,
+        refreshToken,
+      },
+    });
+  } catch (error) {
+    console.error('Accept invite error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error accepting invite',
+    });
+  }
+});
+
 /**
  * GET /api/auth/public/machines/by-qr/:qr_token
  * Public endpoint to resolve QR token to machine
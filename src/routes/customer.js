@@ -1,12 +1,28 @@
 const express = require('express');
 const Joi = require('joi');
-const { query } = require('../config/database');
+const { query, transaction } = require('../config/database');
 const { protect, restrictTo } = require('../middleware/auth');
 const { verifyCustomerSession } = require('../middleware/auth');
 const { upload } = require('../middleware/upload');
+const { compareSlotCodes } = require('../utils/slotCodes');
+const { submitProofRedemption } = require('../services/redemptionService');
+const { VALID_AT_MACHINE_SQL, redeemDiscount, quoteBasket } = require('../services/discountService');
+const { submitRebate, listCustomerRebates } = require('../services/rebateService');
+const { PAYMENT_METHODS, listCustomerPayouts } = require('../services/payoutService');
+const { getBalances, getTierProgress, getStatement } = require('../services/loyaltyService');
+const { awardPollVotePoints } = require('../services/earningRulesService');
+const { claimVend, submitReceiptClaim, listCustomerClaims } = require('../services/loyaltyClaimService');
+const { listMachineRewards, redeemReward, listCustomerRewardRedemptions } = require('../services/rewardService');
+const User = require('../models/User');
 
 const router = express.Router();
 
+// Basket lines for pricing and redeeming scoped discount codes
+const basketItemsSchema = Joi.array().items(Joi.object({
+  productId: Joi.number().integer().required(),
+  quantity: Joi.number().integer().min(1).max(100).required(),
+})).min(1).max(50);
+
 /**
  * POST /api/customer/set-machine
  * Set machine session (doesn't require existing session)
@@ -161,7 +177,7 @@ router.post('/polls/:pollId/vote', async (req, res) => {
 
     // Verify poll option exists and belongs to poll
     const optionCheck = await query(
-      `SELECT po.id, po.poll_id, p.is_active
+      `SELECT po.id, po.poll_id, p.is_active, p.vendor_id, p.machine_id
        FROM poll_options po
        JOIN polls p ON po.poll_id = p.id
        WHERE po.id = $1 AND po.poll_id = $2`,
@@ -197,16 +213,36 @@ router.post('/polls/:pollId/vote', async (req, res) => {
       });
     }
 
-    // Record vote
-    await query(
-      `INSERT INTO poll_votes (poll_id, poll_option_id, customer_id, vote_type)
-       VALUES ($1, $2, $3, $4)`,
-      [pollId, optionId, customerId, voteType]
-    );
+    // Record vote and any participation points together
+    const pointsAwarded = await transaction(async (client) => {
+      await client.query(
+        `INSERT INTO poll_votes (poll_id, poll_option_id, customer_id, vote_type)
+         VALUES ($1, $2, $3, $4)`,
+        [pollId, optionId, customerId, voteType]
+      );
+
+      // Vendor-wide polls credit the machine the customer is at, if it's the vendor's
+      const machineResult = await client.query(
+        'SELECT id FROM vending_machines WHERE id = $1 AND vendor_id = $2',
+        [option.machine_id || req.session?.machineId || null, option.vendor_id]
+      );
+
+      if (machineResult.rows.length === 0) {
+        return 0;
+      }
+
+      const award = await awardPollVotePoints(client, {
+        customerId,
+        machineId: machineResult.rows[0].id,
+        pollId: option.poll_id,
+      });
+      return award.points;
+    });
 
     res.json({
       success: true,
       message: 'Vote recorded successfully',
+      data: { pointsAwarded },
     });
   } catch (error) {
     console.error('Error voting on poll:', error);
@@ -234,20 +270,13 @@ router.get('/rebates', async (req, res) => {
       });
     }
 
-    const result = await query(
-      `SELECT r.id, r.product_name, r.purchase_price, r.receipt_image_url,
-              r.status, r.vendor_notes, r.created_at, r.processed_at
-       FROM rebates r
-       WHERE r.customer_id = $1
-       ORDER BY r.created_at DESC`,
-      [req.session.customerId]
-    );
+    const rebates = await listCustomerRebates(req.session.customerId);
 
     res.json({
       success: true,
       data: {
-        rebates: result.rows,
-        count: result.rows.length,
+        rebates,
+        count: rebates.length,
       },
     });
   } catch (error) {
@@ -261,9 +290,9 @@ router.get('/rebates', async (req, res) => {
 
 /**
  * POST /api/customer/rebates
- * Submit a rebate request (requires registered customer)
+ * Submit a rebate request with a receipt photo (requires registered customer)
  */
-router.post('/rebates', async (req, res) => {
+router.post('/rebates', upload.single('receiptImage'), async (req, res) => {
   try {
     if (!req.session.customerId) {
       return res.status(401).json({
@@ -273,10 +302,12 @@ router.post('/rebates', async (req, res) => {
     }
 
     const schema = Joi.object({
-      productName: Joi.string().min(2).max(255).required(),
-      purchasePrice: Joi.number().min(0).precision(2).required(),
-      receiptImageUrl: Joi.string().uri().required(),
-    });
+      machineId: Joi.number().integer().optional(),
+      productId: Joi.number().integer().required(),
+      discountId: Joi.number().integer().optional(),
+      discountCode: Joi.string().max(50).optional(),
+      purchaseAmount: Joi.number().min(0).precision(2).optional(),
+    }).or('discountId', 'discountCode');
 
     const { error, value } = schema.validate(req.body);
     if (error) {
@@ -286,37 +317,44 @@ router.post('/rebates', async (req, res) => {
       });
     }
 
-    const { productName, purchasePrice, receiptImageUrl } = value;
-
-    // Get vendor from current machine
-    const machineResult = await query(
-      'SELECT vendor_id FROM vending_machines WHERE id = $1',
-      [req.session.machineId]
-    );
-
-    if (machineResult.rows.length === 0) {
-      return res.status(404).json({
+    if (!req.file) {
+      return res.status(400).json({
         success: false,
-        message: 'Machine not found',
+        message: 'Receipt image required',
       });
     }
 
-    const vendorId = machineResult.rows[0].vendor_id;
+    const machineId = value.machineId || req.session.machineId;
+    if (!machineId) {
+      return res.status(400).json({
+        success: false,
+        message: 'machineId is required',
+      });
+    }
 
-    const result = await query(
-      `INSERT INTO rebates (customer_id, vendor_id, product_name, purchase_price, receipt_image_url, status)
-       VALUES ($1, $2, $3, $4, $5, 'pending')
-       RETURNING id, product_name, purchase_price, receipt_image_url, status, created_at`,
-      [req.session.customerId, vendorId, productName, purchasePrice, receiptImageUrl]
-    );
+    const rebate = await submitRebate({
+      customerId: req.session.customerId,
+      machineId,
+      productId: value.productId,
+      discountId: value.discountId,
+      discountCode: value.discountCode,
+      purchaseAmount: value.purchaseAmount,
+      photoUrl: `/uploads/proofs/${req.file.filename}`,
+    });
 
     res.status(201).json({
       success: true,
       message: 'Rebate request submitted successfully',
-      data: { rebate: result.rows[0] },
+      data: { rebate },
     });
   } catch (error) {
     console.error('Error submitting rebate:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Error submitting rebate request',
@@ -325,256 +363,262 @@ router.post('/rebates', async (req, res) => {
 });
 
 // ========================================
-// LOYALTY POINTS ROUTES
+// PAYOUTS ROUTES
 // ========================================
 
 /**
- * GET /api/customer/loyalty
- * Get customer's loyalty points balance (requires registered customer)
+ * GET /api/customer/payouts
+ * Get rebate and cashback payouts owed or sent to the customer
  */
-router.get('/loyalty', async (req, res) => {
+router.get('/payouts', async (req, res) => {
   try {
     if (!req.session.customerId) {
       return res.status(401).json({
         success: false,
-        message: 'Please register to view loyalty points',
+        message: 'Please register to view payouts',
       });
     }
 
-    const result = await query(
-      `SELECT lp.id, lp.points_balance, lp.lifetime_points, lp.updated_at,
-              vm.machine_name, vm.location
-       FROM loyalty_points lp
-       JOIN vending_machines vm ON lp.machine_id = vm.id
-       WHERE lp.customer_id = $1
-       ORDER BY lp.points_balance DESC`,
-      [req.session.customerId]
-    );
-
-    // Calculate total points across all machines
-    const totalPoints = result.rows.reduce((sum, row) => sum + parseInt(row.points_balance), 0);
-    const totalLifetimePoints = result.rows.reduce((sum, row) => sum + parseInt(row.lifetime_points), 0);
+    const payouts = await listCustomerPayouts(req.session.customerId);
+    const sum = (status) => payouts
+      .filter(payout => payout.status === status)
+      .reduce((total, payout) => total + parseFloat(payout.amount), 0)
+      .toFixed(2);
 
     res.json({
       success: true,
       data: {
-        loyaltyAccounts: result.rows,
-        totalPoints,
-        totalLifetimePoints,
-        count: result.rows.length,
+        payouts,
+        count: payouts.length,
+        pendingAmount: sum('pending'),
+        paidAmount: sum('paid'),
       },
     });
   } catch (error) {
-    console.error('Error fetching loyalty points:', error);
+    console.error('Error fetching payouts:', error);
     res.status(500).json({
       success: false,
-      message: 'Error fetching loyalty points',
+      message: 'Error fetching payouts',
     });
   }
 });
 
 /**
- * GET /api/customer/loyalty/:machineId
- * Get loyalty points for a specific machine
+ * GET /api/customer/payout-handle
+ * Get the Zelle/Venmo/PayPal handle payouts are sent to
  */
-router.get('/loyalty/:machineId', async (req, res) => {
+router.get('/payout-handle', async (req, res) => {
   try {
     if (!req.session.customerId) {
       return res.status(401).json({
         success: false,
-        message: 'Please register to view loyalty points',
+        message: 'Please register to manage your payout handle',
       });
     }
 
-    const { machineId } = req.params;
+    const user = await User.findById(req.session.customerId);
 
-    const result = await query(
-      `SELECT lp.id, lp.points_balance, lp.lifetime_points, lp.created_at, lp.updated_at,
-              vm.machine_name, vm.location
-       FROM loyalty_points lp
-       JOIN vending_machines vm ON lp.machine_id = vm.id
-       WHERE lp.customer_id = $1 AND lp.machine_id = $2`,
-      [req.session.customerId, machineId]
-    );
+    res.json({
+      success: true,
+      data: {
+        paymentMethod: user ? user.payment_method : null,
+        paymentUsername: user ? user.payment_username : null,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching payout handle:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching payout handle',
+    });
+  }
+});
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({
+/**
+ * PUT /api/customer/payout-handle
+ * Set the handle payouts are sent to (applies to payouts not yet batched)
+ */
+router.put('/payout-handle', async (req, res) => {
+  try {
+    if (!req.session.customerId) {
+      return res.status(401).json({
         success: false,
-        message: 'No loyalty account found for this machine',
+        message: 'Please register to manage your payout handle',
+      });
+    }
+
+    const schema = Joi.object({
+      paymentMethod: Joi.string().valid(...PAYMENT_METHODS).required(),
+      paymentUsername: Joi.string().trim().min(2).max(255).required(),
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
       });
     }
 
+    const user = await User.updatePaymentInfo(req.session.customerId, value);
+
     res.json({
       success: true,
-      data: { loyalty: result.rows[0] },
+      message: 'Payout handle updated',
+      data: {
+        paymentMethod: user.payment_method,
+        paymentUsername: user.payment_username,
+      },
     });
   } catch (error) {
-    console.error('Error fetching loyalty points:', error);
+    console.error('Error updating payout handle:', error);
     res.status(500).json({
       success: false,
-      message: 'Error fetching loyalty points',
+      message: 'Error updating payout handle',
     });
   }
 });
 
 // ========================================
-// MACHINE & PRODUCTS ROUTES
+// LOYALTY POINTS ROUTES
 // ========================================
 
 /**
- * GET /api/customer/machine
- * Get current machine info and available products
+ * GET /api/customer/loyalty
+ * Get customer's loyalty points balance (requires registered customer)
  */
-router.get('/machine', async (req, res) => {
+router.get('/loyalty', async (req, res) => {
   try {
-    const { machineId } = req.session;
-
-    // Get machine info
-    const machineResult = await query(
-      `SELECT id, machine_name, location, is_active
-       FROM vending_machines
-       WHERE id = $1`,
-      [machineId]
-    );
-
-    if (machineResult.rows.length === 0) {
-      return res.status(404).json({
+    if (!req.session.customerId) {
+      return res.status(401).json({
         success: false,
-        message: 'Machine not found',
+        message: 'Please register to view loyalty points',
       });
     }
 
-    // Get available products in this machine
-    const productsResult = await query(
-      `SELECT mp.id, mp.current_stock,
-              p.id as product_id, p.product_name, p.description, p.price,
-              p.image_url
-       FROM machine_products mp
-       JOIN products p ON mp.product_id = p.id
-       WHERE mp.machine_id = $1 AND p.is_active = true
-       ORDER BY p.product_name`,
-      [machineId]
-    );
+    const [loyaltyAccounts, tierProgress] = await Promise.all([
+      getBalances(req.session.customerId),
+      getTierProgress(req.session.customerId),
+    ]);
+
+    // Calculate total points across all machines
+    const totalPoints = loyaltyAccounts.reduce((sum, account) => sum + account.points_balance, 0);
+    const totalLifetimePoints = loyaltyAccounts.reduce((sum, account) => sum + account.lifetime_points, 0);
 
     res.json({
       success: true,
       data: {
-        machine: machineResult.rows[0],
-        products: productsResult.rows,
-        productsCount: productsResult.rows.length,
+        loyaltyAccounts,
+        totalPoints,
+        totalLifetimePoints,
+        tierProgress,
+        count: loyaltyAccounts.length,
       },
     });
   } catch (error) {
-    console.error('Error fetching machine info:', error);
+    console.error('Error fetching loyalty points:', error);
     res.status(500).json({
       success: false,
-      message: 'Error fetching machine information',
+      message: 'Error fetching loyalty points',
     });
   }
 });
 
 /**
- * GET /api/customer/profile
- * Get customer profile (requires registered customer)
+ * GET /api/customer/loyalty/statement
+ * Points ledger entries with opening and closing balances for a period
  */
-router.get('/profile', async (req, res) => {
+router.get('/loyalty/statement', async (req, res) => {
   try {
     if (!req.session.customerId) {
       return res.status(401).json({
         success: false,
-        message: 'Please register to view profile',
+        message: 'Please register to view loyalty points',
       });
     }
 
-    const result = await query(
-      `SELECT id, email, full_name, created_at
-       FROM users
-       WHERE id = $1 AND role = 'customer'`,
-      [req.session.customerId]
-    );
+    const schema = Joi.object({
+      machineId: Joi.number().integer().optional(),
+      from: Joi.date().iso().optional(),
+      to: Joi.date().iso().optional(),
+      limit: Joi.number().integer().min(1).max(500).default(100),
+      offset: Joi.number().integer().min(0).default(0),
+    });
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
         success: false,
-        message: 'Profile not found',
+        message: error.details[0].message,
       });
     }
 
+    const statement = await getStatement(req.session.customerId, value);
+
     res.json({
       success: true,
-      data: { profile: result.rows[0] },
+      data: {
+        from: value.from || null,
+        to: value.to || null,
+        ...statement,
+      },
     });
   } catch (error) {
-    console.error('Error fetching profile:', error);
+    console.error('Error fetching loyalty statement:', error);
     res.status(500).json({
       success: false,
-      message: 'Error fetching profile',
+      message: 'Error fetching loyalty statement',
     });
   }
 });
 
 /**
- * GET /api/customer/machine/discounts
- * Get active discount codes for the current machine
+ * GET /api/customer/loyalty/claims
+ * Get the customer's vend and receipt claims
  */
-router.get('/machine/discounts', async (req, res) => {
+router.get('/loyalty/claims', async (req, res) => {
   try {
-    const machineId = req.query.machineId ? parseInt(req.query.machineId) : req.session.machineId;
-
-    if (!machineId) {
-      return res.status(400).json({
+    if (!req.session.customerId) {
+      return res.status(401).json({
         success: false,
-        message: 'Machine ID required (session or query param)',
+        message: 'Please register to view loyalty claims',
       });
     }
 
-    const result = await query(
-      `SELECT dc.id, dc.code, dc.discount_type, dc.discount_value,
-              dc.valid_from, dc.valid_until, dc.max_uses, dc.current_uses,
-              p.product_name, p.price
-       FROM discount_codes dc
-       LEFT JOIN products p ON dc.product_id = p.id
-       WHERE dc.machine_id = $1 AND dc.is_active = true
-       AND (dc.valid_from IS NULL OR dc.valid_from <= NOW())
-       AND (dc.valid_until IS NULL OR dc.valid_until >= NOW())
-       ORDER BY dc.created_at DESC`,
-      [machineId]
-    );
+    const claims = await listCustomerClaims(req.session.customerId);
 
     res.json({
       success: true,
       data: {
-        discounts: result.rows,
-        count: result.rows.length,
+        claims,
+        count: claims.length,
       },
     });
   } catch (error) {
-    console.error('Error fetching machine discounts:', error);
+    console.error('Error fetching loyalty claims:', error);
     res.status(500).json({
       success: false,
-      message: 'Error fetching discounts',
+      message: 'Error fetching loyalty claims',
     });
   }
 });
 
 /**
- * POST /api/customer/loyalty/submit
- * Submit loyalty points for current session
+ * POST /api/customer/loyalty/claims/vend
+ * Claim points for a vend with the code shown on the machine
  */
-router.post('/loyalty/submit', async (req, res) => {
+router.post('/loyalty/claims/vend', async (req, res) => {
   try {
-    const { machineId } = req.session;
-    const customerId = req.session.customerId || null;
-
-    if (!machineId) {
-      return res.status(400).json({
+    if (!req.session.customerId) {
+      return res.status(401).json({
         success: false,
-        message: 'No machine session found',
+        message: 'Please register to earn loyalty points',
       });
     }
 
     const schema = Joi.object({
-      pointsEarned: Joi.number().integer().min(1).required(),
+      machineId: Joi.number().integer().optional(),
+      claimCode: Joi.string().alphanum().max(12).required(),
     });
 
     const { error, value } = schema.validate(req.body);
@@ -585,71 +629,58 @@ router.post('/loyalty/submit', async (req, res) => {
       });
     }
 
-    const { pointsEarned } = value;
-
-    // For now, allow anonymous points submission (customerId can be null)
-    // Later this will be tied to registered customers only
-    if (!customerId) {
-      return res.status(401).json({
+    const machineId = value.machineId || req.session.machineId;
+    if (!machineId) {
+      return res.status(400).json({
         success: false,
-        message: 'Please register to earn loyalty points',
+        message: 'machineId is required',
       });
     }
 
-    // Upsert loyalty points
-    const result = await query(
-      `INSERT INTO loyalty_points (customer_id, machine_id, points_balance, lifetime_points, points_earned, transaction_type, description)
-       VALUES ($1, $2, $3, $3, $3, 'manual_submission', 'Points submitted via customer portal')
-       ON CONFLICT (customer_id, machine_id)
-       DO UPDATE SET
-         points_balance = loyalty_points.points_balance + $3,
-         lifetime_points = loyalty_points.lifetime_points + $3,
-         updated_at = CURRENT_TIMESTAMP
-       RETURNING id, customer_id, machine_id, points_balance, lifetime_points, updated_at`,
-      [customerId, machineId, pointsEarned]
-    );
+    const { claim, points } = await claimVend({
+      customerId: req.session.customerId,
+      machineId,
+      claimCode: value.claimCode,
+    });
 
-    res.json({
+    res.status(201).json({
       success: true,
-      message: 'Points submitted successfully',
-      data: {
-        loyalty: result.rows[0],
-      },
+      message: points > 0 ? `You earned ${points} points` : 'Vend claimed',
+      data: { claim, pointsAwarded: points },
     });
   } catch (error) {
-    console.error('Error submitting loyalty points:', error);
+    console.error('Error claiming vend:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
     res.status(500).json({
       success: false,
-      message: 'Error submitting points',
+      message: 'Error claiming vend',
     });
   }
 });
 
 /**
- * POST /api/customer/discounts/redeem
- * Redeem a discount code
+ * POST /api/customer/loyalty/claims/receipt
+ * Submit a receipt photo to claim points for a purchase (reviewed by the vendor)
  */
-router.post('/discounts/redeem', async (req, res) => {
+router.post('/loyalty/claims/receipt', upload.single('receiptImage'), async (req, res) => {
   try {
-    const { machineId } = req.session;
-    const customerId = req.session.customerId || null;
-
-    if (!machineId) {
-      return res.status(400).json({
-        success: false,
-        message: 'No machine session found',
-      });
-    }
-
-    if (!customerId) {
+    if (!req.session.customerId) {
       return res.status(401).json({
         success: false,
-        message: 'Please register to redeem discount codes',
+        message: 'Please register to earn loyalty points',
       });
     }
 
     const schema = Joi.object({
-      code: Joi.string().min(3).max(50).required(),
+      machineId: Joi.number().integer().optional(),
+      productId: Joi.number().integer().optional(),
+      purchaseAmount: Joi.number().min(0).precision(2).required(),
+      purchasedAt: Joi.date().iso().required(),
     });
 
     const { error, value } = schema.validate(req.body);
@@ -660,128 +691,192 @@ router.post('/discounts/redeem', async (req, res) => {
       });
     }
 
-    const { code } = value;
-
-    // Find discount code
-    const discountResult = await query(
-      `SELECT id, machine_id, discount_type, discount_value, max_uses, current_uses,
-              valid_from, valid_until, is_active
-       FROM discount_codes
-       WHERE code = $1`,
-      [code.toUpperCase()]
-    );
-
-    if (discountResult.rows.length === 0) {
-      return res.status(404).json({
+    if (!req.file) {
+      return res.status(400).json({
         success: false,
-        message: 'Discount code not found',
+        message: 'Receipt image required',
       });
     }
 
-    const discount = discountResult.rows[0];
-
-    // Verify belongs to current machine
-    if (discount.machine_id !== machineId) {
+    const machineId = value.machineId || req.session.machineId;
+    if (!machineId) {
       return res.status(400).json({
         success: false,
-        message: 'This discount code is not valid for this machine',
+        message: 'machineId is required',
       });
     }
 
-    // Verify is active
-    if (!discount.is_active) {
-      return res.status(400).json({
+    const claim = await submitReceiptClaim({
+      customerId: req.session.customerId,
+      machineId,
+      productId: value.productId,
+      purchaseAmount: value.purchaseAmount,
+      purchasedAt: value.purchasedAt,
+      receiptImageUrl: `/uploads/proofs/${req.file.filename}`,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Receipt submitted for review',
+      data: { claim },
+    });
+  } catch (error) {
+    console.error('Error submitting receipt claim:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
         success: false,
-        message: 'This discount code is no longer active',
+        message: error.message,
       });
     }
+    res.status(500).json({
+      success: false,
+      message: 'Error submitting receipt claim',
+    });
+  }
+});
 
-    // Verify valid_from
-    if (discount.valid_from && new Date(discount.valid_from) > new Date()) {
-      return res.status(400).json({
+/**
+ * GET /api/customer/loyalty/:machineId
+ * Get loyalty points for a specific machine
+ */
+router.get('/loyalty/:machineId', async (req, res) => {
+  try {
+    if (!req.session.customerId) {
+      return res.status(401).json({
         success: false,
-        message: 'This discount code is not yet valid',
+        message: 'Please register to view loyalty points',
       });
     }
 
-    // Verify valid_until
-    if (discount.valid_until && new Date(discount.valid_until) < new Date()) {
-      return res.status(400).json({
-        success: false,
-        message: 'This discount code has expired',
+    const machineId = parseInt(req.params.machineId);
+    const [loyalty] = isNaN(machineId) ? [] : await getBalances(req.session.customerId, { machineId });
+
+    if (!loyalty) {
+      return res.status(404).json({
+        success: false,
+        message: 'No loyalty account found for this machine',
       });
     }
 
-    // Verify max_uses
-    if (discount.max_uses && discount.current_uses >= discount.max_uses) {
+    const [tier] = await getTierProgress(req.session.customerId, { vendorId: loyalty.vendor_id });
+
+    res.json({
+      success: true,
+      data: { loyalty, tier: tier || null },
+    });
+  } catch (error) {
+    console.error('Error fetching loyalty points:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching loyalty points',
+    });
+  }
+});
+
+// ========================================
+// REWARDS ROUTES
+// ========================================
+
+/**
+ * GET /api/customer/machine/rewards
+ * Rewards that can be bought with points at the current machine
+ */
+router.get('/machine/rewards', async (req, res) => {
+  try {
+    const schema = Joi.object({
+      machineId: Joi.number().integer().positive().optional(),
+    });
+
+    const { error, value } = schema.validate(req.query);
+    if (error) {
       return res.status(400).json({
         success: false,
-        message: 'This discount code has reached its maximum usage limit',
+        message: error.details[0].message,
       });
     }
 
-    // Check if customer already redeemed this code
-    const redemptionCheck = await query(
-      `SELECT id FROM discount_redemptions
-       WHERE discount_code_id = $1 AND customer_id = $2`,
-      [discount.id, customerId]
-    );
+    const machineId = value.machineId || req.session.machineId;
 
-    if (redemptionCheck.rows.length > 0) {
+    if (!machineId) {
       return res.status(400).json({
         success: false,
-        message: 'You have already redeemed this discount code',
+        message: 'Machine ID required (session or query param)',
       });
     }
 
-    // Record redemption
-    await query(
-      `INSERT INTO discount_redemptions (discount_code_id, customer_id, machine_id)
-       VALUES ($1, $2, $3)`,
-      [discount.id, customerId, machineId]
-    );
-
-    // Increment current_uses
-    await query(
-      `UPDATE discount_codes SET current_uses = current_uses + 1 WHERE id = $1`,
-      [discount.id]
-    );
+    const { rewards, pointsBalance } = await listMachineRewards(machineId, req.session.customerId || null);
 
     res.json({
       success: true,
-      message: `Discount code redeemed! You saved ${discount.discount_value}%`,
       data: {
-        discountType: discount.discount_type,
-        discountValue: discount.discount_value,
+        rewards,
+        pointsBalance,
+        count: rewards.length,
       },
     });
   } catch (error) {
-    console.error('Error redeeming discount:', error);
+    console.error('Error fetching machine rewards:', error);
     res.status(500).json({
       success: false,
-      message: 'Error redeeming discount code',
+      message: 'Error fetching rewards',
     });
   }
 });
 
 /**
- * POST /api/customer/redemptions/submit
- * Submit discount redemption with proof of purchase
+ * GET /api/customer/rewards
+ * Rewards the customer has bought and their one-time codes
  */
-router.post('/redemptions/submit', upload.single('proofImage'), async (req, res) => {
+router.get('/rewards', async (req, res) => {
   try {
-    const customerId = req.session?.customerId || req.user?.id;
+    if (!req.session.customerId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Please register to view rewards',
+      });
+    }
 
-    if (!customerId) {
+    const redemptions = await listCustomerRewardRedemptions(req.session.customerId);
+
+    res.json({
+      success: true,
+      data: {
+        redemptions,
+        count: redemptions.length,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching reward redemptions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching rewards',
+    });
+  }
+});
+
+/**
+ * POST /api/customer/rewards/:rewardId/redeem
+ * Spend points at the current machine on a reward; returns a one-time discount code
+ */
+router.post('/rewards/:rewardId/redeem', async (req, res) => {
+  try {
+    if (!req.session.customerId) {
       return res.status(401).json({
         success: false,
-        message: 'Authentication required',
+        message: 'Please register to redeem rewards',
+      });
+    }
+
+    const { error: idError, value: rewardId } = Joi.number().integer().positive().validate(req.params.rewardId);
+    if (idError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid reward ID',
       });
     }
 
     const schema = Joi.object({
-      machineId: Joi.number().integer().required(),
-      discountId: Joi.number().integer().required(),
+      machineId: Joi.number().integer().optional(),
     });
 
     const { error, value } = schema.validate(req.body);
@@ -792,145 +887,387 @@ router.post('/redemptions/submit', upload.single('proofImage'), async (req, res)
       });
     }
 
-    const { machineId, discountId } = value;
-
-    if (!req.file) {
+    const machineId = value.machineId || req.session.machineId;
+    if (!machineId) {
       return res.status(400).json({
         success: false,
-        message: 'Proof of purchase image required',
+        message: 'machineId is required',
       });
     }
 
-    const proofImageUrl = `/uploads/proofs/${req.file.filename}`;
+    const { redemption, discount, balance } = await redeemReward({
+      customerId: req.session.customerId,
+      machineId,
+      rewardId,
+    });
 
-    // Verify discount exists and is valid
-    const discountResult = await query(
-      `SELECT id, machine_id, code, discount_value, max_uses, current_uses, is_active,
-              valid_from, valid_until
-       FROM discount_codes
+    res.status(201).json({
+      success: true,
+      message: `Reward redeemed! Use code ${discount.code}`,
+      data: {
+        redemption,
+        discount,
+        pointsBalance: balance,
+      },
+    });
+  } catch (error) {
+    console.error('Error redeeming reward:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error redeeming reward',
+    });
+  }
+});
+
+// ========================================
+// MACHINE & PRODUCTS ROUTES
+// ========================================
+
+/**
+ * GET /api/customer/machine
+ * Get current machine info and available products
+ */
+router.get('/machine', async (req, res) => {
+  try {
+    const { machineId } = req.session;
+
+    // Get machine info
+    const machineResult = await query(
+      `SELECT id, machine_name, location, is_active
+       FROM vending_machines
        WHERE id = $1`,
-      [discountId]
+      [machineId]
     );
 
-    if (discountResult.rows.length === 0) {
+    if (machineResult.rows.length === 0) {
       return res.status(404).json({
         success: false,
-        message: 'Discount code not found',
+        message: 'Machine not found',
       });
     }
 
-    const discount = discountResult.rows[0];
+    // Get available products in this machine
+    const productsResult = await query(
+      `SELECT mp.id, mp.slot_code, mp.current_stock,
+              p.id as product_id, p.product_name, p.description,
+              COALESCE(mp.price_override, p.price) as price, p.image_url
+       FROM machine_products mp
+       JOIN products p ON mp.product_id = p.id
+       WHERE mp.machine_id = $1 AND p.is_active = true
+       ORDER BY p.product_name`,
+      [machineId]
+    );
+
+    // List products in the order they appear on the machine so shoppers can find the code to punch in
+    const products = productsResult.rows.sort((a, b) => compareSlotCodes(a.slot_code, b.slot_code));
 
-    if (discount.machine_id !== machineId) {
+    res.json({
+      success: true,
+      data: {
+        machine: machineResult.rows[0],
+        products,
+        productsCount: products.length,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching machine info:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching machine information',
+    });
+  }
+});
+
+/**
+ * POST /api/customer/machine/price
+ * Price a basket at the current machine, optionally with a discount code (the code is not used up)
+ */
+router.post('/machine/price', async (req, res) => {
+  try {
+    const { machineId } = req.session;
+
+    if (!machineId) {
       return res.status(400).json({
         success: false,
-        message: 'Discount code does not belong to this machine',
+        message: 'No machine session found',
       });
     }
 
-    if (!discount.is_active) {
+    const schema = Joi.object({
+      items: basketItemsSchema.required(),
+      code: Joi.string().min(3).max(50).optional(),
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
       return res.status(400).json({
         success: false,
-        message: 'Discount code is no longer active',
+        message: error.details[0].message,
       });
     }
 
-    if (discount.valid_from && new Date(discount.valid_from) > new Date()) {
-      return res.status(400).json({
+    const pricing = await quoteBasket({
+      machineId,
+      items: value.items,
+      code: value.code,
+      customerId: req.session.customerId || null,
+    });
+
+    res.json({
+      success: true,
+      data: { pricing },
+    });
+  } catch (error) {
+    console.error('Error pricing basket:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
         success: false,
-        message: 'Discount code is not yet valid',
+        message: error.message,
       });
     }
+    res.status(500).json({
+      success: false,
+      message: 'Error pricing basket',
+    });
+  }
+});
 
-    if (discount.valid_until && new Date(discount.valid_until) < new Date()) {
-      return res.status(400).json({
+/**
+ * GET /api/customer/profile
+ * Get customer profile (requires registered customer)
+ */
+router.get('/profile', async (req, res) => {
+  try {
+    if (!req.session.customerId) {
+      return res.status(401).json({
         success: false,
-        message: 'Discount code has expired',
+        message: 'Please register to view profile',
       });
     }
 
-    if (discount.max_uses && discount.current_uses >= discount.max_uses) {
+    const result = await query(
+      `SELECT id, email, full_name, created_at
+       FROM users
+       WHERE id = $1 AND role = 'customer'`,
+      [req.session.customerId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Profile not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { profile: result.rows[0] },
+    });
+  } catch (error) {
+    console.error('Error fetching profile:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching profile',
+    });
+  }
+});
+
+/**
+ * GET /api/customer/machine/discounts
+ * Get active discount codes for the current machine
+ */
+router.get('/machine/discounts', async (req, res) => {
+  try {
+    const machineId = req.query.machineId ? parseInt(req.query.machineId) : req.session.machineId;
+
+    if (!machineId) {
       return res.status(400).json({
         success: false,
-        message: 'Discount code has reached maximum usage',
+        message: 'Machine ID required (session or query param)',
       });
     }
 
-    // Check if already redeemed
-    const existingRedemption = await query(
-      `SELECT id FROM discount_redemptions
-       WHERE discount_code_id = $1 AND customer_id = $2`,
-      [discountId, customerId]
+    const result = await query(
+      `SELECT dc.id, dc.code, dc.discount_type, dc.discount_value,
+              dc.category, dc.min_purchase_amount, dc.buy_quantity, dc.get_quantity,
+              dc.machine_scope, dc.valid_from, dc.valid_until, dc.max_uses, dc.current_uses,
+              p.product_name, p.price
+       FROM discount_codes dc
+       JOIN vending_machines vm ON vm.id = $1
+       LEFT JOIN products p ON dc.product_id = p.id
+       WHERE ${VALID_AT_MACHINE_SQL} AND dc.is_active = true
+       AND dc.customer_id IS NULL AND dc.campaign_id IS NULL
+       AND (dc.valid_from IS NULL OR dc.valid_from <= NOW())
+       AND (dc.valid_until IS NULL OR dc.valid_until >= NOW())
+       ORDER BY dc.created_at DESC`,
+      [machineId]
     );
 
-    if (existingRedemption.rows.length > 0) {
+    res.json({
+      success: true,
+      data: {
+        discounts: result.rows,
+        count: result.rows.length,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching machine discounts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching discounts',
+    });
+  }
+});
+
+/**
+ * POST /api/customer/discounts/redeem
+ * Redeem a discount code
+ */
+router.post('/discounts/redeem', async (req, res) => {
+  try {
+    const { machineId } = req.session;
+    const customerId = req.session.customerId || null;
+
+    if (!machineId) {
       return res.status(400).json({
         success: false,
-        message: 'You have already redeemed this discount',
+        message: 'No machine session found',
+      });
+    }
+
+    if (!customerId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Please register to redeem discount codes',
       });
     }
 
-    // MVP: Auto-approve and award points (10 points per redemption)
-    const pointsAwarded = 10;
-    const status = 'approved';
+    const schema = Joi.object({
+      code: Joi.string().min(3).max(50).required(),
+      items: basketItemsSchema.optional(),
+    });
 
-    // Create redemption record
-    await query(
-      `INSERT INTO discount_redemptions
-       (discount_code_id, customer_id, machine_id, proof_image_url, status, points_awarded)
-       VALUES ($1, $2, $3, $4, $5, $6)`,
-      [discountId, customerId, machineId, proofImageUrl, status, pointsAwarded]
-    );
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
 
-    // Increment current_uses
-    await query(
-      `UPDATE discount_codes SET current_uses = current_uses + 1 WHERE id = $1`,
-      [discountId]
-    );
+    const { code, items } = value;
 
-    // Award loyalty points
-    const loyaltyCheck = await query(
-      `SELECT id, points_balance FROM loyalty_points
-       WHERE customer_id = $1 AND machine_id = $2`,
-      [customerId, machineId]
-    );
+    const { discount, pricing } = await redeemDiscount({ code, customerId, machineId, items });
 
-    if (loyaltyCheck.rows.length > 0) {
-      await query(
-        `UPDATE loyalty_points
-         SET points_balance = points_balance + $1,
-             lifetime_points = lifetime_points + $1,
-             updated_at = CURRENT_TIMESTAMP
-         WHERE customer_id = $2 AND machine_id = $3`,
-        [pointsAwarded, customerId, machineId]
-      );
+    let message;
+    if (pricing) {
+      message = `Discount code redeemed! You saved $${pricing.discount}`;
+    } else if (discount.discount_type === 'fixed') {
+      message = `Discount code redeemed! You saved $${discount.discount_value}`;
     } else {
-      await query(
-        `INSERT INTO loyalty_points (customer_id, machine_id, points_balance, lifetime_points)
-         VALUES ($1, $2, $3, $4)`,
-        [customerId, machineId, pointsAwarded, pointsAwarded]
-      );
+      message = `Discount code redeemed! You saved ${discount.discount_value}%`;
     }
 
-    // Get updated loyalty totals
-    const loyaltyTotals = await query(
-      `SELECT SUM(points_balance) as total_points, SUM(lifetime_points) as total_lifetime_points
-       FROM loyalty_points
-       WHERE customer_id = $1`,
-      [customerId]
-    );
+    res.json({
+      success: true,
+      message,
+      data: {
+        discountType: discount.discount_type,
+        discountValue: discount.discount_value,
+        pricing,
+      },
+    });
+  } catch (error) {
+    console.error('Error redeeming discount:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error redeeming discount code',
+    });
+  }
+});
+
+/**
+ * POST /api/customer/redemptions/submit
+ * Submit discount redemption with proof of purchase
+ */
+router.post('/redemptions/submit', upload.single('proofImage'), async (req, res) => {
+  try {
+    const customerId = req.session?.customerId || req.user?.id;
+
+    if (!customerId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required',
+      });
+    }
+
+    const schema = Joi.object({
+      machineId: Joi.number().integer().required(),
+      discountId: Joi.number().integer().required(),
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const { machineId, discountId } = value;
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Proof of purchase image required',
+      });
+    }
+
+    const proofImageUrl = `/uploads/proofs/${req.file.filename}`;
+
+    // Points are only credited once the proof is approved (by the vendor or their auto-approve rule)
+    const { redemption, autoApproved } = await submitProofRedemption({
+      discountId,
+      customerId,
+      machineId,
+      proofImageUrl,
+    });
+
+    const balances = await getBalances(customerId);
 
     res.json({
       success: true,
-      message: `Discount redeemed! You earned ${pointsAwarded} points.`,
+      message: autoApproved
+        ? `Discount redeemed! You earned ${redemption.points_awarded} points.`
+        : 'Proof submitted! Points will be added once the vendor approves it.',
       data: {
-        pointsAwarded,
-        totalPoints: parseInt(loyaltyTotals.rows[0]?.total_points || 0),
-        totalLifetimePoints: parseInt(loyaltyTotals.rows[0]?.total_lifetime_points || 0),
+        redemptionId: redemption.id,
+        status: redemption.status,
+        pointsAwarded: redemption.points_awarded,
+        totalPoints: balances.reduce((sum, account) => sum + account.points_balance, 0),
+        totalLifetimePoints: balances.reduce((sum, account) => sum + account.lifetime_points, 0),
       },
     });
   } catch (error) {
     console.error('Error submitting redemption:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Error submitting redemption',
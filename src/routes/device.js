@@ -0,0 +1,223 @@
+const express = require('express');
+const Joi = require('joi');
+const { query } = require('../config/database');
+const { verifyDevice } = require('../middleware/auth');
+const { PAYMENT_TYPES, recordSale } = require('../services/salesService');
+
+const router = express.Router();
+
+// All device routes are signed by the machine's telemetry board
+router.use(verifyDevice);
+
+/**
+ * Insert a telemetry event, ignoring retries of an already-received event id
+ * @param {number} machineId - Machine ID
+ * @param {object} event - Event fields
+ * @returns {object} - { event, duplicate }
+ */
+async function recordDeviceEvent(machineId, { eventId, eventType, temperatureC = null, errorCode = null, details = null, occurredAt = null }) {
+  const result = await query(
+    `INSERT INTO device_events
+     (machine_id, event_id, event_type, temperature_c, error_code, details, occurred_at)
+     VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, CURRENT_TIMESTAMP))
+     ON CONFLICT (machine_id, event_id) DO NOTHING
+     RETURNING id, event_id, event_type, temperature_c, error_code, details, occurred_at, received_at`,
+    [machineId, eventId, eventType, temperatureC, errorCode, details, occurredAt]
+  );
+
+  return {
+    event: result.rows[0] || null,
+    duplicate: result.rows.length === 0,
+  };
+}
+
+/**
+ * POST /api/device/vends
+ * Report a completed vend (records a sale and decrements stock)
+ * The returned claimCode is shown on the display so the customer can claim loyalty points.
+ */
+router.post('/vends', async (req, res) => {
+  try {
+    const schema = Joi.object({
+      eventId: Joi.string().max(100).required(),
+      machineProductId: Joi.number().integer().optional(),
+      productId: Joi.number().integer().optional(),
+      slotCode: Joi.string().max(10).optional(),
+      quantity: Joi.number().integer().min(1).default(1),
+      pricePaid: Joi.number().min(0).precision(2).required(),
+      paymentType: Joi.string().valid(...PAYMENT_TYPES).required(),
+      discountCode: Joi.string().min(3).max(50).optional(),
+      occurredAt: Joi.date().optional(),
+    }).or('machineProductId', 'productId');
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const { eventId, occurredAt, ...saleFields } = value;
+
+    const { sale, currentStock, duplicate } = await recordSale({
+      ...saleFields,
+      machineId: req.device.machineId,
+      source: 'device',
+      externalId: eventId,
+      soldAt: occurredAt || null,
+    });
+
+    res.status(duplicate ? 200 : 201).json({
+      success: true,
+      message: duplicate ? 'Vend already recorded' : 'Vend recorded',
+      data: { saleId: sale.id, currentStock, claimCode: sale.claim_code },
+    });
+  } catch (error) {
+    console.error('Error recording device vend:', error);
+    if (error.code === '23505') {
+      // Concurrent retry of the same event id won the insert
+      return res.json({
+        success: true,
+        message: 'Vend already recorded',
+      });
+    }
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error recording vend',
+    });
+  }
+});
+
+/**
+ * POST /api/device/door
+ * Report the service door opening or closing
+ */
+router.post('/door', async (req, res) => {
+  try {
+    const schema = Joi.object({
+      eventId: Joi.string().max(100).required(),
+      state: Joi.string().valid('open', 'closed').required(),
+      occurredAt: Joi.date().optional(),
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const { event, duplicate } = await recordDeviceEvent(req.device.machineId, {
+      eventId: value.eventId,
+      eventType: value.state === 'open' ? 'door_open' : 'door_close',
+      occurredAt: value.occurredAt,
+    });
+
+    res.status(duplicate ? 200 : 201).json({
+      success: true,
+      message: duplicate ? 'Event already recorded' : 'Door event recorded',
+      data: { event },
+    });
+  } catch (error) {
+    console.error('Error recording door event:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error recording door event',
+    });
+  }
+});
+
+/**
+ * POST /api/device/temperature
+ * Report a temperature reading in degrees Celsius
+ */
+router.post('/temperature', async (req, res) => {
+  try {
+    const schema = Joi.object({
+      eventId: Joi.string().max(100).required(),
+      celsius: Joi.number().min(-50).max(100).precision(2).required(),
+      occurredAt: Joi.date().optional(),
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const { event, duplicate } = await recordDeviceEvent(req.device.machineId, {
+      eventId: value.eventId,
+      eventType: 'temperature',
+      temperatureC: value.celsius,
+      occurredAt: value.occurredAt,
+    });
+
+    res.status(duplicate ? 200 : 201).json({
+      success: true,
+      message: duplicate ? 'Event already recorded' : 'Temperature recorded',
+      data: { event },
+    });
+  } catch (error) {
+    console.error('Error recording temperature:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error recording temperature',
+    });
+  }
+});
+
+/**
+ * POST /api/device/errors
+ * Report a machine error code
+ */
+router.post('/errors', async (req, res) => {
+  try {
+    const schema = Joi.object({
+      eventId: Joi.string().max(100).required(),
+      code: Joi.string().max(50).required(),
+      message: Joi.string().max(500).optional(),
+      details: Joi.object().unknown(true).optional(),
+      occurredAt: Joi.date().optional(),
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const { event, duplicate } = await recordDeviceEvent(req.device.machineId, {
+      eventId: value.eventId,
+      eventType: 'error',
+      errorCode: value.code,
+      details: { message: value.message || null, ...value.details },
+      occurredAt: value.occurredAt,
+    });
+
+    res.status(duplicate ? 200 : 201).json({
+      success: true,
+      message: duplicate ? 'Event already recorded' : 'Error code recorded',
+      data: { event },
+    });
+  } catch (error) {
+    console.error('Error recording device error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error recording device error',
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,6 @@
 const express = require('express');
 const { query } = require('../config/database');
-const { protect, restrictTo } = require('../middleware/auth');
+const { protect, restrictTo, loadVendorAccount, requirePermission } = require('../middleware/auth');
 const { generateQRCodeData, generateQRCodeDataURL } = require('../services/qrCodeService');
 
 const router = express.Router();
@@ -8,14 +8,15 @@ const router = express.Router();
 // Apply vendor authentication
 router.use(protect);
 router.use(restrictTo('vendor'));
+router.use(loadVendorAccount);
 
 /**
  * POST /api/seed/generate-test-data
  * Generate test data: 25 machines with 100 products each
  */
-router.post('/generate-test-data', async (req, res) => {
+router.post('/generate-test-data', requirePermission('machines:write', 'catalog:write'), async (req, res) => {
   try {
-    const vendorId = req.user.id;
+    const vendorId = req.vendor.id;
 
     console.log(`Starting test data generation for vendor ${vendorId}...`);
 
@@ -145,9 +146,9 @@ router.post('/generate-test-data', async (req, res) => {
  * DELETE /api/seed/clear-test-data
  * Clear all test data for the vendor
  */
-router.delete('/clear-test-data', async (req, res) => {
+router.delete('/clear-test-data', requirePermission('machines:delete', 'catalog:write'), async (req, res) => {
   try {
-    const vendorId = req.user.id;
+    const vendorId = req.vendor.id;
 
     // Delete in order due to foreign key constraints
     await query('DELETE FROM machine_products WHERE machine_id IN (SELECT id FROM vending_machines WHERE vendor_id = $1)', [vendorId]);
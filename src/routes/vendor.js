@@ -1,14 +1,389 @@
+const crypto = require('crypto');
 const express = require('express');
 const Joi = require('joi');
-const { query } = require('../config/database');
-const { protect, restrictTo } = require('../middleware/auth');
-const { generateQRCodeData, generateQRCodeDataURL } = require('../services/qrCodeService');
+const { query, transaction } = require('../config/database');
+const {
+  protect, restrictTo, loadVendorAccount, requirePermission, requireFeature, requireStepUp,
+} = require('../middleware/auth');
+const {
+  generateQRCodeData, generateQRCodeDataURL, generateQRCodeBuffer, encrypt,
+} = require('../services/qrCodeService');
+const { PAYMENT_TYPES, recordSale, listSales } = require('../services/salesService');
+const { importDex } = require('../services/dexImportService');
+const { applyMovement, recordMovement, getMovements } = require('../services/inventoryService');
+const { evaluateSlot, getLowStockReport } = require('../services/stockAlertService');
+const { getFillSheets, buildPickList } = require('../services/restockService');
+const {
+  getPlanogram,
+  listVersions,
+  savePlanogram,
+  clonePlanogram,
+  diffPlanograms,
+} = require('../services/planogramService');
+const {
+  REDEMPTION_STATUSES,
+  reviewRedemption,
+  listRedemptions,
+  getRedemptionSettings,
+  updateRedemptionSettings,
+} = require('../services/redemptionService');
+const {
+  REBATE_STATUSES,
+  listVendorRebates,
+  getVendorRebate,
+  reviewRebate,
+} = require('../services/rebateService');
+const {
+  PAYOUT_STATUSES,
+  PAYOUT_SOURCES,
+  listVendorPayouts,
+  createCashbackPayout,
+  createBatch,
+  listBatches,
+  getBatch,
+  markBatchPaid,
+  cancelBatch,
+} = require('../services/payoutService');
+const {
+  adjustPoints,
+  transferPoints,
+  getBalances,
+  getStatement,
+} = require('../services/loyaltyService');
+const {
+  RULE_TYPES,
+  listRules,
+  createRule,
+  updateRule,
+  deleteRule,
+} = require('../services/earningRulesService');
+const { CLAIM_STATUSES, listVendorClaims, reviewClaim } = require('../services/loyaltyClaimService');
+const {
+  REWARD_TYPES,
+  listRewards,
+  createReward,
+  updateReward,
+  deleteReward,
+} = require('../services/rewardService');
+const {
+  BALANCE_SCOPES,
+  getProgram,
+  updateProgram,
+  createTier,
+  updateTier,
+  deleteTier,
+} = require('../services/loyaltyProgramService');
+const {
+  DISCOUNT_TYPES,
+  MACHINE_SCOPES,
+  VALID_AT_MACHINE_SQL,
+  getDiscount,
+  listVendorDiscounts,
+  createDiscount,
+  updateDiscountMachines,
+  deleteDiscount,
+} = require('../services/discountService');
+const {
+  resolveMachineIds,
+  setMachineGroups,
+  listGroups,
+  getGroup,
+  createGroup,
+  updateGroup,
+  deleteGroup,
+} = require('../services/machineGroupService');
+const {
+  ASSIGNABLE_ROLES,
+  getTeam,
+  renameOrganization,
+  updateMemberRole,
+  removeMember,
+  createInvite,
+  revokeInvite,
+} = require('../services/organizationService');
+const { getOrganizationFlags } = require('../services/featureFlagService');
+const {
+  listLocations,
+  getLocation,
+  createLocation,
+  updateLocation,
+  deleteLocation,
+  assertVendorLocation,
+} = require('../services/locationService');
+const {
+  CODE_STATUSES: CAMPAIGN_CODE_STATUSES,
+  MAX_CODES_PER_REQUEST,
+  MAX_QR_SHEET_CODES,
+  getCampaign,
+  listCampaigns,
+  createCampaign,
+  addCampaignCodes,
+  updateCampaign,
+  listCampaignCodes,
+  getCampaignStats,
+} = require('../services/discountCampaignService');
+const Notification = require('../models/Notification');
+const { dexUpload } = require('../middleware/upload');
+const { toCsv } = require('../utils/csv');
+const { renderTablePdf, renderQrSheetPdf } = require('../utils/pdf');
 
 const router = express.Router();
 
 // Apply vendor authentication to all routes
 router.use(protect);
 router.use(restrictTo('vendor'));
+router.use(loadVendorAccount);
+
+// Features an admin can switch off per organization (flags seeded in migration 040)
+router.use('/machines/:machineId/dex', requireFeature('dex_import'));
+router.use('/discount-campaigns', requireFeature('discount_campaigns'));
+router.use('/payout-batches', requireFeature('payout_batches'));
+
+// Narrow a cross-machine list to one machine, a location or a machine group
+const MACHINE_FILTER_SCHEMA = {
+  machineId: Joi.number().integer().optional(),
+  locationId: Joi.number().integer().optional(),
+  groupId: Joi.number().integer().optional(),
+};
+
+// ========================================
+// TEAM ROUTES
+// ========================================
+
+/**
+ * GET /api/vendor/me
+ * The logged-in member's organization, role, permissions and enabled features
+ */
+router.get('/me', async (req, res) => {
+  try {
+    const features = await getOrganizationFlags(req.vendor.organizationId);
+
+    res.json({
+      success: true,
+      data: {
+        userId: req.user.id,
+        organizationId: req.vendor.organizationId,
+        organizationName: req.vendor.organizationName,
+        vendorId: req.vendor.id,
+        role: req.vendor.role,
+        permissions: req.vendor.permissions,
+        features: Object.fromEntries(features.map(flag => [flag.key, flag.enabled])),
+        impersonatedBy: req.user.impersonatedBy || null,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching vendor account:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching vendor account',
+    });
+  }
+});
+
+/**
+ * GET /api/vendor/team
+ * Organization members and pending invites
+ */
+router.get('/team', requirePermission('team:manage'), async (req, res) => {
+  try {
+    const team = await getTeam(req.vendor.organizationId);
+
+    res.json({
+      success: true,
+      data: team,
+    });
+  } catch (error) {
+    console.error('Error fetching team:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching team',
+    });
+  }
+});
+
+/**
+ * PUT /api/vendor/team
+ * Rename the organization
+ */
+router.put('/team', requirePermission('team:manage'), async (req, res) => {
+  try {
+    const schema = Joi.object({
+      name: Joi.string().min(1).max(255).required(),
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const organization = await renameOrganization(req.vendor.organizationId, value.name);
+
+    res.json({
+      success: true,
+      message: 'Organization updated successfully',
+      data: { organization },
+    });
+  } catch (error) {
+    console.error('Error updating organization:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating organization',
+    });
+  }
+});
+
+/**
+ * PUT /api/vendor/team/members/:userId
+ * Change a member's role
+ */
+router.put('/team/members/:userId', requirePermission('team:manage'), requireStepUp, async (req, res) => {
+  try {
+    const schema = Joi.object({
+      role: Joi.string().valid(...ASSIGNABLE_ROLES).required(),
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const member = await updateMemberRole(req.vendor.organizationId, req.params.userId, value.role);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Member role updated successfully',
+      data: { member },
+    });
+  } catch (error) {
+    console.error('Error updating member role:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error updating member role',
+    });
+  }
+});
+
+/**
+ * DELETE /api/vendor/team/members/:userId
+ * Remove a member (their login loses access and is logged out)
+ */
+router.delete('/team/members/:userId', requirePermission('team:manage'), requireStepUp, async (req, res) => {
+  try {
+    const removed = await removeMember(req.vendor.organizationId, req.params.userId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Member removed successfully',
+    });
+  } catch (error) {
+    console.error('Error removing member:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error removing member',
+    });
+  }
+});
+
+/**
+ * POST /api/vendor/team/invites
+ * Email an invite to join the organization with a role
+ */
+router.post('/team/invites', requirePermission('team:manage'), async (req, res) => {
+  try {
+    const schema = Joi.object({
+      email: Joi.string().email().required(),
+      role: Joi.string().valid(...ASSIGNABLE_ROLES).required(),
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const invite = await createInvite(req.vendor, { ...value, invitedBy: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Invite sent successfully',
+      data: { invite },
+    });
+  } catch (error) {
+    console.error('Error creating invite:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error creating invite',
+    });
+  }
+});
+
+/**
+ * DELETE /api/vendor/team/invites/:id
+ * Revoke a pending invite
+ */
+router.delete('/team/invites/:id', requirePermission('team:manage'), async (req, res) => {
+  try {
+    const revoked = await revokeInvite(req.vendor.organizationId, req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invite not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invite revoked successfully',
+    });
+  } catch (error) {
+    console.error('Error revoking invite:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking invite',
+    });
+  }
+});
 
 // ========================================
 // VENDING MACHINES ROUTES
@@ -17,16 +392,38 @@ router.use(restrictTo('vendor'));
 /**
  * GET /api/vendor/machines
  * Get all vending machines for the authenticated vendor
+ * Query: locationId, groupId
  */
-router.get('/machines', async (req, res) => {
+router.get('/machines', requirePermission('machines:read'), async (req, res) => {
   try {
+    const schema = Joi.object({
+      locationId: Joi.number().integer().optional(),
+      groupId: Joi.number().integer().optional(),
+    });
+
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
     const result = await query(
-      `SELECT id, machine_name, location, qr_code_data, qr_code_image_url,
-              google_sheet_id, qr_token, is_active, created_at, updated_at
-       FROM vending_machines
-       WHERE vendor_id = $1
-       ORDER BY created_at DESC`,
-      [req.user.id]
+      `SELECT vm.id, vm.machine_name, vm.location, vm.location_id, l.name as location_name,
+              vm.qr_code_data, vm.qr_code_image_url, vm.google_sheet_id, vm.qr_token,
+              vm.is_active, vm.created_at, vm.updated_at,
+              ARRAY(SELECT mgm.group_id FROM machine_group_members mgm
+                    WHERE mgm.machine_id = vm.id ORDER BY mgm.group_id) as group_ids
+       FROM vending_machines vm
+       LEFT JOIN locations l ON vm.location_id = l.id
+       WHERE vm.vendor_id = $1
+         AND ($2::int IS NULL OR vm.location_id = $2)
+         AND ($3::int IS NULL OR EXISTS (
+           SELECT 1 FROM machine_group_members mgm
+           WHERE mgm.group_id = $3 AND mgm.machine_id = vm.id))
+       ORDER BY vm.created_at DESC`,
+      [req.vendor.id, value.locationId ?? null, value.groupId ?? null]
     );
 
     res.json({
@@ -49,16 +446,21 @@ router.get('/machines', async (req, res) => {
  * GET /api/vendor/machines/:id
  * Get a specific vending machine
  */
-router.get('/machines/:id', async (req, res) => {
+router.get('/machines/:id', requirePermission('machines:read'), async (req, res) => {
   try {
     const { id } = req.params;
 
     let result = await query(
-      `SELECT id, machine_name, location, qr_code_data, qr_code_image_url,
-              google_sheet_id, qr_token, is_active, created_at, updated_at
-       FROM vending_machines
-       WHERE id = $1 AND vendor_id = $2`,
-      [id, req.user.id]
+      `SELECT vm.id, vm.machine_name, vm.location, vm.location_id, l.name as location_name,
+              vm.qr_code_data, vm.qr_code_image_url, vm.google_sheet_id, vm.qr_token,
+              vm.is_active, vm.created_at, vm.updated_at,
+              vm.device_secret IS NOT NULL as device_enabled, vm.device_secret_rotated_at,
+              ARRAY(SELECT mgm.group_id FROM machine_group_members mgm
+                    WHERE mgm.machine_id = vm.id ORDER BY mgm.group_id) as group_ids
+       FROM vending_machines vm
+       LEFT JOIN locations l ON vm.location_id = l.id
+       WHERE vm.id = $1 AND vm.vendor_id = $2`,
+      [id, req.vendor.id]
     );
 
     if (result.rows.length === 0) {
@@ -100,11 +502,13 @@ router.get('/machines/:id', async (req, res) => {
  * POST /api/vendor/machines
  * Create a new vending machine
  */
-router.post('/machines', async (req, res) => {
+router.post('/machines', requirePermission('machines:write'), async (req, res) => {
   try {
     const schema = Joi.object({
       machineName: Joi.string().min(2).max(255).required(),
       location: Joi.string().max(500).required(),
+      locationId: Joi.number().integer().optional().allow(null),
+      groupIds: Joi.array().items(Joi.number().integer()).optional(),
       googleSheetId: Joi.string().max(255).optional(),
     });
 
@@ -116,20 +520,28 @@ router.post('/machines', async (req, res) => {
       });
     }
 
-    const { machineName, location, googleSheetId } = value;
+    const { machineName, location, locationId, groupIds, googleSheetId } = value;
+
+    if (locationId) {
+      await assertVendorLocation(req.vendor.id, locationId);
+    }
 
     // First insert to get the machine ID
     const tempQR = await generateQRCodeData(0); // Temporary
     const result = await query(
       `INSERT INTO vending_machines
-       (vendor_id, machine_name, location, qr_code_data, google_sheet_id, qr_token, is_active)
-       VALUES ($1, $2, $3, $4, $5, gen_random_uuid(), true)
+       (vendor_id, machine_name, location, location_id, qr_code_data, google_sheet_id, qr_token, is_active)
+       VALUES ($1, $2, $3, $4, $5, $6, gen_random_uuid(), true)
        RETURNING id`,
-      [req.user.id, machineName, location, tempQR.qrData, googleSheetId || null]
+      [req.vendor.id, machineName, location, locationId || null, tempQR.qrData, googleSheetId || null]
     );
 
     const machineId = result.rows[0].id;
 
+    if (groupIds && groupIds.length > 0) {
+      await setMachineGroups(req.vendor.id, machineId, groupIds);
+    }
+
     // Generate proper QR code with actual machine ID
     const qrCode = await generateQRCodeData(machineId);
     const qrImageUrl = await generateQRCodeDataURL(qrCode.qrData);
@@ -144,7 +556,7 @@ router.post('/machines', async (req, res) => {
 
     // Fetch the complete machine data
     const finalResult = await query(
-      `SELECT id, machine_name, location, qr_code_data, qr_code_image_url,
+      `SELECT id, machine_name, location, location_id, qr_code_data, qr_code_image_url,
               google_sheet_id, is_active, created_at, updated_at
        FROM vending_machines
        WHERE id = $1`,
@@ -158,6 +570,12 @@ router.post('/machines', async (req, res) => {
     });
   } catch (error) {
     console.error('Error creating machine:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Error creating vending machine',
@@ -169,12 +587,14 @@ router.post('/machines', async (req, res) => {
  * PUT /api/vendor/machines/:id
  * Update a vending machine
  */
-router.put('/machines/:id', async (req, res) => {
+router.put('/machines/:id', requirePermission('machines:write'), async (req, res) => {
   try {
     const { id } = req.params;
     const schema = Joi.object({
       machineName: Joi.string().min(2).max(255).optional(),
       location: Joi.string().max(500).optional(),
+      locationId: Joi.number().integer().optional().allow(null),
+      groupIds: Joi.array().items(Joi.number().integer()).optional(),
       googleSheetId: Joi.string().max(255).allow('').optional(),
       isActive: Joi.boolean().optional(),
     });
@@ -190,7 +610,7 @@ router.put('/machines/:id', async (req, res) => {
     // Check machine exists and belongs to vendor
     const checkResult = await query(
       'SELECT id FROM vending_machines WHERE id = $1 AND vendor_id = $2',
-      [id, req.user.id]
+      [id, req.vendor.id]
     );
 
     if (checkResult.rows.length === 0) {
@@ -213,6 +633,13 @@ router.put('/machines/:id', async (req, res) => {
       updates.push(`location = $${paramCount++}`);
       values.push(value.location);
     }
+    if (value.locationId !== undefined) {
+      if (value.locationId) {
+        await assertVendorLocation(req.vendor.id, value.locationId);
+      }
+      updates.push(`location_id = $${paramCount++}`);
+      values.push(value.locationId);
+    }
     if (value.googleSheetId !== undefined) {
       updates.push(`google_sheet_id = $${paramCount++}`);
       values.push(value.googleSheetId || null);
@@ -222,15 +649,25 @@ router.put('/machines/:id', async (req, res) => {
       values.push(value.isActive);
     }
 
-    if (updates.length === 0) {
+    if (updates.length === 0 && !value.groupIds) {
       return res.status(400).json({
         success: false,
         message: 'No fields to update',
       });
     }
 
+    if (value.groupIds) {
+      await setMachineGroups(req.vendor.id, id, value.groupIds);
+    }
+
     values.push(id);
-    const updateQuery = `UPDATE vending_machines SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`;
+    const updateQuery = updates.length > 0
+      ? `UPDATE vending_machines SET ${updates.join(', ')} WHERE id = $${paramCount}
+      RETURNING id, vendor_id, machine_name, location, location_id, qr_code_data, qr_code_image_url,
+                google_sheet_id, qr_token, is_active, created_at, updated_at`
+      : `SELECT id, vendor_id, machine_name, location, location_id, qr_code_data, qr_code_image_url,
+                google_sheet_id, qr_token, is_active, created_at, updated_at
+      FROM vending_machines WHERE id = $${paramCount}`;
 
     const result = await query(updateQuery, values);
 
@@ -241,6 +678,12 @@ router.put('/machines/:id', async (req, res) => {
     });
   } catch (error) {
     console.error('Error updating machine:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Error updating vending machine',
@@ -252,13 +695,13 @@ router.put('/machines/:id', async (req, res) => {
  * DELETE /api/vendor/machines/:id
  * Delete a vending machine
  */
-router.delete('/machines/:id', async (req, res) => {
+router.delete('/machines/:id', requirePermission('machines:delete'), requireStepUp, async (req, res) => {
   try {
     const { id } = req.params;
 
     const result = await query(
       'DELETE FROM vending_machines WHERE id = $1 AND vendor_id = $2 RETURNING id',
-      [id, req.user.id]
+      [id, req.vendor.id]
     );
 
     if (result.rows.length === 0) {
@@ -285,10 +728,10 @@ router.delete('/machines/:id', async (req, res) => {
  * GET /api/vendor/machines/:id/qr
  * Get machine QR token and URL
  */
-router.get('/machines/:id/qr', async (req, res) => {
+router.get('/machines/:id/qr', requirePermission('machines:read'), async (req, res) => {
   try {
     const { id } = req.params;
-    const vendorId = req.user.id;
+    const vendorId = req.vendor.id;
 
     const result = await query(
       `SELECT id, qr_token FROM vending_machines WHERE id = $1 AND vendor_id = $2`,
@@ -332,92 +775,101 @@ router.get('/machines/:id/qr', async (req, res) => {
   }
 });
 
-// ========================================
-// PRODUCTS ROUTES
-// ========================================
-
 /**
- * GET /api/vendor/products
- * Get all products for the vendor
+ * POST /api/vendor/machines/:id/device-secret
+ * Generate (or rotate) the secret the machine's telemetry board signs requests with
+ * The plaintext secret is only returned once
  */
-router.get('/products', async (req, res) => {
+router.post('/machines/:id/device-secret', requirePermission('machines:write'), requireStepUp, async (req, res) => {
   try {
+    const { id } = req.params;
+
+    const secret = crypto.randomBytes(32).toString('hex');
+
     const result = await query(
-      `SELECT id, product_name, description, price, image_url,
-              is_active, created_at, updated_at
-       FROM products
-       WHERE vendor_id = $1
-       ORDER BY product_name`,
-      [req.user.id]
+      `UPDATE vending_machines
+       SET device_secret = $1, device_secret_rotated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND vendor_id = $3
+       RETURNING id, device_secret_rotated_at`,
+      [encrypt(secret), id, req.vendor.id]
     );
 
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vending machine not found',
+      });
+    }
+
     res.json({
       success: true,
+      message: 'Device secret rotated. Store it now; it will not be shown again.',
       data: {
-        products: result.rows,
-        count: result.rows.length,
+        machineId: result.rows[0].id,
+        deviceSecret: secret,
+        rotatedAt: result.rows[0].device_secret_rotated_at,
       },
     });
   } catch (error) {
-    console.error('Error fetching products:', error);
+    console.error('Error rotating device secret:', error);
     res.status(500).json({
       success: false,
-      message: 'Error fetching products',
+      message: 'Error rotating device secret',
     });
   }
 });
 
 /**
- * GET /api/vendor/products/:id
- * Get a specific product
+ * DELETE /api/vendor/machines/:id/device-secret
+ * Revoke device access for a machine
  */
-router.get('/products/:id', async (req, res) => {
+router.delete('/machines/:id/device-secret', requirePermission('machines:write'), requireStepUp, async (req, res) => {
   try {
     const { id } = req.params;
 
     const result = await query(
-      `SELECT id, product_name, description, price, image_url,
-              is_active, created_at, updated_at
-       FROM products
-       WHERE id = $1 AND vendor_id = $2`,
-      [id, req.user.id]
+      `UPDATE vending_machines
+       SET device_secret = NULL, device_secret_rotated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND vendor_id = $2
+       RETURNING id`,
+      [id, req.vendor.id]
     );
 
     if (result.rows.length === 0) {
       return res.status(404).json({
         success: false,
-        message: 'Product not found',
+        message: 'Vending machine not found',
       });
     }
 
     res.json({
       success: true,
-      data: { product: result.rows[0] },
+      message: 'Device secret revoked',
     });
   } catch (error) {
-    console.error('Error fetching product:', error);
+    console.error('Error revoking device secret:', error);
     res.status(500).json({
       success: false,
-      message: 'Error fetching product',
+      message: 'Error revoking device secret',
     });
   }
 });
 
 /**
- * POST /api/vendor/products
- * Create a new product
+ * GET /api/vendor/machines/:id/device-events
+ * List telemetry events (door, temperature, errors) reported by the machine
  */
-router.post('/products', async (req, res) => {
+router.get('/machines/:id/device-events', requirePermission('machines:read'), async (req, res) => {
   try {
+    const { id } = req.params;
     const schema = Joi.object({
-      productName: Joi.string().min(2).max(255).required(),
-      description: Joi.string().max(1000).optional(),
-      price: Joi.number().min(0).precision(2).required(),
-      imageUrl: Joi.string().uri().optional(),
-      category: Joi.string().max(100).optional(),
+      type: Joi.string().valid('door_open', 'door_close', 'temperature', 'error').optional(),
+      from: Joi.date().optional(),
+      to: Joi.date().optional(),
+      limit: Joi.number().integer().min(1).max(500).default(100),
     });
 
-    const { error, value } = schema.validate(req.body);
+    const { error, value } = schema.validate(req.query);
     if (error) {
       return res.status(400).json({
         success: false,
@@ -425,45 +877,101 @@ router.post('/products', async (req, res) => {
       });
     }
 
-    const { productName, description, price, imageUrl, category } = value;
+    // Verify machine belongs to vendor
+    const machineCheck = await query(
+      'SELECT id FROM vending_machines WHERE id = $1 AND vendor_id = $2',
+      [id, req.vendor.id]
+    );
+
+    if (machineCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vending machine not found',
+      });
+    }
 
     const result = await query(
-      `INSERT INTO products
-       (vendor_id, product_name, description, price, image_url, is_active)
-       VALUES ($1, $2, $3, $4, $5, true)
-       RETURNING id, product_name, description, price, image_url, is_active, created_at, updated_at`,
-      [req.user.id, productName, description || null, price, imageUrl || null]
+      `SELECT id, event_id, event_type, temperature_c, error_code, details, occurred_at, received_at
+       FROM device_events
+       WHERE machine_id = $1
+         AND ($2::varchar IS NULL OR event_type = $2)
+         AND ($3::timestamp IS NULL OR occurred_at >= $3)
+         AND ($4::timestamp IS NULL OR occurred_at < $4)
+       ORDER BY occurred_at DESC
+       LIMIT $5`,
+      [id, value.type || null, value.from || null, value.to || null, value.limit]
     );
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'Product created successfully',
-      data: { product: result.rows[0] },
+      data: {
+        events: result.rows,
+        count: result.rows.length,
+      },
     });
   } catch (error) {
-    console.error('Error creating product:', error);
+    console.error('Error fetching device events:', error);
     res.status(500).json({
       success: false,
-      message: 'Error creating product',
+      message: 'Error fetching device events',
     });
   }
 });
 
+// ========================================
+// LOCATION ROUTES
+// ========================================
+
+// Site details shared by location create and update
+const LOCATION_SCHEMA = {
+      addressLine1: Joi.string().max(255).optional().allow(null, ''),
+      addressLine2: Joi.string().max(255).optional().allow(null, ''),
+      city: Joi.string().max(100).optional().allow(null, ''),
+      region: Joi.string().max(100).optional().allow(null, ''),
+      postalCode: Joi.string().max(20).optional().allow(null, ''),
+      country: Joi.string().length(2).uppercase().optional().allow(null),
+      latitude: Joi.number().min(-90).max(90).optional().allow(null),
+      longitude: Joi.number().min(-180).max(180).optional().allow(null),
+      contactName: Joi.string().max(255).optional().allow(null, ''),
+      contactPhone: Joi.string().max(50).optional().allow(null, ''),
+      contactEmail: Joi.string().email().max(255).optional().allow(null, ''),
+      notes: Joi.string().max(2000).optional().allow(null, ''),
+};
+
 /**
- * PUT /api/vendor/products/:id
- * Update a product
+ * GET /api/vendor/locations
+ * List the vendor's locations
  */
-router.put('/products/:id', async (req, res) => {
+router.get('/locations', requirePermission('machines:read'), async (req, res) => {
   try {
-    const { id } = req.params;
-    const schema = Joi.object({
-      productName: Joi.string().min(2).max(255).optional(),
-      description: Joi.string().max(1000).allow('').optional(),
-      price: Joi.number().min(0).precision(2).optional(),
-      imageUrl: Joi.string().uri().allow('').optional(),
-      category: Joi.string().max(100).allow('').optional(),
-      isActive: Joi.boolean().optional(),
+    const locations = await listLocations(req.vendor.id);
+
+    res.json({
+      success: true,
+      data: {
+        locations,
+        count: locations.length,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching locations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching locations',
     });
+  }
+});
+
+/**
+ * POST /api/vendor/locations
+ * Create a location (site, address, coordinates and contact)
+ */
+router.post('/locations', requirePermission('machines:write'), async (req, res) => {
+  try {
+    const schema = Joi.object({
+      name: Joi.string().min(1).max(255).required(),
+      ...LOCATION_SCHEMA,
+    }).and('latitude', 'longitude');
 
     const { error, value } = schema.validate(req.body);
     if (error) {
@@ -473,166 +981,241 @@ router.put('/products/:id', async (req, res) => {
       });
     }
 
-    // Check product exists and belongs to vendor
-    const checkResult = await query(
-      'SELECT id FROM products WHERE id = $1 AND vendor_id = $2',
-      [id, req.user.id]
-    );
+    const location = await createLocation(req.vendor.id, value);
 
-    if (checkResult.rows.length === 0) {
-      return res.status(404).json({
+    res.status(201).json({
+      success: true,
+      message: 'Location created successfully',
+      data: { location },
+    });
+  } catch (error) {
+    console.error('Error creating location:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
         success: false,
-        message: 'Product not found',
+        message: error.message,
       });
     }
+    res.status(500).json({
+      success: false,
+      message: 'Error creating location',
+    });
+  }
+});
 
-    // Build update query dynamically
-    const updates = [];
-    const values = [];
-    let paramCount = 1;
+/**
+ * GET /api/vendor/locations/:id
+ * Get a location with its machines
+ */
+router.get('/locations/:id', requirePermission('machines:read'), async (req, res) => {
+  try {
+    const location = await getLocation(req.params.id, req.vendor.id);
 
-    if (value.productName !== undefined) {
-      updates.push(`product_name = $${paramCount++}`);
-      values.push(value.productName);
-    }
-    if (value.description !== undefined) {
-      updates.push(`description = $${paramCount++}`);
-      values.push(value.description || null);
-    }
-    if (value.price !== undefined) {
-      updates.push(`price = $${paramCount++}`);
-      values.push(value.price);
-    }
-    if (value.imageUrl !== undefined) {
-      updates.push(`image_url = $${paramCount++}`);
-      values.push(value.imageUrl || null);
-    }
-    if (value.isActive !== undefined) {
-      updates.push(`is_active = $${paramCount++}`);
-      values.push(value.isActive);
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        message: 'Location not found',
+      });
     }
 
-    if (updates.length === 0) {
+    res.json({
+      success: true,
+      data: { location },
+    });
+  } catch (error) {
+    console.error('Error fetching location:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching location',
+    });
+  }
+});
+
+/**
+ * PUT /api/vendor/locations/:id
+ * Update a location
+ */
+router.put('/locations/:id', requirePermission('machines:write'), async (req, res) => {
+  try {
+    const schema = Joi.object({
+      name: Joi.string().min(1).max(255).optional(),
+      ...LOCATION_SCHEMA,
+    }).min(1).and('latitude', 'longitude');
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
       return res.status(400).json({
         success: false,
-        message: 'No fields to update',
+        message: error.details[0].message,
       });
     }
 
-    values.push(id);
-    const updateQuery = `UPDATE products SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`;
+    const location = await updateLocation(req.params.id, req.vendor.id, value);
 
-    const result = await query(updateQuery, values);
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        message: 'Location not found',
+      });
+    }
 
     res.json({
       success: true,
-      message: 'Product updated successfully',
-      data: { product: result.rows[0] },
+      message: 'Location updated successfully',
+      data: { location },
     });
   } catch (error) {
-    console.error('Error updating product:', error);
+    console.error('Error updating location:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
     res.status(500).json({
       success: false,
-      message: 'Error updating product',
+      message: 'Error updating location',
     });
   }
 });
 
 /**
- * DELETE /api/vendor/products/:id
- * Delete a product
+ * DELETE /api/vendor/locations/:id
+ * Delete a location (its machines are kept without a location)
  */
-router.delete('/products/:id', async (req, res) => {
+router.delete('/locations/:id', requirePermission('machines:write'), async (req, res) => {
   try {
-    const { id } = req.params;
+    const deleted = await deleteLocation(req.params.id, req.vendor.id);
 
-    const result = await query(
-      'DELETE FROM products WHERE id = $1 AND vendor_id = $2 RETURNING id',
-      [id, req.user.id]
-    );
-
-    if (result.rows.length === 0) {
+    if (!deleted) {
       return res.status(404).json({
         success: false,
-        message: 'Product not found',
+        message: 'Location not found',
       });
     }
 
     res.json({
       success: true,
-      message: 'Product deleted successfully',
+      message: 'Location deleted successfully',
     });
   } catch (error) {
-    console.error('Error deleting product:', error);
+    console.error('Error deleting location:', error);
     res.status(500).json({
       success: false,
-      message: 'Error deleting product',
+      message: 'Error deleting location',
     });
   }
 });
 
 // ========================================
-// MACHINE INVENTORY (MACHINE PRODUCTS) ROUTES
+// MACHINE GROUP ROUTES
 // ========================================
 
 /**
- * GET /api/vendor/machines/:machineId/inventory
- * Get all products for a specific machine
+ * GET /api/vendor/machine-groups
+ * List the vendor's machine groups
  */
-router.get('/machines/:machineId/inventory', async (req, res) => {
+router.get('/machine-groups', requirePermission('machines:read'), async (req, res) => {
   try {
-    const { machineId } = req.params;
+    const groups = await listGroups(req.vendor.id);
 
-    // Verify machine belongs to vendor
-    const machineCheck = await query(
-      'SELECT id FROM vending_machines WHERE id = $1 AND vendor_id = $2',
-      [machineId, req.user.id]
-    );
+    res.json({
+      success: true,
+      data: {
+        groups,
+        count: groups.length,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching machine groups:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching machine groups',
+    });
+  }
+});
 
-    if (machineCheck.rows.length === 0) {
-      return res.status(404).json({
+/**
+ * POST /api/vendor/machine-groups
+ * Create a machine group (e.g. "Campus East")
+ */
+router.post('/machine-groups', requirePermission('machines:write'), async (req, res) => {
+  try {
+    const schema = Joi.object({
+      name: Joi.string().min(1).max(100).required(),
+      description: Joi.string().max(1000).optional().allow(null, ''),
+      machineIds: Joi.array().items(Joi.number().integer()).default([]),
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
         success: false,
-        message: 'Vending machine not found',
+        message: error.details[0].message,
       });
     }
 
-    const result = await query(
-      `SELECT mp.id, mp.machine_id, mp.product_id, mp.current_stock,
-              p.product_name, p.description, p.price, p.image_url
-       FROM machine_products mp
-       JOIN products p ON mp.product_id = p.id
-       WHERE mp.machine_id = $1
-       ORDER BY p.product_name`,
-      [machineId]
-    );
+    const group = await createGroup(req.vendor.id, value);
+
+    res.status(201).json({
+      success: true,
+      message: 'Machine group created successfully',
+      data: { group },
+    });
+  } catch (error) {
+    console.error('Error creating machine group:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error creating machine group',
+    });
+  }
+});
+
+/**
+ * GET /api/vendor/machine-groups/:id
+ * Get a machine group with its machines
+ */
+router.get('/machine-groups/:id', requirePermission('machines:read'), async (req, res) => {
+  try {
+    const group = await getGroup(req.params.id, req.vendor.id);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Machine group not found',
+      });
+    }
 
     res.json({
       success: true,
-      data: {
-        inventory: result.rows,
-        count: result.rows.length,
-      },
+      data: { group },
     });
   } catch (error) {
-    console.error('Error fetching inventory:', error);
+    console.error('Error fetching machine group:', error);
     res.status(500).json({
       success: false,
-      message: 'Error fetching machine inventory',
+      message: 'Error fetching machine group',
     });
   }
 });
 
 /**
- * POST /api/vendor/machines/:machineId/inventory
- * Add a product to a machine's inventory
+ * PUT /api/vendor/machine-groups/:id
+ * Rename a group or replace its machines
  */
-router.post('/machines/:machineId/inventory', async (req, res) => {
+router.put('/machine-groups/:id', requirePermission('machines:write'), async (req, res) => {
   try {
-    const { machineId } = req.params;
     const schema = Joi.object({
-      productId: Joi.number().integer().required(),
-      stockQuantity: Joi.number().integer().min(0).required(),
-    });
+      name: Joi.string().min(1).max(100).optional(),
+      description: Joi.string().max(1000).optional().allow(null, ''),
+      machineIds: Joi.array().items(Joi.number().integer()).optional(),
+    }).min(1);
 
     const { error, value } = schema.validate(req.body);
     if (error) {
@@ -642,70 +1225,3681 @@ router.post('/machines/:machineId/inventory', async (req, res) => {
       });
     }
 
-    // Verify machine belongs to vendor
-    const machineCheck = await query(
-      'SELECT id FROM vending_machines WHERE id = $1 AND vendor_id = $2',
-      [machineId, req.user.id]
-    );
+    const group = await updateGroup(req.params.id, req.vendor.id, value);
 
-    if (machineCheck.rows.length === 0) {
+    if (!group) {
       return res.status(404).json({
         success: false,
-        message: 'Vending machine not found',
+        message: 'Machine group not found',
       });
     }
 
-    // Verify product belongs to vendor
-    const productCheck = await query(
-      'SELECT id FROM products WHERE id = $1 AND vendor_id = $2',
-      [value.productId, req.user.id]
-    );
+    res.json({
+      success: true,
+      message: 'Machine group updated successfully',
+      data: { group },
+    });
+  } catch (error) {
+    console.error('Error updating machine group:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error updating machine group',
+    });
+  }
+});
 
-    if (productCheck.rows.length === 0) {
+/**
+ * DELETE /api/vendor/machine-groups/:id
+ * Delete a machine group (its machines are kept)
+ */
+router.delete('/machine-groups/:id', requirePermission('machines:write'), async (req, res) => {
+  try {
+    const deleted = await deleteGroup(req.params.id, req.vendor.id);
+
+    if (!deleted) {
       return res.status(404).json({
         success: false,
-        message: 'Product not found',
+        message: 'Machine group not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Machine group deleted successfully',
+    });
+  } catch (error) {
+    console.error('Error deleting machine group:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
       });
     }
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting machine group',
+    });
+  }
+});
 
-    const { productId, stockQuantity } = value;
+// ========================================
+// PRODUCTS ROUTES
+// ========================================
 
+/**
+ * GET /api/vendor/products
+ * Get all products for the vendor
+ */
+router.get('/products', requirePermission('inventory:read'), async (req, res) => {
+  try {
     const result = await query(
-      `INSERT INTO machine_products (machine_id, product_id, current_stock)
-       VALUES ($1, $2, $3)
-       RETURNING *`,
-      [machineId, productId, stockQuantity]
+      `SELECT id, product_name, description, price, image_url,
+              is_active, created_at, updated_at
+       FROM products
+       WHERE vendor_id = $1
+       ORDER BY product_name`,
+      [req.vendor.id]
     );
 
+    res.json({
+      success: true,
+      data: {
+        products: result.rows,
+        count: result.rows.length,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching products:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching products',
+    });
+  }
+});
+
+/**
+ * GET /api/vendor/products/:id
+ * Get a specific product
+ */
+router.get('/products/:id', requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await query(
+      `SELECT id, product_name, description, price, image_url,
+              is_active, created_at, updated_at
+       FROM products
+       WHERE id = $1 AND vendor_id = $2`,
+      [id, req.vendor.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { product: result.rows[0] },
+    });
+  } catch (error) {
+    console.error('Error fetching product:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching product',
+    });
+  }
+});
+
+/**
+ * POST /api/vendor/products
+ * Create a new product
+ */
+router.post('/products', requirePermission('catalog:write'), async (req, res) => {
+  try {
+    const schema = Joi.object({
+      productName: Joi.string().min(2).max(255).required(),
+      description: Joi.string().max(1000).optional(),
+      price: Joi.number().min(0).precision(2).required(),
+      imageUrl: Joi.string().uri().optional(),
+      category: Joi.string().max(100).optional(),
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const { productName, description, price, imageUrl, category } = value;
+
+    const result = await query(
+      `INSERT INTO products
+       (vendor_id, product_name, description, price, image_url, is_active)
+       VALUES ($1, $2, $3, $4, $5, true)
+       RETURNING id, product_name, description, price, image_url, is_active, created_at, updated_at`,
+      [req.vendor.id, productName, description || null, price, imageUrl || null]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Product created successfully',
+      data: { product: result.rows[0] },
+    });
+  } catch (error) {
+    console.error('Error creating product:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating product',
+    });
+  }
+});
+
+/**
+ * PUT /api/vendor/products/:id
+ * Update a product
+ */
+router.put('/products/:id', requirePermission('catalog:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const schema = Joi.object({
+      productName: Joi.string().min(2).max(255).optional(),
+      description: Joi.string().max(1000).allow('').optional(),
+      price: Joi.number().min(0).precision(2).optional(),
+      imageUrl: Joi.string().uri().allow('').optional(),
+      category: Joi.string().max(100).allow('').optional(),
+      isActive: Joi.boolean().optional(),
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    // Check product exists and belongs to vendor
+    const checkResult = await query(
+      'SELECT id FROM products WHERE id = $1 AND vendor_id = $2',
+      [id, req.vendor.id]
+    );
+
+    if (checkResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found',
+      });
+    }
+
+    // Build update query dynamically
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
+
+    if (value.productName !== undefined) {
+      updates.push(`product_name = $${paramCount++}`);
+      values.push(value.productName);
+    }
+    if (value.description !== undefined) {
+      updates.push(`description = $${paramCount++}`);
+      values.push(value.description || null);
+    }
+    if (value.price !== undefined) {
+      updates.push(`price = $${paramCount++}`);
+      values.push(value.price);
+    }
+    if (value.imageUrl !== undefined) {
+      updates.push(`image_url = $${paramCount++}`);
+      values.push(value.imageUrl || null);
+    }
+    if (value.isActive !== undefined) {
+      updates.push(`is_active = $${paramCount++}`);
+      values.push(value.isActive);
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No fields to update',
+      });
+    }
+
+    values.push(id);
+    const updateQuery = `UPDATE products SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`;
+
+    const result = await query(updateQuery, values);
+
+    res.json({
+      success: true,
+      message: 'Product updated successfully',
+      data: { product: result.rows[0] },
+    });
+  } catch (error) {
+    console.error('Error updating product:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating product',
+    });
+  }
+});
+
+/**
+ * DELETE /api/vendor/products/:id
+ * Delete a product
+ */
+router.delete('/products/:id', requirePermission('catalog:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await query(
+      'DELETE FROM products WHERE id = $1 AND vendor_id = $2 RETURNING id',
+      [id, req.vendor.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Product deleted successfully',
+    });
+  } catch (error) {
+    console.error('Error deleting product:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting product',
+    });
+  }
+});
+
+// ========================================
+// MACHINE INVENTORY (MACHINE PRODUCTS) ROUTES
+// ========================================
+
+/**
+ * GET /api/vendor/inventory/low-stock
+ * Slots at or below their min_stock_threshold across all of the vendor's machines
+ * Query: machineId, locationId, groupId
+ */
+router.get('/inventory/low-stock', requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const schema = Joi.object(MACHINE_FILTER_SCHEMA);
+
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const machineIds = await resolveMachineIds(req.vendor.id, value);
+    const items = await getLowStockReport(req.vendor.id, { machineIds });
+
+    res.json({
+      success: true,
+      data: {
+        items,
+        count: items.length,
+        outOfStockCount: items.filter(item => item.current_stock === 0).length,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching low-stock report:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching low-stock report',
+    });
+  }
+});
+
+/**
+ * GET /api/vendor/machines/:machineId/inventory
+ * Get all products for a specific machine
+ */
+router.get('/machines/:machineId/inventory', requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const { machineId } = req.params;
+
+    // Verify machine belongs to vendor
+    const machineCheck = await query(
+      'SELECT id FROM vending_machines WHERE id = $1 AND vendor_id = $2',
+      [machineId, req.vendor.id]
+    );
+
+    if (machineCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vending machine not found',
+      });
+    }
+
+    const result = await query(
+      `SELECT mp.id, mp.machine_id, mp.product_id, mp.slot_code, mp.current_stock,
+              mp.min_stock_threshold, mp.current_stock <= mp.min_stock_threshold as is_low_stock,
+              mp.par_level, mp.capacity, mp.price_override, p.product_name, p.description, p.price, p.image_url
+       FROM machine_products mp
+       JOIN products p ON mp.product_id = p.id
+       WHERE mp.machine_id = $1
+       ORDER BY mp.slot_code NULLS LAST, p.product_name`,
+      [machineId]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        inventory: result.rows,
+        count: result.rows.length,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching inventory:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching machine inventory',
+    });
+  }
+});
+
+/**
+ * POST /api/vendor/machines/:machineId/inventory
+ * Add a product to a machine's inventory
+ */
+router.post('/machines/:machineId/inventory', requirePermission('inventory:write'), async (req, res) => {
+  try {
+    const { machineId } = req.params;
+    const schema = Joi.object({
+      productId: Joi.number().integer().required(),
+      stockQuantity: Joi.number().integer().min(0).required(),
+      slotCode: Joi.string().alphanum().max(10).optional(),
+      minStockThreshold: Joi.number().integer().min(0).optional(),
+      parLevel: Joi.number().integer().min(0).optional(),
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    // Verify machine belongs to vendor
+    const machineCheck = await query(
+      'SELECT id FROM vending_machines WHERE id = $1 AND vendor_id = $2',
+      [machineId, req.vendor.id]
+    );
+
+    if (machineCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vending machine not found',
+      });
+    }
+
+    // Verify product belongs to vendor
+    const productCheck = await query(
+      'SELECT id FROM products WHERE id = $1 AND vendor_id = $2',
+      [value.productId, req.vendor.id]
+    );
+
+    if (productCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found',
+      });
+    }
+
+    const { productId, stockQuantity, slotCode, minStockThreshold, parLevel } = value;
+
+    // Slot starts empty; the initial load is recorded as a restock movement
+    const inventoryItem = await transaction(async (client) => {
+      const insertResult = await client.query(
+        `INSERT INTO machine_products (machine_id, product_id, current_stock, slot_code, min_stock_threshold, par_level)
+         VALUES ($1, $2, 0, $3, COALESCE($4, 5), $5)
+         RETURNING *`,
+        [machineId, productId, slotCode ? slotCode.toUpperCase() : null, minStockThreshold ?? null, parLevel ?? null]
+      );
+      const item = insertResult.rows[0];
+
+      if (stockQuantity > 0) {
+        const movement = await applyMovement(client, {
+          machineProductId: item.id,
+          change: stockQuantity,
+          reason: 'restock',
+          userId: req.user.id,
+          notes: 'Initial load',
+        });
+        item.current_stock = movement.stock_after;
+      } else {
+        await evaluateSlot(client, item.id);
+      }
+
+      return item;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Product added to machine inventory',
+      data: { inventoryItem },
+    });
+  } catch (error) {
+    console.error('Error adding to inventory:', error);
+    if (error.constraint === 'idx_machine_products_slot') {
+      return res.status(409).json({
+        success: false,
+        message: 'Slot code already in use on this machine',
+      });
+    }
+    if (error.message && error.message.includes('unique')) {
+      return res.status(409).json({
+        success: false,
+        message: 'Product already exists in this machine',
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error adding product to inventory',
+    });
+  }
+});
+
+/**
+ * PUT /api/vendor/machines/:machineId/inventory/:id
+ * Update machine inventory item
+ */
+router.put('/machines/:machineId/inventory/:id', requirePermission('inventory:write'), async (req, res) => {
+  try {
+    const { machineId, id } = req.params;
+    const schema = Joi.object({
+      stockQuantity: Joi.number().integer().min(0).optional(),
+      slotCode: Joi.string().alphanum().max(10).allow(null).optional(),
+      minStockThreshold: Joi.number().integer().min(0).optional(),
+      parLevel: Joi.number().integer().min(0).allow(null).optional(),
+      notes: Joi.string().max(500).optional(),
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    // Verify machine belongs to vendor
+    const machineCheck = await query(
+      'SELECT id FROM vending_machines WHERE id = $1 AND vendor_id = $2',
+      [machineId, req.vendor.id]
+    );
+
+    if (machineCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vending machine not found',
+      });
+    }
+
+    if (
+      value.stockQuantity === undefined &&
+      value.slotCode === undefined &&
+      value.minStockThreshold === undefined &&
+      value.parLevel === undefined
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: 'No fields to update',
+      });
+    }
+
+    const inventoryItem = await transaction(async (client) => {
+      const itemResult = await client.query(
+        'SELECT id, current_stock FROM machine_products WHERE id = $1 AND machine_id = $2 FOR UPDATE',
+        [id, machineId]
+      );
+
+      if (itemResult.rows.length === 0) {
+        return null;
+      }
+
+      if (value.slotCode !== undefined) {
+        await client.query(
+          'UPDATE machine_products SET slot_code = $1 WHERE id = $2',
+          [value.slotCode ? value.slotCode.toUpperCase() : null, id]
+        );
+      }
+
+      if (value.minStockThreshold !== undefined) {
+        await client.query(
+          'UPDATE machine_products SET min_stock_threshold = $1 WHERE id = $2',
+          [value.minStockThreshold, id]
+        );
+      }
+
+      if (value.parLevel !== undefined) {
+        await client.query(
+          'UPDATE machine_products SET par_level = $1 WHERE id = $2',
+          [value.parLevel, id]
+        );
+      }
+
+      // Setting an absolute stock level is a physical count; record the difference
+      if (value.stockQuantity !== undefined && value.stockQuantity !== itemResult.rows[0].current_stock) {
+        await applyMovement(client, {
+          machineProductId: parseInt(id),
+          change: value.stockQuantity - itemResult.rows[0].current_stock,
+          reason: 'count_adjustment',
+          userId: req.user.id,
+          notes: value.notes || null,
+        });
+      } else if (value.minStockThreshold !== undefined) {
+        await evaluateSlot(client, parseInt(id));
+      }
+
+      const updatedResult = await client.query('SELECT * FROM machine_products WHERE id = $1', [id]);
+      return updatedResult.rows[0];
+    });
+
+    if (!inventoryItem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Inventory item not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Inventory updated successfully',
+      data: { inventoryItem },
+    });
+  } catch (error) {
+    console.error('Error updating inventory:', error);
+    if (error.constraint === 'idx_machine_products_slot') {
+      return res.status(409).json({
+        success: false,
+        message: 'Slot code already in use on this machine',
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error updating inventory',
+    });
+  }
+});
+
+/**
+ * GET /api/vendor/machines/:machineId/inventory/:id/movements
+ * Get the stock movement history for a slot
+ */
+router.get('/machines/:machineId/inventory/:id/movements', requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const { machineId, id } = req.params;
+    const schema = Joi.object({
+      limit: Joi.number().integer().min(1).max(500).default(100),
+      offset: Joi.number().integer().min(0).default(0),
+    });
+
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const itemCheck = await query(
+      `SELECT mp.id, mp.current_stock, mp.slot_code, p.product_name
+       FROM machine_products mp
+       JOIN vending_machines vm ON mp.machine_id = vm.id
+       JOIN products p ON mp.product_id = p.id
+       WHERE mp.id = $1 AND mp.machine_id = $2 AND vm.vendor_id = $3`,
+      [id, machineId, req.vendor.id]
+    );
+
+    if (itemCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Inventory item not found',
+      });
+    }
+
+    const { movements, ledgerBalance, totalMovements } = await getMovements(id, value);
+
+    res.json({
+      success: true,
+      data: {
+        inventoryItem: itemCheck.rows[0],
+        movements,
+        ledgerBalance,
+        count: movements.length,
+        totalMovements,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching inventory movements:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching inventory movements',
+    });
+  }
+});
+
+/**
+ * POST /api/vendor/machines/:machineId/inventory/:id/movements
+ * Record a restock, spoilage, physical count or transfer for a slot
+ * (sales are recorded through the sales routes)
+ */
+router.post('/machines/:machineId/inventory/:id/movements', requirePermission('inventory:write'), async (req, res) => {
+  try {
+    const { machineId, id } = req.params;
+    const schema = Joi.object({
+      reason: Joi.string().valid('restock', 'spoilage', 'count_adjustment', 'transfer').required(),
+      quantity: Joi.number().integer().min(1).when('reason', {
+        is: Joi.valid('restock', 'spoilage', 'transfer'),
+        then: Joi.required(),
+        otherwise: Joi.forbidden(),
+      }),
+      countedStock: Joi.number().integer().min(0).when('reason', {
+        is: 'count_adjustment',
+        then: Joi.required(),
+        otherwise: Joi.forbidden(),
+      }),
+      toMachineProductId: Joi.number().integer().when('reason', {
+        is: 'transfer',
+        then: Joi.required(),
+        otherwise: Joi.forbidden(),
+      }),
+      notes: Joi.string().max(500).optional(),
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const slotIds = [parseInt(id)];
+    if (value.toMachineProductId) slotIds.push(value.toMachineProductId);
+
+    // Verify every slot involved belongs to one of the vendor's machines
+    const itemCheck = await query(
+      `SELECT mp.id, mp.machine_id, mp.product_id
+       FROM machine_products mp
+       JOIN vending_machines vm ON mp.machine_id = vm.id
+       WHERE mp.id = ANY($1) AND vm.vendor_id = $2`,
+      [slotIds, req.vendor.id]
+    );
+
+    const source = itemCheck.rows.find(row => row.id === parseInt(id));
+    if (!source || source.machine_id !== parseInt(machineId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Inventory item not found',
+      });
+    }
+
+    if (value.toMachineProductId) {
+      const target = itemCheck.rows.find(row => row.id === value.toMachineProductId);
+      if (!target) {
+        return res.status(404).json({
+          success: false,
+          message: 'Transfer target slot not found',
+        });
+      }
+      if (target.product_id !== source.product_id) {
+        return res.status(400).json({
+          success: false,
+          message: 'Stock can only be transferred between slots holding the same product',
+        });
+      }
+    }
+
+    const movements = await recordMovement({
+      ...value,
+      machineProductId: source.id,
+      userId: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Inventory movement recorded',
+      data: {
+        movements,
+        currentStock: movements[0].stock_after,
+      },
+    });
+  } catch (error) {
+    console.error('Error recording inventory movement:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error recording inventory movement',
+    });
+  }
+});
+
+/**
+ * DELETE /api/vendor/machines/:machineId/inventory/:id
+ * Remove a product from machine inventory
+ */
+router.delete('/machines/:machineId/inventory/:id', requirePermission('catalog:write'), async (req, res) => {
+  try {
+    const { machineId, id } = req.params;
+
+    // Verify machine belongs to vendor
+    const machineCheck = await query(
+      'SELECT id FROM vending_machines WHERE id = $1 AND vendor_id = $2',
+      [machineId, req.vendor.id]
+    );
+
+    if (machineCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vending machine not found',
+      });
+    }
+
+    const result = await query(
+      'DELETE FROM machine_products WHERE id = $1 AND machine_id = $2 RETURNING id',
+      [id, machineId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Inventory item not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Product removed from inventory',
+    });
+  } catch (error) {
+    console.error('Error removing from inventory:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing product from inventory',
+    });
+  }
+});
+
+// ========================================
+// RESTOCK ROUTES
+// ========================================
+
+const EXPORT_FORMATS = ['json', 'csv', 'pdf'];
+
+const PICK_LIST_COLUMNS = [
+  { key: 'productName', header: 'Product', width: 250 },
+  { key: 'category', header: 'Category', width: 130 },
+  { key: 'machineCount', header: 'Machines', width: 60, align: 'right' },
+  { key: 'quantity', header: 'Load', width: 90, align: 'right' },
+];
+
+const FILL_SHEET_COLUMNS = [
+  { key: 'slotCode', header: 'Slot', width: 50 },
+  { key: 'productName', header: 'Product', width: 230 },
+  { key: 'currentStock', header: 'On Hand', width: 70, align: 'right' },
+  { key: 'parLevel', header: 'Par', width: 60, align: 'right' },
+  { key: 'fillQuantity', header: 'Fill', width: 60, align: 'right' },
+  { key: 'loaded', header: 'Loaded', width: 60, align: 'right' },
+];
+
+/**
+ * Send a restock document as an attachment in the requested format
+ */
+async function sendRestockExport(res, { format, filename, title, subtitle, sections }) {
+  if (format === 'csv') {
+    const csv = sections
+      .map(section => (sections.length > 1 ? `${section.heading}\r\n` : '') + toCsv(section.columns, section.rows))
+      .join('\r\n');
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    return res.send(csv);
+  }
+
+  const pdf = await renderTablePdf({ title, subtitle, sections });
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+  return res.send(pdf);
+}
+
+/**
+ * GET /api/vendor/restock/pick-list
+ * Consolidated product quantities to load for a warehouse run
+ * Query: machineIds=1,2,3 (defaults to all active machines), locationId, groupId, onlyLowStock, format=json|csv|pdf
+ */
+router.get('/restock/pick-list', requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const schema = Joi.object({
+      machineIds: Joi.string().pattern(/^\d+(,\d+)*$/).optional()
+        .messages({ 'string.pattern.base': '"machineIds" must be a comma-separated list of machine IDs' }),
+      locationId: Joi.number().integer().optional(),
+      groupId: Joi.number().integer().optional(),
+      onlyLowStock: Joi.boolean().default(false),
+      format: Joi.string().valid(...EXPORT_FORMATS).default('json'),
+    });
+
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    let machineIds = value.machineIds ? value.machineIds.split(',').map(Number) : null;
+    const siteMachineIds = await resolveMachineIds(req.vendor.id, { locationId: value.locationId, groupId: value.groupId });
+    if (siteMachineIds) {
+      machineIds = machineIds ? machineIds.filter(id => siteMachineIds.includes(id)) : siteMachineIds;
+    }
+    const machines = await getFillSheets(req.vendor.id, machineIds, { onlyLowStock: value.onlyLowStock });
+    const items = buildPickList(machines);
+    const totalUnits = items.reduce((sum, item) => sum + item.quantity, 0);
+    const generatedAt = new Date();
+
+    if (value.format !== 'json') {
+      const date = generatedAt.toISOString().slice(0, 10);
+      return sendRestockExport(res, {
+        format: value.format,
+        filename: `pick-list-${date}`,
+        title: 'Restock Pick List',
+        subtitle: `${date} · ${machines.length} machine(s) · ${totalUnits} unit(s)`,
+        sections: [
+          { heading: 'Products', columns: PICK_LIST_COLUMNS, rows: items },
+          {
+            heading: 'Machines',
+            columns: [
+              { key: 'machineName', header: 'Machine', width: 200 },
+              { key: 'location', header: 'Location', width: 250 },
+              { key: 'totalUnits', header: 'Units', width: 80, align: 'right' },
+            ],
+            rows: machines,
+          },
+        ],
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        items,
+        totalUnits,
+        machines: machines.map(({ slots, ...machine }) => machine),
+        generatedAt,
+      },
+    });
+  } catch (error) {
+    console.error('Error generating pick list:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error generating pick list',
+    });
+  }
+});
+
+/**
+ * GET /api/vendor/machines/:machineId/fill-sheet
+ * Per-slot fill quantities for one machine, ordered by slot code
+ * Query: onlyLowStock, format=json|csv|pdf
+ */
+router.get('/machines/:machineId/fill-sheet', requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const schema = Joi.object({
+      onlyLowStock: Joi.boolean().default(false),
+      format: Joi.string().valid(...EXPORT_FORMATS).default('json'),
+    });
+
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const machineId = parseInt(req.params.machineId);
+    if (isNaN(machineId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vending machine not found',
+      });
+    }
+
+    const [sheet] = await getFillSheets(req.vendor.id, [machineId], { onlyLowStock: value.onlyLowStock });
+
+    if (value.format !== 'json') {
+      const date = new Date().toISOString().slice(0, 10);
+      return sendRestockExport(res, {
+        format: value.format,
+        filename: `fill-sheet-machine-${machineId}-${date}`,
+        title: `Fill Sheet: ${sheet.machineName}`,
+        subtitle: [sheet.location, date, `${sheet.totalUnits} unit(s)`].filter(Boolean).join(' · '),
+        sections: [{ heading: null, columns: FILL_SHEET_COLUMNS, rows: sheet.slots }],
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { fillSheet: sheet },
+    });
+  } catch (error) {
+    console.error('Error generating fill sheet:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error generating fill sheet',
+    });
+  }
+});
+
+// ========================================
+// PLANOGRAM ROUTES
+// ========================================
+
+/**
+ * GET /api/vendor/machines/:machineId/planogram
+ * Get the machine's tray/slot layout (current version, or ?version=n)
+ */
+router.get('/machines/:machineId/planogram', requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const { machineId } = req.params;
+    const schema = Joi.object({
+      version: Joi.number().integer().min(1).optional(),
+    });
+
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    // Verify machine belongs to vendor
+    const machineCheck = await query(
+      'SELECT id FROM vending_machines WHERE id = $1 AND vendor_id = $2',
+      [machineId, req.vendor.id]
+    );
+
+    if (machineCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vending machine not found',
+      });
+    }
+
+    const planogram = await getPlanogram(machineId, value.version ?? null);
+
+    if (!planogram) {
+      return res.status(404).json({
+        success: false,
+        message: value.version ? 'Planogram version not found' : 'No planogram saved for this machine',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { planogram },
+    });
+  } catch (error) {
+    console.error('Error fetching planogram:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching planogram',
+    });
+  }
+});
+
+/**
+ * GET /api/vendor/machines/:machineId/planogram/versions
+ * List saved planogram versions for a machine
+ */
+router.get('/machines/:machineId/planogram/versions', requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const { machineId } = req.params;
+
+    // Verify machine belongs to vendor
+    const machineCheck = await query(
+      'SELECT id FROM vending_machines WHERE id = $1 AND vendor_id = $2',
+      [machineId, req.vendor.id]
+    );
+
+    if (machineCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vending machine not found',
+      });
+    }
+
+    const versions = await listVersions(machineId);
+
+    res.json({
+      success: true,
+      data: {
+        versions,
+        count: versions.length,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching planogram versions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching planogram versions',
+    });
+  }
+});
+
+/**
+ * GET /api/vendor/machines/:machineId/planogram/diff
+ * Compare two planogram versions slot by slot (defaults: previous version -> current)
+ */
+router.get('/machines/:machineId/planogram/diff', requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const { machineId } = req.params;
+    const schema = Joi.object({
+      from: Joi.number().integer().min(1).optional(),
+      to: Joi.number().integer().min(1).optional(),
+    });
+
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    // Verify machine belongs to vendor
+    const machineCheck = await query(
+      'SELECT id FROM vending_machines WHERE id = $1 AND vendor_id = $2',
+      [machineId, req.vendor.id]
+    );
+
+    if (machineCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vending machine not found',
+      });
+    }
+
+    const to = await getPlanogram(machineId, value.to ?? null);
+    const fromVersion = value.from ?? (to ? to.version - 1 : null);
+    const from = fromVersion ? await getPlanogram(machineId, fromVersion) : null;
+
+    if (!to || !from) {
+      return res.status(404).json({
+        success: false,
+        message: 'Planogram version not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        fromVersion: from.version,
+        toVersion: to.version,
+        diff: diffPlanograms(from, to),
+      },
+    });
+  } catch (error) {
+    console.error('Error diffing planograms:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error comparing planogram versions',
+    });
+  }
+});
+
+/**
+ * PUT /api/vendor/machines/:machineId/planogram
+ * Save a new planogram version and apply its slots to the machine's inventory
+ */
+router.put('/machines/:machineId/planogram', requirePermission('catalog:write'), async (req, res) => {
+  try {
+    const { machineId } = req.params;
+    const schema = Joi.object({
+      notes: Joi.string().max(500).optional(),
+      trays: Joi.array().items(Joi.object({
+        trayCode: Joi.string().alphanum().max(5).required(),
+        slots: Joi.array().items(Joi.object({
+          slotCode: Joi.string().alphanum().max(10).required(),
+          capacity: Joi.number().integer().min(1).required(),
+          productId: Joi.number().integer().allow(null).optional(),
+          priceOverride: Joi.number().min(0).precision(2).allow(null).optional(),
+        })).min(1).required(),
+      })).min(1).required(),
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const { planogram, sync } = await savePlanogram({
+      machineId: parseInt(machineId),
+      vendorId: req.vendor.id,
+      userId: req.user.id,
+      trays: value.trays,
+      notes: value.notes,
+    });
+
+    res.json({
+      success: true,
+      message: `Planogram version ${planogram.version} saved`,
+      data: { planogram, sync },
+    });
+  } catch (error) {
+    console.error('Error saving planogram:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error saving planogram',
+    });
+  }
+});
+
+/**
+ * POST /api/vendor/machines/:machineId/planogram/clone
+ * Copy this machine's planogram onto another of the vendor's machines
+ */
+router.post('/machines/:machineId/planogram/clone', requirePermission('catalog:write'), async (req, res) => {
+  try {
+    const { machineId } = req.params;
+    const schema = Joi.object({
+      targetMachineId: Joi.number().integer().required(),
+      version: Joi.number().integer().min(1).optional(),
+      notes: Joi.string().max(500).optional(),
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    // Verify source machine belongs to vendor (the target is checked when saving)
+    const machineCheck = await query(
+      'SELECT id FROM vending_machines WHERE id = $1 AND vendor_id = $2',
+      [machineId, req.vendor.id]
+    );
+
+    if (machineCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vending machine not found',
+      });
+    }
+
+    const { planogram, sync } = await clonePlanogram({
+      sourceMachineId: parseInt(machineId),
+      targetMachineId: value.targetMachineId,
+      vendorId: req.vendor.id,
+      userId: req.user.id,
+      version: value.version,
+      notes: value.notes,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Planogram cloned to machine ${value.targetMachineId} as version ${planogram.version}`,
+      data: { planogram, sync },
+    });
+  } catch (error) {
+    console.error('Error cloning planogram:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error cloning planogram',
+    });
+  }
+});
+
+// ========================================
+// SALES ROUTES
+// ========================================
+
+/**
+ * GET /api/vendor/sales
+ * List vend events across the vendor's machines
+ * Query: machineId, locationId, groupId plus the per-machine sales filters
+ */
+router.get('/sales', requirePermission('sales:read'), async (req, res) => {
+  try {
+    const schema = Joi.object({
+      ...MACHINE_FILTER_SCHEMA,
+      from: Joi.date().optional(),
+      to: Joi.date().optional(),
+      productId: Joi.number().integer().optional(),
+      paymentType: Joi.string().valid(...PAYMENT_TYPES).optional(),
+      discountCodeId: Joi.number().integer().optional(),
+      source: Joi.string().max(20).optional(),
+      limit: Joi.number().integer().min(1).max(500).default(100),
+      offset: Joi.number().integer().min(0).default(0),
+    });
+
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const { machineId, locationId, groupId, ...filters } = value;
+    let machineIds = await resolveMachineIds(req.vendor.id, { machineId, locationId, groupId });
+    if (!machineIds) {
+      const machinesResult = await query(
+        'SELECT id FROM vending_machines WHERE vendor_id = $1',
+        [req.vendor.id]
+      );
+      machineIds = machinesResult.rows.map(row => row.id);
+    }
+
+    const { sales, summary } = await listSales(machineIds, filters);
+
+    res.json({
+      success: true,
+      data: {
+        sales,
+        summary,
+        count: sales.length,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching sales:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sales',
+    });
+  }
+});
+
+/**
+ * GET /api/vendor/machines/:machineId/sales
+ * List vend events for a machine (filterable by date range, product, payment type)
+ */
+router.get('/machines/:machineId/sales', requirePermission('sales:read'), async (req, res) => {
+  try {
+    const { machineId } = req.params;
+    const schema = Joi.object({
+      from: Joi.date().optional(),
+      to: Joi.date().optional(),
+      productId: Joi.number().integer().optional(),
+      paymentType: Joi.string().valid(...PAYMENT_TYPES).optional(),
+      discountCodeId: Joi.number().integer().optional(),
+      source: Joi.string().max(20).optional(),
+      limit: Joi.number().integer().min(1).max(500).default(100),
+      offset: Joi.number().integer().min(0).default(0),
+    });
+
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    // Verify machine belongs to vendor
+    const machineCheck = await query(
+      'SELECT id FROM vending_machines WHERE id = $1 AND vendor_id = $2',
+      [machineId, req.vendor.id]
+    );
+
+    if (machineCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vending machine not found',
+      });
+    }
+
+    const { sales, summary } = await listSales([machineId], value);
+
+    res.json({
+      success: true,
+      data: {
+        sales,
+        summary,
+        count: sales.length,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching sales:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sales',
+    });
+  }
+});
+
+/**
+ * POST /api/vendor/machines/:machineId/sales
+ * Record a vend event (decrements slot stock)
+ */
+router.post('/machines/:machineId/sales', requirePermission('sales:write'), async (req, res) => {
+  try {
+    const { machineId } = req.params;
+    const schema = Joi.object({
+      machineProductId: Joi.number().integer().optional(),
+      productId: Joi.number().integer().optional(),
+      slotCode: Joi.string().max(10).optional(),
+      quantity: Joi.number().integer().min(1).default(1),
+      pricePaid: Joi.number().min(0).precision(2).optional(),
+      paymentType: Joi.string().valid(...PAYMENT_TYPES).required(),
+      discountCode: Joi.string().min(3).max(50).optional(),
+      soldAt: Joi.date().optional(),
+    }).or('machineProductId', 'productId');
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    // Verify machine belongs to vendor
+    const machineCheck = await query(
+      'SELECT id FROM vending_machines WHERE id = $1 AND vendor_id = $2',
+      [machineId, req.vendor.id]
+    );
+
+    if (machineCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vending machine not found',
+      });
+    }
+
+    const { sale, currentStock } = await recordSale({
+      ...value,
+      machineId: parseInt(machineId),
+      source: 'manual',
+      recordedBy: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Sale recorded successfully',
+      data: { sale, currentStock },
+    });
+  } catch (error) {
+    console.error('Error recording sale:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error recording sale',
+    });
+  }
+});
+
+/**
+ * GET /api/vendor/machines/:machineId/sales/:saleId
+ * Get a single vend event
+ */
+router.get('/machines/:machineId/sales/:saleId', requirePermission('sales:read'), async (req, res) => {
+  try {
+    const { machineId, saleId } = req.params;
+
+    const result = await query(
+      `SELECT s.*, p.product_name, dc.code as discount_code
+       FROM sales s
+       JOIN vending_machines vm ON s.machine_id = vm.id
+       LEFT JOIN products p ON s.product_id = p.id
+       LEFT JOIN discount_codes dc ON s.discount_code_id = dc.id
+       WHERE s.id = $1 AND s.machine_id = $2 AND vm.vendor_id = $3`,
+      [saleId, machineId, req.vendor.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sale not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { sale: result.rows[0] },
+    });
+  } catch (error) {
+    console.error('Error fetching sale:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sale',
+    });
+  }
+});
+
+// ========================================
+// DEX AUDIT ROUTES
+// ========================================
+
+/**
+ * POST /api/vendor/machines/:machineId/dex
+ * Upload a DEX/EVA-DTS audit file, reconcile it against sales and stock,
+ * and return a variance report (send dryRun=true to preview without saving)
+ */
+router.post('/machines/:machineId/dex', requirePermission('sales:write'), dexUpload.single('dexFile'), async (req, res) => {
+  try {
+    const { machineId } = req.params;
+    const schema = Joi.object({
+      dex: Joi.string().max(1024 * 1024).optional(),
+      dryRun: Joi.boolean().default(false),
+    });
+
+    const { error, value } = schema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const text = req.file ? req.file.buffer.toString('utf8') : value.dex;
+
+    if (!text) {
+      return res.status(400).json({
+        success: false,
+        message: 'DEX file required (dexFile upload or dex field)',
+      });
+    }
+
+    // Verify machine belongs to vendor
+    const machineCheck = await query(
+      'SELECT id FROM vending_machines WHERE id = $1 AND vendor_id = $2',
+      [machineId, req.vendor.id]
+    );
+
+    if (machineCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vending machine not found',
+      });
+    }
+
+    const report = await importDex({
+      machineId: parseInt(machineId),
+      userId: req.user.id,
+      text,
+      apply: !value.dryRun,
+    });
+
+    res.status(report.applied ? 201 : 200).json({
+      success: true,
+      message: report.baseline
+        ? 'DEX baseline recorded; variances are reported from the next audit'
+        : report.applied ? 'DEX audit reconciled' : 'DEX audit preview',
+      data: { report },
+    });
+  } catch (error) {
+    console.error('Error importing DEX file:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error importing DEX file',
+    });
+  }
+});
+
+/**
+ * GET /api/vendor/machines/:machineId/dex
+ * List DEX audit imports for a machine
+ */
+router.get('/machines/:machineId/dex', requirePermission('sales:read'), async (req, res) => {
+  try {
+    const { machineId } = req.params;
+
+    // Verify machine belongs to vendor
+    const machineCheck = await query(
+      'SELECT id FROM vending_machines WHERE id = $1 AND vendor_id = $2',
+      [machineId, req.vendor.id]
+    );
+
+    if (machineCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vending machine not found',
+      });
+    }
+
+    const result = await query(
+      `SELECT di.id, di.machine_serial, di.vend_value_cents, di.vend_count, di.is_baseline,
+              di.created_at, u.email as uploaded_by_email,
+              COALESCE(SUM(dic.dex_vends), 0) as dex_vends,
+              COALESCE(SUM(dic.reconciled_vends), 0) as reconciled_vends
+       FROM dex_imports di
+       LEFT JOIN users u ON di.uploaded_by = u.id
+       LEFT JOIN dex_import_columns dic ON dic.dex_import_id = di.id
+       WHERE di.machine_id = $1
+       GROUP BY di.id, u.email
+       ORDER BY di.created_at DESC`,
+      [machineId]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        imports: result.rows,
+        count: result.rows.length,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching DEX imports:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching DEX imports',
+    });
+  }
+});
+
+// ========================================
+// NOTIFICATIONS ROUTES
+// ========================================
+
+/**
+ * GET /api/vendor/notifications
+ * Get the vendor's notifications (low-stock alerts, etc.)
+ */
+router.get('/notifications', async (req, res) => {
+  try {
+    const schema = Joi.object({
+      unreadOnly: Joi.boolean().default(false),
+      type: Joi.string().max(50).optional(),
+      limit: Joi.number().integer().min(1).max(200).default(50),
+      offset: Joi.number().integer().min(0).default(0),
+    });
+
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const notifications = await Notification.findForUser(req.vendor.id, value);
+    const unreadCount = await Notification.countUnread(req.vendor.id);
+
+    res.json({
+      success: true,
+      data: {
+        notifications,
+        count: notifications.length,
+        unreadCount,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching notifications',
+    });
+  }
+});
+
+/**
+ * PUT /api/vendor/notifications/read-all
+ * Mark all notifications as read
+ */
+router.put('/notifications/read-all', async (req, res) => {
+  try {
+    const updated = await Notification.markAllRead(req.vendor.id);
+
+    res.json({
+      success: true,
+      message: 'Notifications marked as read',
+      data: { updated },
+    });
+  } catch (error) {
+    console.error('Error marking notifications read:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating notifications',
+    });
+  }
+});
+
+/**
+ * PUT /api/vendor/notifications/:id/read
+ * Mark a notification as read
+ */
+router.put('/notifications/:id/read', async (req, res) => {
+  try {
+    const notification = await Notification.markRead(req.params.id, req.vendor.id);
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { notification },
+    });
+  } catch (error) {
+    console.error('Error marking notification read:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating notification',
+    });
+  }
+});
+
+// ========================================
+// DISCOUNT CODES ROUTES
+// ========================================
+
+// Terms shared by every way of creating a hand-made code
+// percentage and fixed take discountValue off the items in scope (a product, a category or the
+// whole machine); bogo gives discountValue percent off (default 100 = free) each getQuantity
+// items per buyQuantity bought. minPurchaseAmount is checked against the whole basket.
+const DISCOUNT_TERMS_SCHEMA = {
+  productId: Joi.number().integer().optional().allow(null),
+  category: Joi.string().max(100).optional().allow(null),
+  code: Joi.string().min(3).max(50).required(),
+  discountType: Joi.string().valid(...DISCOUNT_TYPES).default('percentage'),
+  discountValue: Joi.number().positive()
+    .when('discountType', { is: 'fixed', otherwise: Joi.number().max(100) }),
+  // Older clients only send percentOff
+  percentOff: Joi.number().min(0).max(100)
+    .when('discountType', { is: 'percentage', otherwise: Joi.forbidden() }),
+  minPurchaseAmount: Joi.number().positive().optional().allow(null),
+  buyQuantity: Joi.number().integer().min(1)
+    .when('discountType', { is: 'bogo', then: Joi.required(), otherwise: Joi.forbidden() }),
+  getQuantity: Joi.number().integer().min(1)
+    .when('discountType', { is: 'bogo', then: Joi.required(), otherwise: Joi.forbidden() }),
+  startsAt: Joi.date().optional(),
+  endsAt: Joi.date().optional(),
+  maxUses: Joi.number().integer().min(1).optional().allow(null),
+  redemptionPoints: Joi.number().integer().min(0).optional().allow(null),
+  autoApproveMaxPoints: Joi.number().integer().min(0).optional().allow(null),
+};
+
+// Where a code can be used: one machine, a list, a machine group or every machine the vendor owns
+const MACHINE_SCOPE_SCHEMA = {
+  machineScope: Joi.string().valid(...MACHINE_SCOPES).required(),
+  machineId: Joi.number().integer()
+    .when('machineScope', { is: 'machine', then: Joi.required(), otherwise: Joi.forbidden() }),
+  machineIds: Joi.array().items(Joi.number().integer()).min(1)
+    .when('machineScope', { is: 'machines', then: Joi.required(), otherwise: Joi.forbidden() }),
+  machineGroupId: Joi.number().integer()
+    .when('machineScope', { is: 'group', then: Joi.required(), otherwise: Joi.forbidden() }),
+};
+
+/**
+ * The value a validated code body asks for (percentOff from older clients, 100 for bogo by default)
+ * @returns {number|null} - Discount value, or null if none was given
+ */
+function resolveDiscountValue(value) {
+  return value.discountValue ?? value.percentOff ?? (value.discountType === 'bogo' ? 100 : null);
+}
+
+/**
+ * GET /api/vendor/discounts
+ * List the vendor's discount codes wherever they apply
+ * Query: machineId, locationId, groupId (codes valid at any matching machine), machineScope, limit, offset
+ */
+router.get('/discounts', requirePermission('marketing:read'), async (req, res) => {
+  try {
+    const schema = Joi.object({
+      ...MACHINE_FILTER_SCHEMA,
+      machineScope: Joi.string().valid(...MACHINE_SCOPES).optional(),
+      limit: Joi.number().integer().min(1).max(200).default(50),
+      offset: Joi.number().integer().min(0).default(0),
+    });
+
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const machineIds = await resolveMachineIds(req.vendor.id, value);
+    const { rows, total } = await listVendorDiscounts(req.vendor.id, { ...value, machineIds });
+
+    res.json({
+      success: true,
+      data: {
+        discounts: rows,
+        count: rows.length,
+        total,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching discounts:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching discount codes',
+    });
+  }
+});
+
+/**
+ * POST /api/vendor/discounts
+ * Create a discount code for one machine, several machines, a machine group or all machines
+ */
+router.post('/discounts', requirePermission('marketing:write'), async (req, res) => {
+  try {
+    const schema = Joi.object({ ...DISCOUNT_TERMS_SCHEMA, ...MACHINE_SCOPE_SCHEMA })
+      .oxor('productId', 'category')
+      .oxor('discountValue', 'percentOff');
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const discountValue = resolveDiscountValue(value);
+    if (discountValue === null) {
+      return res.status(400).json({
+        success: false,
+        message: '"discountValue" is required',
+      });
+    }
+
+    const discount = await createDiscount(req.vendor.id, { ...value, discountValue });
+
+    res.status(201).json({
+      success: true,
+      message: 'Discount code created successfully',
+      data: { discount },
+    });
+  } catch (error) {
+    console.error('Error creating discount:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error creating discount code',
+    });
+  }
+});
+
+/**
+ * GET /api/vendor/discounts/:discountId
+ * Get a discount code with the machines it is valid at
+ */
+router.get('/discounts/:discountId', requirePermission('marketing:read'), async (req, res) => {
+  try {
+    const discount = await getDiscount(req.params.discountId, req.vendor.id);
+
+    if (!discount) {
+      return res.status(404).json({
+        success: false,
+        message: 'Discount code not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { discount },
+    });
+  } catch (error) {
+    console.error('Error fetching discount:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching discount code',
+    });
+  }
+});
+
+/**
+ * PUT /api/vendor/discounts/:discountId/machines
+ * Change where a discount code can be used
+ */
+router.put('/discounts/:discountId/machines', requirePermission('marketing:write'), async (req, res) => {
+  try {
+    const schema = Joi.object(MACHINE_SCOPE_SCHEMA);
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const discount = await updateDiscountMachines(req.params.discountId, req.vendor.id, value);
+
+    if (!discount) {
+      return res.status(404).json({
+        success: false,
+        message: 'Discount code not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Discount code machines updated',
+      data: { discount },
+    });
+  } catch (error) {
+    console.error('Error updating discount machines:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error updating discount code',
+    });
+  }
+});
+
+/**
+ * DELETE /api/vendor/discounts/:discountId
+ * Delete a discount code
+ */
+router.delete('/discounts/:discountId', requirePermission('marketing:write'), async (req, res) => {
+  try {
+    const deleted = await deleteDiscount(req.params.discountId, req.vendor.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Discount code not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Discount code deleted successfully',
+    });
+  } catch (error) {
+    console.error('Error deleting discount:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting discount code',
+    });
+  }
+});
+
+/**
+ * GET /api/vendor/machines/:machineId/discounts
+ * Get all discount codes valid at a specific machine (including multi-machine, group and vendor-wide codes)
+ */
+router.get('/machines/:machineId/discounts', requirePermission('marketing:read'), async (req, res) => {
+  try {
+    const { machineId } = req.params;
+
+    // Verify machine belongs to vendor
+    const machineCheck = await query(
+      'SELECT id FROM vending_machines WHERE id = $1 AND vendor_id = $2',
+      [machineId, req.vendor.id]
+    );
+
+    if (machineCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vending machine not found',
+      });
+    }
+
+    const { rows } = await listVendorDiscounts(req.vendor.id, { machineIds: [machineId], limit: null });
+
+    res.json({
+      success: true,
+      data: {
+        discounts: rows,
+        count: rows.length,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching discounts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching discount codes',
+    });
+  }
+});
+
+/**
+ * POST /api/vendor/machines/:machineId/discounts
+ * Create a new discount code for a machine
+ */
+router.post('/machines/:machineId/discounts', requirePermission('marketing:write'), async (req, res) => {
+  try {
+    const machineId = parseInt(req.params.machineId);
+    const schema = Joi.object(DISCOUNT_TERMS_SCHEMA)
+      .oxor('productId', 'category')
+      .oxor('discountValue', 'percentOff');
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const discountValue = resolveDiscountValue(value);
+    if (discountValue === null) {
+      return res.status(400).json({
+        success: false,
+        message: '"discountValue" is required',
+      });
+    }
+
+    const discount = await createDiscount(req.vendor.id, {
+      ...value,
+      discountValue,
+      machineScope: 'machine',
+      machineId,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Discount code created successfully',
+      data: { discount },
+    });
+  } catch (error) {
+    console.error('Error creating discount:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error creating discount code',
+    });
+  }
+});
+
+/**
+ * DELETE /api/vendor/machines/:machineId/discounts/:discountId
+ * Delete a discount code
+ */
+router.delete('/machines/:machineId/discounts/:discountId', requirePermission('marketing:write'), async (req, res) => {
+  try {
+    const { machineId, discountId } = req.params;
+
+    // Verify machine belongs to vendor
+    const machineCheck = await query(
+      'SELECT id FROM vending_machines WHERE id = $1 AND vendor_id = $2',
+      [machineId, req.vendor.id]
+    );
+
+    if (machineCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vending machine not found',
+      });
+    }
+
+    const result = await query(
+      'DELETE FROM discount_codes WHERE id = $1 AND machine_id = $2 AND vendor_id = $3 RETURNING id',
+      [discountId, machineId, req.vendor.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Discount code not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Discount code deleted successfully',
+    });
+  } catch (error) {
+    console.error('Error deleting discount:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting discount code',
+    });
+  }
+});
+
+/**
+ * PUT /api/vendor/machines/:machineId/discounts/:discountId/redemption-rule
+ * Set a code's redemption points and auto-approve threshold (null = use vendor settings)
+ */
+router.put('/machines/:machineId/discounts/:discountId/redemption-rule', requirePermission('marketing:write'), async (req, res) => {
+  try {
+    const { machineId, discountId } = req.params;
+    const schema = Joi.object({
+      redemptionPoints: Joi.number().integer().min(0).allow(null).optional(),
+      autoApproveMaxPoints: Joi.number().integer().min(0).allow(null).optional(),
+    }).min(1);
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
+
+    if (value.redemptionPoints !== undefined) {
+      updates.push(`redemption_points = $${paramCount++}`);
+      values.push(value.redemptionPoints);
+    }
+    if (value.autoApproveMaxPoints !== undefined) {
+      updates.push(`auto_approve_max_points = $${paramCount++}`);
+      values.push(value.autoApproveMaxPoints);
+    }
+
+    values.push(discountId, machineId, req.vendor.id);
+    const result = await query(
+      `UPDATE discount_codes dc
+       SET ${updates.join(', ')}
+       WHERE dc.id = $${paramCount} AND dc.vendor_id = $${paramCount + 2}
+         AND EXISTS (SELECT 1 FROM vending_machines vm
+                     WHERE vm.id = $${paramCount + 1} AND ${VALID_AT_MACHINE_SQL})
+       RETURNING dc.id, dc.code, dc.redemption_points, dc.auto_approve_max_points`,
+      values
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Discount code not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Redemption rule updated',
+      data: { discount: result.rows[0] },
+    });
+  } catch (error) {
+    console.error('Error updating redemption rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating redemption rule',
+    });
+  }
+});
+
+// ========================================
+// DISCOUNT CAMPAIGN ROUTES
+// ========================================
+
+const CAMPAIGN_CODE_COLUMNS = [
+  { key: 'code', header: 'Code' },
+  { key: 'status', header: 'Status' },
+  { key: 'redeemed_at', header: 'Redeemed At' },
+  { key: 'valid_until', header: 'Valid Until' },
+];
+
+/**
+ * GET /api/vendor/discount-campaigns
+ * List the vendor's code campaigns with code and redemption counts
+ */
+router.get('/discount-campaigns', requirePermission('marketing:read'), async (req, res) => {
+  try {
+    const campaigns = await listCampaigns(req.vendor.id);
+
+    res.json({
+      success: true,
+      data: {
+        campaigns,
+        count: campaigns.length,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching discount campaigns:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching discount campaigns',
+    });
+  }
+});
+
+/**
+ * POST /api/vendor/discount-campaigns
+ * Create a campaign and generate its single-use codes from a pattern (each X becomes a random character)
+ */
+router.post('/discount-campaigns', requirePermission('marketing:write'), async (req, res) => {
+  try {
+    const schema = Joi.object({
+      name: Joi.string().min(1).max(100).required(),
+      codePattern: Joi.string().uppercase().max(50).pattern(/^[A-Z0-9-]+$/).required()
+        .messages({ 'string.pattern.base': '"codePattern" may only contain letters, digits and dashes' }),
+      count: Joi.number().integer().min(1).max(MAX_CODES_PER_REQUEST).required(),
+      machineIds: Joi.array().items(Joi.number().integer()).min(1).required(),
+      productId: Joi.number().integer().optional().allow(null),
+      category: Joi.string().max(100).optional().allow(null),
+      discountType: Joi.string().valid(...DISCOUNT_TYPES).default('percentage'),
+      discountValue: Joi.number().positive()
+        .when('discountType', { is: 'fixed', otherwise: Joi.number().max(100) })
+        .when('discountType', { is: 'bogo', then: Joi.optional().default(100), otherwise: Joi.required() }),
+      minPurchaseAmount: Joi.number().positive().optional().allow(null),
+      buyQuantity: Joi.number().integer().min(1)
+        .when('discountType', { is: 'bogo', then: Joi.required(), otherwise: Joi.forbidden() }),
+      getQuantity: Joi.number().integer().min(1)
+        .when('discountType', { is: 'bogo', then: Joi.required(), otherwise: Joi.forbidden() }),
+      startsAt: Joi.date().optional(),
+      endsAt: Joi.date().optional(),
+    }).oxor('productId', 'category');
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const campaign = await createCampaign(req.vendor.id, value);
+
+    res.status(201).json({
+      success: true,
+      message: `Campaign created with ${campaign.code_count} codes`,
+      data: { campaign },
+    });
+  } catch (error) {
+    console.error('Error creating discount campaign:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error creating discount campaign',
+    });
+  }
+});
+
+/**
+ * GET /api/vendor/discount-campaigns/:id
+ * Get a campaign with its machines
+ */
+router.get('/discount-campaigns/:id', requirePermission('marketing:read'), async (req, res) => {
+  try {
+    const campaign = await getCampaign(req.params.id, req.vendor.id);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { campaign },
+    });
+  } catch (error) {
+    console.error('Error fetching discount campaign:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching discount campaign',
+    });
+  }
+});
+
+/**
+ * PUT /api/vendor/discount-campaigns/:id
+ * Rename, change validity or machines, or (de)activate every code in the campaign at once
+ */
+router.put('/discount-campaigns/:id', requirePermission('marketing:write'), async (req, res) => {
+  try {
+    const schema = Joi.object({
+      name: Joi.string().min(1).max(100).optional(),
+      startsAt: Joi.date().optional(),
+      endsAt: Joi.date().optional().allow(null),
+      isActive: Joi.boolean().optional(),
+      machineIds: Joi.array().items(Joi.number().integer()).min(1).optional(),
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const campaign = await updateCampaign(req.params.id, req.vendor.id, value);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Campaign updated successfully',
+      data: { campaign },
+    });
+  } catch (error) {
+    console.error('Error updating discount campaign:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error updating discount campaign',
+    });
+  }
+});
+
+/**
+ * POST /api/vendor/discount-campaigns/:id/codes
+ * Generate more codes for a campaign
+ */
+router.post('/discount-campaigns/:id/codes', requirePermission('marketing:write'), async (req, res) => {
+  try {
+    const schema = Joi.object({
+      count: Joi.number().integer().min(1).max(MAX_CODES_PER_REQUEST).required(),
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const campaign = await addCampaignCodes(req.params.id, req.vendor.id, value.count);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found',
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${value.count} codes added`,
+      data: { campaign },
+    });
+  } catch (error) {
+    console.error('Error adding campaign codes:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error adding campaign codes',
+    });
+  }
+});
+
+/**
+ * GET /api/vendor/discount-campaigns/:id/codes
+ * List a campaign's codes
+ * Query: status=unused|used|all, format=json|csv
+ */
+router.get('/discount-campaigns/:id/codes', requirePermission('marketing:read'), async (req, res) => {
+  try {
+    const schema = Joi.object({
+      status: Joi.string().valid(...CAMPAIGN_CODE_STATUSES).default('all'),
+      format: Joi.string().valid('json', 'csv').default('json'),
+    });
+
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const campaign = await getCampaign(req.params.id, req.vendor.id);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found',
+      });
+    }
+
+    const codes = await listCampaignCodes(campaign.id, { status: value.status });
+
+    if (value.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="campaign-${campaign.id}-codes.csv"`);
+      return res.send(toCsv(CAMPAIGN_CODE_COLUMNS, codes));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        codes,
+        count: codes.length,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching campaign codes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching campaign codes',
+    });
+  }
+});
+
+/**
+ * GET /api/vendor/discount-campaigns/:id/qr-sheet
+ * Printable PDF of the campaign's codes as QR codes to cut out
+ * Query: status=unused|used|all (defaults to unused), offset, limit (at most MAX_QR_SHEET_CODES per sheet)
+ */
+router.get('/discount-campaigns/:id/qr-sheet', requirePermission('marketing:read'), async (req, res) => {
+  try {
+    const schema = Joi.object({
+      status: Joi.string().valid(...CAMPAIGN_CODE_STATUSES).default('unused'),
+      offset: Joi.number().integer().min(0).default(0),
+      limit: Joi.number().integer().min(1).max(MAX_QR_SHEET_CODES).default(MAX_QR_SHEET_CODES),
+    });
+
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const campaign = await getCampaign(req.params.id, req.vendor.id);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found',
+      });
+    }
+
+    const codes = await listCampaignCodes(campaign.id, value);
+
+    if (codes.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No codes to print in this range',
+      });
+    }
+
+    const note = campaign.valid_until
+      ? `Valid until ${new Date(campaign.valid_until).toISOString().slice(0, 10)}`
+      : null;
+
+    const cards = [];
+    for (const code of codes) {
+      cards.push({ image: await generateQRCodeBuffer(code.code), caption: code.code, note });
+    }
+
+    const pdf = await renderQrSheetPdf({
+      title: campaign.name,
+      subtitle: `Codes ${value.offset + 1}-${value.offset + codes.length} · ${campaign.machines.map(machine => machine.machine_name).join(', ')}`,
+      cards,
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="campaign-${campaign.id}-qr-${value.offset + 1}.pdf"`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('Error generating campaign QR sheet:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating campaign QR sheet',
+    });
+  }
+});
+
+/**
+ * GET /api/vendor/discount-campaigns/:id/stats
+ * Redemption stats for a campaign: codes used, redemptions by status, machine and day
+ */
+router.get('/discount-campaigns/:id/stats', requirePermission('marketing:read'), async (req, res) => {
+  try {
+    const campaign = await getCampaign(req.params.id, req.vendor.id);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found',
+      });
+    }
+
+    const stats = await getCampaignStats(campaign.id);
+
+    res.json({
+      success: true,
+      data: { stats },
+    });
+  } catch (error) {
+    console.error('Error fetching campaign stats:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching campaign stats',
+    });
+  }
+});
+
+// ========================================
+// REDEMPTION REVIEW ROUTES
+// ========================================
+
+/**
+ * GET /api/vendor/redemptions
+ * Proof-of-purchase redemptions for the vendor's codes (pending first-in-first-out by default)
+ */
+router.get('/redemptions', requirePermission('claims:read'), async (req, res) => {
+  try {
+    const schema = Joi.object({
+      status: Joi.string().valid(...REDEMPTION_STATUSES, 'all').default('pending'),
+      machineId: Joi.number().integer().optional(),
+      discountId: Joi.number().integer().optional(),
+      limit: Joi.number().integer().min(1).max(200).default(50),
+      offset: Joi.number().integer().min(0).default(0),
+    });
+
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const { redemptions, total } = await listRedemptions(req.vendor.id, {
+      ...value,
+      status: value.status === 'all' ? null : value.status,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        redemptions,
+        count: redemptions.length,
+        total,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching redemptions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching redemptions',
+    });
+  }
+});
+
+/**
+ * GET /api/vendor/redemption-settings
+ * Vendor-wide points per redemption and auto-approve threshold
+ */
+router.get('/redemption-settings', requirePermission('marketing:read'), async (req, res) => {
+  try {
+    const settings = await getRedemptionSettings(req.vendor.id);
+
+    res.json({
+      success: true,
+      data: { settings },
+    });
+  } catch (error) {
+    console.error('Error fetching redemption settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching redemption settings',
+    });
+  }
+});
+
+/**
+ * PUT /api/vendor/redemption-settings
+ * Update vendor-wide redemption defaults (autoApproveMaxPoints null = review everything)
+ */
+router.put('/redemption-settings', requirePermission('marketing:write'), async (req, res) => {
+  try {
+    const schema = Joi.object({
+      pointsPerRedemption: Joi.number().integer().min(0).optional(),
+      autoApproveMaxPoints: Joi.number().integer().min(0).allow(null).optional(),
+    }).min(1);
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const settings = await updateRedemptionSettings(req.vendor.id, value);
+
+    res.json({
+      success: true,
+      message: 'Redemption settings updated',
+      data: { settings },
+    });
+  } catch (error) {
+    console.error('Error updating redemption settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating redemption settings',
+    });
+  }
+});
+
+/**
+ * PUT /api/vendor/redemptions/:id/approve
+ * Approve a pending redemption and credit its points (optionally overriding the amount)
+ */
+router.put('/redemptions/:id/approve', requirePermission('claims:review'), async (req, res) => {
+  try {
+    const schema = Joi.object({
+      points: Joi.number().integer().min(0).optional(),
+      notes: Joi.string().max(500).optional(),
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const redemption = await reviewRedemption({
+      redemptionId: req.params.id,
+      vendorId: req.vendor.id,
+      reviewerId: req.user.id,
+      decision: 'approve',
+      notes: value.notes,
+      points: value.points,
+    });
+
+    res.json({
+      success: true,
+      message: `Redemption approved; ${redemption.points_awarded} points awarded`,
+      data: { redemption },
+    });
+  } catch (error) {
+    console.error('Error approving redemption:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error approving redemption',
+    });
+  }
+});
+
+/**
+ * PUT /api/vendor/redemptions/:id/reject
+ * Reject a pending redemption; the customer may submit a new proof
+ */
+router.put('/redemptions/:id/reject', requirePermission('claims:review'), async (req, res) => {
+  try {
+    const schema = Joi.object({
+      notes: Joi.string().max(500).optional(),
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const redemption = await reviewRedemption({
+      redemptionId: req.params.id,
+      vendorId: req.vendor.id,
+      reviewerId: req.user.id,
+      decision: 'reject',
+      notes: value.notes,
+    });
+
+    res.json({
+      success: true,
+      message: 'Redemption rejected',
+      data: { redemption },
+    });
+  } catch (error) {
+    console.error('Error rejecting redemption:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error rejecting redemption',
+    });
+  }
+});
+
+// ========================================
+// REBATES ROUTES
+// ========================================
+
+/**
+ * GET /api/vendor/rebates
+ * Rebate claims submitted at the vendor's machines (pending oldest-first by default)
+ */
+router.get('/rebates', requirePermission('claims:read'), async (req, res) => {
+  try {
+    const schema = Joi.object({
+      status: Joi.string().valid(...REBATE_STATUSES, 'all').default('pending'),
+      machineId: Joi.number().integer().optional(),
+      limit: Joi.number().integer().min(1).max(200).default(50),
+      offset: Joi.number().integer().min(0).default(0),
+    });
+
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const { rebates, total } = await listVendorRebates(req.vendor.id, {
+      ...value,
+      status: value.status === 'all' ? null : value.status,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        rebates,
+        count: rebates.length,
+        total,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching rebates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching rebates',
+    });
+  }
+});
+
+/**
+ * GET /api/vendor/rebates/:id
+ * Get a single rebate claim with its receipt photo
+ */
+router.get('/rebates/:id', requirePermission('claims:read'), async (req, res) => {
+  try {
+    const rebate = await getVendorRebate(req.params.id, req.vendor.id);
+
+    if (!rebate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rebate not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { rebate },
+    });
+  } catch (error) {
+    console.error('Error fetching rebate:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching rebate',
+    });
+  }
+});
+
+/**
+ * PUT /api/vendor/rebates/:id/approve
+ * Approve a rebate (optionally for a different amount) and create its payout
+ */
+router.put('/rebates/:id/approve', requirePermission('claims:review'), async (req, res) => {
+  try {
+    const schema = Joi.object({
+      approvedAmount: Joi.number().min(0).precision(2).optional(),
+      notes: Joi.string().max(500).optional(),
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const { rebate, payout } = await reviewRebate({
+      rebateId: req.params.id,
+      vendorId: req.vendor.id,
+      reviewerId: req.user.id,
+      decision: 'approve',
+      notes: value.notes,
+      approvedAmount: value.approvedAmount,
+    });
+
+    res.json({
+      success: true,
+      message: 'Rebate approved',
+      data: { rebate, payout },
+    });
+  } catch (error) {
+    console.error('Error approving rebate:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error approving rebate',
+    });
+  }
+});
+
+/**
+ * PUT /api/vendor/rebates/:id/reject
+ * Reject a rebate; the customer may submit a new claim
+ */
+router.put('/rebates/:id/reject', requirePermission('claims:review'), async (req, res) => {
+  try {
+    const schema = Joi.object({
+      notes: Joi.string().max(500).optional(),
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const { rebate } = await reviewRebate({
+      rebateId: req.params.id,
+      vendorId: req.vendor.id,
+      reviewerId: req.user.id,
+      decision: 'reject',
+      notes: value.notes,
+    });
+
+    res.json({
+      success: true,
+      message: 'Rebate rejected',
+      data: { rebate },
+    });
+  } catch (error) {
+    console.error('Error rejecting rebate:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error rejecting rebate',
+    });
+  }
+});
+
+// ========================================
+// PAYOUTS ROUTES
+// ========================================
+
+const PAYOUT_EXPORT_COLUMNS = [
+  { key: 'payment_method', header: 'Method' },
+  { key: 'payment_username', header: 'Handle' },
+  { key: 'amount', header: 'Amount' },
+  { key: 'customer_name', header: 'Customer' },
+  { key: 'customer_email', header: 'Email' },
+  { key: 'payout_count', header: 'Payouts' },
+  { key: 'memo', header: 'Memo' },
+];
+
+/**
+ * GET /api/vendor/payouts
+ * Payouts owed to customers (approved rebates and cashback)
+ */
+router.get('/payouts', requirePermission('payouts:read'), async (req, res) => {
+  try {
+    const schema = Joi.object({
+      status: Joi.string().valid(...PAYOUT_STATUSES).optional(),
+      source: Joi.string().valid(...PAYOUT_SOURCES).optional(),
+      customerId: Joi.number().integer().optional(),
+      unbatched: Joi.boolean().default(false),
+    });
+
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const payouts = await listVendorPayouts(req.vendor.id, value);
+
+    res.json({
+      success: true,
+      data: {
+        payouts,
+        count: payouts.length,
+        totalAmount: payouts.reduce((sum, payout) => sum + parseFloat(payout.amount), 0).toFixed(2),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching payouts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching payouts',
+    });
+  }
+});
+
+/**
+ * POST /api/vendor/payouts/cashback
+ * Credit a customer with cashback to be paid in the next batch
+ */
+router.post('/payouts/cashback', requirePermission('payouts:write'), requireStepUp, async (req, res) => {
+  try {
+    const schema = Joi.object({
+      customerId: Joi.number().integer().required(),
+      amount: Joi.number().greater(0).precision(2).required(),
+      description: Joi.string().max(500).optional(),
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const payout = await createCashbackPayout({
+      vendorId: req.vendor.id,
+      customerId: value.customerId,
+      amount: value.amount,
+      description: value.description,
+      createdBy: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Cashback payout created',
+      data: { payout },
+    });
+  } catch (error) {
+    console.error('Error creating cashback payout:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error creating cashback payout',
+    });
+  }
+});
+
+/**
+ * GET /api/vendor/payout-batches
+ * List payout batches
+ */
+router.get('/payout-batches', requirePermission('payouts:read'), async (req, res) => {
+  try {
+    const schema = Joi.object({
+      status: Joi.string().valid(...PAYOUT_STATUSES).optional(),
+    });
+
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const batches = await listBatches(req.vendor.id, value);
+
+    res.json({
+      success: true,
+      data: {
+        batches,
+        count: batches.length,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching payout batches:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching payout batches',
+    });
+  }
+});
+
+/**
+ * POST /api/vendor/payout-batches
+ * Batch all unbatched pending payouts (optionally for selected customers), one line per customer
+ */
+router.post('/payout-batches', requirePermission('payouts:write'), async (req, res) => {
+  try {
+    const schema = Joi.object({
+      customerIds: Joi.array().items(Joi.number().integer()).min(1).optional(),
+      notes: Joi.string().max(500).optional(),
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const { batch, skippedCustomers } = await createBatch({
+      vendorId: req.vendor.id,
+      userId: req.user.id,
+      customerIds: value.customerIds || null,
+      notes: value.notes,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Payout batch created for ${batch.customer_count} customer(s)`,
+      data: { batch, skippedCustomers },
+    });
+  } catch (error) {
+    console.error('Error creating payout batch:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error creating payout batch',
+    });
+  }
+});
+
+/**
+ * GET /api/vendor/payout-batches/:id
+ * Get a payout batch with one line per customer
+ */
+router.get('/payout-batches/:id', requirePermission('payouts:read'), async (req, res) => {
+  try {
+    const batch = await getBatch(req.params.id, req.vendor.id);
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout batch not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { batch },
+    });
+  } catch (error) {
+    console.error('Error fetching payout batch:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching payout batch',
+    });
+  }
+});
+
+/**
+ * GET /api/vendor/payout-batches/:id/export
+ * Download a batch as CSV for sending payments by hand
+ */
+router.get('/payout-batches/:id/export', requirePermission('payouts:read'), async (req, res) => {
+  try {
+    const batch = await getBatch(req.params.id, req.vendor.id);
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout batch not found',
+      });
+    }
+
+    const rows = batch.items.map(item => ({ ...item, memo: `Payout batch ${batch.id}` }));
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="payout-batch-${batch.id}.csv"`);
+    res.send(toCsv(PAYOUT_EXPORT_COLUMNS, rows));
+  } catch (error) {
+    console.error('Error exporting payout batch:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting payout batch',
+    });
+  }
+});
+
+/**
+ * PUT /api/vendor/payout-batches/:id/paid
+ * Mark a batch as sent, with the payment reference
+ */
+router.put('/payout-batches/:id/paid', requirePermission('payouts:write'), requireStepUp, async (req, res) => {
+  try {
+    const schema = Joi.object({
+      reference: Joi.string().max(255).required(),
+      notes: Joi.string().max(500).optional(),
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const batch = await markBatchPaid({
+      batchId: req.params.id,
+      vendorId: req.vendor.id,
+      userId: req.user.id,
+      reference: value.reference,
+      notes: value.notes,
+    });
+
+    res.json({
+      success: true,
+      message: 'Payout batch marked as paid',
+      data: { batch },
+    });
+  } catch (error) {
+    console.error('Error marking payout batch paid:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error marking payout batch as paid',
+    });
+  }
+});
+
+/**
+ * PUT /api/vendor/payout-batches/:id/cancel
+ * Cancel an unpaid batch; its payouts can be batched again
+ */
+router.put('/payout-batches/:id/cancel', requirePermission('payouts:write'), async (req, res) => {
+  try {
+    const batch = await cancelBatch({ batchId: req.params.id, vendorId: req.vendor.id });
+
+    res.json({
+      success: true,
+      message: 'Payout batch cancelled',
+      data: { batch },
+    });
+  } catch (error) {
+    console.error('Error cancelling payout batch:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling payout batch',
+    });
+  }
+});
+
+// ============================================
+// LOYALTY ROUTES
+// ============================================
+
+/**
+ * Check that every machine ID belongs to the vendor
+ */
+async function vendorOwnsMachines(vendorId, machineIds) {
+  const ids = [...new Set(machineIds)];
+  const result = await query(
+    'SELECT id FROM vending_machines WHERE id = ANY($1) AND vendor_id = $2',
+    [ids, vendorId]
+  );
+  return result.rows.length === ids.length;
+}
+
+/**
+ * GET /api/vendor/loyalty/program
+ * Get loyalty program settings (balance pooling, point expiry) and tiers
+ */
+router.get('/loyalty/program', requirePermission('marketing:read'), async (req, res) => {
+  try {
+    const program = await getProgram(req.vendor.id);
+
+    res.json({
+      success: true,
+      data: { program },
+    });
+  } catch (error) {
+    console.error('Error fetching loyalty program:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching loyalty program',
+    });
+  }
+});
+
+/**
+ * PUT /api/vendor/loyalty/program
+ * Pool balances across machines (balanceScope 'vendor') and set rolling expiry (null = never)
+ */
+router.put('/loyalty/program', requirePermission('marketing:write'), async (req, res) => {
+  try {
+    const schema = Joi.object({
+      balanceScope: Joi.string().valid(...BALANCE_SCOPES).optional(),
+      pointsExpiryDays: Joi.number().integer().min(1).max(3650).allow(null).optional(),
+    }).min(1);
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const program = await updateProgram(req.vendor.id, value);
+
+    res.json({
+      success: true,
+      message: 'Loyalty program updated',
+      data: { program },
+    });
+  } catch (error) {
+    console.error('Error updating loyalty program:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error updating loyalty program',
+    });
+  }
+});
+
+/**
+ * POST /api/vendor/loyalty/tiers
+ * Create a tier reached at a lifetime points threshold, with an earning multiplier
+ */
+router.post('/loyalty/tiers', requirePermission('marketing:write'), async (req, res) => {
+  try {
+    const schema = Joi.object({
+      name: Joi.string().max(50).required(),
+      minLifetimePoints: Joi.number().integer().min(0).required(),
+      multiplier: Joi.number().min(1).max(10).precision(2).default(1),
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const tier = await createTier(req.vendor.id, value);
+
+    res.status(201).json({
+      success: true,
+      message: 'Tier created',
+      data: { tier },
+    });
+  } catch (error) {
+    console.error('Error creating tier:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error creating tier',
+    });
+  }
+});
+
+/**
+ * PUT /api/vendor/loyalty/tiers/:id
+ * Update a tier
+ */
+router.put('/loyalty/tiers/:id', requirePermission('marketing:write'), async (req, res) => {
+  try {
+    const schema = Joi.object({
+      name: Joi.string().max(50).optional(),
+      minLifetimePoints: Joi.number().integer().min(0).optional(),
+      multiplier: Joi.number().min(1).max(10).precision(2).optional(),
+    }).min(1);
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const tier = await updateTier(req.params.id, req.vendor.id, value);
+
+    if (!tier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tier not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Tier updated',
+      data: { tier },
+    });
+  } catch (error) {
+    console.error('Error updating tier:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error updating tier',
+    });
+  }
+});
+
+/**
+ * DELETE /api/vendor/loyalty/tiers/:id
+ * Delete a tier
+ */
+router.delete('/loyalty/tiers/:id', requirePermission('marketing:write'), async (req, res) => {
+  try {
+    const deleted = await deleteTier(req.params.id, req.vendor.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tier not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Tier deleted',
+    });
+  } catch (error) {
+    console.error('Error deleting tier:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting tier',
+    });
+  }
+});
+
+/**
+ * GET /api/vendor/loyalty/customers/:customerId/statement
+ * Points ledger for a customer across the vendor's machines
+ */
+router.get('/loyalty/customers/:customerId/statement', requirePermission('claims:read'), async (req, res) => {
+  try {
+    const schema = Joi.object({
+      machineId: Joi.number().integer().optional(),
+      from: Joi.date().iso().optional(),
+      to: Joi.date().iso().optional(),
+      limit: Joi.number().integer().min(1).max(500).default(100),
+      offset: Joi.number().integer().min(0).default(0),
+    });
+
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const customerId = parseInt(req.params.customerId);
+    const [balances, statement] = await Promise.all([
+      getBalances(customerId, { machineId: value.machineId, vendorId: req.vendor.id }),
+      getStatement(customerId, { ...value, vendorId: req.vendor.id }),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        customerId,
+        balances,
+        ...statement,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching loyalty statement:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching loyalty statement',
+    });
+  }
+});
+
+/**
+ * POST /api/vendor/loyalty/adjust
+ * Manually credit or debit a customer's points at one of the vendor's machines
+ */
+router.post('/loyalty/adjust', requirePermission('claims:review'), async (req, res) => {
+  try {
+    const schema = Joi.object({
+      customerId: Joi.number().integer().required(),
+      machineId: Joi.number().integer().required(),
+      points: Joi.number().integer().invalid(0).required(),
+      description: Joi.string().max(500).required(),
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    if (!(await vendorOwnsMachines(req.vendor.id, [value.machineId]))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vending machine not found',
+      });
+    }
+
+    const result = await transaction((client) => adjustPoints(client, {
+      ...value,
+      createdBy: req.user.id,
+      idempotencyKey: req.get('Idempotency-Key') || null,
+    }));
+
+    res.status(result.duplicate ? 200 : 201).json({
+      success: true,
+      message: 'Points adjusted',
+      data: { entry: result.entry, balance: result.balance },
+    });
+  } catch (error) {
+    console.error('Error adjusting loyalty points:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error adjusting loyalty points',
+    });
+  }
+});
+
+/**
+ * POST /api/vendor/loyalty/transfer
+ * Move points between two customer accounts on the vendor's machines
+ */
+router.post('/loyalty/transfer', requirePermission('claims:review'), async (req, res) => {
+  try {
+    const account = Joi.object({
+      customerId: Joi.number().integer().required(),
+      machineId: Joi.number().integer().required(),
+    });
+    const schema = Joi.object({
+      from: account.required(),
+      to: account.required(),
+      points: Joi.number().integer().min(1).required(),
+      description: Joi.string().max(500).optional(),
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    if (!(await vendorOwnsMachines(req.vendor.id, [value.from.machineId, value.to.machineId]))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vending machine not found',
+      });
+    }
+
+    const transfer = await transaction((client) => transferPoints(client, {
+      ...value,
+      createdBy: req.user.id,
+    }));
+
+    res.status(201).json({
+      success: true,
+      message: 'Points transferred',
+      data: { transfer },
+    });
+  } catch (error) {
+    console.error('Error transferring loyalty points:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error transferring loyalty points',
+    });
+  }
+});
+
+/**
+ * GET /api/vendor/loyalty/rules
+ * List earning rules
+ */
+router.get('/loyalty/rules', requirePermission('marketing:read'), async (req, res) => {
+  try {
+    const rules = await listRules(req.vendor.id);
+
+    res.json({
+      success: true,
+      data: {
+        rules,
+        count: rules.length,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching earning rules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching earning rules',
+    });
+  }
+});
+
+/**
+ * POST /api/vendor/loyalty/rules
+ * Create an earning rule (points per dollar, bonus product, first purchase of the day, streak, poll vote)
+ */
+router.post('/loyalty/rules', requirePermission('marketing:write'), async (req, res) => {
+  try {
+    const schema = Joi.object({
+      name: Joi.string().max(100).required(),
+      ruleType: Joi.string().valid(...RULE_TYPES).required(),
+      points: Joi.number().integer().min(1).required(),
+      machineId: Joi.number().integer().optional(),
+      productId: Joi.number().integer().optional(),
+      streakDays: Joi.number().integer().min(2).optional(),
+      isActive: Joi.boolean().default(true),
+      validFrom: Joi.date().optional(),
+      validUntil: Joi.date().optional(),
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const rule = await createRule(req.vendor.id, { ...value, createdBy: req.user.id });
+
     res.status(201).json({
       success: true,
-      message: 'Product added to machine inventory',
-      data: { inventoryItem: result.rows[0] },
+      message: 'Earning rule created',
+      data: { rule },
     });
   } catch (error) {
-    console.error('Error adding to inventory:', error);
-    if (error.message && error.message.includes('unique')) {
-      return res.status(409).json({
+    console.error('Error creating earning rule:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
         success: false,
-        message: 'Product already exists in this machine',
+        message: error.message,
       });
     }
     res.status(500).json({
       success: false,
-      message: 'Error adding product to inventory',
+      message: 'Error creating earning rule',
     });
   }
 });
 
 /**
- * PUT /api/vendor/machines/:machineId/inventory/:id
- * Update machine inventory item
+ * PUT /api/vendor/loyalty/rules/:id
+ * Update an earning rule
  */
-router.put('/machines/:machineId/inventory/:id', async (req, res) => {
+router.put('/loyalty/rules/:id', requirePermission('marketing:write'), async (req, res) => {
   try {
-    const { machineId, id } = req.params;
     const schema = Joi.object({
-      stockQuantity: Joi.number().integer().min(0).optional(),
+      name: Joi.string().max(100).optional(),
+      points: Joi.number().integer().min(1).optional(),
+      machineId: Joi.number().integer().allow(null).optional(),
+      productId: Joi.number().integer().optional(),
+      streakDays: Joi.number().integer().min(2).optional(),
+      isActive: Joi.boolean().optional(),
+      validFrom: Joi.date().allow(null).optional(),
+      validUntil: Joi.date().allow(null).optional(),
     });
 
     const { error, value } = schema.validate(req.body);
@@ -716,175 +4910,163 @@ router.put('/machines/:machineId/inventory/:id', async (req, res) => {
       });
     }
 
-    // Verify machine belongs to vendor
-    const machineCheck = await query(
-      'SELECT id FROM vending_machines WHERE id = $1 AND vendor_id = $2',
-      [machineId, req.user.id]
-    );
+    const rule = await updateRule(req.params.id, req.vendor.id, value);
 
-    if (machineCheck.rows.length === 0) {
+    if (!rule) {
       return res.status(404).json({
         success: false,
-        message: 'Vending machine not found',
+        message: 'Earning rule not found',
       });
     }
 
-    // Build update query
-    const updates = [];
-    const values = [];
-    let paramCount = 1;
-
-    if (value.stockQuantity !== undefined) {
-      updates.push(`current_stock = $${paramCount++}`);
-      values.push(value.stockQuantity);
-    }
-
-    if (updates.length === 0) {
-      return res.status(400).json({
+    res.json({
+      success: true,
+      message: 'Earning rule updated',
+      data: { rule },
+    });
+  } catch (error) {
+    console.error('Error updating earning rule:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
         success: false,
-        message: 'No fields to update',
+        message: error.message,
       });
     }
+    res.status(500).json({
+      success: false,
+      message: 'Error updating earning rule',
+    });
+  }
+});
 
-    values.push(id, machineId);
-    const updateQuery = `UPDATE machine_products SET ${updates.join(', ')} WHERE id = $${paramCount} AND machine_id = $${paramCount + 1} RETURNING *`;
-
-    const result = await query(updateQuery, values);
+/**
+ * DELETE /api/vendor/loyalty/rules/:id
+ * Delete an earning rule (points already awarded are kept)
+ */
+router.delete('/loyalty/rules/:id', requirePermission('marketing:write'), async (req, res) => {
+  try {
+    const deleted = await deleteRule(req.params.id, req.vendor.id);
 
-    if (result.rows.length === 0) {
+    if (!deleted) {
       return res.status(404).json({
         success: false,
-        message: 'Inventory item not found',
+        message: 'Earning rule not found',
       });
     }
 
     res.json({
       success: true,
-      message: 'Inventory updated successfully',
-      data: { inventoryItem: result.rows[0] },
+      message: 'Earning rule deleted',
     });
   } catch (error) {
-    console.error('Error updating inventory:', error);
+    console.error('Error deleting earning rule:', error);
     res.status(500).json({
       success: false,
-      message: 'Error updating inventory',
+      message: 'Error deleting earning rule',
     });
   }
 });
 
 /**
- * DELETE /api/vendor/machines/:machineId/inventory/:id
- * Remove a product from machine inventory
+ * GET /api/vendor/loyalty/claims
+ * Receipt and vend claims for points at the vendor's machines
  */
-router.delete('/machines/:machineId/inventory/:id', async (req, res) => {
+router.get('/loyalty/claims', requirePermission('claims:read'), async (req, res) => {
   try {
-    const { machineId, id } = req.params;
-
-    // Verify machine belongs to vendor
-    const machineCheck = await query(
-      'SELECT id FROM vending_machines WHERE id = $1 AND vendor_id = $2',
-      [machineId, req.user.id]
-    );
+    const schema = Joi.object({
+      status: Joi.string().valid(...CLAIM_STATUSES, 'all').default('pending'),
+      machineId: Joi.number().integer().optional(),
+      limit: Joi.number().integer().min(1).max(200).default(50),
+      offset: Joi.number().integer().min(0).default(0),
+    });
 
-    if (machineCheck.rows.length === 0) {
-      return res.status(404).json({
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
         success: false,
-        message: 'Vending machine not found',
+        message: error.details[0].message,
       });
     }
 
-    const result = await query(
-      'DELETE FROM machine_products WHERE id = $1 AND machine_id = $2 RETURNING id',
-      [id, machineId]
-    );
-
-    if (result.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Inventory item not found',
-      });
-    }
+    const { claims, total } = await listVendorClaims(req.vendor.id, {
+      ...value,
+      status: value.status === 'all' ? null : value.status,
+    });
 
     res.json({
       success: true,
-      message: 'Product removed from inventory',
+      data: {
+        claims,
+        total,
+        limit: value.limit,
+        offset: value.offset,
+      },
     });
   } catch (error) {
-    console.error('Error removing from inventory:', error);
+    console.error('Error fetching loyalty claims:', error);
     res.status(500).json({
       success: false,
-      message: 'Error removing product from inventory',
+      message: 'Error fetching loyalty claims',
     });
   }
 });
 
-// ========================================
-// DISCOUNT CODES ROUTES
-// ========================================
-
 /**
- * GET /api/vendor/machines/:machineId/discounts
- * Get all discount codes for a specific machine
+ * PUT /api/vendor/loyalty/claims/:id/approve
+ * Approve a receipt claim and award points under the earning rules
  */
-router.get('/machines/:machineId/discounts', async (req, res) => {
+router.put('/loyalty/claims/:id/approve', requirePermission('claims:review'), async (req, res) => {
   try {
-    const { machineId } = req.params;
-
-    // Verify machine belongs to vendor
-    const machineCheck = await query(
-      'SELECT id FROM vending_machines WHERE id = $1 AND vendor_id = $2',
-      [machineId, req.user.id]
-    );
+    const schema = Joi.object({
+      purchaseAmount: Joi.number().min(0).precision(2).optional(),
+      notes: Joi.string().max(500).optional(),
+    });
 
-    if (machineCheck.rows.length === 0) {
-      return res.status(404).json({
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
         success: false,
-        message: 'Vending machine not found',
+        message: error.details[0].message,
       });
     }
 
-    const result = await query(
-      `SELECT dc.id, dc.machine_id, dc.product_id, dc.code, dc.discount_type,
-              dc.discount_value, dc.max_uses, dc.current_uses, dc.valid_from,
-              dc.valid_until, dc.is_active, dc.created_at,
-              p.product_name, p.price
-       FROM discount_codes dc
-       LEFT JOIN products p ON dc.product_id = p.id
-       WHERE dc.machine_id = $1 AND dc.vendor_id = $2
-       ORDER BY dc.created_at DESC`,
-      [machineId, req.user.id]
-    );
+    const { claim, points } = await reviewClaim({
+      claimId: req.params.id,
+      vendorId: req.vendor.id,
+      reviewerId: req.user.id,
+      decision: 'approve',
+      notes: value.notes,
+      purchaseAmount: value.purchaseAmount,
+    });
 
     res.json({
       success: true,
-      data: {
-        discounts: result.rows,
-        count: result.rows.length,
-      },
+      message: 'Claim approved',
+      data: { claim, pointsAwarded: points },
     });
   } catch (error) {
-    console.error('Error fetching discounts:', error);
+    console.error('Error approving loyalty claim:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
     res.status(500).json({
       success: false,
-      message: 'Error fetching discount codes',
+      message: 'Error approving loyalty claim',
     });
   }
 });
 
 /**
- * POST /api/vendor/machines/:machineId/discounts
- * Create a new discount code for a machine
+ * PUT /api/vendor/loyalty/claims/:id/reject
+ * Reject a receipt claim
  */
-router.post('/machines/:machineId/discounts', async (req, res) => {
+router.put('/loyalty/claims/:id/reject', requirePermission('claims:review'), async (req, res) => {
   try {
-    const { machineId } = req.params;
     const schema = Joi.object({
-      productId: Joi.number().integer().optional().allow(null),
-      code: Joi.string().min(3).max(50).required(),
-      percentOff: Joi.number().min(0).max(100).required(),
-      startsAt: Joi.date().optional(),
-      endsAt: Joi.date().optional(),
-      maxUses: Joi.number().integer().min(1).optional().allow(null),
+      notes: Joi.string().max(500).optional(),
     });
 
     const { error, value } = schema.validate(req.body);
@@ -895,117 +5077,186 @@ router.post('/machines/:machineId/discounts', async (req, res) => {
       });
     }
 
-    // Verify machine belongs to vendor
-    const machineCheck = await query(
-      'SELECT id FROM vending_machines WHERE id = $1 AND vendor_id = $2',
-      [machineId, req.user.id]
-    );
+    const { claim } = await reviewClaim({
+      claimId: req.params.id,
+      vendorId: req.vendor.id,
+      reviewerId: req.user.id,
+      decision: 'reject',
+      notes: value.notes,
+    });
 
-    if (machineCheck.rows.length === 0) {
-      return res.status(404).json({
+    res.json({
+      success: true,
+      message: 'Claim rejected',
+      data: { claim },
+    });
+  } catch (error) {
+    console.error('Error rejecting loyalty claim:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
         success: false,
-        message: 'Vending machine not found',
+        message: error.message,
       });
     }
+    res.status(500).json({
+      success: false,
+      message: 'Error rejecting loyalty claim',
+    });
+  }
+});
 
-    // If productId specified, verify product belongs to vendor
-    if (value.productId) {
-      const productCheck = await query(
-        'SELECT id FROM products WHERE id = $1 AND vendor_id = $2',
-        [value.productId, req.user.id]
-      );
+/**
+ * GET /api/vendor/loyalty/rewards
+ * List the rewards catalog
+ */
+router.get('/loyalty/rewards', requirePermission('marketing:read'), async (req, res) => {
+  try {
+    const rewards = await listRewards(req.vendor.id);
 
-      if (productCheck.rows.length === 0) {
-        return res.status(404).json({
-          success: false,
-          message: 'Product not found',
-        });
-      }
-    }
+    res.json({
+      success: true,
+      data: {
+        rewards,
+        count: rewards.length,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching rewards:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching rewards',
+    });
+  }
+});
 
-    const { productId, code, percentOff, startsAt, endsAt, maxUses } = value;
+/**
+ * POST /api/vendor/loyalty/rewards
+ * Create a reward (free item, percent off or fixed credit) with a points cost
+ */
+router.post('/loyalty/rewards', requirePermission('marketing:write'), async (req, res) => {
+  try {
+    const schema = Joi.object({
+      name: Joi.string().max(100).required(),
+      description: Joi.string().max(1000).optional(),
+      rewardType: Joi.string().valid(...REWARD_TYPES).required(),
+      pointsCost: Joi.number().integer().min(1).required(),
+      machineId: Joi.number().integer().optional(),
+      productId: Joi.number().integer().optional(),
+      rewardValue: Joi.number().greater(0).precision(2).optional(),
+      codeValidDays: Joi.number().integer().min(1).max(365).default(30),
+      maxRedemptions: Joi.number().integer().min(1).optional(),
+      isActive: Joi.boolean().default(true),
+    });
 
-    const result = await query(
-      `INSERT INTO discount_codes
-       (vendor_id, machine_id, product_id, code, discount_type, discount_value,
-        valid_from, valid_until, max_uses, is_active)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, true)
-       RETURNING *`,
-      [
-        req.user.id,
-        machineId,
-        productId || null,
-        code.toUpperCase(),
-        'percentage',
-        percentOff,
-        startsAt || null,
-        endsAt || null,
-        maxUses || null,
-      ]
-    );
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const reward = await createReward(req.vendor.id, value);
 
     res.status(201).json({
       success: true,
-      message: 'Discount code created successfully',
-      data: { discount: result.rows[0] },
+      message: 'Reward created',
+      data: { reward },
     });
   } catch (error) {
-    console.error('Error creating discount:', error);
-    if (error.message && error.message.includes('unique')) {
-      return res.status(409).json({
+    console.error('Error creating reward:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
         success: false,
-        message: 'Discount code already exists',
+        message: error.message,
       });
     }
     res.status(500).json({
       success: false,
-      message: 'Error creating discount code',
+      message: 'Error creating reward',
     });
   }
 });
 
 /**
- * DELETE /api/vendor/machines/:machineId/discounts/:discountId
- * Delete a discount code
+ * PUT /api/vendor/loyalty/rewards/:id
+ * Update a reward
  */
-router.delete('/machines/:machineId/discounts/:discountId', async (req, res) => {
+router.put('/loyalty/rewards/:id', requirePermission('marketing:write'), async (req, res) => {
   try {
-    const { machineId, discountId } = req.params;
+    const schema = Joi.object({
+      name: Joi.string().max(100).optional(),
+      description: Joi.string().max(1000).allow(null).optional(),
+      pointsCost: Joi.number().integer().min(1).optional(),
+      machineId: Joi.number().integer().allow(null).optional(),
+      productId: Joi.number().integer().allow(null).optional(),
+      rewardValue: Joi.number().greater(0).precision(2).optional(),
+      codeValidDays: Joi.number().integer().min(1).max(365).optional(),
+      maxRedemptions: Joi.number().integer().min(1).allow(null).optional(),
+      isActive: Joi.boolean().optional(),
+    });
 
-    // Verify machine belongs to vendor
-    const machineCheck = await query(
-      'SELECT id FROM vending_machines WHERE id = $1 AND vendor_id = $2',
-      [machineId, req.user.id]
-    );
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
 
-    if (machineCheck.rows.length === 0) {
+    const reward = await updateReward(req.params.id, req.vendor.id, value);
+
+    if (!reward) {
       return res.status(404).json({
         success: false,
-        message: 'Vending machine not found',
+        message: 'Reward not found',
       });
     }
 
-    const result = await query(
-      'DELETE FROM discount_codes WHERE id = $1 AND machine_id = $2 AND vendor_id = $3 RETURNING id',
-      [discountId, machineId, req.user.id]
-    );
+    res.json({
+      success: true,
+      message: 'Reward updated',
+      data: { reward },
+    });
+  } catch (error) {
+    console.error('Error updating reward:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error updating reward',
+    });
+  }
+});
 
-    if (result.rows.length === 0) {
+/**
+ * DELETE /api/vendor/loyalty/rewards/:id
+ * Delete a reward (codes already issued stay valid)
+ */
+router.delete('/loyalty/rewards/:id', requirePermission('marketing:write'), async (req, res) => {
+  try {
+    const deleted = await deleteReward(req.params.id, req.vendor.id);
+
+    if (!deleted) {
       return res.status(404).json({
         success: false,
-        message: 'Discount code not found',
+        message: 'Reward not found',
       });
     }
 
     res.json({
       success: true,
-      message: 'Discount code deleted successfully',
+      message: 'Reward deleted',
     });
   } catch (error) {
-    console.error('Error deleting discount:', error);
+    console.error('Error deleting reward:', error);
     res.status(500).json({
       success: false,
-      message: 'Error deleting discount code',
+      message: 'Error deleting reward',
     });
   }
 });
@@ -1018,10 +5269,10 @@ router.delete('/machines/:machineId/discounts/:discountId', async (req, res) =>
  * POST /api/vendor/machines/:machineId/polls
  * Create a poll for a machine
  */
-router.post('/machines/:machineId/polls', async (req, res) => {
+router.post('/machines/:machineId/polls', requirePermission('marketing:write'), async (req, res) => {
   try {
     const { machineId } = req.params;
-    const vendorId = req.user.id;
+    const vendorId = req.vendor.id;
 
     const schema = Joi.object({
       question: Joi.string().min(5).max(500).required(),
@@ -1102,10 +5353,10 @@ router.post('/machines/:machineId/polls', async (req, res) => {
  * GET /api/vendor/polls/:pollId/results
  * Get aggregated poll results
  */
-router.get('/polls/:pollId/results', async (req, res) => {
+router.get('/polls/:pollId/results', requirePermission('marketing:read'), async (req, res) => {
   try {
     const { pollId } = req.params;
-    const vendorId = req.user.id;
+    const vendorId = req.vendor.id;
 
     // Verify poll belongs to vendor
     const pollCheck = await query(
@@ -1156,14 +5407,68 @@ router.get('/polls/:pollId/results', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/vendor/polls
+ * List polls across the vendor's machines
+ * Query: machineId, locationId, groupId
+ */
+router.get('/polls', requirePermission('marketing:read'), async (req, res) => {
+  try {
+    const schema = Joi.object(MACHINE_FILTER_SCHEMA);
+
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const machineIds = await resolveMachineIds(req.vendor.id, value);
+
+    const pollsResult = await query(
+      `SELECT p.id, p.machine_id, vm.machine_name, p.poll_question, p.is_active, p.created_at,
+              COUNT(DISTINCT pv.id) as total_votes
+       FROM polls p
+       JOIN vending_machines vm ON p.machine_id = vm.id
+       LEFT JOIN poll_votes pv ON p.id = pv.poll_id
+       WHERE p.vendor_id = $1
+         AND ($2::int[] IS NULL OR p.machine_id = ANY($2))
+       GROUP BY p.id, vm.machine_name
+       ORDER BY p.created_at DESC`,
+      [req.vendor.id, machineIds]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        polls: pollsResult.rows,
+        count: pollsResult.rows.length,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching polls:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching polls',
+    });
+  }
+});
+
 /**
  * GET /api/vendor/machines/:machineId/polls
  * Get all polls for a machine
  */
-router.get('/machines/:machineId/polls', async (req, res) => {
+router.get('/machines/:machineId/polls', requirePermission('marketing:read'), async (req, res) => {
   try {
     const { machineId } = req.params;
-    const vendorId = req.user.id;
+    const vendorId = req.vendor.id;
 
     // Verify machine belongs to vendor
     const machineCheck = await query(
@@ -1,5 +1,7 @@
 const app = require('./app');
 const { pool } = require('./config/database');
+const { startPointsExpiryJob } = require('./jobs/pointsExpiryJob');
+const { assertMailConfigured } = require('./services/mailService');
 require('dotenv').config();
 
 const PORT = process.env.PORT || 5000;
@@ -8,6 +10,14 @@ const PORT = process.env.PORT || 5000;
 async function startServer() {
   let dbConnected = false;
 
+  // Refuse to start without a real mail transport rather than logging reset links
+  try {
+    assertMailConfigured();
+  } catch (error) {
+    console.error(`✗ ${error.message}`);
+    process.exit(1);
+  }
+
   // Try to connect to database
   try {
     await pool.query('SELECT NOW()');
@@ -28,6 +38,10 @@ async function startServer() {
       console.log('\n⚠ WARNING: Database not connected. Install PostgreSQL to enable full functionality.');
     }
   });
+
+  if (dbConnected) {
+    startPointsExpiryJob();
+  }
 }
 
 // Handle uncaught exceptions
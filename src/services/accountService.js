@@ -0,0 +1,169 @@
+const { query, transaction } = require('../config/database');
+const { httpError } = require('../utils/httpError');
+const { generateToken, hashToken } = require('../utils/codes');
+const User = require('../models/User');
+const { sendMail, frontendLink } = require('./mailService');
+const { revokeAllSessions } = require('./tokenService');
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 48;
+
+/**
+ * Issue a single-use token, replacing any unused one for the same purpose
+ * @param {object} user - { id, email }
+ * @param {string} purpose - 'password_reset' or 'email_verify'
+ * @param {number} ttlMinutes - Minutes until it expires
+ * @returns {string} - Raw token to email
+ */
+async function createActionToken(user, purpose, ttlMinutes) {
+  const token = generateToken();
+
+  await transaction(async (client) => {
+    await client.query(
+      'DELETE FROM user_action_tokens WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL',
+      [user.id, purpose]
+    );
+    await client.query(
+      `INSERT INTO user_action_tokens (user_id, purpose, token_hash, email, expires_at)
+       VALUES ($1, $2, $3, $4, NOW() + make_interval(mins => $5))`,
+      [user.id, purpose, hashToken(token), user.email, ttlMinutes]
+    );
+  });
+
+  return token;
+}
+
+/**
+ * Mark a token used and return its user; fails if unknown, used, expired or
+ * sent to an address the account no longer has
+ * @param {object} client - pg client inside a transaction
+ * @param {string} token - Raw token
+ * @param {string} purpose - 'password_reset' or 'email_verify'
+ * @returns {number} - User ID
+ */
+async function consumeActionToken(client, token, purpose) {
+  const result = await client.query(
+    `UPDATE user_action_tokens t SET used_at = NOW()
+     FROM users u
+     WHERE t.token_hash = $1 AND t.purpose = $2
+       AND t.used_at IS NULL AND t.expires_at > NOW()
+       AND u.id = t.user_id AND u.email = t.email
+     RETURNING t.user_id`,
+    [hashToken(token), purpose]
+  );
+
+  if (result.rows.length === 0) {
+    throw httpError(400, 'Invalid or expired token');
+  }
+
+  return result.rows[0].user_id;
+}
+
+/**
+ * Email a password reset link if an account uses this address
+ * Callers respond the same either way so the endpoint can't be used to probe for accounts.
+ * @param {string} email - Account email
+ */
+async function requestPasswordReset(email) {
+  const result = await query(
+    'SELECT id, email FROM users WHERE LOWER(email) = LOWER($1)',
+    [email.trim()]
+  );
+
+  const user = result.rows[0];
+  if (!user) {
+    return;
+  }
+
+  const token = await createActionToken(user, 'password_reset', PASSWORD_RESET_TTL_MINUTES);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `We received a request to reset your password.\n\n`
+      + `Reset it here within ${PASSWORD_RESET_TTL_MINUTES} minutes:\n${frontendLink('/reset-password', token)}\n\n`
+      + `If you didn't ask for this you can ignore this email.`,
+  });
+}
+
+/**
+ * Set a new password with a reset token, then log the user out everywhere
+ * The reset proves the user reads this inbox, so the email counts as verified.
+ * @param {string} token - Raw reset token
+ * @param {string} password - New password
+ */
+async function resetPassword(token, password) {
+  const passwordHash = await User.hashPassword(password);
+
+  const userId = await transaction(async (client) => {
+    const id = await consumeActionToken(client, token, 'password_reset');
+
+    await client.query(
+      `UPDATE users
+       SET password_hash = $1,
+           email_verified_at = COALESCE(email_verified_at, NOW()),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [passwordHash, id]
+    );
+
+    return id;
+  });
+
+  await revokeAllSessions(userId);
+}
+
+/**
+ * Email a verification link unless the address is already verified
+ * @param {number} userId - User ID
+ * @returns {boolean} - Whether an email was sent
+ */
+async function sendEmailVerification(userId) {
+  const result = await query(
+    'SELECT id, email, email_verified_at FROM users WHERE id = $1',
+    [userId]
+  );
+
+  const user = result.rows[0];
+  if (!user || !user.email || user.email_verified_at) {
+    return false;
+  }
+
+  const token = await createActionToken(user, 'email_verify', EMAIL_VERIFICATION_TTL_HOURS * 60);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Confirm this is your email address by opening this link within ${EMAIL_VERIFICATION_TTL_HOURS} hours:\n`
+      + frontendLink('/verify-email', token),
+  });
+
+  return true;
+}
+
+/**
+ * Mark a user's email verified with a verification token
+ * @param {string} token - Raw verification token
+ * @returns {object} - { id, email, email_verified_at }
+ */
+async function verifyEmail(token) {
+  return transaction(async (client) => {
+    const userId = await consumeActionToken(client, token, 'email_verify');
+
+    const result = await client.query(
+      `UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW())
+       WHERE id = $1
+       RETURNING id, email, email_verified_at`,
+      [userId]
+    );
+
+    return result.rows[0];
+  });
+}
+
+module.exports = {
+  requestPasswordReset,
+  resetPassword,
+  sendEmailVerification,
+  verifyEmail,
+};
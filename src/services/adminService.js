@@ -0,0 +1,326 @@
+const { query, transaction } = require('../config/database');
+const { httpError } = require('../utils/httpError');
+const { signImpersonationToken } = require('./tokenService');
+
+const VENDOR_STATUSES = ['active', 'suspended', 'all'];
+const IMPERSONATION_TTL_MINUTES = parseInt(process.env.IMPERSONATION_EXPIRES_MINUTES) || 30;
+
+/**
+ * Append an entry to the admin audit log
+ * @param {object} entry - { adminId, action, targetType, targetId, impersonationId, details, ipAddress }
+ * @param {object} client - Optional pg client to log inside a transaction
+ */
+async function logAdminAction({
+  adminId,
+  action,
+  targetType = null,
+  targetId = null,
+  impersonationId = null,
+  details = null,
+  ipAddress = null,
+}, client = null) {
+  const runQuery = client ? client.query.bind(client) : query;
+
+  await runQuery(
+    `INSERT INTO admin_audit_log
+     (admin_id, action, target_type, target_id, impersonation_id, details, ip_address)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [
+      adminId,
+      action,
+      targetType,
+      targetId === null ? null : String(targetId),
+      impersonationId,
+      details ? JSON.stringify(details) : null,
+      ipAddress,
+    ]
+  );
+}
+
+/**
+ * List audit log entries, newest first
+ * @param {object} filters - { adminId, action, targetType, targetId, impersonationId, limit, offset }
+ * @returns {object} - { rows, total }
+ */
+async function listAuditLog({
+  adminId = null,
+  action = null,
+  targetType = null,
+  targetId = null,
+  impersonationId = null,
+  limit = 100,
+  offset = 0,
+} = {}) {
+  const params = [adminId, action, targetType, targetId === null ? null : String(targetId), impersonationId];
+  const where = `WHERE ($1::int IS NULL OR l.admin_id = $1)
+       AND ($2::text IS NULL OR l.action = $2)
+       AND ($3::text IS NULL OR l.target_type = $3)
+       AND ($4::text IS NULL OR l.target_id = $4)
+       AND ($5::uuid IS NULL OR l.impersonation_id = $5)`;
+
+  const result = await query(
+    `SELECT l.id, l.admin_id, a.email as admin_email, l.action, l.target_type, l.target_id,
+            l.impersonation_id, l.details, l.ip_address, l.created_at
+     FROM admin_audit_log l
+     LEFT JOIN users a ON l.admin_id = a.id
+     ${where}
+     ORDER BY l.created_at DESC, l.id DESC
+     LIMIT $6 OFFSET $7`,
+    [...params, limit, offset]
+  );
+
+  const countResult = await query(
+    `SELECT COUNT(*)::int as total FROM admin_audit_log l ${where}`,
+    params
+  );
+
+  return { rows: result.rows, total: countResult.rows[0].total };
+}
+
+/**
+ * Platform-wide counts across all vendors
+ * @returns {object} - Metrics
+ */
+async function getPlatformMetrics() {
+  const result = await query(
+    `SELECT
+       (SELECT COUNT(*) FROM organizations)::int as vendors,
+       (SELECT COUNT(*) FROM organizations WHERE suspended_at IS NOT NULL)::int as suspended_vendors,
+       (SELECT COUNT(*) FROM organizations WHERE created_at > NOW() - INTERVAL '30 days')::int as new_vendors_30d,
+       (SELECT COUNT(*) FROM organization_members WHERE role <> 'owner')::int as staff_logins,
+       (SELECT COUNT(*) FROM users WHERE role = 'customer')::int as customers,
+       (SELECT COUNT(*) FROM vending_machines)::int as machines,
+       (SELECT COUNT(*) FROM vending_machines WHERE is_active = true)::int as active_machines,
+       (SELECT MAX(created_at) FROM vending_machines) as last_machine_created_at,
+       (SELECT COUNT(*) FROM sales WHERE sold_at > NOW() - INTERVAL '30 days')::int as sales_30d,
+       (SELECT COALESCE(SUM(price_paid), 0) FROM sales WHERE sold_at > NOW() - INTERVAL '30 days') as revenue_30d,
+       (SELECT COUNT(*) FROM discount_redemptions WHERE status = 'pending')::int as pending_redemptions,
+       (SELECT COUNT(*) FROM rebates WHERE status = 'pending')::int as pending_rebates`
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * List vendor organizations with their owner and size
+ * @param {object} filters - { search (name or owner email), status, limit, offset }
+ * @returns {object} - { rows, total }
+ */
+async function listVendors({ search = null, status = 'all', limit = 50, offset = 0 } = {}) {
+  const params = [search ? `%${search}%` : null, status];
+  const where = `WHERE ($1::text IS NULL OR o.name ILIKE $1 OR u.email ILIKE $1)
+       AND ($2 = 'all'
+         OR ($2 = 'active' AND o.suspended_at IS NULL)
+         OR ($2 = 'suspended' AND o.suspended_at IS NOT NULL))`;
+
+  const result = await query(
+    `SELECT o.id, o.name, o.owner_id, u.email as owner_email, u.full_name as owner_name,
+            o.suspended_at, o.suspended_reason, o.created_at,
+            (SELECT COUNT(*) FROM organization_members m WHERE m.organization_id = o.id)::int as member_count,
+            (SELECT COUNT(*) FROM vending_machines vm WHERE vm.vendor_id = o.owner_id)::int as machine_count
+     FROM organizations o
+     JOIN users u ON o.owner_id = u.id
+     ${where}
+     ORDER BY o.created_at DESC
+     LIMIT $3 OFFSET $4`,
+    [...params, limit, offset]
+  );
+
+  const countResult = await query(
+    `SELECT COUNT(*)::int as total
+     FROM organizations o
+     JOIN users u ON o.owner_id = u.id
+     ${where}`,
+    params
+  );
+
+  return { rows: result.rows, total: countResult.rows[0].total };
+}
+
+/**
+ * Get a vendor organization with its members and activity
+ * @param {number} organizationId - Organization ID
+ * @returns {object|null} - Organization or null if not found
+ */
+async function getVendor(organizationId) {
+  const result = await query(
+    `SELECT o.id, o.name, o.owner_id, u.email as owner_email, u.full_name as owner_name,
+            o.suspended_at, o.suspended_reason, o.created_at,
+            (SELECT COUNT(*) FROM vending_machines vm WHERE vm.vendor_id = o.owner_id)::int as machine_count,
+            (SELECT MAX(s.sold_at) FROM sales s
+             JOIN vending_machines vm ON s.machine_id = vm.id
+             WHERE vm.vendor_id = o.owner_id) as last_sale_at
+     FROM organizations o
+     JOIN users u ON o.owner_id = u.id
+     WHERE o.id = $1`,
+    [organizationId]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const membersResult = await query(
+    `SELECT u.id as user_id, u.email, u.full_name, m.role, m.created_at
+     FROM organization_members m
+     JOIN users u ON m.user_id = u.id
+     WHERE m.organization_id = $1
+     ORDER BY m.role = 'owner' DESC, u.full_name`,
+    [organizationId]
+  );
+
+  return { ...result.rows[0], members: membersResult.rows };
+}
+
+/**
+ * Suspend or reinstate a vendor organization and record it in the audit log
+ * @param {number} organizationId - Organization ID
+ * @param {object} data - { suspended, reason, adminId, ipAddress }
+ * @returns {object|null} - { id, suspended_at, suspended_reason } or null if not found
+ */
+async function setVendorSuspended(organizationId, { suspended, reason = null, adminId, ipAddress = null }) {
+  return transaction(async (client) => {
+    const result = await client.query(
+      `UPDATE organizations
+       SET suspended_at = CASE WHEN $1::boolean THEN COALESCE(suspended_at, NOW()) ELSE NULL END,
+           suspended_reason = CASE WHEN $1::boolean THEN $2 ELSE NULL END
+       WHERE id = $3
+       RETURNING id, suspended_at, suspended_reason`,
+      [suspended, reason, organizationId]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    await logAdminAction({
+      adminId,
+      action: suspended ? 'vendor.suspend' : 'vendor.reinstate',
+      targetType: 'organization',
+      targetId: organizationId,
+      details: reason ? { reason } : null,
+      ipAddress,
+    }, client);
+
+    return result.rows[0];
+  });
+}
+
+/**
+ * Start acting as a vendor's owner for support
+ * The returned token works on the vendor routes until it expires or the session is ended;
+ * every write made with it is written to the audit log.
+ * @param {object} data - { organizationId, adminId, reason, ipAddress }
+ * @returns {object} - { impersonationId, token, expiresAt, vendor: { organizationId, userId, email } }
+ */
+async function startImpersonation({ organizationId, adminId, reason, ipAddress = null }) {
+  return transaction(async (client) => {
+    const ownerResult = await client.query(
+      `SELECT u.id, u.email, u.role
+       FROM organizations o
+       JOIN users u ON o.owner_id = u.id
+       WHERE o.id = $1`,
+      [organizationId]
+    );
+
+    const owner = ownerResult.rows[0];
+    if (!owner) {
+      throw httpError(404, 'Vendor not found');
+    }
+
+    const sessionResult = await client.query(
+      `INSERT INTO impersonation_sessions (admin_id, organization_id, user_id, reason, expires_at)
+       VALUES ($1, $2, $3, $4, NOW() + make_interval(mins => $5))
+       RETURNING id, expires_at`,
+      [adminId, organizationId, owner.id, reason, IMPERSONATION_TTL_MINUTES]
+    );
+    const session = sessionResult.rows[0];
+
+    await logAdminAction({
+      adminId,
+      action: 'impersonation.start',
+      targetType: 'organization',
+      targetId: organizationId,
+      impersonationId: session.id,
+      details: { reason, userId: owner.id },
+      ipAddress,
+    }, client);
+
+    // The session row is authoritative; the JWT just shouldn't outlive it
+    const tokenExpiresAt = new Date(Date.now() + IMPERSONATION_TTL_MINUTES * 60 * 1000);
+
+    return {
+      impersonationId: session.id,
+      token: signImpersonationToken(owner, session.id, tokenExpiresAt),
+      expiresAt: session.expires_at,
+      vendor: { organizationId, userId: owner.id, email: owner.email },
+    };
+  });
+}
+
+/**
+ * End an impersonation session early
+ * @param {string} impersonationId - impersonation_sessions ID
+ * @param {object} data - { adminId (who ended it), ipAddress }
+ * @returns {boolean} - Whether an open session was ended
+ */
+async function endImpersonation(impersonationId, { adminId, ipAddress = null }) {
+  return transaction(async (client) => {
+    const result = await client.query(
+      `UPDATE impersonation_sessions SET ended_at = NOW()
+       WHERE id = $1 AND ended_at IS NULL AND expires_at > NOW()
+       RETURNING id, organization_id`,
+      [impersonationId]
+    );
+
+    if (result.rows.length === 0) {
+      return false;
+    }
+
+    await logAdminAction({
+      adminId,
+      action: 'impersonation.end',
+      targetType: 'organization',
+      targetId: result.rows[0].organization_id,
+      impersonationId,
+      ipAddress,
+    }, client);
+
+    return true;
+  });
+}
+
+/**
+ * List impersonation sessions, newest first
+ * @param {object} filters - { active (only open sessions), limit, offset }
+ * @returns {array} - Sessions with admin and vendor details
+ */
+async function listImpersonations({ active = false, limit = 50, offset = 0 } = {}) {
+  const result = await query(
+    `SELECT i.id, i.admin_id, a.email as admin_email, i.organization_id, o.name as organization_name,
+            i.user_id, i.reason, i.expires_at, i.ended_at, i.created_at,
+            (i.ended_at IS NULL AND i.expires_at > NOW()) as active
+     FROM impersonation_sessions i
+     JOIN users a ON i.admin_id = a.id
+     JOIN organizations o ON i.organization_id = o.id
+     WHERE ($1::boolean = false OR (i.ended_at IS NULL AND i.expires_at > NOW()))
+     ORDER BY i.created_at DESC
+     LIMIT $2 OFFSET $3`,
+    [active, limit, offset]
+  );
+
+  return result.rows;
+}
+
+module.exports = {
+  VENDOR_STATUSES,
+  logAdminAction,
+  listAuditLog,
+  getPlatformMetrics,
+  listVendors,
+  getVendor,
+  setVendorSuspended,
+  startImpersonation,
+  endImpersonation,
+  listImpersonations,
+};
@@ -0,0 +1,229 @@
+const { transaction } = require('../config/database');
+const { parseDex } = require('../utils/dexParser');
+const { recordSale } = require('./salesService');
+const { applyMovement } = require('./inventoryService');
+const { httpError } = require('../utils/httpError');
+
+/**
+ * Reconcile a DEX audit against the sales ledger and stock for a machine
+ *
+ * DEX vend counters are cumulative, so vends are measured as the difference
+ * from the previous import for the same column. The first import for a
+ * machine only records a baseline. Vends the machine counted but the ledger
+ * is missing become 'dex' sales (decrementing stock); vends the ledger has
+ * but the machine never counted are returned to stock.
+ *
+ * @param {object} options - { machineId, userId, text, apply }
+ * @returns {object} - Variance report
+ */
+async function importDex({ machineId, userId, text, apply = true }) {
+  let parsed;
+  try {
+    parsed = parseDex(text);
+  } catch (error) {
+    throw httpError(400, 'Invalid DEX file: ' + error.message);
+  }
+
+  return transaction(async (client) => {
+    // Serialize imports per machine so counters are compared against a stable baseline
+    await client.query('SELECT id FROM vending_machines WHERE id = $1 FOR UPDATE', [machineId]);
+
+    const previousResult = await client.query(
+      `SELECT id, created_at FROM dex_imports
+       WHERE machine_id = $1
+       ORDER BY created_at DESC, id DESC
+       LIMIT 1`,
+      [machineId]
+    );
+    const previous = previousResult.rows[0] || null;
+
+    const previousCounts = new Map();
+    if (previous) {
+      const countsResult = await client.query(
+        'SELECT column_code, vend_count FROM dex_import_columns WHERE dex_import_id = $1',
+        [previous.id]
+      );
+      for (const row of countsResult.rows) {
+        previousCounts.set(row.column_code.toUpperCase(), row.vend_count);
+      }
+    }
+
+    const slotsResult = await client.query(
+      `SELECT mp.id, mp.slot_code, mp.current_stock, mp.product_id, p.product_name,
+              COALESCE(mp.price_override, p.price) as price
+       FROM machine_products mp
+       JOIN products p ON mp.product_id = p.id
+       WHERE mp.machine_id = $1
+       FOR UPDATE OF mp`,
+      [machineId]
+    );
+
+    const slotsByCode = new Map();
+    for (const slot of slotsResult.rows) {
+      if (slot.slot_code) slotsByCode.set(slot.slot_code.toUpperCase(), slot);
+    }
+
+    const columns = [];
+    const unmappedColumns = [];
+    const matchedSlotIds = new Set();
+
+    for (const column of parsed.columns) {
+      const code = column.column.toUpperCase();
+      const slot = slotsByCode.get(code);
+
+      if (!slot) {
+        unmappedColumns.push({ column: column.column, vendCount: column.vendCount, priceCents: column.priceCents });
+        continue;
+      }
+      matchedSlotIds.add(slot.id);
+
+      const previousCount = previousCounts.has(code) ? previousCounts.get(code) : null;
+      let dexVends = null;
+      let counterReset = false;
+      if (previousCount !== null && column.vendCount !== null) {
+        dexVends = column.vendCount - previousCount;
+        if (dexVends < 0) {
+          // Counter was reset on the machine; the delta is unknowable
+          dexVends = null;
+          counterReset = true;
+        }
+      }
+
+      let recordedVends = null;
+      if (previous) {
+        const recordedResult = await client.query(
+          `SELECT COALESCE(SUM(quantity), 0) as units
+           FROM sales
+           WHERE machine_product_id = $1 AND source <> 'dex' AND sold_at > $2`,
+          [slot.id, previous.created_at]
+        );
+        recordedVends = parseInt(recordedResult.rows[0].units);
+      }
+
+      const stockBefore = slot.current_stock;
+      const variance = dexVends !== null ? dexVends - recordedVends : null;
+      let stockAfter = stockBefore;
+      let reconciledVends = 0;
+
+      if (apply && variance > 0) {
+        const unitPrice = column.priceCents !== null ? column.priceCents / 100 : parseFloat(slot.price);
+        const { currentStock } = await recordSale({
+          machineId,
+          machineProductId: slot.id,
+          slotCode: slot.slot_code,
+          quantity: variance,
+          pricePaid: Math.round(unitPrice * variance * 100) / 100,
+          paymentType: 'other',
+          source: 'dex',
+          recordedBy: userId,
+        }, client);
+        stockAfter = currentStock;
+        reconciledVends = variance;
+      } else if (apply && variance < 0) {
+        const movement = await applyMovement(client, {
+          machineProductId: slot.id,
+          change: -variance,
+          reason: 'count_adjustment',
+          userId,
+          notes: 'DEX reconciliation: ledger sales not counted by machine',
+        });
+        stockAfter = movement.stock_after;
+        reconciledVends = variance;
+      }
+
+      const productPriceCents = Math.round(parseFloat(slot.price) * 100);
+
+      columns.push({
+        column: column.column,
+        machineProductId: slot.id,
+        productId: slot.product_id,
+        productName: slot.product_name,
+        dexPriceCents: column.priceCents,
+        priceMismatch: column.priceCents !== null && column.priceCents !== productPriceCents,
+        vendCount: column.vendCount,
+        dexVends,
+        recordedVends,
+        variance,
+        counterReset,
+        reconciledVends,
+        stockBefore,
+        stockAfter,
+        valueCents: column.valueCents,
+      });
+    }
+
+    const slotsMissingFromDex = slotsResult.rows
+      .filter(slot => !matchedSlotIds.has(slot.id))
+      .map(slot => ({
+        machineProductId: slot.id,
+        slotCode: slot.slot_code,
+        productName: slot.product_name,
+        currentStock: slot.current_stock,
+      }));
+
+    let importId = null;
+    if (apply) {
+      const importResult = await client.query(
+        `INSERT INTO dex_imports
+         (machine_id, uploaded_by, machine_serial, vend_value_cents, vend_count, is_baseline, raw_text)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING id`,
+        [
+          machineId,
+          userId,
+          parsed.machineSerial,
+          parsed.vendTotals?.valueCents ?? null,
+          parsed.vendTotals?.count ?? null,
+          !previous,
+          text,
+        ]
+      );
+      importId = importResult.rows[0].id;
+
+      // Store counters for every column (mapped or not) so the next import has a baseline
+      for (const column of parsed.columns) {
+        const report = columns.find(c => c.column === column.column);
+        await client.query(
+          `INSERT INTO dex_import_columns
+           (dex_import_id, column_code, machine_product_id, price_cents, vend_count, vend_value_cents,
+            dex_vends, recorded_vends, reconciled_vends, stock_before, stock_after)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+          [
+            importId,
+            column.column,
+            report?.machineProductId || null,
+            column.priceCents,
+            column.vendCount,
+            column.valueCents,
+            report?.dexVends ?? null,
+            report?.recordedVends ?? null,
+            report?.reconciledVends ?? null,
+            report?.stockBefore ?? null,
+            report?.stockAfter ?? null,
+          ]
+        );
+      }
+    }
+
+    const sum = (key) => columns.reduce((total, c) => total + (c[key] || 0), 0);
+
+    return {
+      importId,
+      applied: apply,
+      baseline: !previous,
+      previousImportAt: previous?.created_at || null,
+      machineSerial: parsed.machineSerial,
+      vendTotals: parsed.vendTotals,
+      columns,
+      unmappedColumns,
+      slotsMissingFromDex,
+      totals: {
+        dexVends: sum('dexVends'),
+        recordedVends: sum('recordedVends'),
+        reconciledVends: sum('reconciledVends'),
+      },
+    };
+  });
+}
+
+module.exports = { importDex };
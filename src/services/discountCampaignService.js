@@ -0,0 +1,410 @@
+const { query, transaction } = require('../config/database');
+const { httpError } = require('../utils/httpError');
+const { generateCode } = require('../utils/codes');
+
+const CODE_STATUSES = ['unused', 'used', 'all'];
+const MAX_CODES_PER_REQUEST = 10000;
+
+// Every code on a QR sheet is rendered in memory, so big campaigns are printed in pages
+const MAX_QR_SHEET_CODES = 500;
+
+// Every X in a pattern becomes a random character; fewer than this many makes codes guessable
+const MIN_RANDOM_CHARS = 4;
+const CODE_ALPHABET_SIZE = 32;
+const MAX_GENERATION_ROUNDS = 5;
+
+/**
+ * Fill a pattern like SUMMER-XXXX with random characters
+ */
+function fillPattern(pattern) {
+  return pattern.replace(/X/g, () => generateCode(1));
+}
+
+/**
+ * Check a pattern has room for this many more codes without endless collisions
+ * @param {string} pattern - Code pattern
+ * @param {number} total - Codes the campaign will hold
+ */
+function assertPatternCapacity(pattern, total) {
+  const randomChars = (pattern.match(/X/g) || []).length;
+
+  if (randomChars < MIN_RANDOM_CHARS) {
+    throw httpError(400, `Code pattern needs at least ${MIN_RANDOM_CHARS} X characters`);
+  }
+  // Keep the space at least 10x the batch so collisions stay rare and codes hard to guess
+  if (Math.pow(CODE_ALPHABET_SIZE, randomChars) < total * 10) {
+    throw httpError(400, `Code pattern needs more X characters to generate ${total} unique codes`);
+  }
+}
+
+/**
+ * Check machines and product belong to the vendor
+ */
+async function assertCampaignTargets(vendorId, { machineIds = null, productId = null }) {
+  if (machineIds) {
+    const machineResult = await query(
+      'SELECT id FROM vending_machines WHERE vendor_id = $1 AND id = ANY($2)',
+      [vendorId, machineIds]
+    );
+    if (machineResult.rows.length !== new Set(machineIds).size) {
+      throw httpError(404, 'Vending machine not found');
+    }
+  }
+
+  if (productId) {
+    const productResult = await query(
+      'SELECT id FROM products WHERE id = $1 AND vendor_id = $2',
+      [productId, vendorId]
+    );
+    if (productResult.rows.length === 0) {
+      throw httpError(404, 'Product not found');
+    }
+  }
+}
+
+/**
+ * Generate single-use codes for a campaign, copying its terms onto each one
+ * Codes that collide with an existing code are skipped and regenerated.
+ * @param {object} client - pg client inside a transaction
+ * @param {object} campaign - discount_campaigns row
+ * @param {number} count - Codes to add
+ * @returns {number} - Codes added
+ */
+async function insertCampaignCodes(client, campaign, count) {
+  let inserted = 0;
+
+  for (let round = 0; inserted < count && round < MAX_GENERATION_ROUNDS; round++) {
+    const batch = new Set();
+    while (batch.size < count - inserted) {
+      batch.add(fillPattern(campaign.code_pattern));
+    }
+
+    const result = await client.query(
+      `INSERT INTO discount_codes
+       (vendor_id, campaign_id, product_id, category, code, discount_type, discount_value,
+        min_purchase_amount, buy_quantity, get_quantity, max_uses, valid_from, valid_until, is_active)
+       SELECT c.vendor_id, c.id, c.product_id, c.category, codes.code, c.discount_type, c.discount_value,
+              c.min_purchase_amount, c.buy_quantity, c.get_quantity, 1, c.valid_from, c.valid_until, c.is_active
+       FROM discount_campaigns c
+       CROSS JOIN UNNEST($2::varchar[]) AS codes(code)
+       WHERE c.id = $1
+       ON CONFLICT (code) DO NOTHING`,
+      [campaign.id, [...batch]]
+    );
+    inserted += result.rowCount;
+  }
+
+  if (inserted < count) {
+    throw httpError(409, 'Could not generate enough unique codes from this pattern; add more X characters');
+  }
+
+  return inserted;
+}
+
+/**
+ * Get a campaign with its machines and code counts
+ * @param {number} campaignId - Campaign ID
+ * @param {number} vendorId - Vendor user ID
+ * @returns {object|null} - Campaign or null if not found
+ */
+async function getCampaign(campaignId, vendorId) {
+  const result = await query(
+    `SELECT c.*, p.product_name,
+            (SELECT COUNT(*)::int FROM discount_codes dc WHERE dc.campaign_id = c.id) as code_count,
+            (SELECT COUNT(*)::int FROM discount_codes dc
+             WHERE dc.campaign_id = c.id AND dc.current_uses > 0) as redeemed_count
+     FROM discount_campaigns c
+     LEFT JOIN products p ON c.product_id = p.id
+     WHERE c.id = $1 AND c.vendor_id = $2`,
+    [campaignId, vendorId]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const machinesResult = await query(
+    `SELECT vm.id, vm.machine_name
+     FROM discount_campaign_machines dcm
+     JOIN vending_machines vm ON dcm.machine_id = vm.id
+     WHERE dcm.campaign_id = $1
+     ORDER BY vm.machine_name`,
+    [campaignId]
+  );
+
+  return { ...result.rows[0], machines: machinesResult.rows };
+}
+
+/**
+ * List a vendor's campaigns with code counts
+ * @param {number} vendorId - Vendor user ID
+ * @returns {array} - Campaigns, newest first
+ */
+async function listCampaigns(vendorId) {
+  const result = await query(
+    `SELECT c.id, c.name, c.code_pattern, c.discount_type, c.discount_value, c.product_id,
+            c.category, c.valid_from, c.valid_until, c.is_active, c.created_at,
+            COUNT(dc.id)::int as code_count,
+            COUNT(dc.id) FILTER (WHERE dc.current_uses > 0)::int as redeemed_count,
+            (SELECT COUNT(*)::int FROM discount_campaign_machines dcm
+             WHERE dcm.campaign_id = c.id) as machine_count
+     FROM discount_campaigns c
+     LEFT JOIN discount_codes dc ON dc.campaign_id = c.id
+     WHERE c.vendor_id = $1
+     GROUP BY c.id
+     ORDER BY c.created_at DESC`,
+    [vendorId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Create a campaign and generate its codes
+ * @param {number} vendorId - Vendor user ID
+ * @param {object} data - { name, codePattern, count, machineIds, discountType, discountValue, productId,
+ *                          category, minPurchaseAmount, buyQuantity, getQuantity, startsAt, endsAt }
+ * @returns {object} - Created campaign
+ */
+async function createCampaign(vendorId, data) {
+  assertPatternCapacity(data.codePattern, data.count);
+  await assertCampaignTargets(vendorId, data);
+
+  const campaignId = await transaction(async (client) => {
+    const campaignResult = await client.query(
+      `INSERT INTO discount_campaigns
+       (vendor_id, name, code_pattern, discount_type, discount_value, product_id, category,
+        min_purchase_amount, buy_quantity, get_quantity, valid_from, valid_until, is_active)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, COALESCE($11, CURRENT_TIMESTAMP), $12, true)
+       RETURNING *`,
+      [
+        vendorId,
+        data.name,
+        data.codePattern,
+        data.discountType,
+        data.discountValue,
+        data.productId || null,
+        data.category || null,
+        data.minPurchaseAmount || null,
+        data.buyQuantity || null,
+        data.getQuantity || null,
+        data.startsAt || null,
+        data.endsAt || null,
+      ]
+    );
+    const campaign = campaignResult.rows[0];
+
+    await client.query(
+      `INSERT INTO discount_campaign_machines (campaign_id, machine_id)
+       SELECT $1, UNNEST($2::int[])
+       ON CONFLICT DO NOTHING`,
+      [campaign.id, data.machineIds]
+    );
+
+    await insertCampaignCodes(client, campaign, data.count);
+    return campaign.id;
+  });
+
+  return getCampaign(campaignId, vendorId);
+}
+
+/**
+ * Generate more codes for an existing campaign
+ * @param {number} campaignId - Campaign ID
+ * @param {number} vendorId - Vendor user ID
+ * @param {number} count - Codes to add
+ * @returns {object|null} - Updated campaign or null if not found
+ */
+async function addCampaignCodes(campaignId, vendorId, count) {
+  const found = await transaction(async (client) => {
+    const campaignResult = await client.query(
+      'SELECT * FROM discount_campaigns WHERE id = $1 AND vendor_id = $2 FOR UPDATE',
+      [campaignId, vendorId]
+    );
+
+    if (campaignResult.rows.length === 0) {
+      return false;
+    }
+
+    const campaign = campaignResult.rows[0];
+    const existing = await client.query(
+      'SELECT COUNT(*)::int as count FROM discount_codes WHERE campaign_id = $1',
+      [campaignId]
+    );
+    assertPatternCapacity(campaign.code_pattern, existing.rows[0].count + count);
+
+    await insertCampaignCodes(client, campaign, count);
+    return true;
+  });
+
+  return found ? getCampaign(campaignId, vendorId) : null;
+}
+
+/**
+ * Update a campaign; name, validity and active state are pushed down to all of its codes
+ * @param {number} campaignId - Campaign ID
+ * @param {number} vendorId - Vendor user ID
+ * @param {object} data - { name, startsAt, endsAt, isActive, machineIds }
+ * @returns {object|null} - Updated campaign or null if not found
+ */
+async function updateCampaign(campaignId, vendorId, data) {
+  await assertCampaignTargets(vendorId, data);
+
+  const columns = {
+    name: 'name',
+    startsAt: 'valid_from',
+    endsAt: 'valid_until',
+    isActive: 'is_active',
+  };
+
+  const updates = [];
+  const values = [];
+  let paramCount = 1;
+
+  for (const [key, column] of Object.entries(columns)) {
+    if (data[key] !== undefined) {
+      updates.push(`${column} = $${paramCount++}`);
+      values.push(data[key]);
+    }
+  }
+
+  if (updates.length === 0 && !data.machineIds) {
+    throw httpError(400, 'No fields to update');
+  }
+
+  values.push(campaignId, vendorId);
+
+  const found = await transaction(async (client) => {
+    const campaignResult = await client.query(
+      updates.length > 0
+        ? `UPDATE discount_campaigns SET ${updates.join(', ')}
+           WHERE id = $${paramCount} AND vendor_id = $${paramCount + 1}
+           RETURNING *`
+        : `SELECT * FROM discount_campaigns
+           WHERE id = $${paramCount} AND vendor_id = $${paramCount + 1}
+           FOR UPDATE`,
+      values
+    );
+
+    if (campaignResult.rows.length === 0) {
+      return false;
+    }
+
+    const campaign = campaignResult.rows[0];
+
+    await client.query(
+      `UPDATE discount_codes
+       SET valid_from = $1, valid_until = $2, is_active = $3
+       WHERE campaign_id = $4`,
+      [campaign.valid_from, campaign.valid_until, campaign.is_active, campaignId]
+    );
+
+    if (data.machineIds) {
+      await client.query('DELETE FROM discount_campaign_machines WHERE campaign_id = $1', [campaignId]);
+      await client.query(
+        `INSERT INTO discount_campaign_machines (campaign_id, machine_id)
+         SELECT $1, UNNEST($2::int[])
+         ON CONFLICT DO NOTHING`,
+        [campaignId, data.machineIds]
+      );
+    }
+
+    return true;
+  });
+
+  return found ? getCampaign(campaignId, vendorId) : null;
+}
+
+/**
+ * List a campaign's codes for export
+ * @param {number} campaignId - Campaign ID
+ * @param {object} filters - { status: unused, used or all, limit, offset }
+ * @returns {array} - Codes in creation order
+ */
+async function listCampaignCodes(campaignId, { status = 'all', limit = null, offset = 0 } = {}) {
+  const result = await query(
+    `SELECT dc.id, dc.code, dc.current_uses, dc.max_uses, dc.is_active, dc.valid_until,
+            CASE WHEN dc.current_uses >= dc.max_uses THEN 'used' ELSE 'unused' END as status,
+            (SELECT MAX(dr.redeemed_at) FROM discount_redemptions dr
+             WHERE dr.discount_code_id = dc.id AND dr.status <> 'rejected') as redeemed_at
+     FROM discount_codes dc
+     WHERE dc.campaign_id = $1
+       AND ($2::text = 'all'
+            OR ($2 = 'used' AND dc.current_uses >= dc.max_uses)
+            OR ($2 = 'unused' AND dc.current_uses < dc.max_uses))
+     ORDER BY dc.id
+     LIMIT $3 OFFSET $4`,
+    [campaignId, status, limit, offset]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Redemption stats for a campaign
+ * @param {number} campaignId - Campaign ID
+ * @returns {object} - { codes, redeemedCodes, redemptionRate, redemptions, byMachine, byDay }
+ */
+async function getCampaignStats(campaignId) {
+  const codesResult = await query(
+    `SELECT COUNT(*)::int as codes,
+            COUNT(*) FILTER (WHERE current_uses > 0)::int as redeemed_codes
+     FROM discount_codes
+     WHERE campaign_id = $1`,
+    [campaignId]
+  );
+
+  const redemptionsResult = await query(
+    `SELECT dr.status, COUNT(*)::int as count
+     FROM discount_redemptions dr
+     JOIN discount_codes dc ON dr.discount_code_id = dc.id
+     WHERE dc.campaign_id = $1
+     GROUP BY dr.status`,
+    [campaignId]
+  );
+
+  const byMachineResult = await query(
+    `SELECT dr.machine_id, vm.machine_name, COUNT(*)::int as redemptions
+     FROM discount_redemptions dr
+     JOIN discount_codes dc ON dr.discount_code_id = dc.id
+     JOIN vending_machines vm ON dr.machine_id = vm.id
+     WHERE dc.campaign_id = $1 AND dr.status <> 'rejected'
+     GROUP BY dr.machine_id, vm.machine_name
+     ORDER BY redemptions DESC`,
+    [campaignId]
+  );
+
+  const byDayResult = await query(
+    `SELECT DATE(dr.redeemed_at) as day, COUNT(*)::int as redemptions
+     FROM discount_redemptions dr
+     JOIN discount_codes dc ON dr.discount_code_id = dc.id
+     WHERE dc.campaign_id = $1 AND dr.status <> 'rejected'
+     GROUP BY DATE(dr.redeemed_at)
+     ORDER BY day`,
+    [campaignId]
+  );
+
+  const { codes, redeemed_codes: redeemedCodes } = codesResult.rows[0];
+
+  return {
+    codes,
+    redeemedCodes,
+    redemptionRate: codes > 0 ? Math.round(redeemedCodes / codes * 10000) / 100 : 0,
+    redemptions: Object.fromEntries(redemptionsResult.rows.map(row => [row.status, row.count])),
+    byMachine: byMachineResult.rows,
+    byDay: byDayResult.rows,
+  };
+}
+
+module.exports = {
+  CODE_STATUSES,
+  MAX_CODES_PER_REQUEST,
+  MAX_QR_SHEET_CODES,
+  getCampaign,
+  listCampaigns,
+  createCampaign,
+  addCampaignCodes,
+  updateCampaign,
+  listCampaignCodes,
+  getCampaignStats,
+};
@@ -0,0 +1,561 @@
+const { query, transaction } = require('../config/database');
+const { httpError } = require('../utils/httpError');
+const { assertVendorMachines } = require('./machineGroupService');
+
+const DISCOUNT_TYPES = ['percentage', 'fixed', 'bogo'];
+const MACHINE_SCOPES = ['machine', 'machines', 'group', 'vendor'];
+
+// Whether code dc can be used at machine vm; both aliases must be in the query
+const VALID_AT_MACHINE_SQL = `dc.vendor_id = vm.vendor_id AND CASE
+      WHEN dc.campaign_id IS NOT NULL THEN EXISTS (
+        SELECT 1 FROM discount_campaign_machines dcm
+        WHERE dcm.campaign_id = dc.campaign_id AND dcm.machine_id = vm.id)
+      WHEN dc.machine_scope = 'machines' THEN EXISTS (
+        SELECT 1 FROM discount_code_machines dcmx
+        WHERE dcmx.discount_code_id = dc.id AND dcmx.machine_id = vm.id)
+      WHEN dc.machine_scope = 'group' THEN EXISTS (
+        SELECT 1 FROM machine_group_members mgm
+        WHERE mgm.group_id = dc.machine_group_id AND mgm.machine_id = vm.id)
+      WHEN dc.machine_scope = 'vendor' THEN true
+      ELSE dc.machine_id = vm.id
+    END`;
+
+/**
+ * Check a code can be used at a machine under its machine scope
+ * @param {object} client - Optional pg client
+ * @param {object} discount - discount_codes row
+ * @param {number} machineId - Machine ID
+ */
+async function assertValidAtMachine(client, discount, machineId) {
+  const runQuery = client ? client.query.bind(client) : query;
+
+  const result = await runQuery(
+    `SELECT 1
+     FROM discount_codes dc
+     JOIN vending_machines vm ON vm.id = $2
+     WHERE dc.id = $1 AND ${VALID_AT_MACHINE_SQL}`,
+    [discount.id, machineId]
+  );
+
+  if (result.rows.length === 0) {
+    throw httpError(400, 'This discount code is not valid for this machine');
+  }
+}
+
+/**
+ * Check a code is switched on and inside its validity window
+ * @param {object} discount - discount_codes row
+ * @param {Date} at - When it is used (defaults to now)
+ */
+function assertDiscountActive(discount, at = new Date()) {
+  if (!discount.is_active) {
+    throw httpError(400, 'This discount code is no longer active');
+  }
+  if (discount.valid_from && new Date(discount.valid_from) > at) {
+    throw httpError(400, 'This discount code is not yet valid');
+  }
+  if (discount.valid_until && new Date(discount.valid_until) < at) {
+    throw httpError(400, 'This discount code has expired');
+  }
+}
+
+/**
+ * Check a discount code can be used by this customer at this machine right now
+ * @param {object} client - Optional pg client (pass the one holding the code's row lock)
+ * @param {object} discount - discount_codes row
+ * @param {object} data - { customerId (null for an anonymous price check), machineId }
+ */
+async function assertDiscountUsable(client, discount, { customerId = null, machineId }) {
+  const runQuery = client ? client.query.bind(client) : query;
+
+  await assertValidAtMachine(client, discount, machineId);
+  // Reward codes bought with points are only good for the customer they were issued to
+  if (discount.customer_id && discount.customer_id !== customerId) {
+    throw httpError(400, 'This discount code was issued to another customer');
+  }
+  assertDiscountActive(discount);
+  if (discount.max_uses && discount.current_uses >= discount.max_uses) {
+    throw httpError(400, 'This discount code has reached its maximum usage limit');
+  }
+
+  if (customerId) {
+    // A rejected proof may be resubmitted
+    const existing = await runQuery(
+      `SELECT id FROM discount_redemptions
+       WHERE discount_code_id = $1 AND customer_id = $2 AND status <> 'rejected'`,
+      [discount.id, customerId]
+    );
+
+    if (existing.rows.length > 0) {
+      throw httpError(400, 'You have already redeemed this discount code');
+    }
+  }
+}
+
+/**
+ * Lock a discount code, check this customer can use it at this machine and take one use
+ * The row lock serializes concurrent redemptions of the same code, so the usage limit and
+ * the one-per-customer rule are checked against committed state and can't be overshot.
+ * @param {object} client - pg client inside a transaction
+ * @param {object} data - { discountId or code, customerId, machineId }
+ * @returns {object} - discount_codes row after the use was counted
+ */
+async function reserveDiscountUse(client, { discountId = null, code = null, customerId, machineId }) {
+  if (!discountId && !code) {
+    throw httpError(400, 'discountId or code is required');
+  }
+
+  const result = await client.query(
+    `SELECT * FROM discount_codes
+     WHERE ($1::int IS NULL OR id = $1) AND ($2::varchar IS NULL OR code = $2)
+     FOR UPDATE`,
+    [discountId, code ? code.toUpperCase() : null]
+  );
+
+  if (result.rows.length === 0) {
+    throw httpError(404, 'Discount code not found');
+  }
+
+  const discount = result.rows[0];
+  await assertDiscountUsable(client, discount, { customerId, machineId });
+
+  const updateResult = await client.query(
+    `UPDATE discount_codes SET current_uses = current_uses + 1
+     WHERE id = $1 AND (max_uses IS NULL OR current_uses < max_uses)
+     RETURNING *`,
+    [discount.id]
+  );
+
+  if (updateResult.rows.length === 0) {
+    throw httpError(400, 'This discount code has reached its maximum usage limit');
+  }
+
+  return updateResult.rows[0];
+}
+
+/**
+ * Whether a code can only be priced against the items being bought
+ * @param {object} discount - discount_codes row
+ * @returns {boolean}
+ */
+function requiresBasket(discount) {
+  return Boolean(discount.product_id || discount.category || discount.min_purchase_amount || discount.discount_type === 'bogo');
+}
+
+/**
+ * Whether a basket line is covered by a code's product, category or machine-wide scope
+ */
+function isInScope(discount, line) {
+  if (discount.product_id) {
+    return line.productId === discount.product_id;
+  }
+  if (discount.category) {
+    return (line.category || '').toLowerCase() === discount.category.toLowerCase();
+  }
+  return true;
+}
+
+/**
+ * Amount a code takes off the lines it covers, in cents
+ * @param {object} discount - discount_codes row
+ * @param {array} lines - Eligible basket lines with unitCents and quantity
+ * @returns {number} - Discount in cents
+ */
+function calculateDiscountCents(discount, lines) {
+  const value = parseFloat(discount.discount_value);
+  const eligibleCents = lines.reduce((sum, line) => sum + line.unitCents * line.quantity, 0);
+
+  switch (discount.discount_type) {
+    case 'fixed':
+      return Math.min(Math.round(value * 100), eligibleCents);
+    case 'bogo': {
+      // Price units high to low so in each buy+get group the cheapest units are the free ones
+      const units = lines
+        .flatMap(line => Array(line.quantity).fill(line.unitCents))
+        .sort((a, b) => b - a);
+      const groupSize = discount.buy_quantity + discount.get_quantity;
+      return units.reduce((sum, unitCents, index) => (
+        index % groupSize >= discount.buy_quantity ? sum + Math.round(unitCents * value / 100) : sum
+      ), 0);
+    }
+    default:
+      return Math.round(eligibleCents * value / 100);
+  }
+}
+
+/**
+ * Price a basket at a machine, optionally with a discount code applied
+ * @param {object} client - Optional pg client
+ * @param {object} data - { machineId, items: [{ productId, quantity }], discount }
+ * @returns {object} - { items, subtotal, discount, total, code }
+ */
+async function priceBasket(client, { machineId, items, discount = null }) {
+  const runQuery = client ? client.query.bind(client) : query;
+
+  const quantities = new Map();
+  for (const item of items) {
+    quantities.set(item.productId, (quantities.get(item.productId) || 0) + item.quantity);
+  }
+
+  const productsResult = await runQuery(
+    `SELECT p.id as product_id, p.product_name, p.category,
+            COALESCE(mp.price_override, p.price) as price
+     FROM machine_products mp
+     JOIN products p ON mp.product_id = p.id
+     WHERE mp.machine_id = $1 AND mp.product_id = ANY($2)`,
+    [machineId, [...quantities.keys()]]
+  );
+
+  const products = new Map(productsResult.rows.map(row => [row.product_id, row]));
+  const lines = [...quantities.entries()].map(([productId, quantity]) => {
+    const product = products.get(productId);
+    if (!product) {
+      throw httpError(404, `Product ${productId} is not stocked in this machine`);
+    }
+    return {
+      productId,
+      productName: product.product_name,
+      category: product.category,
+      quantity,
+      unitCents: Math.round(parseFloat(product.price) * 100),
+    };
+  });
+
+  const subtotalCents = lines.reduce((sum, line) => sum + line.unitCents * line.quantity, 0);
+  let discountCents = 0;
+
+  if (discount) {
+    const eligible = lines.filter(line => isInScope(discount, line));
+
+    if (eligible.length === 0) {
+      throw httpError(400, 'This discount code does not apply to any item in your basket');
+    }
+    if (discount.min_purchase_amount && subtotalCents < Math.round(parseFloat(discount.min_purchase_amount) * 100)) {
+      throw httpError(400, `Spend at least $${discount.min_purchase_amount} to use this discount code`);
+    }
+
+    discountCents = calculateDiscountCents(discount, eligible);
+  }
+
+  return {
+    items: lines.map(line => ({
+      productId: line.productId,
+      productName: line.productName,
+      category: line.category,
+      quantity: line.quantity,
+      unitPrice: (line.unitCents / 100).toFixed(2),
+      lineTotal: (line.unitCents * line.quantity / 100).toFixed(2),
+      discountEligible: discount ? isInScope(discount, line) : false,
+    })),
+    subtotal: (subtotalCents / 100).toFixed(2),
+    discount: (discountCents / 100).toFixed(2),
+    total: ((subtotalCents - discountCents) / 100).toFixed(2),
+    code: discount ? discount.code : null,
+  };
+}
+
+/**
+ * Price a basket with an optional code, without using the code up
+ * @param {object} data - { machineId, items, code, customerId }
+ * @returns {object} - Basket pricing (see priceBasket)
+ */
+async function quoteBasket({ machineId, items, code = null, customerId = null }) {
+  let discount = null;
+
+  if (code) {
+    const result = await query('SELECT * FROM discount_codes WHERE code = $1', [code.toUpperCase()]);
+    if (result.rows.length === 0) {
+      throw httpError(404, 'Discount code not found');
+    }
+    discount = result.rows[0];
+    await assertDiscountUsable(null, discount, { customerId, machineId });
+  }
+
+  return priceBasket(null, { machineId, items, discount });
+}
+
+/**
+ * Redeem a code at the machine; the discount applies straight away
+ * Codes scoped to a product or category, with a minimum spend, or buy-X-get-Y need the
+ * basket being bought so the scope is enforced and the saving can be priced.
+ * @param {object} data - { code, customerId, machineId, items }
+ * @returns {object} - { discount, redemption, pricing }
+ */
+async function redeemDiscount({ code, customerId, machineId, items = null }) {
+  return transaction(async (client) => {
+    const discount = await reserveDiscountUse(client, { code, customerId, machineId });
+
+    if (!items && requiresBasket(discount)) {
+      throw httpError(400, 'This discount code only applies to certain purchases; include the items you are buying');
+    }
+
+    const pricing = items ? await priceBasket(client, { machineId, items, discount }) : null;
+
+    const result = await client.query(
+      `INSERT INTO discount_redemptions (discount_code_id, customer_id, machine_id, status)
+       VALUES ($1, $2, $3, 'approved')
+       RETURNING *`,
+      [discount.id, customerId, machineId]
+    );
+
+    return { discount, redemption: result.rows[0], pricing };
+  });
+}
+
+/**
+ * Check the machines or group a code is scoped to belong to the vendor
+ * @param {number} vendorId - Vendor user ID
+ * @param {object} data - { machineScope, machineId, machineIds, machineGroupId }
+ */
+async function assertScopeTargets(vendorId, { machineScope, machineId, machineIds, machineGroupId }) {
+  switch (machineScope) {
+    case 'machine':
+      await assertVendorMachines(vendorId, [machineId]);
+      break;
+    case 'machines':
+      await assertVendorMachines(vendorId, machineIds);
+      break;
+    case 'group': {
+      const groupResult = await query(
+        'SELECT id FROM machine_groups WHERE id = $1 AND vendor_id = $2',
+        [machineGroupId, vendorId]
+      );
+      if (groupResult.rows.length === 0) {
+        throw httpError(404, 'Machine group not found');
+      }
+      break;
+    }
+    default:
+      break;
+  }
+}
+
+/**
+ * Point a code at its machines: sets its scope columns and (for 'machines') its machine list
+ * @param {object} client - pg client inside a transaction
+ * @param {number} discountId - Discount code ID
+ * @param {object} data - { machineScope, machineId, machineIds, machineGroupId }
+ */
+async function applyMachineScope(client, discountId, { machineScope, machineId, machineIds, machineGroupId }) {
+  await client.query(
+    `UPDATE discount_codes
+     SET machine_scope = $1, machine_id = $2, machine_group_id = $3
+     WHERE id = $4`,
+    [
+      machineScope,
+      machineScope === 'machine' ? machineId : null,
+      machineScope === 'group' ? machineGroupId : null,
+      discountId,
+    ]
+  );
+
+  await client.query('DELETE FROM discount_code_machines WHERE discount_code_id = $1', [discountId]);
+  if (machineScope === 'machines') {
+    await client.query(
+      `INSERT INTO discount_code_machines (discount_code_id, machine_id)
+       SELECT $1, UNNEST($2::int[])
+       ON CONFLICT DO NOTHING`,
+      [discountId, machineIds]
+    );
+  }
+}
+
+/**
+ * Get one of a vendor's hand-made codes with the machines it is valid at
+ * @param {number} discountId - Discount code ID
+ * @param {number} vendorId - Vendor user ID
+ * @returns {object|null} - Discount or null if not found
+ */
+async function getDiscount(discountId, vendorId) {
+  const result = await query(
+    `SELECT dc.*, p.product_name, mg.name as machine_group_name
+     FROM discount_codes dc
+     LEFT JOIN products p ON dc.product_id = p.id
+     LEFT JOIN machine_groups mg ON dc.machine_group_id = mg.id
+     WHERE dc.id = $1 AND dc.vendor_id = $2 AND dc.campaign_id IS NULL AND dc.customer_id IS NULL`,
+    [discountId, vendorId]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const machinesResult = await query(
+    `SELECT vm.id, vm.machine_name
+     FROM discount_codes dc
+     JOIN vending_machines vm ON vm.vendor_id = dc.vendor_id
+     WHERE dc.id = $1 AND ${VALID_AT_MACHINE_SQL}
+     ORDER BY vm.machine_name`,
+    [discountId]
+  );
+
+  return { ...result.rows[0], machines: machinesResult.rows };
+}
+
+/**
+ * List a vendor's hand-made codes (campaign and reward codes are listed elsewhere)
+ * @param {number} vendorId - Vendor user ID
+ * @param {object} filters - { machineIds (codes valid at any of them), machineScope, limit, offset }
+ * @returns {object} - { rows, total }
+ */
+async function listVendorDiscounts(vendorId, { machineIds = null, machineScope = null, limit = 50, offset = 0 } = {}) {
+  const conditions = `dc.vendor_id = $1 AND dc.campaign_id IS NULL AND dc.customer_id IS NULL
+       AND ($2::varchar IS NULL OR dc.machine_scope = $2)
+       AND ($3::int[] IS NULL OR EXISTS (
+         SELECT 1 FROM vending_machines vm WHERE vm.id = ANY($3) AND ${VALID_AT_MACHINE_SQL}))`;
+
+  const result = await query(
+    `SELECT dc.id, dc.machine_scope, dc.machine_id, dc.machine_group_id, mg.name as machine_group_name,
+            dc.product_id, dc.category, dc.code, dc.discount_type, dc.discount_value,
+            dc.min_purchase_amount, dc.buy_quantity, dc.get_quantity, dc.max_uses, dc.current_uses,
+            dc.valid_from, dc.valid_until, dc.is_active, dc.redemption_points, dc.auto_approve_max_points,
+            dc.created_at, p.product_name, p.price,
+            ARRAY(SELECT dcmx.machine_id FROM discount_code_machines dcmx
+                  WHERE dcmx.discount_code_id = dc.id ORDER BY dcmx.machine_id) as machine_ids
+     FROM discount_codes dc
+     LEFT JOIN products p ON dc.product_id = p.id
+     LEFT JOIN machine_groups mg ON dc.machine_group_id = mg.id
+     WHERE ${conditions}
+     ORDER BY dc.created_at DESC
+     LIMIT $4 OFFSET $5`,
+    [vendorId, machineScope, machineIds, limit, offset]
+  );
+
+  const countResult = await query(
+    `SELECT COUNT(*)::int as total FROM discount_codes dc WHERE ${conditions}`,
+    [vendorId, machineScope, machineIds]
+  );
+
+  return { rows: result.rows, total: countResult.rows[0].total };
+}
+
+/**
+ * Create a code valid at one machine, a list of machines, a machine group or all the vendor's machines
+ * @param {number} vendorId - Vendor user ID
+ * @param {object} data - { machineScope, machineId, machineIds, machineGroupId, productId, category, code,
+ *                          discountType, discountValue, minPurchaseAmount, buyQuantity, getQuantity,
+ *                          startsAt, endsAt, maxUses, redemptionPoints, autoApproveMaxPoints }
+ * @returns {object} - Created discount
+ */
+async function createDiscount(vendorId, data) {
+  await assertScopeTargets(vendorId, data);
+
+  if (data.productId) {
+    const productResult = await query(
+      'SELECT id FROM products WHERE id = $1 AND vendor_id = $2',
+      [data.productId, vendorId]
+    );
+    if (productResult.rows.length === 0) {
+      throw httpError(404, 'Product not found');
+    }
+  }
+
+  try {
+    const discountId = await transaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO discount_codes
+         (vendor_id, machine_scope, machine_id, machine_group_id, product_id, category, code,
+          discount_type, discount_value, min_purchase_amount, buy_quantity, get_quantity,
+          valid_from, valid_until, max_uses, redemption_points, auto_approve_max_points, is_active)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12,
+                 COALESCE($13, CURRENT_TIMESTAMP), $14, $15, $16, $17, true)
+         RETURNING id`,
+        [
+          vendorId,
+          data.machineScope,
+          data.machineScope === 'machine' ? data.machineId : null,
+          data.machineScope === 'group' ? data.machineGroupId : null,
+          data.productId || null,
+          data.category || null,
+          data.code.toUpperCase(),
+          data.discountType,
+          data.discountValue,
+          data.minPurchaseAmount || null,
+          data.buyQuantity || null,
+          data.getQuantity || null,
+          data.startsAt || null,
+          data.endsAt || null,
+          data.maxUses || null,
+          data.redemptionPoints ?? null,
+          data.autoApproveMaxPoints ?? null,
+        ]
+      );
+      const { id } = result.rows[0];
+
+      if (data.machineScope === 'machines') {
+        await applyMachineScope(client, id, data);
+      }
+      return id;
+    });
+
+    return getDiscount(discountId, vendorId);
+  } catch (error) {
+    if (error.code === '23505') {
+      throw httpError(409, 'Discount code already exists');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Change where one of the vendor's codes can be used
+ * @param {number} discountId - Discount code ID
+ * @param {number} vendorId - Vendor user ID
+ * @param {object} data - { machineScope, machineId, machineIds, machineGroupId }
+ * @returns {object|null} - Updated discount or null if not found
+ */
+async function updateDiscountMachines(discountId, vendorId, data) {
+  await assertScopeTargets(vendorId, data);
+
+  const found = await transaction(async (client) => {
+    const result = await client.query(
+      `SELECT id FROM discount_codes
+       WHERE id = $1 AND vendor_id = $2 AND campaign_id IS NULL AND customer_id IS NULL
+       FOR UPDATE`,
+      [discountId, vendorId]
+    );
+
+    if (result.rows.length === 0) {
+      return false;
+    }
+
+    await applyMachineScope(client, discountId, data);
+    return true;
+  });
+
+  return found ? getDiscount(discountId, vendorId) : null;
+}
+
+/**
+ * Delete one of the vendor's hand-made codes
+ * @param {number} discountId - Discount code ID
+ * @param {number} vendorId - Vendor user ID
+ * @returns {boolean} - Whether a code was deleted
+ */
+async function deleteDiscount(discountId, vendorId) {
+  const result = await query(
+    `DELETE FROM discount_codes
+     WHERE id = $1 AND vendor_id = $2 AND campaign_id IS NULL AND customer_id IS NULL
+     RETURNING id`,
+    [discountId, vendorId]
+  );
+
+  return result.rows.length > 0;
+}
+
+module.exports = {
+  DISCOUNT_TYPES,
+  MACHINE_SCOPES,
+  VALID_AT_MACHINE_SQL,
+  assertValidAtMachine,
+  assertDiscountActive,
+  reserveDiscountUse,
+  priceBasket,
+  quoteBasket,
+  redeemDiscount,
+  getDiscount,
+  listVendorDiscounts,
+  createDiscount,
+  updateDiscountMachines,
+  deleteDiscount,
+};
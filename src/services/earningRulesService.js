@@ -0,0 +1,346 @@
+const { query } = require('../config/database');
+const { httpError } = require('../utils/httpError');
+const { awardPoints } = require('./loyaltyService');
+
+const RULE_TYPES = ['points_per_dollar', 'bonus_product', 'first_purchase_of_day', 'streak', 'poll_vote'];
+const PURCHASE_RULE_TYPES = ['points_per_dollar', 'bonus_product', 'first_purchase_of_day', 'streak'];
+
+// How far back purchase days are read when measuring a streak
+const STREAK_LOOKBACK_DAYS = 366;
+
+/**
+ * Calendar day of a timestamp, used to key once-per-day awards
+ * @param {Date|string} date - Timestamp
+ * @returns {string} - YYYY-MM-DD
+ */
+function dayKey(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Active rules that apply at a machine at a point in time
+ * @param {object} client - pg client
+ * @param {number} machineId - Machine ID
+ * @param {array} ruleTypes - Rule types to load
+ * @param {Date} at - When the activity happened
+ * @returns {array} - Rules with the machine's vendor_id
+ */
+async function getActiveRules(client, machineId, ruleTypes, at) {
+  const result = await client.query(
+    `SELECT er.*
+     FROM earning_rules er
+     JOIN vending_machines vm ON vm.vendor_id = er.vendor_id
+     WHERE vm.id = $1
+       AND (er.machine_id IS NULL OR er.machine_id = vm.id)
+       AND er.rule_type = ANY($2)
+       AND er.is_active = true
+       AND (er.valid_from IS NULL OR er.valid_from <= $3)
+       AND (er.valid_until IS NULL OR er.valid_until >= $3)
+     ORDER BY er.id`,
+    [machineId, ruleTypes, at]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Number of consecutive days, ending on the given day, with a verified purchase
+ * from the vendor (vends attributed to the customer or approved receipt claims)
+ */
+async function getStreakLength(client, { customerId, vendorId, day }) {
+  const result = await client.query(
+    `SELECT s.sold_at as purchased_at
+     FROM sales s
+     JOIN vending_machines vm ON s.machine_id = vm.id
+     WHERE s.customer_id = $1 AND vm.vendor_id = $2
+       AND s.sold_at >= $3::date - $4::int AND s.sold_at < $3::date + 1
+     UNION ALL
+     SELECT lc.purchased_at
+     FROM loyalty_claims lc
+     JOIN vending_machines vm ON lc.machine_id = vm.id
+     WHERE lc.customer_id = $1 AND vm.vendor_id = $2 AND lc.status = 'approved'
+       AND lc.claim_type = 'receipt'
+       AND lc.purchased_at >= $3::date - $4::int AND lc.purchased_at < $3::date + 1`,
+    [customerId, vendorId, day, STREAK_LOOKBACK_DAYS]
+  );
+
+  const days = new Set(result.rows.map(row => dayKey(row.purchased_at)));
+  const cursor = new Date(`${day}T00:00:00Z`);
+  let length = 0;
+
+  while (days.has(dayKey(cursor))) {
+    length++;
+    cursor.setUTCDate(cursor.getUTCDate() - 1);
+  }
+
+  return length;
+}
+
+/**
+ * Award points for a verified purchase under every matching rule
+ * Each rule posts its own ledger entry; per-day rules (first purchase, streaks) are
+ * keyed on the day, so they pay out once however many purchases are made.
+ * @param {object} client - pg client inside a transaction
+ * @param {object} purchase - { customerId, machineId, productId, amount, purchasedAt, referenceType, referenceId, createdBy }
+ * @returns {object} - { points, entries }
+ */
+async function awardPurchasePoints(client, {
+  customerId,
+  machineId,
+  productId = null,
+  amount,
+  purchasedAt = new Date(),
+  referenceType,
+  referenceId,
+  createdBy = null,
+}) {
+  const rules = await getActiveRules(client, machineId, PURCHASE_RULE_TYPES, purchasedAt);
+  const day = dayKey(purchasedAt);
+  const entries = [];
+  let streakLength = null;
+
+  for (const rule of rules) {
+    let points = 0;
+    let idempotencyKey = `${referenceType}:${referenceId}:rule:${rule.id}`;
+
+    switch (rule.rule_type) {
+      case 'points_per_dollar':
+        points = Math.floor(parseFloat(amount) * rule.points);
+        break;
+      case 'bonus_product':
+        points = productId === rule.product_id ? rule.points : 0;
+        break;
+      case 'first_purchase_of_day':
+        points = rule.points;
+        idempotencyKey = `first_purchase:${rule.id}:${day}`;
+        break;
+      case 'streak':
+        if (streakLength === null) {
+          streakLength = await getStreakLength(client, { customerId, vendorId: rule.vendor_id, day });
+        }
+        points = streakLength > 0 && streakLength % rule.streak_days === 0 ? rule.points : 0;
+        idempotencyKey = `streak:${rule.id}:${day}`;
+        break;
+    }
+
+    if (points <= 0) {
+      continue;
+    }
+
+    const result = await awardPoints(client, {
+      customerId,
+      machineId,
+      points,
+      referenceType,
+      referenceId,
+      idempotencyKey,
+      description: rule.name,
+      createdBy,
+    });
+
+    if (!result.duplicate) {
+      entries.push(result.entry);
+    }
+  }
+
+  return {
+    points: entries.reduce((sum, entry) => sum + entry.points, 0),
+    entries,
+  };
+}
+
+/**
+ * Award points for taking part in a poll; paid once per poll however many options are voted on
+ * @param {object} client - pg client inside a transaction
+ * @param {object} vote - { customerId, machineId, pollId }
+ * @returns {object} - { points, entries }
+ */
+async function awardPollVotePoints(client, { customerId, machineId, pollId }) {
+  const rules = await getActiveRules(client, machineId, ['poll_vote'], new Date());
+  const entries = [];
+
+  for (const rule of rules) {
+    const result = await awardPoints(client, {
+      customerId,
+      machineId,
+      points: rule.points,
+      referenceType: 'poll',
+      referenceId: pollId,
+      idempotencyKey: `poll_vote:${pollId}:rule:${rule.id}`,
+      description: rule.name,
+    });
+
+    if (!result.duplicate) {
+      entries.push(result.entry);
+    }
+  }
+
+  return {
+    points: entries.reduce((sum, entry) => sum + entry.points, 0),
+    entries,
+  };
+}
+
+/**
+ * Check a rule's machine and product belong to the vendor
+ */
+async function assertRuleTargets(vendorId, { machineId = null, productId = null }) {
+  if (machineId) {
+    const machineResult = await query(
+      'SELECT id FROM vending_machines WHERE id = $1 AND vendor_id = $2',
+      [machineId, vendorId]
+    );
+    if (machineResult.rows.length === 0) {
+      throw httpError(404, 'Vending machine not found');
+    }
+  }
+
+  if (productId) {
+    const productResult = await query(
+      'SELECT id FROM products WHERE id = $1 AND vendor_id = $2',
+      [productId, vendorId]
+    );
+    if (productResult.rows.length === 0) {
+      throw httpError(404, 'Product not found');
+    }
+  }
+}
+
+/**
+ * List a vendor's earning rules
+ * @param {number} vendorId - Vendor user ID
+ * @returns {array} - Rules with machine and product names
+ */
+async function listRules(vendorId) {
+  const result = await query(
+    `SELECT er.*, vm.machine_name, p.product_name
+     FROM earning_rules er
+     LEFT JOIN vending_machines vm ON er.machine_id = vm.id
+     LEFT JOIN products p ON er.product_id = p.id
+     WHERE er.vendor_id = $1
+     ORDER BY er.is_active DESC, er.rule_type, er.id`,
+    [vendorId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Create an earning rule
+ * @param {number} vendorId - Vendor user ID
+ * @param {object} data - { name, ruleType, points, machineId, productId, streakDays, isActive, validFrom, validUntil, createdBy }
+ * @returns {object} - Created rule
+ */
+async function createRule(vendorId, data) {
+  if (data.ruleType === 'bonus_product' && !data.productId) {
+    throw httpError(400, 'productId is required for bonus_product rules');
+  }
+  if (data.ruleType === 'streak' && !data.streakDays) {
+    throw httpError(400, 'streakDays is required for streak rules');
+  }
+
+  await assertRuleTargets(vendorId, data);
+
+  const result = await query(
+    `INSERT INTO earning_rules
+     (vendor_id, machine_id, name, rule_type, points, product_id, streak_days,
+      is_active, valid_from, valid_until, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     RETURNING *`,
+    [
+      vendorId,
+      data.machineId || null,
+      data.name,
+      data.ruleType,
+      data.points,
+      data.ruleType === 'bonus_product' ? data.productId : null,
+      data.ruleType === 'streak' ? data.streakDays : null,
+      data.isActive ?? true,
+      data.validFrom || null,
+      data.validUntil || null,
+      data.createdBy || null,
+    ]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Update an earning rule (its type can't change)
+ * @param {number} ruleId - Rule ID
+ * @param {number} vendorId - Vendor user ID
+ * @param {object} data - Fields to change
+ * @returns {object|null} - Updated rule or null if not found
+ */
+async function updateRule(ruleId, vendorId, data) {
+  await assertRuleTargets(vendorId, data);
+
+  const columns = {
+    name: 'name',
+    points: 'points',
+    machineId: 'machine_id',
+    productId: 'product_id',
+    streakDays: 'streak_days',
+    isActive: 'is_active',
+    validFrom: 'valid_from',
+    validUntil: 'valid_until',
+  };
+
+  const updates = [];
+  const values = [];
+  let paramCount = 1;
+
+  for (const [key, column] of Object.entries(columns)) {
+    if (data[key] !== undefined) {
+      updates.push(`${column} = $${paramCount++}`);
+      values.push(data[key]);
+    }
+  }
+
+  if (updates.length === 0) {
+    throw httpError(400, 'No fields to update');
+  }
+
+  values.push(ruleId, vendorId);
+
+  try {
+    const result = await query(
+      `UPDATE earning_rules SET ${updates.join(', ')}
+       WHERE id = $${paramCount} AND vendor_id = $${paramCount + 1}
+       RETURNING *`,
+      values
+    );
+
+    return result.rows[0] || null;
+  } catch (error) {
+    if (error.constraint === 'earning_rules_product_check' || error.constraint === 'earning_rules_streak_check') {
+      throw httpError(400, 'Rule is missing the product or streak length its type requires');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Delete an earning rule; points already awarded under it stay in the ledger
+ * @param {number} ruleId - Rule ID
+ * @param {number} vendorId - Vendor user ID
+ * @returns {boolean} - Whether a rule was deleted
+ */
+async function deleteRule(ruleId, vendorId) {
+  const result = await query(
+    'DELETE FROM earning_rules WHERE id = $1 AND vendor_id = $2 RETURNING id',
+    [ruleId, vendorId]
+  );
+
+  return result.rows.length > 0;
+}
+
+module.exports = {
+  RULE_TYPES,
+  awardPurchasePoints,
+  awardPollVotePoints,
+  listRules,
+  createRule,
+  updateRule,
+  deleteRule,
+};
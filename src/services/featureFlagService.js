@@ -0,0 +1,125 @@
+const { query } = require('../config/database');
+const { httpError } = require('../utils/httpError');
+
+/**
+ * List every flag with how many organizations override it
+ * @returns {array} - Flags ordered by key
+ */
+async function listFlags() {
+  const result = await query(
+    `SELECT f.key, f.description, f.default_enabled, f.created_at, f.updated_at,
+            COUNT(o.organization_id)::int as override_count
+     FROM feature_flags f
+     LEFT JOIN organization_feature_flags o ON o.flag_key = f.key
+     GROUP BY f.key
+     ORDER BY f.key`
+  );
+
+  return result.rows;
+}
+
+/**
+ * Create a flag or change its description/default
+ * @param {string} key - Flag key
+ * @param {object} data - { description, defaultEnabled }
+ * @returns {object} - Flag
+ */
+async function upsertFlag(key, { description, defaultEnabled }) {
+  const result = await query(
+    `INSERT INTO feature_flags (key, description, default_enabled)
+     VALUES ($1, $2, COALESCE($3, false))
+     ON CONFLICT (key) DO UPDATE
+     SET description = CASE WHEN $4::boolean THEN EXCLUDED.description ELSE feature_flags.description END,
+         default_enabled = COALESCE($3, feature_flags.default_enabled)
+     RETURNING *`,
+    [key, description ?? null, defaultEnabled ?? null, description !== undefined]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Delete a flag and all of its overrides
+ * @param {string} key - Flag key
+ * @returns {boolean} - Whether a flag was deleted
+ */
+async function deleteFlag(key) {
+  const result = await query('DELETE FROM feature_flags WHERE key = $1 RETURNING key', [key]);
+  return result.rows.length > 0;
+}
+
+/**
+ * Every flag resolved for one organization (its override, else the default)
+ * @param {number} organizationId - Organization ID
+ * @returns {array} - [{ key, description, enabled, default_enabled, overridden }]
+ */
+async function getOrganizationFlags(organizationId) {
+  const result = await query(
+    `SELECT f.key, f.description, f.default_enabled,
+            COALESCE(o.enabled, f.default_enabled) as enabled,
+            o.enabled IS NOT NULL as overridden
+     FROM feature_flags f
+     LEFT JOIN organization_feature_flags o ON o.flag_key = f.key AND o.organization_id = $1
+     ORDER BY f.key`,
+    [organizationId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Turn a flag on or off for one organization, or clear the override (enabled = null)
+ * @param {number} organizationId - Organization ID
+ * @param {string} key - Flag key
+ * @param {boolean|null} enabled - Override value; null goes back to the default
+ * @param {number} adminId - Admin making the change
+ */
+async function setOrganizationFlag(organizationId, key, enabled, adminId) {
+  const flagResult = await query('SELECT key FROM feature_flags WHERE key = $1', [key]);
+  if (flagResult.rows.length === 0) {
+    throw httpError(404, 'Feature flag not found');
+  }
+
+  if (enabled === null) {
+    await query(
+      'DELETE FROM organization_feature_flags WHERE organization_id = $1 AND flag_key = $2',
+      [organizationId, key]
+    );
+    return;
+  }
+
+  await query(
+    `INSERT INTO organization_feature_flags (organization_id, flag_key, enabled, updated_by)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (organization_id, flag_key) DO UPDATE
+     SET enabled = EXCLUDED.enabled, updated_by = EXCLUDED.updated_by, updated_at = CURRENT_TIMESTAMP`,
+    [organizationId, key, enabled, adminId]
+  );
+}
+
+/**
+ * Whether a feature is on for an organization (unknown flags are off)
+ * @param {number} organizationId - Organization ID
+ * @param {string} key - Flag key
+ * @returns {boolean}
+ */
+async function isFeatureEnabled(organizationId, key) {
+  const result = await query(
+    `SELECT COALESCE(o.enabled, f.default_enabled) as enabled
+     FROM feature_flags f
+     LEFT JOIN organization_feature_flags o ON o.flag_key = f.key AND o.organization_id = $1
+     WHERE f.key = $2`,
+    [organizationId, key]
+  );
+
+  return result.rows.length > 0 && result.rows[0].enabled;
+}
+
+module.exports = {
+  listFlags,
+  upsertFlag,
+  deleteFlag,
+  getOrganizationFlags,
+  setOrganizationFlag,
+  isFeatureEnabled,
+};
@@ -0,0 +1,165 @@
+const { v4: uuidv4 } = require('uuid');
+const { query, transaction } = require('../config/database');
+const { httpError } = require('../utils/httpError');
+const { evaluateSlot } = require('./stockAlertService');
+
+const MOVEMENT_REASONS = ['restock', 'sale', 'spoilage', 'count_adjustment', 'transfer'];
+
+/**
+ * Change a slot's stock and append the matching ledger entry
+ * Every write to machine_products.current_stock goes through here so the
+ * inventory_movements ledger always sums to current_stock.
+ * @param {object} client - pg client inside a transaction
+ * @param {object} movement - { machineProductId, change, reason, userId, saleId, transferId, notes, clamp }
+ * @returns {object} - Inserted movement row
+ */
+async function applyMovement(client, {
+  machineProductId,
+  change,
+  reason,
+  userId = null,
+  saleId = null,
+  transferId = null,
+  notes = null,
+  clamp = false,
+}) {
+  const slotResult = await client.query(
+    `SELECT id, machine_id, product_id, current_stock
+     FROM machine_products
+     WHERE id = $1
+     FOR UPDATE`,
+    [machineProductId]
+  );
+
+  if (slotResult.rows.length === 0) {
+    throw httpError(404, 'Inventory item not found');
+  }
+
+  const slot = slotResult.rows[0];
+  let stockAfter = slot.current_stock + change;
+
+  if (stockAfter < 0) {
+    if (!clamp) {
+      throw httpError(400, `Insufficient stock: ${slot.current_stock} on hand`);
+    }
+    // Physical events (vends) can't be refused; record what actually left the slot
+    stockAfter = 0;
+  }
+
+  await client.query(
+    'UPDATE machine_products SET current_stock = $1 WHERE id = $2',
+    [stockAfter, slot.id]
+  );
+
+  const movementResult = await client.query(
+    `INSERT INTO inventory_movements
+     (machine_id, machine_product_id, product_id, reason, quantity_change, stock_after,
+      sale_id, transfer_id, user_id, notes)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING *`,
+    [
+      slot.machine_id,
+      slot.id,
+      slot.product_id,
+      reason,
+      stockAfter - slot.current_stock,
+      stockAfter,
+      saleId,
+      transferId,
+      userId,
+      notes,
+    ]
+  );
+
+  await evaluateSlot(client, slot.id);
+
+  return movementResult.rows[0];
+}
+
+/**
+ * Record a manual stock movement for a slot
+ * @param {object} movementData - { machineProductId, reason, quantity, countedStock, toMachineProductId, userId, notes }
+ * @returns {array} - Inserted movement rows (two for a transfer)
+ */
+async function recordMovement({ machineProductId, reason, quantity, countedStock, toMachineProductId, userId, notes = null }) {
+  return transaction(async (client) => {
+    switch (reason) {
+      case 'restock':
+        return [await applyMovement(client, { machineProductId, change: quantity, reason, userId, notes })];
+
+      case 'spoilage':
+        return [await applyMovement(client, { machineProductId, change: -quantity, reason, userId, notes })];
+
+      case 'count_adjustment': {
+        const current = await client.query(
+          'SELECT current_stock FROM machine_products WHERE id = $1 FOR UPDATE',
+          [machineProductId]
+        );
+        if (current.rows.length === 0) {
+          throw httpError(404, 'Inventory item not found');
+        }
+        const change = countedStock - current.rows[0].current_stock;
+        return [await applyMovement(client, { machineProductId, change, reason, userId, notes })];
+      }
+
+      case 'transfer': {
+        if (toMachineProductId === machineProductId) {
+          throw httpError(400, 'Cannot transfer stock to the same slot');
+        }
+        const transferId = uuidv4();
+        // Lock both slots in id order to avoid deadlocks between opposite transfers
+        await client.query(
+          'SELECT id FROM machine_products WHERE id = ANY($1) ORDER BY id FOR UPDATE',
+          [[machineProductId, toMachineProductId]]
+        );
+        const out = await applyMovement(client, { machineProductId, change: -quantity, reason, userId, transferId, notes });
+        const into = await applyMovement(client, {
+          machineProductId: toMachineProductId, change: quantity, reason, userId, transferId, notes,
+        });
+        return [out, into];
+      }
+
+      default:
+        throw httpError(400, `Movements with reason "${reason}" cannot be recorded manually`);
+    }
+  });
+}
+
+/**
+ * Get movement history for a slot
+ * @param {number} machineProductId - Machine product (slot) ID
+ * @param {object} options - { limit, offset }
+ * @returns {object} - { movements, ledgerBalance }
+ */
+async function getMovements(machineProductId, { limit = 100, offset = 0 } = {}) {
+  const movementsResult = await query(
+    `SELECT im.id, im.reason, im.quantity_change, im.stock_after, im.sale_id,
+            im.transfer_id, im.notes, im.created_at, im.user_id, u.email as user_email
+     FROM inventory_movements im
+     LEFT JOIN users u ON im.user_id = u.id
+     WHERE im.machine_product_id = $1
+     ORDER BY im.created_at DESC, im.id DESC
+     LIMIT $2 OFFSET $3`,
+    [machineProductId, limit, offset]
+  );
+
+  const balanceResult = await query(
+    `SELECT COALESCE(SUM(quantity_change), 0) as balance, COUNT(*) as count
+     FROM inventory_movements
+     WHERE machine_product_id = $1`,
+    [machineProductId]
+  );
+
+  return {
+    movements: movementsResult.rows,
+    ledgerBalance: parseInt(balanceResult.rows[0].balance),
+    totalMovements: parseInt(balanceResult.rows[0].count),
+  };
+}
+
+module.exports = {
+  MOVEMENT_REASONS,
+  applyMovement,
+  recordMovement,
+  getMovements,
+};
@@ -0,0 +1,182 @@
+const { query } = require('../config/database');
+const { httpError } = require('../utils/httpError');
+
+// camelCase request fields to locations columns
+const LOCATION_COLUMNS = {
+  name: 'name',
+  addressLine1: 'address_line1',
+  addressLine2: 'address_line2',
+  city: 'city',
+  region: 'region',
+  postalCode: 'postal_code',
+  country: 'country',
+  latitude: 'latitude',
+  longitude: 'longitude',
+  contactName: 'contact_name',
+  contactPhone: 'contact_phone',
+  contactEmail: 'contact_email',
+  notes: 'notes',
+};
+
+/**
+ * List a vendor's locations with their machine counts
+ * @param {number} vendorId - Vendor user ID
+ * @returns {array} - Locations ordered by name
+ */
+async function listLocations(vendorId) {
+  const result = await query(
+    `SELECT l.*, COUNT(vm.id)::int as machine_count
+     FROM locations l
+     LEFT JOIN vending_machines vm ON vm.location_id = l.id
+     WHERE l.vendor_id = $1
+     GROUP BY l.id
+     ORDER BY l.name`,
+    [vendorId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Get a location with its machines
+ * @param {number} locationId - Location ID
+ * @param {number} vendorId - Vendor user ID
+ * @returns {object|null} - Location or null if not found
+ */
+async function getLocation(locationId, vendorId) {
+  const result = await query(
+    'SELECT * FROM locations WHERE id = $1 AND vendor_id = $2',
+    [locationId, vendorId]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const machinesResult = await query(
+    `SELECT id, machine_name, location, is_active
+     FROM vending_machines
+     WHERE location_id = $1
+     ORDER BY machine_name`,
+    [locationId]
+  );
+
+  return { ...result.rows[0], machines: machinesResult.rows };
+}
+
+/**
+ * Create a location
+ * @param {number} vendorId - Vendor user ID
+ * @param {object} data - { name, addressLine1, addressLine2, city, region, postalCode, country,
+ *                          latitude, longitude, contactName, contactPhone, contactEmail, notes }
+ * @returns {object} - Created location
+ */
+async function createLocation(vendorId, data) {
+  const columns = ['vendor_id'];
+  const values = [vendorId];
+
+  for (const [key, column] of Object.entries(LOCATION_COLUMNS)) {
+    if (data[key] !== undefined) {
+      columns.push(column);
+      values.push(data[key]);
+    }
+  }
+
+  try {
+    const result = await query(
+      `INSERT INTO locations (${columns.join(', ')})
+       VALUES (${values.map((_, index) => `$${index + 1}`).join(', ')})
+       RETURNING *`,
+      values
+    );
+
+    return result.rows[0];
+  } catch (error) {
+    if (error.code === '23505') {
+      throw httpError(409, 'A location with that name already exists');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Update a location
+ * @param {number} locationId - Location ID
+ * @param {number} vendorId - Vendor user ID
+ * @param {object} data - Fields to change (see createLocation)
+ * @returns {object|null} - Updated location or null if not found
+ */
+async function updateLocation(locationId, vendorId, data) {
+  const updates = [];
+  const values = [];
+  let paramCount = 1;
+
+  for (const [key, column] of Object.entries(LOCATION_COLUMNS)) {
+    if (data[key] !== undefined) {
+      updates.push(`${column} = $${paramCount++}`);
+      values.push(data[key]);
+    }
+  }
+
+  if (updates.length === 0) {
+    throw httpError(400, 'No fields to update');
+  }
+
+  values.push(locationId, vendorId);
+
+  try {
+    const result = await query(
+      `UPDATE locations SET ${updates.join(', ')}
+       WHERE id = $${paramCount} AND vendor_id = $${paramCount + 1}
+       RETURNING *`,
+      values
+    );
+
+    return result.rows[0] || null;
+  } catch (error) {
+    if (error.code === '23505') {
+      throw httpError(409, 'A location with that name already exists');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Delete a location; its machines are kept without a location
+ * @param {number} locationId - Location ID
+ * @param {number} vendorId - Vendor user ID
+ * @returns {boolean} - Whether a location was deleted
+ */
+async function deleteLocation(locationId, vendorId) {
+  const result = await query(
+    'DELETE FROM locations WHERE id = $1 AND vendor_id = $2 RETURNING id',
+    [locationId, vendorId]
+  );
+
+  return result.rows.length > 0;
+}
+
+/**
+ * Check a location belongs to the vendor
+ * @param {number} vendorId - Vendor user ID
+ * @param {number} locationId - Location ID
+ */
+async function assertVendorLocation(vendorId, locationId) {
+  const result = await query(
+    'SELECT id FROM locations WHERE id = $1 AND vendor_id = $2',
+    [locationId, vendorId]
+  );
+
+  if (result.rows.length === 0) {
+    throw httpError(404, 'Location not found');
+  }
+}
+
+module.exports = {
+  listLocations,
+  getLocation,
+  createLocation,
+  updateLocation,
+  deleteLocation,
+  assertVendorLocation,
+};
@@ -0,0 +1,256 @@
+const { query, transaction } = require('../config/database');
+const { httpError } = require('../utils/httpError');
+const { awardPurchasePoints } = require('./earningRulesService');
+
+const CLAIM_STATUSES = ['pending', 'approved', 'rejected'];
+
+// A vend must be claimed soon after it happens; receipts can be a little older
+const VEND_CLAIM_WINDOW_HOURS = 24;
+const RECEIPT_MAX_AGE_DAYS = 30;
+
+/**
+ * Claim points for a vend using the code the machine displayed after it
+ * The sale is attributed to the customer and points are awarded straight away.
+ * @param {object} data - { customerId, machineId, claimCode }
+ * @returns {object} - { claim, points, entries }
+ */
+async function claimVend({ customerId, machineId, claimCode }) {
+  return transaction(async (client) => {
+    const saleResult = await client.query(
+      `SELECT * FROM sales
+       WHERE machine_id = $1 AND claim_code = $2
+       FOR UPDATE`,
+      [machineId, claimCode.toUpperCase()]
+    );
+
+    if (saleResult.rows.length === 0) {
+      throw httpError(404, 'Vend not found');
+    }
+
+    const sale = saleResult.rows[0];
+
+    if (sale.customer_id) {
+      throw httpError(409, 'This vend has already been claimed');
+    }
+
+    const ageHours = (Date.now() - new Date(sale.sold_at).getTime()) / (60 * 60 * 1000);
+    if (ageHours > VEND_CLAIM_WINDOW_HOURS) {
+      throw httpError(400, `Vends must be claimed within ${VEND_CLAIM_WINDOW_HOURS} hours`);
+    }
+
+    await client.query(
+      'UPDATE sales SET customer_id = $1 WHERE id = $2',
+      [customerId, sale.id]
+    );
+
+    const claimResult = await client.query(
+      `INSERT INTO loyalty_claims
+       (customer_id, machine_id, claim_type, sale_id, product_id, purchase_amount,
+        purchased_at, status, reviewed_at)
+       VALUES ($1, $2, 'vend', $3, $4, $5, $6, 'approved', CURRENT_TIMESTAMP)
+       RETURNING *`,
+      [customerId, machineId, sale.id, sale.product_id, sale.price_paid, sale.sold_at]
+    );
+
+    const award = await awardPurchasePoints(client, {
+      customerId,
+      machineId,
+      productId: sale.product_id,
+      amount: sale.price_paid,
+      purchasedAt: sale.sold_at,
+      referenceType: 'sale',
+      referenceId: sale.id,
+    });
+
+    const updateResult = await client.query(
+      'UPDATE loyalty_claims SET points_awarded = $1 WHERE id = $2 RETURNING *',
+      [award.points, claimResult.rows[0].id]
+    );
+
+    return { claim: updateResult.rows[0], ...award };
+  });
+}
+
+/**
+ * Submit a receipt for a purchase the machine didn't report; it waits for vendor review
+ * @param {object} data - { customerId, machineId, productId, purchaseAmount, purchasedAt, receiptImageUrl }
+ * @returns {object} - Created claim
+ */
+async function submitReceiptClaim({ customerId, machineId, productId = null, purchaseAmount, purchasedAt, receiptImageUrl }) {
+  const purchased = new Date(purchasedAt);
+  const ageDays = (Date.now() - purchased.getTime()) / (24 * 60 * 60 * 1000);
+
+  if (ageDays < 0) {
+    throw httpError(400, 'Purchase date cannot be in the future');
+  }
+  if (ageDays > RECEIPT_MAX_AGE_DAYS) {
+    throw httpError(400, `Receipts must be submitted within ${RECEIPT_MAX_AGE_DAYS} days`);
+  }
+
+  const machineResult = await query(
+    'SELECT id FROM vending_machines WHERE id = $1',
+    [machineId]
+  );
+
+  if (machineResult.rows.length === 0) {
+    throw httpError(404, 'Vending machine not found');
+  }
+
+  if (productId) {
+    const productResult = await query(
+      'SELECT id FROM machine_products WHERE machine_id = $1 AND product_id = $2',
+      [machineId, productId]
+    );
+    if (productResult.rows.length === 0) {
+      throw httpError(404, 'Product is not stocked in this machine');
+    }
+  }
+
+  const result = await query(
+    `INSERT INTO loyalty_claims
+     (customer_id, machine_id, claim_type, product_id, purchase_amount, purchased_at, receipt_image_url)
+     VALUES ($1, $2, 'receipt', $3, $4, $5, $6)
+     RETURNING *`,
+    [customerId, machineId, productId, purchaseAmount, purchased, receiptImageUrl]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * List a customer's claims
+ * @param {number} customerId - Customer user ID
+ * @returns {array} - Claims, newest first
+ */
+async function listCustomerClaims(customerId) {
+  const result = await query(
+    `SELECT lc.id, lc.claim_type, lc.status, lc.machine_id, vm.machine_name,
+            lc.product_id, p.product_name, lc.purchase_amount, lc.purchased_at,
+            lc.receipt_image_url, lc.points_awarded, lc.review_notes,
+            lc.submitted_at, lc.reviewed_at
+     FROM loyalty_claims lc
+     JOIN vending_machines vm ON lc.machine_id = vm.id
+     LEFT JOIN products p ON lc.product_id = p.id
+     WHERE lc.customer_id = $1
+     ORDER BY lc.submitted_at DESC`,
+    [customerId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * List receipt and vend claims at a vendor's machines
+ * @param {number} vendorId - Vendor user ID
+ * @param {object} filters - { status, machineId, limit, offset }
+ * @returns {object} - { claims, total }
+ */
+async function listVendorClaims(vendorId, { status = 'pending', machineId = null, limit = 50, offset = 0 } = {}) {
+  const params = [vendorId, status, machineId];
+  const where = `vm.vendor_id = $1
+       AND ($2::varchar IS NULL OR lc.status = $2)
+       AND ($3::int IS NULL OR lc.machine_id = $3)`;
+
+  const result = await query(
+    `SELECT lc.id, lc.claim_type, lc.status, lc.machine_id, vm.machine_name,
+            lc.product_id, p.product_name, lc.sale_id, lc.purchase_amount, lc.purchased_at,
+            lc.receipt_image_url, lc.points_awarded, lc.review_notes, lc.submitted_at,
+            lc.reviewed_at, lc.customer_id, u.email as customer_email, u.full_name as customer_name
+     FROM loyalty_claims lc
+     JOIN vending_machines vm ON lc.machine_id = vm.id
+     LEFT JOIN products p ON lc.product_id = p.id
+     LEFT JOIN users u ON lc.customer_id = u.id
+     WHERE ${where}
+     ORDER BY lc.submitted_at ${status === 'pending' ? 'ASC' : 'DESC'}
+     LIMIT $4 OFFSET $5`,
+    [...params, limit, offset]
+  );
+
+  const countResult = await query(
+    `SELECT COUNT(*) as count
+     FROM loyalty_claims lc
+     JOIN vending_machines vm ON lc.machine_id = vm.id
+     WHERE ${where}`,
+    params
+  );
+
+  return {
+    claims: result.rows,
+    total: parseInt(countResult.rows[0].count),
+  };
+}
+
+/**
+ * Approve or reject a pending receipt claim; approving awards points under the vendor's rules
+ * @param {object} review - { claimId, vendorId, reviewerId, decision, notes, purchaseAmount }
+ * @returns {object} - { claim, points, entries }
+ */
+async function reviewClaim({ claimId, vendorId, reviewerId, decision, notes = null, purchaseAmount = null }) {
+  return transaction(async (client) => {
+    const result = await client.query(
+      `SELECT lc.*
+       FROM loyalty_claims lc
+       JOIN vending_machines vm ON lc.machine_id = vm.id
+       WHERE lc.id = $1 AND vm.vendor_id = $2
+       FOR UPDATE OF lc`,
+      [claimId, vendorId]
+    );
+
+    if (result.rows.length === 0) {
+      throw httpError(404, 'Claim not found');
+    }
+
+    const claim = result.rows[0];
+
+    if (claim.status !== 'pending') {
+      throw httpError(409, `Claim has already been ${claim.status}`);
+    }
+
+    if (decision === 'reject') {
+      const rejectResult = await client.query(
+        `UPDATE loyalty_claims
+         SET status = 'rejected', reviewed_by = $1, reviewed_at = CURRENT_TIMESTAMP, review_notes = $2
+         WHERE id = $3
+         RETURNING *`,
+        [reviewerId, notes, claim.id]
+      );
+      return { claim: rejectResult.rows[0], points: 0, entries: [] };
+    }
+
+    // Approve first so the purchase counts toward the customer's streak
+    await client.query(
+      `UPDATE loyalty_claims
+       SET status = 'approved', purchase_amount = COALESCE($1, purchase_amount),
+           reviewed_by = $2, reviewed_at = CURRENT_TIMESTAMP, review_notes = $3
+       WHERE id = $4`,
+      [purchaseAmount, reviewerId, notes, claim.id]
+    );
+
+    const award = await awardPurchasePoints(client, {
+      customerId: claim.customer_id,
+      machineId: claim.machine_id,
+      productId: claim.product_id,
+      amount: purchaseAmount ?? claim.purchase_amount,
+      purchasedAt: claim.purchased_at,
+      referenceType: 'loyalty_claim',
+      referenceId: claim.id,
+      createdBy: reviewerId,
+    });
+
+    const approveResult = await client.query(
+      'UPDATE loyalty_claims SET points_awarded = $1 WHERE id = $2 RETURNING *',
+      [award.points, claim.id]
+    );
+
+    return { claim: approveResult.rows[0], ...award };
+  });
+}
+
+module.exports = {
+  CLAIM_STATUSES,
+  claimVend,
+  submitReceiptClaim,
+  listCustomerClaims,
+  listVendorClaims,
+  reviewClaim,
+};
@@ -0,0 +1,183 @@
+const { query } = require('../config/database');
+const { httpError } = require('../utils/httpError');
+
+const BALANCE_SCOPES = ['machine', 'vendor'];
+
+/**
+ * Get a vendor's program settings and tiers (defaults when the vendor never configured one)
+ * @param {number} vendorId - Vendor user ID
+ * @param {object} client - Optional pg client to read inside a transaction
+ * @returns {object} - { vendorId, balanceScope, pointsExpiryDays, pooledAt, tiers }
+ */
+async function getProgram(vendorId, client = null) {
+  const runQuery = client ? client.query.bind(client) : query;
+
+  const programResult = await runQuery(
+    'SELECT balance_scope, points_expiry_days, pooled_at FROM loyalty_programs WHERE vendor_id = $1',
+    [vendorId]
+  );
+  const tiersResult = await runQuery(
+    `SELECT id, name, min_lifetime_points, multiplier
+     FROM loyalty_tiers
+     WHERE vendor_id = $1
+     ORDER BY min_lifetime_points`,
+    [vendorId]
+  );
+
+  const program = programResult.rows[0];
+  return {
+    vendorId,
+    balanceScope: program ? program.balance_scope : 'machine',
+    pointsExpiryDays: program ? program.points_expiry_days : null,
+    pooledAt: program ? program.pooled_at : null,
+    tiers: tiersResult.rows.map(tier => ({ ...tier, multiplier: parseFloat(tier.multiplier) })),
+  };
+}
+
+/**
+ * Update a vendor's program settings
+ * Pooling can be switched on at any time (per-machine balances simply add up), but once
+ * points have been spent or expired from a pooled balance it can't be split back per machine.
+ * @param {number} vendorId - Vendor user ID
+ * @param {object} settings - { balanceScope, pointsExpiryDays } (omitted fields keep their value)
+ * @returns {object} - Updated program
+ */
+async function updateProgram(vendorId, { balanceScope, pointsExpiryDays }) {
+  const current = await getProgram(vendorId);
+  const nextScope = balanceScope ?? current.balanceScope;
+
+  if (current.balanceScope === 'vendor' && nextScope === 'machine') {
+    const spentResult = await query(
+      `SELECT 1 FROM loyalty_ledger
+       WHERE vendor_id = $1 AND points < 0 AND created_at >= $2
+       LIMIT 1`,
+      [vendorId, current.pooledAt]
+    );
+    if (spentResult.rows.length > 0) {
+      throw httpError(409, 'Points have already been spent from pooled balances; they cannot be split back per machine');
+    }
+  }
+
+  await query(
+    `INSERT INTO loyalty_programs (vendor_id, balance_scope, points_expiry_days, pooled_at)
+     VALUES ($1, $2, $3, CASE WHEN $2 = 'vendor' THEN CURRENT_TIMESTAMP END)
+     ON CONFLICT (vendor_id) DO UPDATE
+     SET balance_scope = EXCLUDED.balance_scope,
+         points_expiry_days = EXCLUDED.points_expiry_days,
+         pooled_at = CASE
+           WHEN EXCLUDED.balance_scope = 'machine' THEN NULL
+           ELSE COALESCE(loyalty_programs.pooled_at, EXCLUDED.pooled_at)
+         END`,
+    [
+      vendorId,
+      nextScope,
+      pointsExpiryDays !== undefined ? pointsExpiryDays : current.pointsExpiryDays,
+    ]
+  );
+
+  return getProgram(vendorId);
+}
+
+/**
+ * Create a tier
+ * @param {number} vendorId - Vendor user ID
+ * @param {object} data - { name, minLifetimePoints, multiplier }
+ * @returns {object} - Created tier
+ */
+async function createTier(vendorId, { name, minLifetimePoints, multiplier = 1 }) {
+  try {
+    const result = await query(
+      `INSERT INTO loyalty_tiers (vendor_id, name, min_lifetime_points, multiplier)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id, name, min_lifetime_points, multiplier`,
+      [vendorId, name, minLifetimePoints, multiplier]
+    );
+
+    return result.rows[0];
+  } catch (error) {
+    if (error.code === '23505') {
+      throw httpError(409, 'A tier with that name or threshold already exists');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Update a tier
+ * @param {number} tierId - Tier ID
+ * @param {number} vendorId - Vendor user ID
+ * @param {object} data - { name, minLifetimePoints, multiplier }
+ * @returns {object|null} - Updated tier or null if not found
+ */
+async function updateTier(tierId, vendorId, { name, minLifetimePoints, multiplier }) {
+  try {
+    const result = await query(
+      `UPDATE loyalty_tiers
+       SET name = COALESCE($1, name),
+           min_lifetime_points = COALESCE($2, min_lifetime_points),
+           multiplier = COALESCE($3, multiplier)
+       WHERE id = $4 AND vendor_id = $5
+       RETURNING id, name, min_lifetime_points, multiplier`,
+      [name ?? null, minLifetimePoints ?? null, multiplier ?? null, tierId, vendorId]
+    );
+
+    return result.rows[0] || null;
+  } catch (error) {
+    if (error.code === '23505') {
+      throw httpError(409, 'A tier with that name or threshold already exists');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Delete a tier
+ * @param {number} tierId - Tier ID
+ * @param {number} vendorId - Vendor user ID
+ * @returns {boolean} - Whether a tier was deleted
+ */
+async function deleteTier(tierId, vendorId) {
+  const result = await query(
+    'DELETE FROM loyalty_tiers WHERE id = $1 AND vendor_id = $2 RETURNING id',
+    [tierId, vendorId]
+  );
+
+  return result.rows.length > 0;
+}
+
+/**
+ * Where lifetime points place a customer among a vendor's tiers
+ * @param {array} tiers - Tiers ordered by min_lifetime_points
+ * @param {number} lifetimePoints - Points earned with the vendor
+ * @returns {object} - { tier, nextTier, pointsToNextTier, multiplier }
+ */
+function placeInTiers(tiers, lifetimePoints) {
+  let tier = null;
+  let nextTier = null;
+
+  for (const candidate of tiers) {
+    if (lifetimePoints >= candidate.min_lifetime_points) {
+      tier = candidate;
+    } else {
+      nextTier = candidate;
+      break;
+    }
+  }
+
+  return {
+    tier,
+    nextTier,
+    pointsToNextTier: nextTier ? nextTier.min_lifetime_points - lifetimePoints : null,
+    multiplier: tier ? parseFloat(tier.multiplier) : 1,
+  };
+}
+
+module.exports = {
+  BALANCE_SCOPES,
+  getProgram,
+  updateProgram,
+  createTier,
+  updateTier,
+  deleteTier,
+  placeInTiers,
+};
@@ -0,0 +1,530 @@
+const { v4: uuidv4 } = require('uuid');
+const { query, transaction } = require('../config/database');
+const { httpError } = require('../utils/httpError');
+const { getProgram, placeInTiers } = require('./loyaltyProgramService');
+
+const ENTRY_TYPES = ['earn', 'redeem', 'expire', 'adjust', 'transfer'];
+
+// Program-side account each entry type moves points against
+const COUNTER_ACCOUNTS = {
+  earn: 'issued',
+  redeem: 'redeemed',
+  expire: 'expired',
+  adjust: 'adjustment',
+  transfer: 'customer',
+};
+
+/**
+ * Work out which account an entry at a machine posts to
+ * Vendors that pool points keep one account per customer; otherwise each machine has its own.
+ * @param {object} client - pg client
+ * @param {object} account - { customerId, machineId } or { customerId, vendorId } for a pooled account
+ * @returns {object} - { customerId, vendorId, machineId, accountMachineId, pooled }
+ */
+async function resolveAccount(client, { customerId, machineId = null, vendorId = null }) {
+  if (machineId) {
+    const machineResult = await client.query(
+      'SELECT vendor_id FROM vending_machines WHERE id = $1',
+      [machineId]
+    );
+    if (machineResult.rows.length === 0) {
+      throw httpError(404, 'Vending machine not found');
+    }
+    vendorId = machineResult.rows[0].vendor_id;
+  }
+
+  const program = await getProgram(vendorId, client);
+  const pooled = program.balanceScope === 'vendor';
+
+  if (!pooled && !machineId) {
+    throw httpError(400, 'machineId is required for per-machine balances');
+  }
+
+  return {
+    customerId,
+    vendorId,
+    machineId,
+    accountMachineId: pooled ? null : machineId,
+    pooled,
+  };
+}
+
+/**
+ * Create (if needed) and lock customers' accounts, in id order to avoid deadlocks
+ * @param {object} client - pg client inside a transaction
+ * @param {array} accounts - Accounts from resolveAccount
+ * @returns {array} - Locked account rows
+ */
+async function lockAccounts(client, accounts) {
+  for (const account of accounts) {
+    if (account.pooled) {
+      await client.query(
+        `INSERT INTO loyalty_points (customer_id, vendor_id)
+         VALUES ($1, $2)
+         ON CONFLICT (customer_id, vendor_id) WHERE machine_id IS NULL DO NOTHING`,
+        [account.customerId, account.vendorId]
+      );
+    } else {
+      await client.query(
+        `INSERT INTO loyalty_points (customer_id, machine_id, vendor_id)
+         VALUES ($1, $2, $3)
+         ON CONFLICT ON CONSTRAINT unique_customer_machine DO NOTHING`,
+        [account.customerId, account.accountMachineId, account.vendorId]
+      );
+    }
+  }
+
+  const result = await client.query(
+    `SELECT id, customer_id, machine_id, vendor_id
+     FROM loyalty_points
+     WHERE (customer_id, vendor_id, COALESCE(machine_id, 0)) IN (
+       SELECT * FROM UNNEST($1::int[], $2::int[], $3::int[])
+     )
+     ORDER BY id
+     FOR UPDATE`,
+    [
+      accounts.map(account => account.customerId),
+      accounts.map(account => account.vendorId),
+      accounts.map(account => account.accountMachineId || 0),
+    ]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Sum the ledger for an account (all of the vendor's machines when pooled)
+ */
+async function getAccountBalance(client, account) {
+  const result = await client.query(
+    `SELECT COALESCE(SUM(points), 0) as balance
+     FROM loyalty_ledger
+     WHERE customer_id = $1
+       AND ($2::boolean OR machine_id = $3)
+       AND vendor_id = $4`,
+    [account.customerId, account.pooled, account.accountMachineId, account.vendorId]
+  );
+
+  return parseInt(result.rows[0].balance);
+}
+
+/**
+ * Post one ledger entry against a customer's account
+ * The account row is locked for the whole transaction, so concurrent earns and
+ * redeems are applied one after another and a balance can never go negative.
+ * @param {object} client - pg client inside a transaction
+ * @param {object} entry - { customerId, machineId, vendorId, entryType, points, referenceType, referenceId,
+ *                           idempotencyKey, description, createdBy, transactionId }
+ *                         (vendorId without machineId posts to a pooled account)
+ * @returns {object} - { entry, balance, duplicate }
+ */
+async function postEntry(client, {
+  customerId,
+  machineId = null,
+  vendorId = null,
+  entryType,
+  points,
+  referenceType = null,
+  referenceId = null,
+  idempotencyKey = null,
+  description = null,
+  createdBy = null,
+  transactionId = null,
+}) {
+  const account = await resolveAccount(client, { customerId, machineId, vendorId });
+  await lockAccounts(client, [account]);
+
+  if (idempotencyKey) {
+    const existing = await client.query(
+      'SELECT * FROM loyalty_ledger WHERE customer_id = $1 AND idempotency_key = $2',
+      [customerId, idempotencyKey]
+    );
+    if (existing.rows.length > 0) {
+      return { entry: existing.rows[0], balance: existing.rows[0].balance_after, duplicate: true };
+    }
+  }
+
+  const balance = await getAccountBalance(client, account);
+  const balanceAfter = balance + points;
+
+  if (balanceAfter < 0) {
+    throw httpError(400, `Insufficient points: ${balance} available`);
+  }
+
+  const result = await client.query(
+    `INSERT INTO loyalty_ledger
+     (transaction_id, customer_id, machine_id, vendor_id, entry_type, counter_account, points,
+      balance_after, reference_type, reference_id, idempotency_key, description, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+     RETURNING *`,
+    [
+      transactionId || uuidv4(),
+      customerId,
+      machineId,
+      account.vendorId,
+      entryType,
+      COUNTER_ACCOUNTS[entryType],
+      points,
+      balanceAfter,
+      referenceType,
+      referenceId,
+      idempotencyKey,
+      description,
+      createdBy,
+    ]
+  );
+
+  return { entry: result.rows[0], balance: balanceAfter, duplicate: false };
+}
+
+/**
+ * Points a customer has earned with a vendor across all machines (what tiers are based on)
+ */
+async function getLifetimePoints(client, customerId, vendorId) {
+  const result = await client.query(
+    `SELECT COALESCE(SUM(points), 0) as lifetime_points
+     FROM loyalty_ledger
+     WHERE customer_id = $1 AND vendor_id = $2 AND entry_type = 'earn'`,
+    [customerId, vendorId]
+  );
+
+  return parseInt(result.rows[0].lifetime_points);
+}
+
+/**
+ * Credit earned points, scaled by the customer's tier multiplier with the vendor
+ * @param {object} client - pg client inside a transaction
+ * @param {object} award - { customerId, machineId, points, referenceType, referenceId, idempotencyKey, description, createdBy }
+ * @returns {object} - { entry, balance, duplicate }
+ */
+async function awardPoints(client, { points, description = null, ...entry }) {
+  if (points <= 0) {
+    throw httpError(400, 'Points to award must be positive');
+  }
+
+  const account = await resolveAccount(client, entry);
+  const program = await getProgram(account.vendorId, client);
+
+  if (program.tiers.length > 0) {
+    const lifetimePoints = await getLifetimePoints(client, entry.customerId, account.vendorId);
+    const { tier, multiplier } = placeInTiers(program.tiers, lifetimePoints);
+
+    if (multiplier > 1) {
+      points = Math.floor(points * multiplier);
+      description = `${description || 'Points earned'} (${tier.name} x${multiplier})`;
+    }
+  }
+
+  return postEntry(client, { ...entry, description, entryType: 'earn', points });
+}
+
+/**
+ * Spend points; fails if the account doesn't hold enough
+ * @param {object} client - pg client inside a transaction
+ * @param {object} redemption - { customerId, machineId, points, referenceType, referenceId, idempotencyKey, description, createdBy }
+ * @returns {object} - { entry, balance, duplicate }
+ */
+async function redeemPoints(client, { points, ...entry }) {
+  if (points <= 0) {
+    throw httpError(400, 'Points to redeem must be positive');
+  }
+  return postEntry(client, { ...entry, entryType: 'redeem', points: -points });
+}
+
+/**
+ * Manually correct a balance up or down
+ * @param {object} client - pg client inside a transaction
+ * @param {object} adjustment - { customerId, machineId, points (signed), description, createdBy, idempotencyKey }
+ * @returns {object} - { entry, balance, duplicate }
+ */
+async function adjustPoints(client, { points, ...entry }) {
+  if (points === 0) {
+    throw httpError(400, 'Adjustment cannot be zero');
+  }
+  return postEntry(client, { ...entry, entryType: 'adjust', points });
+}
+
+/**
+ * Move points between two accounts of the same vendor as one balanced transaction
+ * @param {object} client - pg client inside a transaction
+ * @param {object} transfer - { from: { customerId, machineId }, to: { customerId, machineId }, points, description, createdBy }
+ * @returns {object} - { transactionId, out, in }
+ */
+async function transferPoints(client, { from, to, points, description = null, createdBy = null }) {
+  if (points <= 0) {
+    throw httpError(400, 'Points to transfer must be positive');
+  }
+
+  const fromAccount = await resolveAccount(client, from);
+  const toAccount = await resolveAccount(client, to);
+
+  if (fromAccount.vendorId !== toAccount.vendorId) {
+    throw httpError(400, 'Points can only be transferred between machines of the same vendor');
+  }
+  if (fromAccount.customerId === toAccount.customerId && fromAccount.accountMachineId === toAccount.accountMachineId) {
+    throw httpError(400, 'Cannot transfer points to the same account');
+  }
+
+  await lockAccounts(client, [fromAccount, toAccount]);
+
+  const transactionId = uuidv4();
+  const outEntry = await postEntry(client, {
+    ...from, entryType: 'transfer', points: -points, transactionId, description, createdBy,
+  });
+  const inEntry = await postEntry(client, {
+    ...to, entryType: 'transfer', points, transactionId, description, createdBy,
+  });
+
+  return { transactionId, out: outEntry.entry, in: inEntry.entry };
+}
+
+/**
+ * Expire the points in an account that were credited before the cutoff and haven't been spent
+ * Spending is taken from the oldest points first, so whatever old credit exceeds everything
+ * ever debited from the account is still unspent.
+ * @param {object} client - pg client inside a transaction
+ * @param {object} data - { customerId, vendorId, machineId (per-machine accounts), cutoff }
+ * @returns {object|null} - { entry, balance } or null if nothing expired
+ */
+async function expireAccount(client, { customerId, vendorId, machineId = null, cutoff }) {
+  const account = await resolveAccount(client, { customerId, machineId, vendorId });
+  await lockAccounts(client, [account]);
+
+  const result = await client.query(
+    `SELECT COALESCE(SUM(points) FILTER (WHERE points > 0 AND created_at < $5), 0) as old_credits,
+            COALESCE(-SUM(points) FILTER (WHERE points < 0), 0) as debits,
+            COALESCE(SUM(points), 0) as balance
+     FROM loyalty_ledger
+     WHERE customer_id = $1
+       AND ($2::boolean OR machine_id = $3)
+       AND vendor_id = $4`,
+    [customerId, account.pooled, account.accountMachineId, vendorId, cutoff]
+  );
+
+  const { old_credits: oldCredits, debits, balance } = result.rows[0];
+  const expiring = Math.min(parseInt(oldCredits) - parseInt(debits), parseInt(balance));
+
+  if (expiring <= 0) {
+    return null;
+  }
+
+  return postEntry(client, {
+    customerId,
+    machineId: account.accountMachineId,
+    vendorId,
+    entryType: 'expire',
+    points: -expiring,
+    description: `Points earned before ${cutoff.toISOString().slice(0, 10)} expired`,
+  });
+}
+
+/**
+ * Expire unspent points for every vendor with a rolling expiry, one account per transaction
+ * @param {object} options - { now }
+ * @returns {object} - { vendors, accounts, pointsExpired }
+ */
+async function expirePoints({ now = new Date() } = {}) {
+  const programsResult = await query(
+    `SELECT vendor_id, balance_scope, points_expiry_days
+     FROM loyalty_programs
+     WHERE points_expiry_days IS NOT NULL`
+  );
+
+  const summary = { vendors: 0, accounts: 0, pointsExpired: 0 };
+
+  for (const program of programsResult.rows) {
+    const cutoff = new Date(now.getTime() - program.points_expiry_days * 24 * 60 * 60 * 1000);
+    const pooled = program.balance_scope === 'vendor';
+
+    // Cheap pre-filter; each candidate is re-checked under its account lock
+    const candidates = await query(
+      `SELECT customer_id, CASE WHEN $2 THEN NULL ELSE machine_id END as machine_id
+       FROM loyalty_ledger
+       WHERE vendor_id = $1 AND ($2 OR machine_id IS NOT NULL)
+       GROUP BY 1, 2
+       HAVING COALESCE(SUM(points) FILTER (WHERE points > 0 AND created_at < $3), 0)
+            > COALESCE(-SUM(points) FILTER (WHERE points < 0), 0)
+          AND SUM(points) > 0`,
+      [program.vendor_id, pooled, cutoff]
+    );
+
+    summary.vendors++;
+
+    for (const candidate of candidates.rows) {
+      const expired = await transaction((client) => expireAccount(client, {
+        customerId: candidate.customer_id,
+        vendorId: program.vendor_id,
+        machineId: candidate.machine_id,
+        cutoff,
+      }));
+
+      if (expired) {
+        summary.accounts++;
+        summary.pointsExpired += -expired.entry.points;
+      }
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Current balance per account, derived from the ledger
+ * Pooled vendors return one account (machine_id NULL) covering all of their machines.
+ * @param {number} customerId - Customer user ID
+ * @param {object} filters - { machineId (the account that machine posts to), vendorId }
+ * @returns {array} - [{ vendor_id, vendor_name, balance_scope, machine_id, machine_name, location,
+ *                       points_balance, lifetime_points, last_activity }]
+ */
+async function getBalances(customerId, { machineId = null, vendorId = null } = {}) {
+  const result = await query(
+    `SELECT acct.vendor_id, vendor.full_name as vendor_name, acct.balance_scope,
+            acct.account_machine_id as machine_id, vm.machine_name, vm.location,
+            SUM(acct.points) as points_balance,
+            COALESCE(SUM(acct.points) FILTER (WHERE acct.entry_type = 'earn'), 0) as lifetime_points,
+            MAX(acct.created_at) as last_activity
+     FROM (
+       SELECT ll.vendor_id, ll.points, ll.entry_type, ll.created_at,
+              COALESCE(lpg.balance_scope, 'machine') as balance_scope,
+              CASE WHEN lpg.balance_scope = 'vendor' THEN NULL ELSE ll.machine_id END as account_machine_id
+       FROM loyalty_ledger ll
+       LEFT JOIN loyalty_programs lpg ON lpg.vendor_id = ll.vendor_id
+       WHERE ll.customer_id = $1
+         AND ($2::int IS NULL OR ll.vendor_id = (SELECT vendor_id FROM vending_machines WHERE id = $2))
+         AND ($3::int IS NULL OR ll.vendor_id = $3)
+     ) acct
+     JOIN users vendor ON acct.vendor_id = vendor.id
+     LEFT JOIN vending_machines vm ON acct.account_machine_id = vm.id
+     WHERE $2::int IS NULL OR acct.account_machine_id IS NULL OR acct.account_machine_id = $2
+     GROUP BY acct.vendor_id, vendor.full_name, acct.balance_scope, acct.account_machine_id,
+              vm.machine_name, vm.location
+     HAVING acct.balance_scope = 'vendor' OR acct.account_machine_id IS NOT NULL
+     ORDER BY points_balance DESC`,
+    [customerId, machineId, vendorId]
+  );
+
+  return result.rows.map(row => ({
+    ...row,
+    points_balance: parseInt(row.points_balance),
+    lifetime_points: parseInt(row.lifetime_points),
+  }));
+}
+
+/**
+ * A customer's tier with each vendor they've earned points from, and how far the next tier is
+ * @param {number} customerId - Customer user ID
+ * @param {object} filters - { vendorId }
+ * @returns {array} - [{ vendorId, vendorName, lifetimePoints, tier, multiplier, nextTier, pointsToNextTier, tiers }]
+ */
+async function getTierProgress(customerId, { vendorId = null } = {}) {
+  const result = await query(
+    `SELECT ll.vendor_id, vendor.full_name as vendor_name,
+            COALESCE(SUM(ll.points) FILTER (WHERE ll.entry_type = 'earn'), 0) as lifetime_points
+     FROM loyalty_ledger ll
+     JOIN users vendor ON ll.vendor_id = vendor.id
+     WHERE ll.customer_id = $1 AND ($2::int IS NULL OR ll.vendor_id = $2)
+     GROUP BY ll.vendor_id, vendor.full_name`,
+    [customerId, vendorId]
+  );
+
+  const progress = [];
+  for (const row of result.rows) {
+    const program = await getProgram(row.vendor_id);
+    if (program.tiers.length === 0) {
+      continue;
+    }
+
+    const lifetimePoints = parseInt(row.lifetime_points);
+    const placement = placeInTiers(program.tiers, lifetimePoints);
+    progress.push({
+      vendorId: row.vendor_id,
+      vendorName: row.vendor_name,
+      lifetimePoints,
+      tier: placement.tier ? placement.tier.name : null,
+      multiplier: placement.multiplier,
+      nextTier: placement.nextTier ? placement.nextTier.name : null,
+      pointsToNextTier: placement.pointsToNextTier,
+      tiers: program.tiers.map(tier => ({ name: tier.name, minLifetimePoints: tier.min_lifetime_points, multiplier: tier.multiplier })),
+    });
+  }
+
+  return progress;
+}
+
+/**
+ * Ledger statement for a customer over a date range
+ * @param {number} customerId - Customer user ID
+ * @param {object} filters - { machineId, vendorId, from, to, limit, offset }
+ * @returns {object} - { entries, openingBalance, closingBalance, totals, totalEntries }
+ */
+async function getStatement(customerId, {
+  machineId = null,
+  vendorId = null,
+  from = null,
+  to = null,
+  limit = 100,
+  offset = 0,
+} = {}) {
+  const scope = [customerId, machineId, vendorId];
+  const scopeWhere = `ll.customer_id = $1
+       AND ($2::int IS NULL OR ll.machine_id = $2)
+       AND ($3::int IS NULL OR ll.vendor_id = $3)`;
+
+  const entriesResult = await query(
+    `SELECT ll.id, ll.transaction_id, ll.created_at, ll.entry_type, ll.points, ll.balance_after,
+            ll.machine_id, vm.machine_name, ll.reference_type, ll.reference_id, ll.description
+     FROM loyalty_ledger ll
+     LEFT JOIN vending_machines vm ON ll.machine_id = vm.id
+     WHERE ${scopeWhere}
+       AND ($4::timestamp IS NULL OR ll.created_at >= $4)
+       AND ($5::timestamp IS NULL OR ll.created_at < $5)
+     ORDER BY ll.created_at DESC, ll.id DESC
+     LIMIT $6 OFFSET $7`,
+    [...scope, from, to, limit, offset]
+  );
+
+  const summaryResult = await query(
+    `SELECT
+       COALESCE(SUM(points) FILTER (WHERE $4::timestamp IS NOT NULL AND created_at < $4), 0) as opening_balance,
+       COALESCE(SUM(points) FILTER (WHERE $5::timestamp IS NULL OR created_at < $5), 0) as closing_balance,
+       entry_type,
+       COUNT(*) FILTER (WHERE ($4::timestamp IS NULL OR created_at >= $4)
+                          AND ($5::timestamp IS NULL OR created_at < $5)) as entry_count,
+       COALESCE(SUM(points) FILTER (WHERE ($4::timestamp IS NULL OR created_at >= $4)
+                                      AND ($5::timestamp IS NULL OR created_at < $5)), 0) as period_points
+     FROM loyalty_ledger ll
+     WHERE ${scopeWhere}
+     GROUP BY ROLLUP(entry_type)`,
+    [...scope, from, to]
+  );
+
+  // ROLLUP adds a grand-total row (entry_type NULL) alongside one row per entry type
+  const grandTotal = summaryResult.rows.find(row => row.entry_type === null);
+  const totals = {};
+  for (const type of ENTRY_TYPES) {
+    const row = summaryResult.rows.find(r => r.entry_type === type);
+    totals[type] = row ? parseInt(row.period_points) : 0;
+  }
+
+  return {
+    entries: entriesResult.rows,
+    openingBalance: grandTotal ? parseInt(grandTotal.opening_balance) : 0,
+    closingBalance: grandTotal ? parseInt(grandTotal.closing_balance) : 0,
+    totals,
+    totalEntries: grandTotal ? parseInt(grandTotal.entry_count) : 0,
+  };
+}
+
+module.exports = {
+  ENTRY_TYPES,
+  postEntry,
+  awardPoints,
+  redeemPoints,
+  adjustPoints,
+  transferPoints,
+  expireAccount,
+  expirePoints,
+  getBalances,
+  getTierProgress,
+  getStatement,
+};
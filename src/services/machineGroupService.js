@@ -0,0 +1,263 @@
+const { query, transaction } = require('../config/database');
+const { httpError } = require('../utils/httpError');
+const { assertVendorLocation } = require('./locationService');
+
+/**
+ * Check every machine belongs to the vendor
+ * @param {number} vendorId - Vendor user ID
+ * @param {array} machineIds - Machine IDs
+ */
+async function assertVendorMachines(vendorId, machineIds) {
+  const result = await query(
+    'SELECT id FROM vending_machines WHERE vendor_id = $1 AND id = ANY($2)',
+    [vendorId, machineIds]
+  );
+
+  if (result.rows.length !== new Set(machineIds).size) {
+    throw httpError(404, 'Vending machine not found');
+  }
+}
+
+/**
+ * Replace a group's machines
+ * @param {object} client - pg client inside a transaction
+ * @param {number} groupId - Group ID
+ * @param {array} machineIds - Machine IDs (already checked to belong to the vendor)
+ */
+async function replaceMembers(client, groupId, machineIds) {
+  await client.query('DELETE FROM machine_group_members WHERE group_id = $1', [groupId]);
+  await client.query(
+    `INSERT INTO machine_group_members (group_id, machine_id)
+     SELECT $1, UNNEST($2::int[])
+     ON CONFLICT DO NOTHING`,
+    [groupId, machineIds]
+  );
+}
+
+/**
+ * List a vendor's machine groups with their machine counts
+ * @param {number} vendorId - Vendor user ID
+ * @returns {array} - Groups ordered by name
+ */
+async function listGroups(vendorId) {
+  const result = await query(
+    `SELECT mg.id, mg.name, mg.description, mg.created_at,
+            COUNT(mgm.machine_id)::int as machine_count
+     FROM machine_groups mg
+     LEFT JOIN machine_group_members mgm ON mgm.group_id = mg.id
+     WHERE mg.vendor_id = $1
+     GROUP BY mg.id
+     ORDER BY mg.name`,
+    [vendorId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Get a group with its machines
+ * @param {number} groupId - Group ID
+ * @param {number} vendorId - Vendor user ID
+ * @returns {object|null} - Group or null if not found
+ */
+async function getGroup(groupId, vendorId) {
+  const result = await query(
+    'SELECT * FROM machine_groups WHERE id = $1 AND vendor_id = $2',
+    [groupId, vendorId]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const machinesResult = await query(
+    `SELECT vm.id, vm.machine_name, vm.location, vm.is_active
+     FROM machine_group_members mgm
+     JOIN vending_machines vm ON mgm.machine_id = vm.id
+     WHERE mgm.group_id = $1
+     ORDER BY vm.machine_name`,
+    [groupId]
+  );
+
+  return { ...result.rows[0], machines: machinesResult.rows };
+}
+
+/**
+ * Create a group
+ * @param {number} vendorId - Vendor user ID
+ * @param {object} data - { name, description, machineIds }
+ * @returns {object} - Created group with its machines
+ */
+async function createGroup(vendorId, { name, description = null, machineIds = [] }) {
+  if (machineIds.length > 0) {
+    await assertVendorMachines(vendorId, machineIds);
+  }
+
+  try {
+    const groupId = await transaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO machine_groups (vendor_id, name, description)
+         VALUES ($1, $2, $3)
+         RETURNING id`,
+        [vendorId, name, description]
+      );
+      const { id } = result.rows[0];
+
+      await replaceMembers(client, id, machineIds);
+      return id;
+    });
+
+    return getGroup(groupId, vendorId);
+  } catch (error) {
+    if (error.code === '23505') {
+      throw httpError(409, 'A group with that name already exists');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Update a group's name, description or machines
+ * @param {number} groupId - Group ID
+ * @param {number} vendorId - Vendor user ID
+ * @param {object} data - { name, description, machineIds }
+ * @returns {object|null} - Updated group or null if not found
+ */
+async function updateGroup(groupId, vendorId, { name, description, machineIds }) {
+  if (machineIds && machineIds.length > 0) {
+    await assertVendorMachines(vendorId, machineIds);
+  }
+
+  try {
+    const found = await transaction(async (client) => {
+      const result = await client.query(
+        `UPDATE machine_groups
+         SET name = COALESCE($1, name),
+             description = CASE WHEN $2::boolean THEN $3 ELSE description END
+         WHERE id = $4 AND vendor_id = $5
+         RETURNING id`,
+        [name ?? null, description !== undefined, description ?? null, groupId, vendorId]
+      );
+
+      if (result.rows.length === 0) {
+        return false;
+      }
+
+      if (machineIds) {
+        await replaceMembers(client, groupId, machineIds);
+      }
+      return true;
+    });
+
+    return found ? getGroup(groupId, vendorId) : null;
+  } catch (error) {
+    if (error.code === '23505') {
+      throw httpError(409, 'A group with that name already exists');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Delete a group; refused while discount codes are scoped to it
+ * @param {number} groupId - Group ID
+ * @param {number} vendorId - Vendor user ID
+ * @returns {boolean} - Whether a group was deleted
+ */
+async function deleteGroup(groupId, vendorId) {
+  try {
+    const result = await query(
+      'DELETE FROM machine_groups WHERE id = $1 AND vendor_id = $2 RETURNING id',
+      [groupId, vendorId]
+    );
+
+    return result.rows.length > 0;
+  } catch (error) {
+    if (error.code === '23503') {
+      throw httpError(409, 'Discount codes are scoped to this group; change or delete them first');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Resolve machine / location / group filters to the vendor's matching machine IDs
+ * Filters combine (a location and a group gives the group's machines at that location).
+ * @param {number} vendorId - Vendor user ID
+ * @param {object} filters - { machineId, locationId, groupId }
+ * @returns {array|null} - Machine IDs, or null when no filter was given
+ */
+async function resolveMachineIds(vendorId, { machineId = null, locationId = null, groupId = null } = {}) {
+  if (!machineId && !locationId && !groupId) {
+    return null;
+  }
+
+  if (locationId) {
+    await assertVendorLocation(vendorId, locationId);
+  }
+  if (groupId) {
+    const groupResult = await query(
+      'SELECT id FROM machine_groups WHERE id = $1 AND vendor_id = $2',
+      [groupId, vendorId]
+    );
+    if (groupResult.rows.length === 0) {
+      throw httpError(404, 'Machine group not found');
+    }
+  }
+
+  const result = await query(
+    `SELECT vm.id
+     FROM vending_machines vm
+     WHERE vm.vendor_id = $1
+       AND ($2::int IS NULL OR vm.id = $2)
+       AND ($3::int IS NULL OR vm.location_id = $3)
+       AND ($4::int IS NULL OR EXISTS (
+         SELECT 1 FROM machine_group_members mgm
+         WHERE mgm.group_id = $4 AND mgm.machine_id = vm.id))`,
+    [vendorId, machineId, locationId, groupId]
+  );
+
+  if (machineId && result.rows.length === 0 && !locationId && !groupId) {
+    throw httpError(404, 'Vending machine not found');
+  }
+
+  return result.rows.map(row => row.id);
+}
+
+/**
+ * Replace the groups a machine belongs to
+ * @param {number} vendorId - Vendor user ID
+ * @param {number} machineId - Machine ID (already checked to belong to the vendor)
+ * @param {array} groupIds - Group IDs; empty removes the machine from every group
+ */
+async function setMachineGroups(vendorId, machineId, groupIds) {
+  const groupResult = await query(
+    'SELECT id FROM machine_groups WHERE vendor_id = $1 AND id = ANY($2)',
+    [vendorId, groupIds]
+  );
+
+  if (groupResult.rows.length !== new Set(groupIds).size) {
+    throw httpError(404, 'Machine group not found');
+  }
+
+  await transaction(async (client) => {
+    await client.query('DELETE FROM machine_group_members WHERE machine_id = $1', [machineId]);
+    await client.query(
+      `INSERT INTO machine_group_members (group_id, machine_id)
+       SELECT UNNEST($1::int[]), $2
+       ON CONFLICT DO NOTHING`,
+      [groupIds, machineId]
+    );
+  });
+}
+
+module.exports = {
+  assertVendorMachines,
+  resolveMachineIds,
+  setMachineGroups,
+  listGroups,
+  getGroup,
+  createGroup,
+  updateGroup,
+  deleteGroup,
+};
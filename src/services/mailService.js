@@ -0,0 +1,107 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Where the file transport writes messages (one JSON file each)
+const DEFAULT_OUTBOX_DIR = path.join(__dirname, '../../tmp/mail');
+
+// Token query parameters in message bodies (see frontendLink)
+const TOKEN_PARAM_PATTERN = /([?&]token=)[^\s&]+/g;
+
+/**
+ * Log messages to stdout (local development). Token links are masked because
+ * stdout usually ends up in shared logs; use the file transport to follow them.
+ */
+async function consoleTransport(message) {
+  const text = message.text.replace(TOKEN_PARAM_PATTERN, '$1[redacted]');
+  console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${text}`);
+}
+
+/**
+ * Write messages to MAIL_OUTBOX_DIR so tests and developers can read them back
+ */
+async function fileTransport(message) {
+  const dir = process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR;
+  await fs.mkdir(dir, { recursive: true });
+
+  const filename = `${Date.now()}-${Math.round(Math.random() * 1E9)}.json`;
+  await fs.writeFile(path.join(dir, filename), JSON.stringify(message, null, 2));
+}
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport,
+};
+
+/**
+ * Register a mail transport (e.g. SMTP or a provider API) selectable with MAIL_TRANSPORT
+ * @param {string} name - Transport name
+ * @param {function} send - async (message: { from, to, subject, text }) => void
+ */
+function registerTransport(name, send) {
+  transports[name] = send;
+}
+
+/**
+ * Name of the configured transport. Outside production this defaults to console;
+ * in production there is no default, so nothing is sent until one is chosen.
+ * @returns {string}
+ */
+function transportName() {
+  if (process.env.MAIL_TRANSPORT) {
+    return process.env.MAIL_TRANSPORT;
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('MAIL_TRANSPORT must be set in production');
+  }
+  return 'console';
+}
+
+/**
+ * Check the mail configuration at startup so a misconfigured deploy fails fast
+ * instead of on the first password reset
+ */
+function assertMailConfigured() {
+  const name = transportName();
+
+  if (!transports[name]) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+}
+
+/**
+ * Link into the frontend carrying a token, for use in email bodies
+ * @param {string} pathname - Frontend path, e.g. /reset-password
+ * @param {string} token - Raw token
+ * @returns {string} - Absolute URL
+ */
+function frontendLink(pathname, token) {
+  const base = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return `${base}${pathname}?token=${token}`;
+}
+
+/**
+ * Send an email through the transport named by MAIL_TRANSPORT (default console outside production)
+ * @param {object} message - { to, subject, text }
+ */
+async function sendMail({ to, subject, text }) {
+  const name = transportName();
+  const send = transports[name];
+
+  if (!send) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  await send({
+    from: process.env.MAIL_FROM || 'no-reply@localhost',
+    to,
+    subject,
+    text,
+  });
+}
+
+module.exports = {
+  registerTransport,
+  assertMailConfigured,
+  frontendLink,
+  sendMail,
+};
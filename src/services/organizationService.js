@@ -0,0 +1,358 @@
+const { query, transaction } = require('../config/database');
+const { httpError } = require('../utils/httpError');
+const { generateToken, hashToken } = require('../utils/codes');
+const User = require('../models/User');
+const { sendMail, frontendLink } = require('./mailService');
+const { revokeAllSessions } = require('./tokenService');
+
+const ROLES = ['owner', 'manager', 'driver', 'viewer'];
+// There is exactly one owner, so it can't be handed out by invite or role change
+const ASSIGNABLE_ROLES = ['manager', 'driver', 'viewer'];
+
+const PERMISSIONS = [
+  'machines:read', 'machines:write', 'machines:delete',
+  'inventory:read', 'inventory:write',
+  'catalog:write',
+  'sales:read', 'sales:write',
+  'marketing:read', 'marketing:write',
+  'claims:read', 'claims:review',
+  'payouts:read', 'payouts:write',
+  'team:manage',
+];
+
+const ROLE_PERMISSIONS = {
+  owner: PERMISSIONS,
+  manager: PERMISSIONS.filter(permission => permission !== 'team:manage'),
+  driver: ['machines:read', 'inventory:read', 'inventory:write'],
+  viewer: PERMISSIONS.filter(permission => permission.endsWith(':read')),
+};
+
+const INVITE_TTL_DAYS = parseInt(process.env.INVITE_EXPIRES_DAYS) || 7;
+
+/**
+ * Create the organization a newly registered vendor owns
+ * @param {number} ownerId - Vendor user ID
+ * @param {string} name - Organization name
+ * @param {object} client - Optional pg client to join an existing transaction
+ * @returns {object} - Created organization
+ */
+async function createOrganization(ownerId, name, client = null) {
+  if (!client) {
+    return transaction((txClient) => createOrganization(ownerId, name, txClient));
+  }
+
+  const result = await client.query(
+    `INSERT INTO organizations (owner_id, name)
+     VALUES ($1, $2)
+     RETURNING *`,
+    [ownerId, name]
+  );
+  const organization = result.rows[0];
+
+  await client.query(
+    `INSERT INTO organization_members (organization_id, user_id, role)
+     VALUES ($1, $2, 'owner')`,
+    [organization.id, ownerId]
+  );
+
+  return organization;
+}
+
+/**
+ * Find the organization a vendor-side user works for
+ * @param {number} userId - User ID
+ * @returns {object|null} - { id (owner's user ID, the vendor_id on all data), organizationId,
+ *                            organizationName, suspendedAt, role, permissions } or null if not a member
+ */
+async function getMembership(userId) {
+  const result = await query(
+    `SELECT o.id as organization_id, o.name as organization_name, o.owner_id, o.suspended_at, m.role
+     FROM organization_members m
+     JOIN organizations o ON m.organization_id = o.id
+     WHERE m.user_id = $1`,
+    [userId]
+  );
+
+  const membership = result.rows[0];
+  if (!membership) {
+    return null;
+  }
+
+  return {
+    id: membership.owner_id,
+    organizationId: membership.organization_id,
+    organizationName: membership.organization_name,
+    suspendedAt: membership.suspended_at,
+    role: membership.role,
+    permissions: ROLE_PERMISSIONS[membership.role],
+  };
+}
+
+/**
+ * Get an organization with its members and pending invites
+ * @param {number} organizationId - Organization ID
+ * @returns {object} - { organization, members, invites }
+ */
+async function getTeam(organizationId) {
+  const organizationResult = await query(
+    'SELECT id, name, owner_id, created_at FROM organizations WHERE id = $1',
+    [organizationId]
+  );
+
+  const membersResult = await query(
+    `SELECT u.id as user_id, u.email, u.full_name, m.role, m.invited_by, m.created_at
+     FROM organization_members m
+     JOIN users u ON m.user_id = u.id
+     WHERE m.organization_id = $1
+     ORDER BY m.role = 'owner' DESC, u.full_name`,
+    [organizationId]
+  );
+
+  const invitesResult = await query(
+    `SELECT id, email, role, invited_by, expires_at, created_at
+     FROM organization_invites
+     WHERE organization_id = $1 AND accepted_at IS NULL AND revoked_at IS NULL
+       AND expires_at > NOW()
+     ORDER BY created_at DESC`,
+    [organizationId]
+  );
+
+  return {
+    organization: organizationResult.rows[0],
+    members: membersResult.rows,
+    invites: invitesResult.rows,
+  };
+}
+
+/**
+ * Rename an organization
+ * @param {number} organizationId - Organization ID
+ * @param {string} name - New name
+ * @returns {object} - Updated organization
+ */
+async function renameOrganization(organizationId, name) {
+  const result = await query(
+    'UPDATE organizations SET name = $1 WHERE id = $2 RETURNING id, name, owner_id, created_at',
+    [name, organizationId]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Change a member's role (the owner's role is fixed)
+ * @param {number} organizationId - Organization ID
+ * @param {number} userId - Member's user ID
+ * @param {string} role - One of ASSIGNABLE_ROLES
+ * @returns {object|null} - { user_id, role } or null if not a member
+ */
+async function updateMemberRole(organizationId, userId, role) {
+  const memberResult = await query(
+    'SELECT role FROM organization_members WHERE organization_id = $1 AND user_id = $2',
+    [organizationId, userId]
+  );
+
+  if (memberResult.rows.length === 0) {
+    return null;
+  }
+  if (memberResult.rows[0].role === 'owner') {
+    throw httpError(400, "The owner's role can't be changed");
+  }
+
+  const result = await query(
+    `UPDATE organization_members SET role = $1
+     WHERE organization_id = $2 AND user_id = $3
+     RETURNING user_id, role`,
+    [role, organizationId, userId]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Remove a member and log them out everywhere; their login stays but has no access
+ * @param {number} organizationId - Organization ID
+ * @param {number} userId - Member's user ID
+ * @returns {boolean} - Whether a member was removed
+ */
+async function removeMember(organizationId, userId) {
+  // Together, so a removed member can't be left holding live sessions
+  return transaction(async (client) => {
+    const memberResult = await client.query(
+      `SELECT role FROM organization_members
+       WHERE organization_id = $1 AND user_id = $2
+       FOR UPDATE`,
+      [organizationId, userId]
+    );
+
+    if (memberResult.rows.length === 0) {
+      return false;
+    }
+    if (memberResult.rows[0].role === 'owner') {
+      throw httpError(400, "The owner can't be removed");
+    }
+
+    await client.query(
+      'DELETE FROM organization_members WHERE organization_id = $1 AND user_id = $2',
+      [organizationId, userId]
+    );
+    await revokeAllSessions(userId, client);
+
+    return true;
+  });
+}
+
+/**
+ * Invite someone by email; re-inviting an address replaces its pending invite
+ * @param {object} organization - { organizationId, organizationName }
+ * @param {object} data - { email, role, invitedBy }
+ * @returns {object} - Invite (without the token)
+ */
+async function createInvite({ organizationId, organizationName }, { email, role, invitedBy }) {
+  const normalizedEmail = email.trim().toLowerCase();
+
+  const existingResult = await query(
+    'SELECT id FROM users WHERE LOWER(email) = $1',
+    [normalizedEmail]
+  );
+  if (existingResult.rows.length > 0) {
+    throw httpError(409, 'An account already uses this email; invites are for new logins');
+  }
+
+  const token = generateToken();
+
+  const invite = await transaction(async (client) => {
+    await client.query(
+      `UPDATE organization_invites SET revoked_at = NOW()
+       WHERE organization_id = $1 AND LOWER(email) = $2
+         AND accepted_at IS NULL AND revoked_at IS NULL`,
+      [organizationId, normalizedEmail]
+    );
+
+    const result = await client.query(
+      `INSERT INTO organization_invites
+       (organization_id, email, role, token_hash, invited_by, expires_at)
+       VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(days => $6))
+       RETURNING id, email, role, invited_by, expires_at, created_at`,
+      [organizationId, normalizedEmail, role, hashToken(token), invitedBy, INVITE_TTL_DAYS]
+    );
+
+    return result.rows[0];
+  });
+
+  await sendMail({
+    to: normalizedEmail,
+    subject: `You're invited to join ${organizationName}`,
+    text: `You've been invited to join ${organizationName} as a ${role}.\n\n`
+      + `Accept within ${INVITE_TTL_DAYS} days to create your login:\n${frontendLink('/accept-invite', token)}`,
+  });
+
+  return invite;
+}
+
+/**
+ * Revoke a pending invite
+ * @param {number} organizationId - Organization ID
+ * @param {number} inviteId - Invite ID
+ * @returns {boolean} - Whether a pending invite was revoked
+ */
+async function revokeInvite(organizationId, inviteId) {
+  const result = await query(
+    `UPDATE organization_invites SET revoked_at = NOW()
+     WHERE id = $1 AND organization_id = $2 AND accepted_at IS NULL AND revoked_at IS NULL
+     RETURNING id`,
+    [inviteId, organizationId]
+  );
+
+  return result.rows.length > 0;
+}
+
+/**
+ * Look up a pending invite by its token (for the accept page)
+ * @param {string} token - Raw invite token
+ * @returns {object|null} - { email, role, organization_name, expires_at } or null
+ */
+async function getInviteByToken(token) {
+  const result = await query(
+    `SELECT i.email, i.role, o.name as organization_name, i.expires_at
+     FROM organization_invites i
+     JOIN organizations o ON i.organization_id = o.id
+     WHERE i.token_hash = $1 AND i.accepted_at IS NULL AND i.revoked_at IS NULL
+       AND i.expires_at > NOW()`,
+    [hashToken(token)]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Accept an invite: create the staff login and add it to the organization
+ * Staff logins have role 'vendor' and act on the owner's data through their membership.
+ * @param {string} token - Raw invite token
+ * @param {object} data - { password, fullName }
+ * @returns {object} - Created user { id, email, role, full_name, email_verified_at }
+ */
+async function acceptInvite(token, { password, fullName }) {
+  const passwordHash = await User.hashPassword(password);
+
+  try {
+    return await transaction(async (client) => {
+      const inviteResult = await client.query(
+        `SELECT id, organization_id, email, role, invited_by
+         FROM organization_invites
+         WHERE token_hash = $1 AND accepted_at IS NULL AND revoked_at IS NULL
+           AND expires_at > NOW()
+         FOR UPDATE`,
+        [hashToken(token)]
+      );
+
+      const invite = inviteResult.rows[0];
+      if (!invite) {
+        throw httpError(400, 'Invalid or expired invite');
+      }
+
+      // The invite link was emailed, so following it verifies the address
+      const userResult = await client.query(
+        `INSERT INTO users (email, password_hash, role, full_name, email_verified_at)
+         VALUES ($1, $2, 'vendor', $3, NOW())
+         RETURNING id, email, role, full_name, email_verified_at`,
+        [invite.email, passwordHash, fullName]
+      );
+      const user = userResult.rows[0];
+
+      await client.query(
+        `INSERT INTO organization_members (organization_id, user_id, role, invited_by)
+         VALUES ($1, $2, $3, $4)`,
+        [invite.organization_id, user.id, invite.role, invite.invited_by]
+      );
+      await client.query(
+        'UPDATE organization_invites SET accepted_at = NOW(), accepted_by = $1 WHERE id = $2',
+        [user.id, invite.id]
+      );
+
+      return user;
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      throw httpError(409, 'Email already registered');
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  ROLES,
+  ASSIGNABLE_ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  createOrganization,
+  getMembership,
+  getTeam,
+  renameOrganization,
+  updateMemberRole,
+  removeMember,
+  createInvite,
+  revokeInvite,
+  getInviteByToken,
+  acceptInvite,
+};
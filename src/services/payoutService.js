@@ -0,0 +1,305 @@
+const { query, transaction } = require('../config/database');
+const { httpError } = require('../utils/httpError');
+
+const PAYMENT_METHODS = ['zelle', 'venmo', 'paypal'];
+const PAYOUT_STATUSES = ['pending', 'paid', 'cancelled'];
+const PAYOUT_SOURCES = ['rebate', 'cashback'];
+
+/**
+ * List a vendor's payouts
+ * @param {number} vendorId - Vendor user ID
+ * @param {object} filters - { status, source, customerId, unbatched }
+ * @returns {array} - Payouts, newest first
+ */
+async function listVendorPayouts(vendorId, { status = null, source = null, customerId = null, unbatched = false } = {}) {
+  const result = await query(
+    `SELECT po.id, po.source, po.rebate_id, po.description, po.customer_id,
+            u.email as customer_email, u.full_name as customer_name,
+            u.payment_method IS NOT NULL AND u.payment_username IS NOT NULL as has_payout_handle,
+            po.amount, po.status, pbi.batch_id, po.created_at, po.paid_at
+     FROM payouts po
+     LEFT JOIN users u ON po.customer_id = u.id
+     LEFT JOIN payout_batch_items pbi ON po.batch_item_id = pbi.id
+     WHERE po.vendor_id = $1
+       AND ($2::varchar IS NULL OR po.status = $2)
+       AND ($3::varchar IS NULL OR po.source = $3)
+       AND ($4::int IS NULL OR po.customer_id = $4)
+       AND ($5::boolean = false OR po.batch_item_id IS NULL)
+     ORDER BY po.created_at DESC`,
+    [vendorId, status, source, customerId, unbatched]
+  );
+
+  return result.rows;
+}
+
+/**
+ * List a customer's payouts across vendors
+ * @param {number} customerId - Customer user ID
+ * @returns {array} - Payouts with batch status, newest first
+ */
+async function listCustomerPayouts(customerId) {
+  const result = await query(
+    `SELECT po.id, po.source, po.rebate_id, po.description, po.amount, po.status,
+            po.created_at, po.paid_at, vendor.full_name as vendor_name,
+            pbi.payment_method, pbi.payment_username, pb.payment_reference
+     FROM payouts po
+     JOIN users vendor ON po.vendor_id = vendor.id
+     LEFT JOIN payout_batch_items pbi ON po.batch_item_id = pbi.id
+     LEFT JOIN payout_batches pb ON pbi.batch_id = pb.id
+     WHERE po.customer_id = $1
+     ORDER BY po.created_at DESC`,
+    [customerId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Credit a customer with vendor-issued cashback
+ * @param {object} data - { vendorId, customerId, amount, description, createdBy }
+ * @returns {object} - Created payout
+ */
+async function createCashbackPayout({ vendorId, customerId, amount, description = null, createdBy = null }) {
+  const customerResult = await query(
+    "SELECT id FROM users WHERE id = $1 AND role = 'customer'",
+    [customerId]
+  );
+
+  if (customerResult.rows.length === 0) {
+    throw httpError(404, 'Customer not found');
+  }
+
+  const result = await query(
+    `INSERT INTO payouts (vendor_id, customer_id, source, amount, description, created_by)
+     VALUES ($1, $2, 'cashback', $3, $4, $5)
+     RETURNING *`,
+    [vendorId, customerId, amount, description, createdBy]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Group a vendor's unbatched pending payouts into a new batch, one line per customer
+ * Customers without a payout handle are left out until they set one.
+ * @param {object} data - { vendorId, userId, customerIds, notes }
+ * @returns {object} - { batch, skippedCustomers }
+ */
+async function createBatch({ vendorId, userId = null, customerIds = null, notes = null }) {
+  return transaction(async (client) => {
+    const payoutsResult = await client.query(
+      `SELECT po.id, po.customer_id, po.amount, u.email, u.payment_method, u.payment_username
+       FROM payouts po
+       JOIN users u ON po.customer_id = u.id
+       WHERE po.vendor_id = $1
+         AND po.status = 'pending'
+         AND po.batch_item_id IS NULL
+         AND ($2::int[] IS NULL OR po.customer_id = ANY($2))
+       ORDER BY po.customer_id, po.id
+       FOR UPDATE OF po`,
+      [vendorId, customerIds]
+    );
+
+    const customers = new Map();
+    const skipped = new Map();
+
+    for (const payout of payoutsResult.rows) {
+      if (!payout.payment_method || !payout.payment_username) {
+        const entry = skipped.get(payout.customer_id) || { customerId: payout.customer_id, email: payout.email, amount: 0 };
+        entry.amount += parseFloat(payout.amount);
+        skipped.set(payout.customer_id, entry);
+        continue;
+      }
+
+      if (!customers.has(payout.customer_id)) {
+        customers.set(payout.customer_id, {
+          customerId: payout.customer_id,
+          paymentMethod: payout.payment_method,
+          paymentUsername: payout.payment_username,
+          amountCents: 0,
+          payoutIds: [],
+        });
+      }
+
+      const line = customers.get(payout.customer_id);
+      line.amountCents += Math.round(parseFloat(payout.amount) * 100);
+      line.payoutIds.push(payout.id);
+    }
+
+    if (customers.size === 0) {
+      throw httpError(400, skipped.size > 0
+        ? 'No pending payouts for customers with a payout handle'
+        : 'No pending payouts to batch');
+    }
+
+    const totalCents = [...customers.values()].reduce((sum, line) => sum + line.amountCents, 0);
+
+    const batchResult = await client.query(
+      `INSERT INTO payout_batches (vendor_id, total_amount, notes, created_by)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [vendorId, totalCents / 100, notes, userId]
+    );
+    const batch = batchResult.rows[0];
+
+    for (const line of customers.values()) {
+      const itemResult = await client.query(
+        `INSERT INTO payout_batch_items
+         (batch_id, customer_id, amount, payout_count, payment_method, payment_username)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING id`,
+        [batch.id, line.customerId, line.amountCents / 100, line.payoutIds.length, line.paymentMethod, line.paymentUsername]
+      );
+
+      await client.query(
+        'UPDATE payouts SET batch_item_id = $1 WHERE id = ANY($2)',
+        [itemResult.rows[0].id, line.payoutIds]
+      );
+    }
+
+    return {
+      batch: { ...batch, customer_count: customers.size },
+      skippedCustomers: [...skipped.values()].map(entry => ({
+        ...entry,
+        amount: entry.amount.toFixed(2),
+        reason: 'No payout handle set',
+      })),
+    };
+  });
+}
+
+/**
+ * List a vendor's payout batches
+ * @param {number} vendorId - Vendor user ID
+ * @param {object} filters - { status }
+ * @returns {array} - Batches, newest first
+ */
+async function listBatches(vendorId, { status = null } = {}) {
+  const result = await query(
+    `SELECT pb.*, COUNT(pbi.id) as customer_count
+     FROM payout_batches pb
+     LEFT JOIN payout_batch_items pbi ON pbi.batch_id = pb.id
+     WHERE pb.vendor_id = $1 AND ($2::varchar IS NULL OR pb.status = $2)
+     GROUP BY pb.id
+     ORDER BY pb.created_at DESC`,
+    [vendorId, status]
+  );
+
+  return result.rows.map(row => ({ ...row, customer_count: parseInt(row.customer_count) }));
+}
+
+/**
+ * Get a batch with its per-customer lines
+ * @param {number} batchId - Batch ID
+ * @param {number} vendorId - Vendor user ID
+ * @returns {object|null} - { ...batch, items } or null
+ */
+async function getBatch(batchId, vendorId) {
+  const batchResult = await query(
+    'SELECT * FROM payout_batches WHERE id = $1 AND vendor_id = $2',
+    [batchId, vendorId]
+  );
+
+  if (batchResult.rows.length === 0) {
+    return null;
+  }
+
+  const itemsResult = await query(
+    `SELECT pbi.id, pbi.customer_id, u.email as customer_email, u.full_name as customer_name,
+            pbi.payment_method, pbi.payment_username, pbi.amount, pbi.payout_count
+     FROM payout_batch_items pbi
+     LEFT JOIN users u ON pbi.customer_id = u.id
+     WHERE pbi.batch_id = $1
+     ORDER BY pbi.payment_method, u.email`,
+    [batchId]
+  );
+
+  return { ...batchResult.rows[0], items: itemsResult.rows };
+}
+
+/**
+ * Lock a vendor's pending batch for a status change
+ */
+async function lockPendingBatch(client, batchId, vendorId) {
+  const result = await client.query(
+    'SELECT * FROM payout_batches WHERE id = $1 AND vendor_id = $2 FOR UPDATE',
+    [batchId, vendorId]
+  );
+
+  if (result.rows.length === 0) {
+    throw httpError(404, 'Payout batch not found');
+  }
+  if (result.rows[0].status !== 'pending') {
+    throw httpError(409, `Payout batch is already ${result.rows[0].status}`);
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Mark a batch and its payouts as paid
+ * @param {object} data - { batchId, vendorId, userId, reference, notes }
+ * @returns {object} - Updated batch
+ */
+async function markBatchPaid({ batchId, vendorId, userId = null, reference, notes = null }) {
+  return transaction(async (client) => {
+    await lockPendingBatch(client, batchId, vendorId);
+
+    await client.query(
+      `UPDATE payouts SET status = 'paid', paid_at = CURRENT_TIMESTAMP
+       WHERE batch_item_id IN (SELECT id FROM payout_batch_items WHERE batch_id = $1)`,
+      [batchId]
+    );
+
+    const result = await client.query(
+      `UPDATE payout_batches
+       SET status = 'paid', payment_reference = $1, notes = COALESCE($2, notes),
+           paid_by = $3, paid_at = CURRENT_TIMESTAMP
+       WHERE id = $4
+       RETURNING *`,
+      [reference, notes, userId, batchId]
+    );
+
+    return result.rows[0];
+  });
+}
+
+/**
+ * Cancel a pending batch; its payouts go back to the unbatched pool
+ * @param {object} data - { batchId, vendorId }
+ * @returns {object} - Updated batch
+ */
+async function cancelBatch({ batchId, vendorId }) {
+  return transaction(async (client) => {
+    await lockPendingBatch(client, batchId, vendorId);
+
+    await client.query(
+      `UPDATE payouts SET batch_item_id = NULL
+       WHERE batch_item_id IN (SELECT id FROM payout_batch_items WHERE batch_id = $1)`,
+      [batchId]
+    );
+
+    const result = await client.query(
+      `UPDATE payout_batches SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [batchId]
+    );
+
+    return result.rows[0];
+  });
+}
+
+module.exports = {
+  PAYMENT_METHODS,
+  PAYOUT_STATUSES,
+  PAYOUT_SOURCES,
+  listVendorPayouts,
+  listCustomerPayouts,
+  createCashbackPayout,
+  createBatch,
+  listBatches,
+  getBatch,
+  markBatchPaid,
+  cancelBatch,
+};
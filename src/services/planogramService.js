@@ -0,0 +1,400 @@
+const { query, transaction } = require('../config/database');
+const { httpError } = require('../utils/httpError');
+const { compareSlotCodes } = require('../utils/slotCodes');
+const { evaluateSlot } = require('./stockAlertService');
+
+const SLOT_FIELDS = ['trayCode', 'capacity', 'productId', 'priceOverride'];
+
+/**
+ * Load a planogram version with its trays and slots
+ * @param {number} machineId - Machine ID
+ * @param {number|null} version - Version number (null = current)
+ * @returns {object|null} - Planogram with trays[].slots[], or null if none saved
+ */
+async function getPlanogram(machineId, version = null) {
+  const planogramResult = await query(
+    `SELECT pl.id, pl.machine_id, pl.version, pl.notes, pl.cloned_from_id, pl.created_by, pl.created_at,
+            pl.version = (SELECT MAX(version) FROM planograms WHERE machine_id = pl.machine_id) as is_current
+     FROM planograms pl
+     WHERE pl.machine_id = $1 AND ($2::int IS NULL OR pl.version = $2)
+     ORDER BY pl.version DESC
+     LIMIT 1`,
+    [machineId, version]
+  );
+
+  if (planogramResult.rows.length === 0) {
+    return null;
+  }
+
+  const planogram = planogramResult.rows[0];
+
+  const traysResult = await query(
+    'SELECT id, tray_code, position FROM planogram_trays WHERE planogram_id = $1 ORDER BY position',
+    [planogram.id]
+  );
+
+  const slotsResult = await query(
+    `SELECT ps.tray_id, ps.slot_code, ps.position, ps.capacity, ps.product_id, ps.price_override,
+            p.product_name, p.price, mp.id as machine_product_id, mp.current_stock
+     FROM planogram_slots ps
+     LEFT JOIN products p ON ps.product_id = p.id
+     LEFT JOIN machine_products mp ON mp.machine_id = $2 AND mp.product_id = ps.product_id
+     WHERE ps.planogram_id = $1
+     ORDER BY ps.position`,
+    [planogram.id, machineId]
+  );
+
+  const trays = traysResult.rows.map(tray => ({
+    trayCode: tray.tray_code,
+    position: tray.position,
+    slots: slotsResult.rows
+      .filter(slot => slot.tray_id === tray.id)
+      .map(slot => ({
+        slotCode: slot.slot_code,
+        position: slot.position,
+        capacity: slot.capacity,
+        productId: slot.product_id,
+        productName: slot.product_name,
+        priceOverride: slot.price_override !== null ? parseFloat(slot.price_override) : null,
+        price: slot.product_id ? parseFloat(slot.price_override ?? slot.price) : null,
+        // Live stock only describes the layout that is actually loaded in the machine
+        machineProductId: planogram.is_current ? slot.machine_product_id : undefined,
+        currentStock: planogram.is_current ? slot.current_stock : undefined,
+      })),
+  }));
+
+  return {
+    id: planogram.id,
+    machineId: planogram.machine_id,
+    version: planogram.version,
+    isCurrent: planogram.is_current,
+    notes: planogram.notes,
+    clonedFromId: planogram.cloned_from_id,
+    createdBy: planogram.created_by,
+    createdAt: planogram.created_at,
+    slotCount: slotsResult.rows.length,
+    totalCapacity: slotsResult.rows.reduce((sum, slot) => sum + slot.capacity, 0),
+    trays,
+  };
+}
+
+/**
+ * List saved planogram versions for a machine
+ * @param {number} machineId - Machine ID
+ * @returns {array} - Versions, newest first
+ */
+async function listVersions(machineId) {
+  const result = await query(
+    `SELECT pl.id, pl.version, pl.notes, pl.cloned_from_id, pl.created_at,
+            u.email as created_by_email,
+            COUNT(ps.id) as slot_count,
+            COUNT(ps.product_id) as assigned_slot_count
+     FROM planograms pl
+     LEFT JOIN users u ON pl.created_by = u.id
+     LEFT JOIN planogram_slots ps ON ps.planogram_id = pl.id
+     WHERE pl.machine_id = $1
+     GROUP BY pl.id, u.email
+     ORDER BY pl.version DESC`,
+    [machineId]
+  );
+
+  return result.rows.map(row => ({
+    ...row,
+    slot_count: parseInt(row.slot_count),
+    assigned_slot_count: parseInt(row.assigned_slot_count),
+  }));
+}
+
+/**
+ * Normalise and validate a submitted layout
+ * @param {array} trays - [{ trayCode, slots: [{ slotCode, capacity, productId, priceOverride }] }]
+ * @returns {array} - Trays with upper-cased codes
+ */
+function normaliseLayout(trays) {
+  const trayCodes = new Set();
+  const slotCodes = new Set();
+  const productSlots = new Map();
+
+  return trays.map(tray => {
+    const trayCode = tray.trayCode.toUpperCase();
+    if (trayCodes.has(trayCode)) {
+      throw httpError(400, `Tray ${trayCode} appears more than once`);
+    }
+    trayCodes.add(trayCode);
+
+    const slots = tray.slots.map(slot => {
+      const slotCode = slot.slotCode.toUpperCase();
+      if (slotCodes.has(slotCode)) {
+        throw httpError(400, `Slot ${slotCode} appears more than once`);
+      }
+      slotCodes.add(slotCode);
+
+      const productId = slot.productId ?? null;
+      if (productId !== null) {
+        // machine_products holds one row (and one stock count) per product per machine
+        if (productSlots.has(productId)) {
+          throw httpError(400, `Product ${productId} is assigned to both ${productSlots.get(productId)} and ${slotCode}`);
+        }
+        productSlots.set(productId, slotCode);
+      }
+
+      return {
+        slotCode,
+        capacity: slot.capacity,
+        productId,
+        priceOverride: slot.priceOverride ?? null,
+      };
+    });
+
+    return { trayCode, slots };
+  });
+}
+
+/**
+ * Point machine_products at the slots of a newly saved layout
+ * Products that stay in the machine keep their stock and ledger; new products get
+ * an empty slot; products dropped from the layout lose their slot code but keep
+ * their stock until a driver pulls it and the inventory row is removed.
+ * @param {object} client - pg client inside the save transaction
+ * @param {number} machineId - Machine ID
+ * @param {array} trays - Normalised layout
+ * @returns {object} - { created, updated, unslotted, overCapacity }
+ */
+async function syncMachineProducts(client, machineId, trays) {
+  const existingResult = await client.query(
+    `SELECT mp.id, mp.product_id, mp.current_stock, mp.slot_code, p.product_name
+     FROM machine_products mp
+     JOIN products p ON mp.product_id = p.id
+     WHERE mp.machine_id = $1
+     FOR UPDATE OF mp`,
+    [machineId]
+  );
+  const existing = new Map(existingResult.rows.map(row => [row.product_id, row]));
+
+  // Clear slot codes first so products can swap slots without tripping idx_machine_products_slot
+  await client.query(
+    'UPDATE machine_products SET slot_code = NULL, capacity = NULL, price_override = NULL WHERE machine_id = $1',
+    [machineId]
+  );
+
+  const summary = { created: [], updated: [], unslotted: [], overCapacity: [] };
+  const placed = new Set();
+
+  for (const tray of trays) {
+    for (const slot of tray.slots) {
+      if (slot.productId === null) continue;
+      placed.add(slot.productId);
+
+      const row = existing.get(slot.productId);
+      if (row) {
+        await client.query(
+          `UPDATE machine_products
+           SET slot_code = $1, capacity = $2, price_override = $3, par_level = COALESCE(par_level, $2)
+           WHERE id = $4`,
+          [slot.slotCode, slot.capacity, slot.priceOverride, row.id]
+        );
+        summary.updated.push({ machineProductId: row.id, productId: row.product_id, slotCode: slot.slotCode });
+
+        if (row.current_stock > slot.capacity) {
+          summary.overCapacity.push({
+            machineProductId: row.id,
+            slotCode: slot.slotCode,
+            currentStock: row.current_stock,
+            capacity: slot.capacity,
+          });
+        }
+      } else {
+        const insertResult = await client.query(
+          `INSERT INTO machine_products
+           (machine_id, product_id, current_stock, slot_code, capacity, price_override, par_level)
+           VALUES ($1, $2, 0, $3, $4, $5, $4)
+           RETURNING id`,
+          [machineId, slot.productId, slot.slotCode, slot.capacity, slot.priceOverride]
+        );
+        const machineProductId = insertResult.rows[0].id;
+        await evaluateSlot(client, machineProductId);
+        summary.created.push({ machineProductId, productId: slot.productId, slotCode: slot.slotCode });
+      }
+    }
+  }
+
+  for (const row of existingResult.rows) {
+    if (!placed.has(row.product_id)) {
+      summary.unslotted.push({
+        machineProductId: row.id,
+        productId: row.product_id,
+        productName: row.product_name,
+        previousSlotCode: row.slot_code,
+        currentStock: row.current_stock,
+      });
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Save a layout as the machine's next planogram version and apply it
+ * @param {object} data - { machineId, vendorId, userId, trays, notes, clonedFromId }
+ * @param {object} client - Optional pg client to join an existing transaction
+ * @returns {object} - { planogram, sync }; inside a caller's transaction planogram is only { id, version }
+ */
+async function savePlanogram(data, client = null) {
+  if (!client) {
+    const result = await transaction((txClient) => savePlanogram(data, txClient));
+    return { planogram: await getPlanogram(data.machineId, result.planogram.version), sync: result.sync };
+  }
+
+  const { machineId, vendorId, userId = null, notes = null, clonedFromId = null } = data;
+  const trays = normaliseLayout(data.trays);
+
+  // Lock the machine so concurrent saves get consecutive version numbers
+  const machineResult = await client.query(
+    'SELECT id FROM vending_machines WHERE id = $1 AND vendor_id = $2 FOR UPDATE',
+    [machineId, vendorId]
+  );
+
+  if (machineResult.rows.length === 0) {
+    throw httpError(404, 'Vending machine not found');
+  }
+
+  const productIds = [...new Set(trays.flatMap(tray => tray.slots.map(slot => slot.productId)).filter(id => id !== null))];
+  if (productIds.length > 0) {
+    const productResult = await client.query(
+      'SELECT id FROM products WHERE id = ANY($1) AND vendor_id = $2',
+      [productIds, vendorId]
+    );
+    if (productResult.rows.length !== productIds.length) {
+      const found = new Set(productResult.rows.map(row => row.id));
+      throw httpError(404, `Product not found: ${productIds.filter(id => !found.has(id)).join(', ')}`);
+    }
+  }
+
+  const planogramResult = await client.query(
+    `INSERT INTO planograms (machine_id, version, notes, cloned_from_id, created_by)
+     VALUES ($1, (SELECT COALESCE(MAX(version), 0) + 1 FROM planograms WHERE machine_id = $1), $2, $3, $4)
+     RETURNING id, version`,
+    [machineId, notes, clonedFromId, userId]
+  );
+  const planogram = planogramResult.rows[0];
+
+  for (const [trayIndex, tray] of trays.entries()) {
+    const trayResult = await client.query(
+      `INSERT INTO planogram_trays (planogram_id, tray_code, position)
+       VALUES ($1, $2, $3)
+       RETURNING id`,
+      [planogram.id, tray.trayCode, trayIndex + 1]
+    );
+
+    for (const [slotIndex, slot] of tray.slots.entries()) {
+      await client.query(
+        `INSERT INTO planogram_slots
+         (planogram_id, tray_id, slot_code, position, capacity, product_id, price_override)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [planogram.id, trayResult.rows[0].id, slot.slotCode, slotIndex + 1, slot.capacity, slot.productId, slot.priceOverride]
+      );
+    }
+  }
+
+  const sync = await syncMachineProducts(client, machineId, trays);
+
+  return { planogram, sync };
+}
+
+/**
+ * Copy a machine's planogram to another machine as that machine's next version
+ * @param {object} data - { sourceMachineId, targetMachineId, vendorId, userId, version, notes }
+ * @returns {object} - { planogram, sync }
+ */
+async function clonePlanogram({ sourceMachineId, targetMachineId, vendorId, userId, version = null, notes = null }) {
+  if (sourceMachineId === targetMachineId) {
+    throw httpError(400, 'Cannot clone a planogram onto the same machine');
+  }
+
+  const source = await getPlanogram(sourceMachineId, version);
+  if (!source) {
+    throw httpError(404, 'Planogram not found');
+  }
+
+  return savePlanogram({
+    machineId: targetMachineId,
+    vendorId,
+    userId,
+    clonedFromId: source.id,
+    notes: notes || `Cloned from machine ${sourceMachineId} v${source.version}`,
+    trays: source.trays.map(tray => ({
+      trayCode: tray.trayCode,
+      slots: tray.slots.map(({ slotCode, capacity, productId, priceOverride }) => ({
+        slotCode, capacity, productId, priceOverride,
+      })),
+    })),
+  });
+}
+
+/**
+ * Compare two planograms slot by slot
+ * @param {object} from - Older planogram (from getPlanogram)
+ * @param {object} to - Newer planogram (from getPlanogram)
+ * @returns {object} - { added, removed, changed, unchangedCount }
+ */
+function diffPlanograms(from, to) {
+  const flatten = (planogram) => new Map(planogram.trays.flatMap(tray =>
+    tray.slots.map(slot => [slot.slotCode, {
+      slotCode: slot.slotCode,
+      trayCode: tray.trayCode,
+      capacity: slot.capacity,
+      productId: slot.productId,
+      productName: slot.productName,
+      priceOverride: slot.priceOverride,
+    }])
+  ));
+
+  const before = flatten(from);
+  const after = flatten(to);
+  const diff = { added: [], removed: [], changed: [], unchangedCount: 0 };
+
+  for (const [slotCode, slot] of after) {
+    const previous = before.get(slotCode);
+    if (!previous) {
+      diff.added.push(slot);
+      continue;
+    }
+
+    const changes = {};
+    for (const field of SLOT_FIELDS) {
+      if (previous[field] !== slot[field]) {
+        changes[field] = { from: previous[field], to: slot[field] };
+      }
+    }
+    if (changes.productId) {
+      changes.productName = { from: previous.productName, to: slot.productName };
+    }
+
+    if (Object.keys(changes).length > 0) {
+      diff.changed.push({ slotCode, changes });
+    } else {
+      diff.unchangedCount++;
+    }
+  }
+
+  for (const [slotCode, slot] of before) {
+    if (!after.has(slotCode)) {
+      diff.removed.push(slot);
+    }
+  }
+
+  const bySlot = (a, b) => compareSlotCodes(a.slotCode, b.slotCode);
+  diff.added.sort(bySlot);
+  diff.removed.sort(bySlot);
+  diff.changed.sort(bySlot);
+
+  return diff;
+}
+
+module.exports = {
+  getPlanogram,
+  listVersions,
+  savePlanogram,
+  clonePlanogram,
+  diffPlanograms,
+};
@@ -144,11 +144,31 @@ async function generateQRCodeDataURL(qrData) {
   }
 }
 
+/**
+ * Generate QR code as a PNG buffer (for embedding in PDFs)
+ * @param {string} qrData - Data to encode in QR code
+ * @param {number} width - Image width in pixels
+ * @returns {Buffer} - PNG bytes
+ */
+async function generateQRCodeBuffer(qrData, width = 300) {
+  try {
+    return await QRCode.toBuffer(qrData, {
+      errorCorrectionLevel: 'M',
+      type: 'png',
+      margin: 1,
+      width,
+    });
+  } catch (error) {
+    throw new Error('Failed to generate QR code buffer: ' + error.message);
+  }
+}
+
 module.exports = {
   generateQRCodeData,
   validateQRCodeData,
   generateQRCodeImage,
   generateQRCodeDataURL,
+  generateQRCodeBuffer,
   encrypt,
   decrypt,
 };
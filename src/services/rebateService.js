@@ -0,0 +1,254 @@
+const { query, transaction } = require('../config/database');
+const { httpError } = require('../utils/httpError');
+const { reserveDiscountUse } = require('./discountService');
+
+const REBATE_STATUSES = ['pending', 'approved', 'rejected'];
+
+const REBATE_COLUMNS = `r.id, r.status, r.customer_id, r.machine_id, vm.machine_name,
+            r.product_id, p.product_name, r.discount_code_id, r.discount_code_used,
+            r.purchase_amount, r.rebate_amount, r.approved_amount, r.photo_url,
+            r.vendor_notes, r.submitted_at, r.reviewed_at, r.reviewed_by,
+            po.id as payout_id, po.status as payout_status`;
+
+const REBATE_JOINS = `JOIN vending_machines vm ON r.machine_id = vm.id
+     JOIN products p ON r.product_id = p.id
+     LEFT JOIN payouts po ON po.rebate_id = r.id`;
+
+/**
+ * Work out what a discount is worth on a purchase
+ * @param {object} discount - discount_codes row
+ * @param {number} purchaseAmount - Amount paid
+ * @returns {number} - Rebate amount, rounded to cents
+ */
+function calculateRebateAmount(discount, purchaseAmount) {
+  const value = parseFloat(discount.discount_value);
+  const amount = discount.discount_type === 'percentage'
+    ? purchaseAmount * value / 100
+    : Math.min(value, purchaseAmount);
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Submit a rebate claim for a purchase made at full price
+ * @param {object} data - { customerId, machineId, productId, discountId, discountCode,
+ *                          purchaseAmount (capped at the slot price; defaults to it), photoUrl }
+ * @returns {object} - Created rebate
+ */
+async function submitRebate({ customerId, machineId, productId, discountId = null, discountCode = null, purchaseAmount = null, photoUrl }) {
+  const slotResult = await query(
+    `SELECT p.category, COALESCE(mp.price_override, p.price) as price
+     FROM machine_products mp
+     JOIN products p ON mp.product_id = p.id
+     WHERE mp.machine_id = $1 AND mp.product_id = $2`,
+    [machineId, productId]
+  );
+
+  if (slotResult.rows.length === 0) {
+    throw httpError(404, 'Product is not stocked in this machine');
+  }
+
+  const { category, price } = slotResult.rows[0];
+
+  if (!discountId && !discountCode) {
+    throw httpError(400, 'discountId or discountCode is required');
+  }
+
+  return transaction(async (client) => {
+    // Takes one use of the code under its row lock, so a rebate is held to the same
+    // owner, validity and usage rules as a redemption at the machine
+    const discount = await reserveDiscountUse(client, { discountId, code: discountCode, customerId, machineId });
+
+    if (discount.product_id && discount.product_id !== productId) {
+      throw httpError(400, 'Discount code is not valid for this product');
+    }
+    if (discount.category && (category || '').toLowerCase() !== discount.category.toLowerCase()) {
+      throw httpError(400, 'Discount code is not valid for this product');
+    }
+    // A rebate covers a single item, so there is never a second one to get free
+    if (discount.discount_type === 'bogo') {
+      throw httpError(400, 'Buy-X-get-Y codes can only be used at the machine');
+    }
+
+    // The receipt can't be checked here, so a claim never counts for more than the slot's price
+    const slotPrice = parseFloat(price);
+    const paid = purchaseAmount === null ? slotPrice : Math.min(purchaseAmount, slotPrice);
+    if (discount.min_purchase_amount && paid < parseFloat(discount.min_purchase_amount)) {
+      throw httpError(400, `Discount code requires a purchase of at least $${discount.min_purchase_amount}`);
+    }
+    const rebateAmount = calculateRebateAmount(discount, paid);
+
+    try {
+      const result = await client.query(
+        `INSERT INTO rebates
+         (customer_id, machine_id, product_id, discount_code_id, discount_code_used,
+          purchase_amount, rebate_amount, photo_url, status)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'pending')
+         RETURNING *`,
+        [customerId, machineId, productId, discount.id, discount.code, paid, rebateAmount, photoUrl]
+      );
+
+      return result.rows[0];
+    } catch (error) {
+      if (error.constraint === 'idx_rebates_customer_discount') {
+        throw httpError(409, 'You already have a rebate for this discount code');
+      }
+      throw error;
+    }
+  });
+}
+
+/**
+ * List a customer's rebates
+ * @param {number} customerId - Customer user ID
+ * @returns {array} - Rebates, newest first
+ */
+async function listCustomerRebates(customerId) {
+  const result = await query(
+    `SELECT ${REBATE_COLUMNS}
+     FROM rebates r
+     ${REBATE_JOINS}
+     WHERE r.customer_id = $1
+     ORDER BY r.submitted_at DESC`,
+    [customerId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * List rebates submitted at a vendor's machines
+ * @param {number} vendorId - Vendor user ID
+ * @param {object} filters - { status, machineId, limit, offset }
+ * @returns {object} - { rebates, total }
+ */
+async function listVendorRebates(vendorId, { status = 'pending', machineId = null, limit = 50, offset = 0 } = {}) {
+  const params = [vendorId, status, machineId];
+  const where = `vm.vendor_id = $1
+       AND ($2::varchar IS NULL OR r.status = $2)
+       AND ($3::int IS NULL OR r.machine_id = $3)`;
+
+  const result = await query(
+    `SELECT ${REBATE_COLUMNS}, u.email as customer_email, u.full_name as customer_name
+     FROM rebates r
+     ${REBATE_JOINS}
+     LEFT JOIN users u ON r.customer_id = u.id
+     WHERE ${where}
+     ORDER BY r.submitted_at ${status === 'pending' ? 'ASC' : 'DESC'}
+     LIMIT $4 OFFSET $5`,
+    [...params, limit, offset]
+  );
+
+  const countResult = await query(
+    `SELECT COUNT(*) as count
+     FROM rebates r
+     JOIN vending_machines vm ON r.machine_id = vm.id
+     WHERE ${where}`,
+    params
+  );
+
+  return {
+    rebates: result.rows,
+    total: parseInt(countResult.rows[0].count),
+  };
+}
+
+/**
+ * Get one rebate submitted at a vendor's machine
+ * @param {number} rebateId - Rebate ID
+ * @param {number} vendorId - Vendor user ID
+ * @returns {object|null} - Rebate or null
+ */
+async function getVendorRebate(rebateId, vendorId) {
+  const result = await query(
+    `SELECT ${REBATE_COLUMNS}, u.email as customer_email, u.full_name as customer_name
+     FROM rebates r
+     ${REBATE_JOINS}
+     LEFT JOIN users u ON r.customer_id = u.id
+     WHERE r.id = $1 AND vm.vendor_id = $2`,
+    [rebateId, vendorId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Approve or reject a pending rebate; approving creates the customer's payout
+ * @param {object} review - { rebateId, vendorId, reviewerId, decision, notes, approvedAmount }
+ * @returns {object} - { rebate, payout }
+ */
+async function reviewRebate({ rebateId, vendorId, reviewerId, decision, notes = null, approvedAmount = null }) {
+  return transaction(async (client) => {
+    const result = await client.query(
+      `SELECT r.*
+       FROM rebates r
+       JOIN vending_machines vm ON r.machine_id = vm.id
+       WHERE r.id = $1 AND vm.vendor_id = $2
+       FOR UPDATE OF r`,
+      [rebateId, vendorId]
+    );
+
+    if (result.rows.length === 0) {
+      throw httpError(404, 'Rebate not found');
+    }
+
+    const rebate = result.rows[0];
+
+    if (rebate.status !== 'pending') {
+      throw httpError(409, `Rebate has already been ${rebate.status}`);
+    }
+
+    if (decision === 'reject') {
+      // Give back the use taken when the rebate was submitted
+      await client.query(
+        'UPDATE discount_codes SET current_uses = GREATEST(current_uses - 1, 0) WHERE id = $1',
+        [rebate.discount_code_id]
+      );
+
+      const rejectResult = await client.query(
+        `UPDATE rebates
+         SET status = 'rejected', vendor_notes = $1, reviewed_by = $2, reviewed_at = CURRENT_TIMESTAMP
+         WHERE id = $3
+         RETURNING *`,
+        [notes, reviewerId, rebate.id]
+      );
+      return { rebate: rejectResult.rows[0], payout: null };
+    }
+
+    const amount = approvedAmount ?? parseFloat(rebate.rebate_amount);
+    if (amount > parseFloat(rebate.purchase_amount)) {
+      throw httpError(400, 'Approved amount cannot exceed the purchase amount');
+    }
+
+    const approveResult = await client.query(
+      `UPDATE rebates
+       SET status = 'approved', approved_amount = $1, vendor_notes = $2,
+           reviewed_by = $3, reviewed_at = CURRENT_TIMESTAMP
+       WHERE id = $4
+       RETURNING *`,
+      [amount, notes, reviewerId, rebate.id]
+    );
+
+    let payout = null;
+    if (amount > 0) {
+      const payoutResult = await client.query(
+        `INSERT INTO payouts (vendor_id, customer_id, rebate_id, amount, created_by)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [vendorId, rebate.customer_id, rebate.id, amount, reviewerId]
+      );
+      payout = payoutResult.rows[0];
+    }
+
+    return { rebate: approveResult.rows[0], payout };
+  });
+}
+
+module.exports = {
+  REBATE_STATUSES,
+  calculateRebateAmount,
+  submitRebate,
+  listCustomerRebates,
+  listVendorRebates,
+  getVendorRebate,
+  reviewRebate,
+};
@@ -0,0 +1,247 @@
+const { query, transaction } = require('../config/database');
+const { httpError } = require('../utils/httpError');
+const { awardPoints } = require('./loyaltyService');
+const { reserveDiscountUse } = require('./discountService');
+
+const DEFAULT_REDEMPTION_POINTS = 10;
+const REDEMPTION_STATUSES = ['pending', 'approved', 'rejected'];
+
+/**
+ * Resolve the points and auto-approve threshold for a discount code
+ * The code's own rule wins; otherwise the vendor's settings apply.
+ * @param {object} client - pg client
+ * @param {number} discountCodeId - Discount code ID
+ * @returns {object} - { points, autoApproveMaxPoints }
+ */
+async function getRedemptionRule(client, discountCodeId) {
+  const result = await client.query(
+    `SELECT COALESCE(dc.redemption_points, vs.points_per_redemption, $2) as points,
+            COALESCE(dc.auto_approve_max_points, vs.auto_approve_max_points) as auto_approve_max_points
+     FROM discount_codes dc
+     LEFT JOIN vendor_redemption_settings vs ON vs.vendor_id = dc.vendor_id
+     WHERE dc.id = $1`,
+    [discountCodeId, DEFAULT_REDEMPTION_POINTS]
+  );
+
+  if (result.rows.length === 0) {
+    throw httpError(404, 'Discount code not found');
+  }
+
+  return {
+    points: result.rows[0].points,
+    autoApproveMaxPoints: result.rows[0].auto_approve_max_points,
+  };
+}
+
+/**
+ * Mark a locked pending redemption approved and credit its points
+ */
+async function approveLocked(client, redemption, { points, reviewerId = null, notes = null, auto = false }) {
+  if (points > 0 && redemption.customer_id) {
+    await awardPoints(client, {
+      customerId: redemption.customer_id,
+      machineId: redemption.machine_id,
+      points,
+      referenceType: 'discount_redemption',
+      referenceId: redemption.id,
+      idempotencyKey: `discount_redemption:${redemption.id}`,
+      description: `Discount redemption #${redemption.id}`,
+      createdBy: reviewerId,
+    });
+  }
+
+  const result = await client.query(
+    `UPDATE discount_redemptions
+     SET status = 'approved', points_awarded = $1, auto_approved = $2,
+         reviewed_by = $3, reviewed_at = CURRENT_TIMESTAMP, review_notes = $4
+     WHERE id = $5
+     RETURNING *`,
+    [points, auto, reviewerId, notes, redemption.id]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Record a proof-of-purchase redemption; it waits for vendor review unless
+ * its points are within the code's (or vendor's) auto-approve threshold
+ * The code is validated and its use counted under a row lock (see reserveDiscountUse).
+ * @param {object} data - { discountId, customerId, machineId, proofImageUrl }
+ * @returns {object} - { redemption, autoApproved }
+ */
+async function submitProofRedemption({ discountId, customerId, machineId, proofImageUrl }) {
+  return transaction(async (client) => {
+    await reserveDiscountUse(client, { discountId, customerId, machineId });
+    const rule = await getRedemptionRule(client, discountId);
+
+    const insertResult = await client.query(
+      `INSERT INTO discount_redemptions
+       (discount_code_id, customer_id, machine_id, proof_image_url, status, points_value)
+       VALUES ($1, $2, $3, $4, 'pending', $5)
+       RETURNING *`,
+      [discountId, customerId, machineId, proofImageUrl, rule.points]
+    );
+
+    const redemption = insertResult.rows[0];
+    const autoApproved = rule.autoApproveMaxPoints !== null && rule.points <= rule.autoApproveMaxPoints;
+
+    if (!autoApproved) {
+      return { redemption, autoApproved };
+    }
+
+    return {
+      redemption: await approveLocked(client, redemption, { points: rule.points, auto: true }),
+      autoApproved,
+    };
+  });
+}
+
+/**
+ * Approve or reject a pending redemption for one of the vendor's codes
+ * Rejecting gives the code use back and lets the customer resubmit.
+ * @param {object} review - { redemptionId, vendorId, reviewerId, decision, notes, points }
+ * @returns {object} - Updated redemption
+ */
+async function reviewRedemption({ redemptionId, vendorId, reviewerId, decision, notes = null, points = null }) {
+  return transaction(async (client) => {
+    const result = await client.query(
+      `SELECT dr.*
+       FROM discount_redemptions dr
+       JOIN discount_codes dc ON dr.discount_code_id = dc.id
+       WHERE dr.id = $1 AND dc.vendor_id = $2
+       FOR UPDATE OF dr`,
+      [redemptionId, vendorId]
+    );
+
+    if (result.rows.length === 0) {
+      throw httpError(404, 'Redemption not found');
+    }
+
+    const redemption = result.rows[0];
+
+    if (redemption.status !== 'pending') {
+      throw httpError(409, `Redemption has already been ${redemption.status}`);
+    }
+
+    if (decision === 'approve') {
+      return approveLocked(client, redemption, {
+        points: points ?? redemption.points_value,
+        reviewerId,
+        notes,
+      });
+    }
+
+    await client.query(
+      'UPDATE discount_codes SET current_uses = GREATEST(current_uses - 1, 0) WHERE id = $1',
+      [redemption.discount_code_id]
+    );
+
+    const rejectResult = await client.query(
+      `UPDATE discount_redemptions
+       SET status = 'rejected', reviewed_by = $1, reviewed_at = CURRENT_TIMESTAMP, review_notes = $2
+       WHERE id = $3
+       RETURNING *`,
+      [reviewerId, notes, redemption.id]
+    );
+
+    return rejectResult.rows[0];
+  });
+}
+
+/**
+ * List proof-of-purchase redemptions for a vendor's codes
+ * @param {number} vendorId - Vendor user ID
+ * @param {object} filters - { status, machineId, discountId, limit, offset }
+ * @returns {object} - { redemptions, total }
+ */
+async function listRedemptions(vendorId, { status = 'pending', machineId = null, discountId = null, limit = 50, offset = 0 } = {}) {
+  const params = [vendorId, status, machineId, discountId];
+  const where = `dc.vendor_id = $1
+       AND dr.proof_image_url IS NOT NULL
+       AND ($2::varchar IS NULL OR dr.status = $2)
+       AND ($3::int IS NULL OR dr.machine_id = $3)
+       AND ($4::int IS NULL OR dr.discount_code_id = $4)`;
+
+  const result = await query(
+    `SELECT dr.id, dr.status, dr.proof_image_url, dr.points_value, dr.points_awarded,
+            dr.auto_approved, dr.redeemed_at, dr.reviewed_at, dr.review_notes,
+            dr.discount_code_id, dc.code, dr.machine_id, vm.machine_name,
+            dr.customer_id, u.email as customer_email, u.full_name as customer_name,
+            reviewer.email as reviewed_by_email
+     FROM discount_redemptions dr
+     JOIN discount_codes dc ON dr.discount_code_id = dc.id
+     JOIN vending_machines vm ON dr.machine_id = vm.id
+     LEFT JOIN users u ON dr.customer_id = u.id
+     LEFT JOIN users reviewer ON dr.reviewed_by = reviewer.id
+     WHERE ${where}
+     ORDER BY dr.redeemed_at ${status === 'pending' ? 'ASC' : 'DESC'}
+     LIMIT $5 OFFSET $6`,
+    [...params, limit, offset]
+  );
+
+  const countResult = await query(
+    `SELECT COUNT(*) as count
+     FROM discount_redemptions dr
+     JOIN discount_codes dc ON dr.discount_code_id = dc.id
+     WHERE ${where}`,
+    params
+  );
+
+  return {
+    redemptions: result.rows,
+    total: parseInt(countResult.rows[0].count),
+  };
+}
+
+/**
+ * Get a vendor's redemption defaults
+ * @param {number} vendorId - Vendor user ID
+ * @returns {object} - { pointsPerRedemption, autoApproveMaxPoints }
+ */
+async function getRedemptionSettings(vendorId) {
+  const result = await query(
+    'SELECT points_per_redemption, auto_approve_max_points FROM vendor_redemption_settings WHERE vendor_id = $1',
+    [vendorId]
+  );
+
+  const settings = result.rows[0];
+  return {
+    pointsPerRedemption: settings ? settings.points_per_redemption : DEFAULT_REDEMPTION_POINTS,
+    autoApproveMaxPoints: settings ? settings.auto_approve_max_points : null,
+  };
+}
+
+/**
+ * Update a vendor's redemption defaults
+ * @param {number} vendorId - Vendor user ID
+ * @param {object} settings - { pointsPerRedemption, autoApproveMaxPoints } (omitted fields keep their value)
+ * @returns {object} - Updated settings
+ */
+async function updateRedemptionSettings(vendorId, { pointsPerRedemption, autoApproveMaxPoints }) {
+  const current = await getRedemptionSettings(vendorId);
+  const next = {
+    pointsPerRedemption: pointsPerRedemption ?? current.pointsPerRedemption,
+    autoApproveMaxPoints: autoApproveMaxPoints !== undefined ? autoApproveMaxPoints : current.autoApproveMaxPoints,
+  };
+
+  await query(
+    `INSERT INTO vendor_redemption_settings (vendor_id, points_per_redemption, auto_approve_max_points)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (vendor_id) DO UPDATE
+     SET points_per_redemption = EXCLUDED.points_per_redemption,
+         auto_approve_max_points = EXCLUDED.auto_approve_max_points`,
+    [vendorId, next.pointsPerRedemption, next.autoApproveMaxPoints]
+  );
+
+  return next;
+}
+
+module.exports = {
+  DEFAULT_REDEMPTION_POINTS,
+  REDEMPTION_STATUSES,
+  submitProofRedemption,
+  reviewRedemption,
+  listRedemptions,
+  getRedemptionSettings,
+  updateRedemptionSettings,
+};
@@ -0,0 +1,123 @@
+const { query } = require('../config/database');
+const { httpError } = require('../utils/httpError');
+const { compareSlotCodes } = require('../utils/slotCodes');
+
+/**
+ * Build per-machine fill sheets: how many units each slot needs to reach par
+ * @param {number} vendorId - Vendor user ID
+ * @param {array|null} machineIds - Machines to include (null = all active machines)
+ * @param {object} options - { onlyLowStock } only fill slots at or below their threshold
+ * @returns {array} - Machines with slots ordered by slot code
+ */
+async function getFillSheets(vendorId, machineIds = null, { onlyLowStock = false } = {}) {
+  const machinesResult = await query(
+    `SELECT id, machine_name, location
+     FROM vending_machines
+     WHERE vendor_id = $1
+       AND ($2::int[] IS NULL OR id = ANY($2))
+       AND ($2::int[] IS NOT NULL OR is_active = true)
+     ORDER BY machine_name`,
+    [vendorId, machineIds]
+  );
+
+  if (machineIds && machinesResult.rows.length !== new Set(machineIds).size) {
+    throw httpError(404, 'Vending machine not found');
+  }
+
+  const ids = machinesResult.rows.map(machine => machine.id);
+
+  const slotsResult = await query(
+    `SELECT mp.id, mp.machine_id, mp.slot_code, mp.product_id, mp.current_stock,
+            mp.min_stock_threshold, mp.par_level,
+            p.product_name, p.category
+     FROM machine_products mp
+     JOIN products p ON mp.product_id = p.id
+     WHERE mp.machine_id = ANY($1) AND p.is_active = true`,
+    [ids]
+  );
+
+  const sheets = new Map(machinesResult.rows.map(machine => [machine.id, {
+    machineId: machine.id,
+    machineName: machine.machine_name,
+    location: machine.location,
+    slots: [],
+    totalUnits: 0,
+    slotsWithoutPar: 0,
+  }]));
+
+  for (const slot of slotsResult.rows) {
+    const sheet = sheets.get(slot.machine_id);
+    const isLow = slot.current_stock <= slot.min_stock_threshold;
+    let fillQuantity = null;
+
+    if (slot.par_level === null) {
+      sheet.slotsWithoutPar++;
+    } else if (!onlyLowStock || isLow) {
+      fillQuantity = Math.max(slot.par_level - slot.current_stock, 0);
+    } else {
+      fillQuantity = 0;
+    }
+
+    sheet.totalUnits += fillQuantity || 0;
+    sheet.slots.push({
+      machineProductId: slot.id,
+      slotCode: slot.slot_code,
+      productId: slot.product_id,
+      productName: slot.product_name,
+      category: slot.category,
+      currentStock: slot.current_stock,
+      minStockThreshold: slot.min_stock_threshold,
+      parLevel: slot.par_level,
+      isLowStock: isLow,
+      fillQuantity,
+    });
+  }
+
+  for (const sheet of sheets.values()) {
+    sheet.slots.sort((a, b) => compareSlotCodes(a.slotCode, b.slotCode) || a.productName.localeCompare(b.productName));
+  }
+
+  return [...sheets.values()];
+}
+
+/**
+ * Consolidate fill sheets into one warehouse pick list per product
+ * @param {array} sheets - Fill sheets from getFillSheets
+ * @returns {array} - Products with total units to load
+ */
+function buildPickList(sheets) {
+  const products = new Map();
+
+  for (const sheet of sheets) {
+    for (const slot of sheet.slots) {
+      if (!slot.fillQuantity) continue;
+
+      if (!products.has(slot.productId)) {
+        products.set(slot.productId, {
+          productId: slot.productId,
+          productName: slot.productName,
+          category: slot.category,
+          quantity: 0,
+          machineCount: 0,
+          machines: new Set(),
+        });
+      }
+
+      const item = products.get(slot.productId);
+      item.quantity += slot.fillQuantity;
+      item.machines.add(sheet.machineId);
+      item.machineCount = item.machines.size;
+    }
+  }
+
+  return [...products.values()]
+    .map(({ machines, ...item }) => item)
+    .sort((a, b) =>
+      (a.category || '').localeCompare(b.category || '') || a.productName.localeCompare(b.productName)
+    );
+}
+
+module.exports = {
+  getFillSheets,
+  buildPickList,
+};
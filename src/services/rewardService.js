@@ -0,0 +1,345 @@
+const { query, transaction } = require('../config/database');
+const { httpError } = require('../utils/httpError');
+const { generateCode } = require('../utils/codes');
+const { redeemPoints, getBalances } = require('./loyaltyService');
+
+const REWARD_TYPES = ['free_item', 'percent_off', 'fixed_credit'];
+
+// Issued codes look like RW-7KQ2M9XD so vendors can tell them apart from their own
+const REWARD_CODE_PREFIX = 'RW-';
+const REWARD_CODE_LENGTH = 8;
+
+/**
+ * Map a reward onto the discount_codes row its one-time code is issued as
+ * @param {object} reward - loyalty_rewards row
+ * @returns {object} - { discountType, discountValue }
+ */
+function toDiscount(reward) {
+  switch (reward.reward_type) {
+    case 'free_item':
+      return { discountType: 'percentage', discountValue: 100 };
+    case 'percent_off':
+      return { discountType: 'percentage', discountValue: reward.reward_value };
+    default:
+      return { discountType: 'fixed', discountValue: reward.reward_value };
+  }
+}
+
+/**
+ * Check a reward's machine and product belong to the vendor
+ */
+async function assertRewardTargets(vendorId, { machineId = null, productId = null }) {
+  if (machineId) {
+    const machineResult = await query(
+      'SELECT id FROM vending_machines WHERE id = $1 AND vendor_id = $2',
+      [machineId, vendorId]
+    );
+    if (machineResult.rows.length === 0) {
+      throw httpError(404, 'Vending machine not found');
+    }
+  }
+
+  if (productId) {
+    const productResult = await query(
+      'SELECT id FROM products WHERE id = $1 AND vendor_id = $2',
+      [productId, vendorId]
+    );
+    if (productResult.rows.length === 0) {
+      throw httpError(404, 'Product not found');
+    }
+  }
+}
+
+/**
+ * List a vendor's rewards
+ * @param {number} vendorId - Vendor user ID
+ * @returns {array} - Rewards with machine and product names
+ */
+async function listRewards(vendorId) {
+  const result = await query(
+    `SELECT lr.*, vm.machine_name, p.product_name
+     FROM loyalty_rewards lr
+     LEFT JOIN vending_machines vm ON lr.machine_id = vm.id
+     LEFT JOIN products p ON lr.product_id = p.id
+     WHERE lr.vendor_id = $1
+     ORDER BY lr.is_active DESC, lr.points_cost, lr.id`,
+    [vendorId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Create a reward
+ * @param {number} vendorId - Vendor user ID
+ * @param {object} data - { name, description, rewardType, pointsCost, machineId, productId, rewardValue, codeValidDays, maxRedemptions, isActive }
+ * @returns {object} - Created reward
+ */
+async function createReward(vendorId, data) {
+  if (data.rewardType === 'free_item' && !data.productId) {
+    throw httpError(400, 'productId is required for free_item rewards');
+  }
+  if (data.rewardType !== 'free_item' && !data.rewardValue) {
+    throw httpError(400, `rewardValue is required for ${data.rewardType} rewards`);
+  }
+  if (data.rewardType === 'percent_off' && data.rewardValue > 100) {
+    throw httpError(400, 'rewardValue cannot exceed 100 for percent_off rewards');
+  }
+
+  await assertRewardTargets(vendorId, data);
+
+  const result = await query(
+    `INSERT INTO loyalty_rewards
+     (vendor_id, machine_id, name, description, reward_type, points_cost, product_id,
+      reward_value, code_valid_days, max_redemptions, is_active)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     RETURNING *`,
+    [
+      vendorId,
+      data.machineId || null,
+      data.name,
+      data.description || null,
+      data.rewardType,
+      data.pointsCost,
+      data.productId || null,
+      data.rewardType === 'free_item' ? null : data.rewardValue,
+      data.codeValidDays || 30,
+      data.maxRedemptions || null,
+      data.isActive ?? true,
+    ]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Update a reward (its type can't change); codes already issued keep their terms
+ * @param {number} rewardId - Reward ID
+ * @param {number} vendorId - Vendor user ID
+ * @param {object} data - Fields to change
+ * @returns {object|null} - Updated reward or null if not found
+ */
+async function updateReward(rewardId, vendorId, data) {
+  await assertRewardTargets(vendorId, data);
+
+  const columns = {
+    name: 'name',
+    description: 'description',
+    pointsCost: 'points_cost',
+    machineId: 'machine_id',
+    productId: 'product_id',
+    rewardValue: 'reward_value',
+    codeValidDays: 'code_valid_days',
+    maxRedemptions: 'max_redemptions',
+    isActive: 'is_active',
+  };
+
+  const updates = [];
+  const values = [];
+  let paramCount = 1;
+
+  for (const [key, column] of Object.entries(columns)) {
+    if (data[key] !== undefined) {
+      updates.push(`${column} = $${paramCount++}`);
+      values.push(data[key]);
+    }
+  }
+
+  if (updates.length === 0) {
+    throw httpError(400, 'No fields to update');
+  }
+
+  values.push(rewardId, vendorId);
+
+  try {
+    const result = await query(
+      `UPDATE loyalty_rewards SET ${updates.join(', ')}
+       WHERE id = $${paramCount} AND vendor_id = $${paramCount + 1}
+       RETURNING *`,
+      values
+    );
+
+    return result.rows[0] || null;
+  } catch (error) {
+    if (error.constraint === 'loyalty_rewards_value_check') {
+      throw httpError(400, 'Reward is missing the product or value its type requires');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Delete a reward; codes already issued for it stay valid
+ * @param {number} rewardId - Reward ID
+ * @param {number} vendorId - Vendor user ID
+ * @returns {boolean} - Whether a reward was deleted
+ */
+async function deleteReward(rewardId, vendorId) {
+  const result = await query(
+    'DELETE FROM loyalty_rewards WHERE id = $1 AND vendor_id = $2 RETURNING id',
+    [rewardId, vendorId]
+  );
+
+  return result.rows.length > 0;
+}
+
+/**
+ * Rewards a customer can buy at a machine, with whether their balance covers each
+ * @param {number} machineId - Machine ID
+ * @param {number|null} customerId - Customer user ID (anonymous shoppers just browse)
+ * @returns {object} - { rewards, pointsBalance }
+ */
+async function listMachineRewards(machineId, customerId = null) {
+  const result = await query(
+    `SELECT lr.id, lr.name, lr.description, lr.reward_type, lr.points_cost,
+            lr.product_id, p.product_name, p.image_url, lr.reward_value, lr.code_valid_days,
+            CASE WHEN lr.max_redemptions IS NULL THEN NULL
+                 ELSE lr.max_redemptions - lr.redeemed_count END as remaining
+     FROM loyalty_rewards lr
+     JOIN vending_machines vm ON vm.vendor_id = lr.vendor_id
+     LEFT JOIN products p ON lr.product_id = p.id
+     WHERE vm.id = $1
+       AND (lr.machine_id IS NULL OR lr.machine_id = vm.id)
+       AND lr.is_active = true
+       AND (lr.max_redemptions IS NULL OR lr.redeemed_count < lr.max_redemptions)
+     ORDER BY lr.points_cost, lr.id`,
+    [machineId]
+  );
+
+  let pointsBalance = null;
+  if (customerId) {
+    const [account] = await getBalances(customerId, { machineId });
+    pointsBalance = account ? account.points_balance : 0;
+  }
+
+  return {
+    rewards: result.rows.map(reward => ({
+      ...reward,
+      affordable: pointsBalance === null ? null : pointsBalance >= reward.points_cost,
+    })),
+    pointsBalance,
+  };
+}
+
+/**
+ * Spend points from a machine account on a reward and issue its one-time code
+ * @param {object} data - { customerId, machineId, rewardId }
+ * @returns {object} - { redemption, discount, balance }
+ */
+async function redeemReward({ customerId, machineId, rewardId }) {
+  return transaction(async (client) => {
+    const rewardResult = await client.query(
+      `SELECT lr.*
+       FROM loyalty_rewards lr
+       JOIN vending_machines vm ON vm.vendor_id = lr.vendor_id
+       WHERE lr.id = $1 AND vm.id = $2
+         AND (lr.machine_id IS NULL OR lr.machine_id = vm.id)
+       FOR UPDATE OF lr`,
+      [rewardId, machineId]
+    );
+
+    if (rewardResult.rows.length === 0) {
+      throw httpError(404, 'Reward not found');
+    }
+
+    const reward = rewardResult.rows[0];
+
+    if (!reward.is_active) {
+      throw httpError(400, 'This reward is no longer available');
+    }
+    if (reward.max_redemptions && reward.redeemed_count >= reward.max_redemptions) {
+      throw httpError(400, 'This reward has run out');
+    }
+
+    const { discountType, discountValue } = toDiscount(reward);
+    const discountResult = await client.query(
+      `INSERT INTO discount_codes
+       (vendor_id, machine_id, product_id, customer_id, code, discount_type, discount_value,
+        max_uses, valid_from, valid_until, is_active)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, 1, CURRENT_TIMESTAMP,
+               CURRENT_TIMESTAMP + make_interval(days => $8), true)
+       RETURNING id, code, discount_type, discount_value, product_id, valid_until`,
+      [
+        reward.vendor_id,
+        machineId,
+        reward.product_id,
+        customerId,
+        REWARD_CODE_PREFIX + generateCode(REWARD_CODE_LENGTH),
+        discountType,
+        discountValue,
+        reward.code_valid_days,
+      ]
+    );
+    const discount = discountResult.rows[0];
+
+    const redemptionResult = await client.query(
+      `INSERT INTO loyalty_reward_redemptions
+       (reward_id, customer_id, machine_id, discount_code_id, points_spent)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [reward.id, customerId, machineId, discount.id, reward.points_cost]
+    );
+    const redemption = redemptionResult.rows[0];
+
+    // Throws (rolling everything back) if the account can't cover the cost
+    const spend = await redeemPoints(client, {
+      customerId,
+      machineId,
+      points: reward.points_cost,
+      referenceType: 'reward_redemption',
+      referenceId: redemption.id,
+      description: `Reward: ${reward.name}`,
+    });
+
+    await client.query(
+      'UPDATE loyalty_reward_redemptions SET ledger_entry_id = $1 WHERE id = $2',
+      [spend.entry.id, redemption.id]
+    );
+    await client.query(
+      'UPDATE loyalty_rewards SET redeemed_count = redeemed_count + 1 WHERE id = $1',
+      [reward.id]
+    );
+
+    return {
+      redemption: { ...redemption, ledger_entry_id: spend.entry.id, reward_name: reward.name },
+      discount,
+      balance: spend.balance,
+    };
+  });
+}
+
+/**
+ * List the rewards a customer has bought and the state of their codes
+ * @param {number} customerId - Customer user ID
+ * @returns {array} - Redemptions, newest first
+ */
+async function listCustomerRewardRedemptions(customerId) {
+  const result = await query(
+    `SELECT lrr.id, lrr.reward_id, lr.name as reward_name, lr.reward_type, lrr.points_spent,
+            lrr.machine_id, vm.machine_name, dc.code, dc.discount_type, dc.discount_value,
+            dc.product_id, dc.valid_until, lrr.created_at,
+            CASE WHEN dc.current_uses >= dc.max_uses THEN 'used'
+                 WHEN dc.valid_until < NOW() THEN 'expired'
+                 ELSE 'available' END as code_status
+     FROM loyalty_reward_redemptions lrr
+     JOIN vending_machines vm ON lrr.machine_id = vm.id
+     LEFT JOIN loyalty_rewards lr ON lrr.reward_id = lr.id
+     LEFT JOIN discount_codes dc ON lrr.discount_code_id = dc.id
+     WHERE lrr.customer_id = $1
+     ORDER BY lrr.created_at DESC`,
+    [customerId]
+  );
+
+  return result.rows;
+}
+
+module.exports = {
+  REWARD_TYPES,
+  listRewards,
+  createReward,
+  updateReward,
+  deleteReward,
+  listMachineRewards,
+  redeemReward,
+  listCustomerRewardRedemptions,
+};
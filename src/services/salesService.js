@@ -0,0 +1,239 @@
+const { query, transaction } = require('../config/database');
+const { httpError } = require('../utils/httpError');
+const { generateCode } = require('../utils/codes');
+const { applyMovement } = require('./inventoryService');
+const { awardPurchasePoints } = require('./earningRulesService');
+const { assertValidAtMachine, assertDiscountActive } = require('./discountService');
+
+const PAYMENT_TYPES = ['cash', 'card', 'mobile', 'free', 'other'];
+
+// Length of the code the machine shows after an anonymous vend so a customer can claim its points
+const CLAIM_CODE_LENGTH = 6;
+
+/**
+ * Record a vend event and decrement the slot's stock in the same transaction
+ * A vend made by a known customer earns points under the vendor's rules; an anonymous
+ * one gets a claim code instead.
+ * @param {object} saleData - Sale details
+ * @param {object} client - Optional pg client to join an existing transaction
+ * @returns {object} - { sale, currentStock, duplicate, pointsAwarded }
+ */
+async function recordSale(saleData, client = null) {
+  if (!client) {
+    return transaction((txClient) => recordSale(saleData, txClient));
+  }
+
+  const {
+    machineId,
+    machineProductId = null,
+    productId = null,
+    slotCode = null,
+    quantity = 1,
+    pricePaid,
+    paymentType,
+    discountCode = null,
+    customerId = null,
+    source = 'manual',
+    recordedBy = null,
+    soldAt = null,
+    externalId = null,
+  } = saleData;
+
+  if (!machineProductId && !productId) {
+    throw httpError(400, 'machineProductId or productId is required');
+  }
+
+  // Devices retry on timeouts; a repeated event id returns the original sale
+  if (externalId) {
+    const existing = await client.query(
+      'SELECT * FROM sales WHERE machine_id = $1 AND external_id = $2',
+      [machineId, externalId]
+    );
+
+    if (existing.rows.length > 0) {
+      return { sale: existing.rows[0], currentStock: null, duplicate: true, pointsAwarded: 0 };
+    }
+  }
+
+  // Lock the slot so concurrent vends decrement sequentially
+  const slotResult = await client.query(
+    `SELECT mp.id, mp.product_id, mp.current_stock, COALESCE(mp.price_override, p.price) as price
+     FROM machine_products mp
+     JOIN products p ON mp.product_id = p.id
+     WHERE mp.machine_id = $1
+       AND ($2::int IS NULL OR mp.id = $2)
+       AND ($3::int IS NULL OR mp.product_id = $3)
+     FOR UPDATE OF mp`,
+    [machineId, machineProductId, productId]
+  );
+
+  if (slotResult.rows.length === 0) {
+    throw httpError(404, 'Product is not stocked in this machine');
+  }
+
+  const slot = slotResult.rows[0];
+
+  let discountCodeId = null;
+  if (discountCode) {
+    const discountResult = await client.query(
+      `SELECT dc.*
+       FROM discount_codes dc
+       JOIN vending_machines vm ON vm.vendor_id = dc.vendor_id
+       WHERE dc.code = $1 AND vm.id = $2`,
+      [discountCode.toUpperCase(), machineId]
+    );
+
+    if (discountResult.rows.length === 0) {
+      throw httpError(404, 'Discount code not found');
+    }
+
+    // Same rules as a redemption, judged at the time of the vend (DEX and manual sales arrive late)
+    const discount = discountResult.rows[0];
+    await assertValidAtMachine(client, discount, machineId);
+    assertDiscountActive(discount, soldAt ? new Date(soldAt) : new Date());
+    discountCodeId = discount.id;
+  }
+
+  const unitPrice = parseFloat(slot.price);
+  const paid = pricePaid !== undefined && pricePaid !== null ? pricePaid : unitPrice * quantity;
+
+  const saleResult = await client.query(
+    `INSERT INTO sales
+     (machine_id, machine_product_id, product_id, slot_code, quantity, unit_price,
+      price_paid, payment_type, discount_code_id, customer_id, source, recorded_by, sold_at,
+      external_id, claim_code)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, COALESCE($13, CURRENT_TIMESTAMP), $14, $15)
+     RETURNING *`,
+    [
+      machineId,
+      slot.id,
+      slot.product_id,
+      slotCode,
+      quantity,
+      unitPrice,
+      paid,
+      paymentType,
+      discountCodeId,
+      customerId,
+      source,
+      recordedBy,
+      soldAt,
+      externalId,
+      customerId ? null : generateCode(CLAIM_CODE_LENGTH),
+    ]
+  );
+
+  const sale = saleResult.rows[0];
+
+  // A physical vend has already happened, so stock is clamped rather than rejected
+  const movement = await applyMovement(client, {
+    machineProductId: slot.id,
+    change: -quantity,
+    reason: 'sale',
+    saleId: sale.id,
+    userId: recordedBy,
+    clamp: true,
+  });
+
+  let pointsAwarded = 0;
+  if (customerId) {
+    const award = await awardPurchasePoints(client, {
+      customerId,
+      machineId,
+      productId: slot.product_id,
+      amount: paid,
+      purchasedAt: sale.sold_at,
+      referenceType: 'sale',
+      referenceId: sale.id,
+      createdBy: recordedBy,
+    });
+    pointsAwarded = award.points;
+  }
+
+  return {
+    sale,
+    currentStock: movement.stock_after,
+    duplicate: false,
+    pointsAwarded,
+  };
+}
+
+/**
+ * List sales for one or more machines with optional filters
+ * @param {array} machineIds - Machine IDs
+ * @param {object} filters - from, to, productId, paymentType, discountCodeId, source, limit, offset
+ * @returns {object} - { sales, summary }
+ */
+async function listSales(machineIds, filters = {}) {
+  const conditions = ['s.machine_id = ANY($1)'];
+  const values = [machineIds];
+  let paramCount = 2;
+
+  if (filters.from) {
+    conditions.push(`s.sold_at >= $${paramCount++}`);
+    values.push(filters.from);
+  }
+  if (filters.to) {
+    conditions.push(`s.sold_at < $${paramCount++}`);
+    values.push(filters.to);
+  }
+  if (filters.productId) {
+    conditions.push(`s.product_id = $${paramCount++}`);
+    values.push(filters.productId);
+  }
+  if (filters.paymentType) {
+    conditions.push(`s.payment_type = $${paramCount++}`);
+    values.push(filters.paymentType);
+  }
+  if (filters.discountCodeId) {
+    conditions.push(`s.discount_code_id = $${paramCount++}`);
+    values.push(filters.discountCodeId);
+  }
+  if (filters.source) {
+    conditions.push(`s.source = $${paramCount++}`);
+    values.push(filters.source);
+  }
+
+  const where = conditions.join(' AND ');
+
+  const salesResult = await query(
+    `SELECT s.id, s.machine_id, vm.machine_name, s.machine_product_id, s.product_id, s.slot_code,
+            s.quantity, s.unit_price, s.price_paid, s.payment_type, s.discount_code_id,
+            s.customer_id, s.source, s.sold_at,
+            p.product_name, dc.code as discount_code
+     FROM sales s
+     JOIN vending_machines vm ON s.machine_id = vm.id
+     LEFT JOIN products p ON s.product_id = p.id
+     LEFT JOIN discount_codes dc ON s.discount_code_id = dc.id
+     WHERE ${where}
+     ORDER BY s.sold_at DESC, s.id DESC
+     LIMIT $${paramCount} OFFSET $${paramCount + 1}`,
+    [...values, filters.limit || 100, filters.offset || 0]
+  );
+
+  const summaryResult = await query(
+    `SELECT COUNT(*) as sales_count,
+            COALESCE(SUM(s.quantity), 0) as units_sold,
+            COALESCE(SUM(s.price_paid), 0) as revenue
+     FROM sales s
+     WHERE ${where}`,
+    values
+  );
+
+  const summary = summaryResult.rows[0];
+
+  return {
+    sales: salesResult.rows,
+    summary: {
+      salesCount: parseInt(summary.sales_count),
+      unitsSold: parseInt(summary.units_sold),
+      revenue: parseFloat(summary.revenue),
+    },
+  };
+}
+
+module.exports = {
+  PAYMENT_TYPES,
+  recordSale,
+  listSales,
+};
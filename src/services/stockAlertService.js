@@ -0,0 +1,105 @@
+const { query } = require('../config/database');
+const Notification = require('../models/Notification');
+
+/**
+ * Open or resolve the low-stock alert for a slot after its stock or threshold changed
+ * A slot is low when current_stock <= min_stock_threshold. Only one alert is
+ * open per slot (enforced by idx_stock_alerts_open), so repeated vends while
+ * the slot stays low do not re-notify; the alert resolves once it is refilled.
+ * @param {object} client - pg client (normally inside the stock-changing transaction)
+ * @param {number} machineProductId - Machine product (slot) ID
+ * @returns {object|null} - Newly opened alert, or null
+ */
+async function evaluateSlot(client, machineProductId) {
+  const slotResult = await client.query(
+    `SELECT mp.id, mp.machine_id, mp.current_stock, mp.min_stock_threshold, mp.slot_code,
+            p.product_name, vm.vendor_id, vm.machine_name
+     FROM machine_products mp
+     JOIN products p ON mp.product_id = p.id
+     JOIN vending_machines vm ON mp.machine_id = vm.id
+     WHERE mp.id = $1`,
+    [machineProductId]
+  );
+
+  const slot = slotResult.rows[0];
+  if (!slot || slot.min_stock_threshold === null) return null;
+
+  if (slot.current_stock > slot.min_stock_threshold) {
+    await client.query(
+      `UPDATE stock_alerts SET status = 'resolved', resolved_at = CURRENT_TIMESTAMP
+       WHERE machine_product_id = $1 AND status = 'open'`,
+      [slot.id]
+    );
+    return null;
+  }
+
+  const alertResult = await client.query(
+    `INSERT INTO stock_alerts (machine_product_id, machine_id, stock_at_open, threshold_at_open)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (machine_product_id) WHERE status = 'open' DO NOTHING
+     RETURNING *`,
+    [slot.id, slot.machine_id, slot.current_stock, slot.min_stock_threshold]
+  );
+
+  if (alertResult.rows.length === 0) {
+    // Already alerted for this slot
+    return null;
+  }
+
+  const alert = alertResult.rows[0];
+  const slotLabel = slot.slot_code ? ` (${slot.slot_code})` : '';
+
+  const notification = await Notification.create({
+    userId: slot.vendor_id,
+    type: 'low_stock',
+    title: `Low stock: ${slot.product_name}${slotLabel}`,
+    message: `${slot.machine_name} has ${slot.current_stock} left (threshold ${slot.min_stock_threshold}).`,
+    data: {
+      alertId: alert.id,
+      machineId: slot.machine_id,
+      machineProductId: slot.id,
+      currentStock: slot.current_stock,
+      threshold: slot.min_stock_threshold,
+    },
+  }, client);
+
+  await client.query(
+    'UPDATE stock_alerts SET notification_id = $1 WHERE id = $2',
+    [notification.id, alert.id]
+  );
+
+  return { ...alert, notification_id: notification.id };
+}
+
+/**
+ * Get all slots at or below their threshold across a vendor's machines
+ * @param {number} vendorId - Vendor user ID
+ * @param {object} filters - { machineIds } (null = all machines)
+ * @returns {array} - Low-stock slots with open alert info
+ */
+async function getLowStockReport(vendorId, { machineIds = null } = {}) {
+  const result = await query(
+    `SELECT mp.id as machine_product_id, mp.machine_id, vm.machine_name, vm.location,
+            vm.location_id, l.name as location_name, mp.slot_code, mp.product_id, p.product_name,
+            mp.current_stock, mp.min_stock_threshold,
+            sa.id as alert_id, sa.opened_at as alert_opened_at
+     FROM machine_products mp
+     JOIN vending_machines vm ON mp.machine_id = vm.id
+     JOIN products p ON mp.product_id = p.id
+     LEFT JOIN locations l ON vm.location_id = l.id
+     LEFT JOIN stock_alerts sa ON sa.machine_product_id = mp.id AND sa.status = 'open'
+     WHERE vm.vendor_id = $1
+       AND vm.is_active = true
+       AND mp.current_stock <= mp.min_stock_threshold
+       AND ($2::int[] IS NULL OR mp.machine_id = ANY($2))
+     ORDER BY (mp.current_stock = 0) DESC, vm.machine_name, mp.slot_code NULLS LAST, p.product_name`,
+    [vendorId, machineIds]
+  );
+
+  return result.rows;
+}
+
+module.exports = {
+  evaluateSlot,
+  getLowStockReport,
+};
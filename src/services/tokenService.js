@@ -0,0 +1,287 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { query, transaction } = require('../config/database');
+const { httpError } = require('../utils/httpError');
+
+/**
+ * Sign a short-lived access token bound to an auth session
+ * @param {object} user - { id, email, role, token_version }
+ * @param {string} sessionId - auth_sessions ID
+ * @returns {string} - Access JWT
+ */
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { id: user.id, email: user.email, role: user.role, sid: sessionId, tv: user.token_version },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRES_IN || '1h' }
+  );
+}
+
+/**
+ * Sign an access token for an admin acting as a vendor (no refresh token; ends at expiresAt)
+ * @param {object} user - Impersonated user { id, email, role }
+ * @param {string} impersonationId - impersonation_sessions ID
+ * @param {Date} expiresAt - When the impersonation session ends
+ * @returns {string} - Access JWT
+ */
+function signImpersonationToken(user, impersonationId, expiresAt) {
+  return jwt.sign(
+    { id: user.id, email: user.email, role: user.role, imp: impersonationId },
+    process.env.JWT_SECRET,
+    { expiresIn: Math.max(1, Math.floor((expiresAt.getTime() - Date.now()) / 1000)) }
+  );
+}
+
+/**
+ * Sign a refresh token and store it in the session's family
+ * @param {object} client - pg client inside a transaction
+ * @param {number} userId - User ID
+ * @param {string} sessionId - auth_sessions ID
+ * @returns {string} - Refresh JWT
+ */
+async function createRefreshToken(client, userId, sessionId) {
+  const tokenId = crypto.randomUUID();
+  const refreshToken = jwt.sign(
+    { id: userId, sid: sessionId },
+    process.env.REFRESH_TOKEN_SECRET,
+    { expiresIn: process.env.REFRESH_TOKEN_EXPIRES_IN || '7d', jwtid: tokenId }
+  );
+
+  await client.query(
+    `INSERT INTO refresh_tokens (id, session_id, expires_at)
+     VALUES ($1, $2, to_timestamp($3))`,
+    [tokenId, sessionId, jwt.decode(refreshToken).exp]
+  );
+
+  return refreshToken;
+}
+
+/**
+ * Start an auth session for a user who just logged in or registered
+ * @param {object} user - { id, email, role }
+ * @param {object} meta - { userAgent, ipAddress }
+ * @returns {object} - { token, refreshToken }
+ */
+async function issueTokens(user, { userAgent = null, ipAddress = null } = {}) {
+  return transaction(async (client) => {
+    const sessionResult = await client.query(
+      `INSERT INTO auth_sessions (user_id, user_agent, ip_address)
+       VALUES ($1, $2, $3)
+       RETURNING id`,
+      [user.id, userAgent, ipAddress]
+    );
+    const sessionId = sessionResult.rows[0].id;
+
+    const versionResult = await client.query('SELECT token_version FROM users WHERE id = $1', [user.id]);
+    const refreshToken = await createRefreshToken(client, user.id, sessionId);
+
+    return {
+      token: signAccessToken({ ...user, token_version: versionResult.rows[0].token_version }, sessionId),
+      refreshToken,
+    };
+  });
+}
+
+/**
+ * Exchange a refresh token for a new access/refresh pair
+ * Each refresh token works once. Presenting one that was already rotated means it
+ * leaked, so the whole session is revoked and every token in it stops working.
+ * @param {string} refreshToken - Refresh JWT
+ * @param {object} meta - { userAgent, ipAddress }
+ * @returns {object} - { user, token, refreshToken }
+ */
+async function rotateRefreshToken(refreshToken, { userAgent = null, ipAddress = null } = {}) {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET);
+  } catch (error) {
+    throw httpError(401, 'Invalid or expired refresh token');
+  }
+
+  const outcome = await transaction(async (client) => {
+    const result = await client.query(
+      `SELECT rt.id, rt.used_at, s.id as session_id, s.user_id, s.revoked_at
+       FROM refresh_tokens rt
+       JOIN auth_sessions s ON rt.session_id = s.id
+       WHERE rt.id = $1
+       FOR UPDATE OF rt, s`,
+      [decoded.jti]
+    );
+
+    const stored = result.rows[0];
+    if (!stored || stored.revoked_at) {
+      return { revoked: true };
+    }
+
+    if (stored.used_at) {
+      await client.query(
+        `UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = 'reuse_detected'
+         WHERE id = $1`,
+        [stored.session_id]
+      );
+      return { reused: true };
+    }
+
+    const userResult = await client.query(
+      'SELECT id, email, full_name, role, email_verified_at, token_version FROM users WHERE id = $1',
+      [stored.user_id]
+    );
+    const user = userResult.rows[0];
+
+    await client.query('UPDATE refresh_tokens SET used_at = NOW() WHERE id = $1', [stored.id]);
+    await client.query(
+      `UPDATE auth_sessions
+       SET last_used_at = NOW(),
+           user_agent = COALESCE($2, user_agent),
+           ip_address = COALESCE($3, ip_address)
+       WHERE id = $1`,
+      [stored.session_id, userAgent, ipAddress]
+    );
+
+    const nextRefreshToken = await createRefreshToken(client, user.id, stored.session_id);
+
+    return {
+      user,
+      token: signAccessToken(user, stored.session_id),
+      refreshToken: nextRefreshToken,
+    };
+  });
+
+  // Thrown after the transaction so the reuse revocation is committed
+  if (outcome.reused) {
+    throw httpError(401, 'Refresh token reuse detected; please log in again');
+  }
+  if (outcome.revoked) {
+    throw httpError(401, 'Session has been revoked');
+  }
+
+  return outcome;
+}
+
+/**
+ * Revoke one auth session (logout on this device)
+ * @param {string} sessionId - auth_sessions ID
+ * @param {number} userId - Owner of the session
+ * @returns {boolean} - Whether an active session was revoked
+ */
+async function revokeSession(sessionId, userId) {
+  const result = await query(
+    `UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = 'logout'
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+     RETURNING id`,
+    [sessionId, userId]
+  );
+
+  return result.rows.length > 0;
+}
+
+/**
+ * Revoke every session and outstanding token for a user (logout on all devices)
+ * Access tokens without a session (issued before refresh tokens existed) and
+ * QR-scan customer sessions are cut off too.
+ * @param {number} userId - User ID
+ * @param {object} client - Optional pg client to join an existing transaction
+ * @returns {number} - Auth sessions revoked
+ */
+async function revokeAllSessions(userId, client = null) {
+  if (!client) {
+    return transaction((txClient) => revokeAllSessions(userId, txClient));
+  }
+
+  const result = await client.query(
+    `UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = 'logout_all'
+     WHERE user_id = $1 AND revoked_at IS NULL`,
+    [userId]
+  );
+
+  // Access tokens carry the version they were signed under; older ones stop working.
+  // A counter rather than a cutoff time, since JWT iat only has second precision.
+  await client.query('UPDATE users SET token_version = token_version + 1 WHERE id = $1', [userId]);
+  await client.query(
+    'UPDATE customer_sessions SET expires_at = NOW() WHERE customer_id = $1 AND expires_at > NOW()',
+    [userId]
+  );
+
+  return result.rowCount;
+}
+
+/**
+ * Load the user behind an impersonation token while its session is open
+ */
+async function authenticateImpersonation(decoded) {
+  const result = await query(
+    `SELECT u.id, u.email, u.full_name, u.role, i.admin_id
+     FROM impersonation_sessions i
+     JOIN users u ON i.user_id = u.id
+     WHERE i.id = $1 AND i.user_id = $2 AND i.ended_at IS NULL AND i.expires_at > NOW()`,
+    [decoded.imp, decoded.id]
+  );
+
+  const user = result.rows[0];
+  if (!user) {
+    return null;
+  }
+
+  return {
+    id: user.id,
+    email: user.email,
+    full_name: user.full_name,
+    role: user.role,
+    session_id: null,
+    impersonation_id: decoded.imp,
+    impersonated_by: user.admin_id,
+  };
+}
+
+/**
+ * Verify an access token and load its user, honouring server-side revocation
+ * Throws the jsonwebtoken error when the token is malformed or expired.
+ * @param {string} token - Access JWT
+ * @returns {object|null} - { id, email, full_name, role, session_id } (plus impersonation_id and
+ *                          impersonated_by for admin impersonation) or null if revoked or user gone
+ */
+async function authenticateAccessToken(token) {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (decoded.imp) {
+    return authenticateImpersonation(decoded);
+  }
+
+  const result = await query(
+    `SELECT u.id, u.email, u.full_name, u.role,
+            u.token_version, s.id as session_id, s.revoked_at as session_revoked_at
+     FROM users u
+     LEFT JOIN auth_sessions s ON s.id = $2::uuid AND s.user_id = u.id
+     WHERE u.id = $1`,
+    [decoded.id, decoded.sid || null]
+  );
+
+  const user = result.rows[0];
+  if (!user) {
+    return null;
+  }
+  if (decoded.sid && (!user.session_id || user.session_revoked_at)) {
+    return null;
+  }
+  // Tokens signed before versions existed count as version 0
+  if ((decoded.tv || 0) !== user.token_version) {
+    return null;
+  }
+
+  return {
+    id: user.id,
+    email: user.email,
+    full_name: user.full_name,
+    role: user.role,
+    session_id: user.session_id,
+  };
+}
+
+module.exports = {
+  issueTokens,
+  signImpersonationToken,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  authenticateAccessToken,
+};
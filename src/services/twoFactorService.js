@@ -0,0 +1,431 @@
+const { query, transaction } = require('../config/database');
+const { httpError } = require('../utils/httpError');
+const { generateCode, generateToken, hashToken } = require('../utils/codes');
+const totp = require('../utils/totp');
+const User = require('../models/User');
+const { encrypt, decrypt, generateQRCodeDataURL } = require('./qrCodeService');
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Vending';
+const RECOVERY_CODE_COUNT = 10;
+const MFA_CHALLENGE_TTL_MINUTES = parseInt(process.env.MFA_CHALLENGE_EXPIRES_MINUTES) || 5;
+const MFA_CHALLENGE_MAX_ATTEMPTS = 5;
+const MFA_MAX_FAILED_ATTEMPTS = 5;
+const MFA_LOCKOUT_MINUTES = parseInt(process.env.MFA_LOCKOUT_MINUTES) || 15;
+const STEP_UP_WINDOW_MINUTES = parseInt(process.env.STEP_UP_WINDOW_MINUTES) || 10;
+
+/**
+ * Recovery codes are compared without dashes, spaces or case
+ * @param {string} code - Code as typed
+ * @returns {string} - Normalized code
+ */
+function normalizeRecoveryCode(code) {
+  return String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Replace a user's recovery codes with a fresh set
+ * @param {object} client - pg client inside a transaction
+ * @param {number} userId - User ID
+ * @returns {array} - Raw codes to show the user once, formatted XXXXX-XXXXX
+ */
+async function replaceRecoveryCodes(client, userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = generateCode(10);
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+
+  await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+  await client.query(
+    `INSERT INTO user_recovery_codes (user_id, code_hash)
+     SELECT $1, UNNEST($2::varchar[])`,
+    [userId, codes.map(code => hashToken(normalizeRecoveryCode(code)))]
+  );
+
+  return codes;
+}
+
+/**
+ * Check a TOTP code or burn a recovery code for a user with 2FA enabled
+ * Accepted TOTP steps are remembered so the same code can't be used twice.
+ * @param {object} client - pg client inside a transaction
+ * @param {number} userId - User ID
+ * @param {object} factor - { code } or { recoveryCode }
+ * @returns {string|null} - 'totp' or 'recovery_code', or null if the factor was wrong
+ */
+async function checkSecondFactor(client, userId, { code, recoveryCode }) {
+  const userResult = await client.query(
+    `SELECT totp_secret, totp_last_step FROM users
+     WHERE id = $1 AND totp_enabled_at IS NOT NULL
+     FOR UPDATE`,
+    [userId]
+  );
+
+  const user = userResult.rows[0];
+  if (!user) {
+    throw httpError(400, 'Two-factor authentication is not enabled');
+  }
+
+  if (code) {
+    const step = totp.verifyCode(decrypt(user.totp_secret), code, {
+      afterStep: user.totp_last_step === null ? null : parseInt(user.totp_last_step),
+    });
+    if (step === null) {
+      return null;
+    }
+
+    await client.query('UPDATE users SET totp_last_step = $1 WHERE id = $2', [step, userId]);
+    return 'totp';
+  }
+
+  if (recoveryCode) {
+    const result = await client.query(
+      `UPDATE user_recovery_codes SET used_at = NOW()
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       RETURNING id`,
+      [userId, hashToken(normalizeRecoveryCode(recoveryCode))]
+    );
+    return result.rows.length > 0 ? 'recovery_code' : null;
+  }
+
+  return null;
+}
+
+/**
+ * Check a second factor under the per-user lockout
+ * Wrong codes are counted per user across logins, step-ups and 2FA changes; after
+ * MFA_MAX_FAILED_ATTEMPTS in a row the user gets 429 for MFA_LOCKOUT_MINUTES, even with
+ * the right code. Misses are written with the caller's client, so callers return the
+ * error and throw it after the commit.
+ * @param {object} client - pg client inside a transaction
+ * @param {number} userId - User ID
+ * @param {object} factor - { code } or { recoveryCode }
+ * @returns {object} - { method } or { error }
+ */
+async function verifySecondFactor(client, userId, factor) {
+  const lockResult = await client.query(
+    'SELECT mfa_locked_until > NOW() as locked FROM users WHERE id = $1 FOR UPDATE',
+    [userId]
+  );
+  if (lockResult.rows[0] && lockResult.rows[0].locked) {
+    return { error: httpError(429, 'Too many invalid authentication codes, try again later') };
+  }
+
+  const method = await checkSecondFactor(client, userId, factor);
+  if (!method) {
+    await client.query(
+      `UPDATE users SET
+         mfa_failed_attempts = CASE WHEN mfa_failed_attempts + 1 >= $2 THEN 0 ELSE mfa_failed_attempts + 1 END,
+         mfa_locked_until = CASE WHEN mfa_failed_attempts + 1 >= $2
+                                 THEN NOW() + make_interval(mins => $3) ELSE mfa_locked_until END
+       WHERE id = $1`,
+      [userId, MFA_MAX_FAILED_ATTEMPTS, MFA_LOCKOUT_MINUTES]
+    );
+    return { error: httpError(401, 'Invalid authentication code') };
+  }
+
+  await client.query(
+    'UPDATE users SET mfa_failed_attempts = 0, mfa_locked_until = NULL WHERE id = $1',
+    [userId]
+  );
+
+  return { method };
+}
+
+/**
+ * Check a second factor in its own transaction, throwing 401 if it's wrong (429 while locked)
+ * @param {number} userId - User ID
+ * @param {object} factor - { code } or { recoveryCode }
+ * @param {function} onSuccess - Optional async (client, method) => result, run in the same transaction
+ * @returns {*} - onSuccess's result, or 'totp' / 'recovery_code' without it
+ */
+async function requireSecondFactor(userId, factor, onSuccess = null) {
+  const outcome = await transaction(async (client) => {
+    const { method, error } = await verifySecondFactor(client, userId, factor);
+    if (error) {
+      return { error };
+    }
+
+    return { result: onSuccess ? await onSuccess(client, method) : method };
+  });
+
+  if (outcome.error) {
+    throw outcome.error;
+  }
+  return outcome.result;
+}
+
+/**
+ * Whether a user has 2FA turned on
+ * @param {number} userId - User ID
+ * @returns {boolean}
+ */
+async function isTwoFactorEnabled(userId) {
+  const result = await query('SELECT totp_enabled_at FROM users WHERE id = $1', [userId]);
+  return !!(result.rows[0] && result.rows[0].totp_enabled_at);
+}
+
+/**
+ * 2FA status for the account settings page
+ * @param {number} userId - User ID
+ * @returns {object} - { enabled, enabledAt, recoveryCodesRemaining }
+ */
+async function getTwoFactorStatus(userId) {
+  const result = await query(
+    `SELECT u.totp_enabled_at,
+            (SELECT COUNT(*) FROM user_recovery_codes r
+             WHERE r.user_id = u.id AND r.used_at IS NULL)::int as recovery_codes_remaining
+     FROM users u
+     WHERE u.id = $1`,
+    [userId]
+  );
+
+  const row = result.rows[0];
+  return {
+    enabled: !!row.totp_enabled_at,
+    enabledAt: row.totp_enabled_at,
+    recoveryCodesRemaining: row.totp_enabled_at ? row.recovery_codes_remaining : 0,
+  };
+}
+
+/**
+ * Start enrollment: store a new secret (not yet active) and return it as a QR code
+ * Calling it again before confirming replaces the secret.
+ * @param {object} user - { id, email }
+ * @returns {object} - { secret, otpauthUrl, qrCode (PNG data URL) }
+ */
+async function beginEnrollment(user) {
+  const secret = totp.generateSecret();
+
+  const result = await query(
+    `UPDATE users SET totp_secret = $1, totp_last_step = NULL
+     WHERE id = $2 AND totp_enabled_at IS NULL
+     RETURNING id`,
+    [encrypt(secret), user.id]
+  );
+
+  if (result.rows.length === 0) {
+    throw httpError(409, 'Two-factor authentication is already enabled');
+  }
+
+  const otpauthUrl = totp.otpauthUrl(secret, { issuer: TOTP_ISSUER, account: user.email });
+
+  return {
+    secret,
+    otpauthUrl,
+    qrCode: await generateQRCodeDataURL(otpauthUrl),
+  };
+}
+
+/**
+ * Finish enrollment with a code from the authenticator app
+ * @param {number} userId - User ID
+ * @param {string} code - Current TOTP code
+ * @returns {array} - Recovery codes (shown once)
+ */
+async function enableTwoFactor(userId, code) {
+  return transaction(async (client) => {
+    const userResult = await client.query(
+      'SELECT totp_secret, totp_enabled_at FROM users WHERE id = $1 FOR UPDATE',
+      [userId]
+    );
+
+    const user = userResult.rows[0];
+    if (user.totp_enabled_at) {
+      throw httpError(409, 'Two-factor authentication is already enabled');
+    }
+    if (!user.totp_secret) {
+      throw httpError(400, 'Start two-factor setup first');
+    }
+
+    const step = totp.verifyCode(decrypt(user.totp_secret), code);
+    if (step === null) {
+      throw httpError(401, 'Invalid authentication code');
+    }
+
+    await client.query(
+      'UPDATE users SET totp_enabled_at = NOW(), totp_last_step = $1 WHERE id = $2',
+      [step, userId]
+    );
+
+    return replaceRecoveryCodes(client, userId);
+  });
+}
+
+/**
+ * Turn 2FA off; needs the password and a second factor
+ * @param {number} userId - User ID
+ * @param {object} data - { password, code } or { password, recoveryCode }
+ */
+async function disableTwoFactor(userId, { password, code, recoveryCode }) {
+  const passwordResult = await query('SELECT password_hash FROM users WHERE id = $1', [userId]);
+  const isValidPassword = await User.verifyPassword(password, passwordResult.rows[0].password_hash);
+  if (!isValidPassword) {
+    throw httpError(401, 'Invalid password');
+  }
+
+  await requireSecondFactor(userId, { code, recoveryCode });
+  await resetTwoFactor(userId);
+}
+
+/**
+ * Remove a user's 2FA without a factor (admin support for a lost authenticator)
+ * @param {number} userId - User ID
+ * @returns {boolean} - Whether 2FA was enabled
+ */
+async function resetTwoFactor(userId) {
+  return transaction(async (client) => {
+    const userResult = await client.query(
+      'SELECT totp_enabled_at FROM users WHERE id = $1 FOR UPDATE',
+      [userId]
+    );
+
+    await client.query(
+      `UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL,
+              mfa_failed_attempts = 0, mfa_locked_until = NULL
+       WHERE id = $1`,
+      [userId]
+    );
+    await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+
+    return userResult.rows.length > 0 && !!userResult.rows[0].totp_enabled_at;
+  });
+}
+
+/**
+ * Replace the recovery codes (e.g. after using some); needs a second factor
+ * @param {number} userId - User ID
+ * @param {object} factor - { code } or { recoveryCode }
+ * @returns {array} - New recovery codes (shown once)
+ */
+async function regenerateRecoveryCodes(userId, factor) {
+  return requireSecondFactor(userId, factor, client => replaceRecoveryCodes(client, userId));
+}
+
+/**
+ * The password was right but 2FA is on: hand out a short-lived token for the second step
+ * Refused with 429 while the user is locked out for wrong codes.
+ * @param {number} userId - User ID
+ * @returns {object} - { mfaToken, expiresAt }
+ */
+async function createLoginChallenge(userId) {
+  // A new challenge would otherwise reset the per-challenge attempts during a lockout
+  const lockResult = await query('SELECT mfa_locked_until > NOW() as locked FROM users WHERE id = $1', [userId]);
+  if (lockResult.rows[0] && lockResult.rows[0].locked) {
+    throw httpError(429, 'Too many invalid authentication codes, try again later');
+  }
+
+  const mfaToken = generateToken();
+
+  const result = await query(
+    `INSERT INTO mfa_challenges (user_id, token_hash, expires_at)
+     VALUES ($1, $2, NOW() + make_interval(mins => $3))
+     RETURNING expires_at`,
+    [userId, hashToken(mfaToken), MFA_CHALLENGE_TTL_MINUTES]
+  );
+
+  return { mfaToken, expiresAt: result.rows[0].expires_at };
+}
+
+/**
+ * Finish a login with the second factor
+ * Each challenge allows a few wrong codes; after that the password has to be entered again.
+ * Misses also count toward the per-user lockout, so new challenges don't give more guesses.
+ * @param {string} mfaToken - Token from createLoginChallenge
+ * @param {object} factor - { code } or { recoveryCode }
+ * @returns {object} - User { id, email, full_name, role, email_verified_at }
+ */
+async function completeLoginChallenge(mfaToken, factor) {
+  const outcome = await transaction(async (client) => {
+    const challengeResult = await client.query(
+      `SELECT id, user_id FROM mfa_challenges
+       WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW() AND attempts < $2
+       FOR UPDATE`,
+      [hashToken(mfaToken), MFA_CHALLENGE_MAX_ATTEMPTS]
+    );
+
+    const challenge = challengeResult.rows[0];
+    if (!challenge) {
+      return { error: httpError(401, 'Invalid or expired login challenge') };
+    }
+
+    const { error } = await verifySecondFactor(client, challenge.user_id, factor);
+    if (error) {
+      if (error.statusCode === 401) {
+        // Count the miss against the challenge too; throwing here would roll it back
+        await client.query('UPDATE mfa_challenges SET attempts = attempts + 1 WHERE id = $1', [challenge.id]);
+      }
+      return { error };
+    }
+
+    await client.query('UPDATE mfa_challenges SET used_at = NOW() WHERE id = $1', [challenge.id]);
+
+    const userResult = await client.query(
+      'SELECT id, email, full_name, role, email_verified_at FROM users WHERE id = $1',
+      [challenge.user_id]
+    );
+    return { user: userResult.rows[0] };
+  });
+
+  if (outcome.error) {
+    throw outcome.error;
+  }
+  return outcome.user;
+}
+
+/**
+ * Re-prove the second factor on this session so sensitive actions are allowed for a while
+ * @param {number} userId - User ID
+ * @param {string} sessionId - auth_sessions ID
+ * @param {object} factor - { code } or { recoveryCode }
+ * @returns {Date} - When the step-up stops counting
+ */
+async function stepUp(userId, sessionId, factor) {
+  await requireSecondFactor(userId, factor);
+
+  const result = await query(
+    `UPDATE auth_sessions SET step_up_at = NOW()
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+     RETURNING step_up_at + make_interval(mins => $3) as expires_at`,
+    [sessionId, userId, STEP_UP_WINDOW_MINUTES]
+  );
+
+  if (result.rows.length === 0) {
+    throw httpError(401, 'Session has been revoked');
+  }
+
+  return result.rows[0].expires_at;
+}
+
+/**
+ * Whether a login may do a sensitive action now
+ * Logins without 2FA aren't challenged; with 2FA the session needs a recent step-up.
+ * @param {number} userId - User ID
+ * @param {string|null} sessionId - auth_sessions ID (null for impersonation tokens)
+ * @returns {boolean}
+ */
+async function hasRecentStepUp(userId, sessionId) {
+  const result = await query(
+    `SELECT u.totp_enabled_at IS NULL
+            OR COALESCE(s.step_up_at > NOW() - make_interval(mins => $3), false) as allowed
+     FROM users u
+     LEFT JOIN auth_sessions s ON s.id = $2 AND s.user_id = u.id AND s.revoked_at IS NULL
+     WHERE u.id = $1`,
+    [userId, sessionId, STEP_UP_WINDOW_MINUTES]
+  );
+
+  return result.rows.length > 0 && result.rows[0].allowed;
+}
+
+module.exports = {
+  isTwoFactorEnabled,
+  getTwoFactorStatus,
+  beginEnrollment,
+  enableTwoFactor,
+  disableTwoFactor,
+  resetTwoFactor,
+  regenerateRecoveryCodes,
+  createLoginChallenge,
+  completeLoginChallenge,
+  stepUp,
+  hasRecentStepUp,
+};
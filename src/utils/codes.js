@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+
+// No 0/O or 1/I so codes read off a screen or receipt can't be mistyped
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Random uppercase code for customers to type in
+ * @param {number} length - Number of characters
+ * @returns {string} - Code
+ */
+function generateCode(length) {
+  let code = '';
+  for (let i = 0; i < length; i++) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+/**
+ * Random URL-safe secret for emailed links (password reset, invites)
+ * @returns {string} - 64 hex characters
+ */
+function generateToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * SHA-256 of a token; store this instead of the token itself
+ * @param {string} token - Raw token
+ * @returns {string} - Hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+module.exports = { generateCode, generateToken, hashToken };
@@ -0,0 +1,28 @@
+/**
+ * Escape a single CSV field (RFC 4180)
+ * @param {*} value - Field value
+ * @returns {string} - Escaped field
+ */
+function escapeField(value) {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  // Prefix formula-like values so spreadsheets don't execute them
+  const safe = /^[=+\-@]/.test(text) && isNaN(Number(text)) ? `'${text}` : text;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+/**
+ * Convert rows to CSV text
+ * @param {array} columns - [{ key, header }]
+ * @param {array} rows - Array of objects
+ * @returns {string} - CSV text with header row
+ */
+function toCsv(columns, rows) {
+  const lines = [columns.map(column => escapeField(column.header)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeField(row[column.key])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = { toCsv };
@@ -0,0 +1,129 @@
+/**
+ * Parser for DEX / EVA-DTS audit files
+ *
+ * A DEX file is a list of records, one per line, with fields separated by '*'.
+ * Only the records needed for reconciliation are interpreted:
+ *   ID1 - machine serial number and model
+ *   VA1 - vend totals (value in cents, count) since init and since last reset
+ *   PA1 - column (selection) identifier and price in cents
+ *   PA2 - paid vend count and value for the preceding PA1 column
+ * Everything else is kept in `records` for reference but otherwise ignored.
+ */
+
+/**
+ * Parse an integer field, treating blanks as null
+ * @param {string} value - Raw field
+ * @param {string} label - Field description for error messages
+ * @param {number} lineNumber - Line number for error messages
+ * @returns {number|null} - Parsed value
+ */
+function parseIntField(value, label, lineNumber) {
+  if (value === undefined || value === '') return null;
+  if (!/^-?\d+$/.test(value)) {
+    throw new Error(`Invalid ${label} "${value}" on line ${lineNumber}`);
+  }
+  return parseInt(value, 10);
+}
+
+/**
+ * Parse DEX file contents
+ * @param {string} text - Raw DEX file contents
+ * @returns {object} - { machineSerial, machineModel, vendTotals, columns, records }
+ */
+function parseDex(text) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new Error('DEX file is empty');
+  }
+
+  const lines = text.split(/\r\n|\r|\n/);
+  const records = [];
+  const columns = [];
+  let machineSerial = null;
+  let machineModel = null;
+  let vendTotals = null;
+  let currentColumn = null;
+
+  lines.forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    const lineNumber = index + 1;
+    const fields = line.split('*');
+    const tag = fields[0].toUpperCase();
+    records.push({ tag, fields: fields.slice(1), lineNumber });
+
+    // Any non-PA record closes the current PA1/PA2 block
+    if (!tag.startsWith('PA')) {
+      currentColumn = null;
+    }
+
+    switch (tag) {
+      case 'ID1':
+        machineSerial = fields[1] || null;
+        machineModel = fields[2] || null;
+        break;
+
+      case 'VA1':
+        vendTotals = {
+          valueCents: parseIntField(fields[1], 'VA1 vend value', lineNumber),
+          count: parseIntField(fields[2], 'VA1 vend count', lineNumber),
+          valueSinceResetCents: parseIntField(fields[3], 'VA1 vend value since reset', lineNumber),
+          countSinceReset: parseIntField(fields[4], 'VA1 vend count since reset', lineNumber),
+        };
+        break;
+
+      case 'PA1': {
+        const column = (fields[1] || '').trim();
+        if (!column) {
+          throw new Error(`PA1 record without a column identifier on line ${lineNumber}`);
+        }
+        currentColumn = {
+          column,
+          priceCents: parseIntField(fields[2], 'PA1 price', lineNumber),
+          productCode: fields[3] || null,
+          vendCount: null,
+          valueCents: null,
+          vendCountSinceReset: null,
+          valueSinceResetCents: null,
+        };
+        columns.push(currentColumn);
+        break;
+      }
+
+      case 'PA2':
+        if (!currentColumn) {
+          throw new Error(`PA2 record without a preceding PA1 on line ${lineNumber}`);
+        }
+        currentColumn.vendCount = parseIntField(fields[1], 'PA2 vend count', lineNumber);
+        currentColumn.valueCents = parseIntField(fields[2], 'PA2 vend value', lineNumber);
+        currentColumn.vendCountSinceReset = parseIntField(fields[3], 'PA2 vend count since reset', lineNumber);
+        currentColumn.valueSinceResetCents = parseIntField(fields[4], 'PA2 vend value since reset', lineNumber);
+        break;
+
+      default:
+        break;
+    }
+  });
+
+  if (columns.length === 0 && !vendTotals) {
+    throw new Error('No PA1/PA2 or VA1 records found in DEX file');
+  }
+
+  const seen = new Set();
+  for (const column of columns) {
+    if (seen.has(column.column)) {
+      throw new Error(`Duplicate PA1 column "${column.column}"`);
+    }
+    seen.add(column.column);
+  }
+
+  return {
+    machineSerial,
+    machineModel,
+    vendTotals,
+    columns,
+    records,
+  };
+}
+
+module.exports = { parseDex };
@@ -0,0 +1,14 @@
+/**
+ * Create an Error carrying an HTTP status code
+ * Routes (and the global error handler in app.js) read err.statusCode
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message safe to return to the client
+ * @returns {Error} - Error with statusCode set
+ */
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+module.exports = { httpError };
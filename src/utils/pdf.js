@@ -0,0 +1,139 @@
+const PDFDocument = require('pdfkit');
+
+const PAGE_MARGIN = 40;
+const ROW_HEIGHT = 18;
+
+/**
+ * Render one or more titled tables to a printable PDF
+ * @param {object} options - { title, subtitle, sections: [{ heading, columns: [{ header, key, width, align }], rows }] }
+ * @returns {Promise<Buffer>} - PDF bytes
+ */
+function renderTablePdf({ title, subtitle = null, sections }) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'LETTER', margin: PAGE_MARGIN });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const bottom = () => doc.page.height - PAGE_MARGIN;
+
+    doc.fontSize(18).font('Helvetica-Bold').text(title);
+    if (subtitle) {
+      doc.moveDown(0.2).fontSize(10).font('Helvetica').fillColor('#555555').text(subtitle).fillColor('#000000');
+    }
+
+    sections.forEach((section, sectionIndex) => {
+      // Start each section on a new page when there isn't room for its header and a few rows
+      if (sectionIndex > 0 && doc.y + ROW_HEIGHT * 4 > bottom()) {
+        doc.addPage();
+      }
+
+      doc.moveDown(1);
+      if (section.heading) {
+        doc.fontSize(13).font('Helvetica-Bold').text(section.heading, PAGE_MARGIN);
+        doc.moveDown(0.3);
+      }
+
+      const drawRow = (values, bold) => {
+        if (doc.y + ROW_HEIGHT > bottom()) {
+          doc.addPage();
+        }
+        const y = doc.y;
+        let x = PAGE_MARGIN;
+        doc.fontSize(10).font(bold ? 'Helvetica-Bold' : 'Helvetica');
+        section.columns.forEach((column, index) => {
+          doc.text(values[index], x, y, {
+            width: column.width - 6,
+            align: column.align || 'left',
+            lineBreak: false,
+            ellipsis: true,
+          });
+          x += column.width;
+        });
+        doc.y = y + ROW_HEIGHT;
+        doc
+          .moveTo(PAGE_MARGIN, doc.y - 4)
+          .lineTo(x, doc.y - 4)
+          .strokeColor(bold ? '#000000' : '#DDDDDD')
+          .stroke();
+      };
+
+      drawRow(section.columns.map(column => column.header), true);
+      section.rows.forEach(row => {
+        drawRow(section.columns.map(column => {
+          const value = row[column.key];
+          return value === null || value === undefined ? '' : String(value);
+        }), false);
+      });
+
+      if (section.rows.length === 0) {
+        doc.fontSize(10).font('Helvetica-Oblique').text('Nothing to load', PAGE_MARGIN, doc.y);
+      }
+    });
+
+    doc.end();
+  });
+}
+
+/**
+ * Render a grid of labelled QR codes to cut out (flyers, shelf talkers)
+ * @param {object} options - { title, subtitle, cards: [{ image (PNG Buffer), caption, note }], columns, rows }
+ * @returns {Promise<Buffer>} - PDF bytes
+ */
+function renderQrSheetPdf({ title, subtitle = null, cards, columns = 4, rows = 5 }) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'LETTER', margin: PAGE_MARGIN });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const drawHeader = () => {
+      doc.fontSize(14).font('Helvetica-Bold').text(title, PAGE_MARGIN, PAGE_MARGIN);
+      if (subtitle) {
+        doc.fontSize(9).font('Helvetica').fillColor('#555555').text(subtitle).fillColor('#000000');
+      }
+      return doc.y + 10;
+    };
+
+    const perPage = columns * rows;
+    const cellWidth = (doc.page.width - PAGE_MARGIN * 2) / columns;
+    let top = drawHeader();
+    let cellHeight = (doc.page.height - PAGE_MARGIN - top) / rows;
+
+    cards.forEach((card, index) => {
+      if (index > 0 && index % perPage === 0) {
+        doc.addPage();
+        top = drawHeader();
+        cellHeight = (doc.page.height - PAGE_MARGIN - top) / rows;
+      }
+
+      const slot = index % perPage;
+      const x = PAGE_MARGIN + (slot % columns) * cellWidth;
+      const y = top + Math.floor(slot / columns) * cellHeight;
+      const size = Math.min(cellWidth, cellHeight - 30) - 12;
+
+      // Dashed cut lines around each card
+      doc.rect(x, y, cellWidth, cellHeight).dash(3, { space: 3 }).strokeColor('#BBBBBB').stroke().undash();
+      doc.image(card.image, x + (cellWidth - size) / 2, y + 6, { width: size, height: size });
+      doc.fontSize(10).font('Courier-Bold').fillColor('#000000')
+        .text(card.caption, x, y + size + 9, { width: cellWidth, align: 'center', lineBreak: false });
+      if (card.note) {
+        doc.fontSize(7).font('Helvetica').fillColor('#555555')
+          .text(card.note, x + 4, y + size + 21, { width: cellWidth - 8, align: 'center', lineBreak: false, ellipsis: true })
+          .fillColor('#000000');
+      }
+    });
+
+    if (cards.length === 0) {
+      doc.fontSize(10).font('Helvetica-Oblique').text('No codes to print', PAGE_MARGIN, top);
+    }
+
+    doc.end();
+  });
+}
+
+module.exports = { renderTablePdf, renderQrSheetPdf };
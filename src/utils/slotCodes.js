@@ -0,0 +1,18 @@
+/**
+ * Order slot codes the way they appear on the machine (A1, A2, ... A10, B1)
+ * @param {string|null} a - Slot code
+ * @param {string|null} b - Slot code
+ * @returns {number} - Sort order
+ */
+function compareSlotCodes(a, b) {
+  if (!a && !b) return 0;
+  if (!a) return 1;
+  if (!b) return -1;
+  const [, rowA = '', numA = ''] = a.match(/^([A-Za-z]*)(\d*)/) || [];
+  const [, rowB = '', numB = ''] = b.match(/^([A-Za-z]*)(\d*)/) || [];
+  if (rowA !== rowB) return rowA.localeCompare(rowB);
+  if (numA !== numB) return (parseInt(numA) || 0) - (parseInt(numB) || 0);
+  return a.localeCompare(b);
+}
+
+module.exports = { compareSlotCodes };
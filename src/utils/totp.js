@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+
+// RFC 6238 defaults, which every authenticator app supports
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Base32-encode bytes (no padding), the format authenticator apps expect secrets in
+ * @param {Buffer} buffer - Bytes
+ * @returns {string} - Base32 string
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode a base32 string (case-insensitive, padding and spaces ignored)
+ * @param {string} text - Base32 string
+ * @returns {Buffer} - Bytes
+ */
+function base32Decode(text) {
+  const clean = text.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * New random TOTP secret
+ * @returns {string} - 160-bit secret, base32-encoded
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Time step a timestamp falls in
+ * @param {number} timeMs - Unix time in milliseconds
+ * @returns {number} - Step number
+ */
+function currentStep(timeMs = Date.now()) {
+  return Math.floor(timeMs / 1000 / STEP_SECONDS);
+}
+
+/**
+ * HOTP code for one time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Step number
+ * @returns {string} - Zero-padded code
+ */
+function generateCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Check a code against the current step and one step either side (clock drift)
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code the user typed
+ * @param {object} options - { afterStep (reject this step and earlier, to stop replays) }
+ * @returns {number|null} - Step the code matched, or null
+ */
+function verifyCode(secret, code, { afterStep = null } = {}) {
+  const normalized = String(code).replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) {
+    return null;
+  }
+
+  const now = currentStep();
+  for (const step of [now - 1, now, now + 1]) {
+    if (afterStep !== null && step <= afterStep) {
+      continue;
+    }
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * otpauth:// URI that authenticator apps import from a QR code
+ * @param {string} secret - Base32 secret
+ * @param {object} options - { issuer, account }
+ * @returns {string} - URI
+ */
+function otpauthUrl(secret, { issuer, account }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+  generateSecret,
+  currentStep,
+  generateCode,
+  verifyCode,
+  otpauthUrl,
+};
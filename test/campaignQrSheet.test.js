@@ -0,0 +1,69 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  skipWithoutDatabase, migrate, closeDatabase, createUser, createMachine,
+} = require('./helpers/db');
+
+describe('GET /api/vendor/discount-campaigns/:id/qr-sheet', { skip: skipWithoutDatabase }, () => {
+  let server;
+  let baseUrl;
+  let campaign;
+  let token;
+
+  before(async () => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+    process.env.REFRESH_TOKEN_SECRET = process.env.REFRESH_TOKEN_SECRET || 'test-refresh-secret';
+
+    await migrate();
+    const { createOrganization } = require('../src/services/organizationService');
+    const { createCampaign } = require('../src/services/discountCampaignService');
+    const { issueTokens } = require('../src/services/tokenService');
+
+    const vendor = await createUser('vendor');
+    await createOrganization(vendor.id, 'QR Sheet Test Vendor');
+    const machine = await createMachine(vendor.id);
+    campaign = await createCampaign(vendor.id, {
+      name: 'QR Sheet Test',
+      codePattern: 'SHEET-XXXXXX',
+      count: 3,
+      machineIds: [machine.id],
+      discountType: 'percentage',
+      discountValue: 10,
+    });
+    ({ token } = await issueTokens({ ...vendor, role: 'vendor' }));
+
+    const app = require('../src/app');
+    await new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await closeDatabase();
+  });
+
+  const sheet = search => fetch(`${baseUrl}/api/vendor/discount-campaigns/${campaign.id}/qr-sheet${search}`, {
+    headers: { Authorization: `Bearer ${token}` },
+  });
+
+  it('prints one page of codes at a time', async () => {
+    const res = await sheet('?offset=1&limit=2');
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-type'), 'application/pdf');
+    assert.match(res.headers.get('content-disposition'), /qr-2\.pdf/);
+  });
+
+  it('rejects a sheet larger than the cap', async () => {
+    const { MAX_QR_SHEET_CODES } = require('../src/services/discountCampaignService');
+
+    const res = await sheet(`?limit=${MAX_QR_SHEET_CODES + 1}`);
+    assert.equal(res.status, 400);
+  });
+
+  it('answers 404 past the last code', async () => {
+    const res = await sheet('?offset=3');
+    assert.equal(res.status, 404);
+  });
+});
@@ -0,0 +1,105 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const {
+  skipWithoutDatabase, migrate, closeDatabase, uniqueSuffix, createUser, createMachine,
+} = require('./helpers/db');
+
+const DEVICE_SECRET = 'test-device-secret';
+const TEMPERATURE_PATH = '/api/device/temperature';
+
+describe('signed device requests', { skip: skipWithoutDatabase }, () => {
+  let server;
+  let baseUrl;
+  let machine;
+
+  before(async () => {
+    console.error = () => {};
+
+    await migrate();
+    const { query } = require('../src/config/database');
+    const { encrypt } = require('../src/services/qrCodeService');
+
+    const vendor = await createUser('vendor');
+    machine = await createMachine(vendor.id);
+    await query('UPDATE vending_machines SET device_secret = $1 WHERE id = $2', [encrypt(DEVICE_SECRET), machine.id]);
+
+    const app = require('../src/app');
+    await new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await closeDatabase();
+  });
+
+  // Build the headers the telemetry board sends
+  const sign = (body, { nonce = crypto.randomBytes(16).toString('hex'), timestamp = Math.floor(Date.now() / 1000) } = {}) => {
+    const signature = crypto
+      .createHmac('sha256', DEVICE_SECRET)
+      .update(`${timestamp}\n${nonce}\nPOST\n${TEMPERATURE_PATH}\n${body}`)
+      .digest('hex');
+
+    return {
+      'Content-Type': 'application/json',
+      'X-Machine-Id': String(machine.id),
+      'X-Timestamp': String(timestamp),
+      'X-Nonce': nonce,
+      'X-Signature': signature,
+    };
+  };
+
+  const send = (body, headers) => fetch(`${baseUrl}${TEMPERATURE_PATH}`, { method: 'POST', headers, body });
+
+  it('rejects a replay of a request it already accepted', async () => {
+    const body = JSON.stringify({ eventId: `evt-${uniqueSuffix()}`, celsius: 4.5 });
+    const headers = sign(body);
+
+    assert.equal((await send(body, headers)).status, 201);
+
+    const replay = await send(body, headers);
+    assert.equal(replay.status, 401);
+    assert.equal((await replay.json()).message, 'Request has already been received.');
+  });
+
+  it('accepts a retry of the same event with a fresh nonce', async () => {
+    const body = JSON.stringify({ eventId: `evt-${uniqueSuffix()}`, celsius: 4.5 });
+
+    assert.equal((await send(body, sign(body))).status, 201);
+
+    const retry = await send(body, sign(body));
+    assert.equal(retry.status, 200);
+    assert.equal((await retry.json()).message, 'Event already recorded');
+  });
+
+  it('counts requests per machine, not against the per-IP API limit', async () => {
+    const body = JSON.stringify({ eventId: `evt-${uniqueSuffix()}`, celsius: 4.5 });
+
+    const remaining = async () => Number((await fetch(`${baseUrl}/api/health`)).headers.get('ratelimit-remaining'));
+
+    const before = await remaining();
+    const res = await send(body, sign(body));
+    assert.equal(res.headers.get('ratelimit-limit'), '600');
+
+    // Only the second check itself comes off the IP's budget
+    assert.equal(await remaining(), before - 1);
+  });
+
+  it('requires a well-formed nonce covered by the signature', async () => {
+    const body = JSON.stringify({ eventId: `evt-${uniqueSuffix()}`, celsius: 4.5 });
+
+    const withoutNonce = sign(body);
+    delete withoutNonce['X-Nonce'];
+    assert.equal((await send(body, withoutNonce)).status, 401);
+
+    assert.equal((await send(body, sign(body, { nonce: 'short' }))).status, 401);
+
+    const swapped = { ...sign(body), 'X-Nonce': crypto.randomBytes(16).toString('hex') };
+    const res = await send(body, swapped);
+    assert.equal(res.status, 401);
+    assert.equal((await res.json()).message, 'Invalid device signature.');
+  });
+});
@@ -0,0 +1,98 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseDex } = require('../src/utils/dexParser');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'dex');
+
+const readFixture = name => fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+
+describe('parseDex', () => {
+  it('reads ID1, VA1 and PA1/PA2 records', () => {
+    const parsed = parseDex(readFixture('sample.dex'));
+
+    assert.equal(parsed.machineSerial, 'SN12345');
+    assert.equal(parsed.machineModel, 'MODEL7');
+    assert.deepEqual(parsed.vendTotals, {
+      valueCents: 12500,
+      count: 50,
+      valueSinceResetCents: 2500,
+      countSinceReset: 10,
+    });
+    assert.deepEqual(parsed.columns.slice(0, 2), [
+      {
+        column: 'A1',
+        priceCents: 125,
+        productCode: 'CHIPS',
+        vendCount: 20,
+        valueCents: 2500,
+        vendCountSinceReset: 4,
+        valueSinceResetCents: 500,
+      },
+      {
+        column: 'A2',
+        priceCents: 150,
+        productCode: null,
+        vendCount: 10,
+        valueCents: 1500,
+        vendCountSinceReset: 2,
+        valueSinceResetCents: 300,
+      },
+    ]);
+    assert.equal(parsed.records.length, 13);
+    assert.equal(parsed.records.find(record => record.tag === 'G85').lineNumber, 11);
+  });
+
+  it('treats blank fields as null', () => {
+    const parsed = parseDex(readFixture('sample.dex'));
+    const column = parsed.columns.find(c => c.column === 'B1');
+
+    assert.deepEqual(column, {
+      column: 'B1',
+      priceCents: null,
+      productCode: null,
+      vendCount: null,
+      valueCents: null,
+      vendCountSinceReset: null,
+      valueSinceResetCents: null,
+    });
+  });
+
+  it('parses CRLF files the same as LF files', () => {
+    const lf = parseDex(readFixture('sample.dex'));
+    const crlf = parseDex(readFixture('sample-crlf.dex'));
+
+    assert.deepEqual(crlf, lf);
+  });
+
+  it('rejects a PA2 with no PA1 before it', () => {
+    assert.throws(
+      () => parseDex(readFixture('orphan-pa2.dex')),
+      /PA2 record without a preceding PA1 on line 4/
+    );
+  });
+
+  it('rejects a PA2 separated from its PA1 by another record', () => {
+    const text = 'ID1*SN1\nPA1*A1*100\nVA1*100*1*100*1\nPA2*1*100*1*100\n';
+
+    assert.throws(() => parseDex(text), /PA2 record without a preceding PA1 on line 4/);
+  });
+
+  it('rejects a slot that appears twice', () => {
+    assert.throws(() => parseDex(readFixture('repeated-slot.dex')), /Duplicate PA1 column "A1"/);
+  });
+
+  it('rejects non-numeric counts with the line number', () => {
+    assert.throws(() => parseDex('PA1*A1*1x0\n'), /Invalid PA1 price "1x0" on line 1/);
+  });
+
+  it('rejects a PA1 without a column identifier', () => {
+    assert.throws(() => parseDex('PA1**100\n'), /PA1 record without a column identifier on line 1/);
+  });
+
+  it('rejects empty files and files without vend data', () => {
+    assert.throws(() => parseDex(''), /DEX file is empty/);
+    assert.throws(() => parseDex('DXS*1\nDXE*1*1\n'), /No PA1\/PA2 or VA1 records found/);
+  });
+});
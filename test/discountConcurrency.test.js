@@ -0,0 +1,98 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  skipWithoutDatabase, migrate, closeDatabase, uniqueSuffix, createUser, createMachine,
+} = require('./helpers/db');
+
+const PARALLEL_REDEMPTIONS = 10;
+const MAX_USES = 3;
+
+describe('redeemDiscount under concurrency', { skip: skipWithoutDatabase }, () => {
+  let query;
+  let redeemDiscount;
+  let vendor;
+  let machine;
+
+  before(async () => {
+    await migrate();
+    ({ query } = require('../src/config/database'));
+    ({ redeemDiscount } = require('../src/services/discountService'));
+
+    vendor = await createUser('vendor');
+    machine = await createMachine(vendor.id);
+  });
+
+  after(closeDatabase);
+
+  const createCode = async (maxUses) => {
+    const code = `RACE${uniqueSuffix().toUpperCase()}`;
+    const result = await query(
+      `INSERT INTO discount_codes
+       (vendor_id, code, discount_type, discount_value, max_uses, machine_id, valid_from)
+       VALUES ($1, $2, 'fixed', 1, $3, $4, NOW() - INTERVAL '1 minute')
+       RETURNING id, code`,
+      [vendor.id, code, maxUses, machine.id]
+    );
+    return result.rows[0];
+  };
+
+  it(`lets exactly max_uses of ${PARALLEL_REDEMPTIONS} simultaneous redemptions through`, async () => {
+    const discount = await createCode(MAX_USES);
+    const customers = [];
+    for (let i = 0; i < PARALLEL_REDEMPTIONS; i++) {
+      customers.push(await createUser('customer'));
+    }
+
+    // Watch current_uses while the redemptions race
+    let racing = true;
+    let highestSeen = 0;
+    const watcher = (async () => {
+      while (racing) {
+        const result = await query('SELECT current_uses FROM discount_codes WHERE id = $1', [discount.id]);
+        highestSeen = Math.max(highestSeen, result.rows[0].current_uses);
+      }
+    })();
+
+    const outcomes = await Promise.allSettled(customers.map(customer => redeemDiscount({
+      code: discount.code,
+      customerId: customer.id,
+      machineId: machine.id,
+    })));
+    racing = false;
+    await watcher;
+
+    const succeeded = outcomes.filter(outcome => outcome.status === 'fulfilled');
+    const failed = outcomes.filter(outcome => outcome.status === 'rejected');
+
+    assert.equal(succeeded.length, MAX_USES);
+    for (const outcome of failed) {
+      assert.equal(outcome.reason.statusCode, 400);
+      assert.match(outcome.reason.message, /maximum usage limit/);
+    }
+
+    const codeResult = await query('SELECT current_uses FROM discount_codes WHERE id = $1', [discount.id]);
+    const redemptionResult = await query(
+      'SELECT COUNT(*)::int as count FROM discount_redemptions WHERE discount_code_id = $1',
+      [discount.id]
+    );
+    assert.equal(codeResult.rows[0].current_uses, MAX_USES);
+    assert.equal(redemptionResult.rows[0].count, MAX_USES);
+    assert.ok(highestSeen <= MAX_USES, `current_uses reached ${highestSeen}`);
+  });
+
+  it('lets one customer redeem a code only once when requests race', async () => {
+    const discount = await createCode(null);
+    const customer = await createUser('customer');
+
+    const outcomes = await Promise.allSettled(Array.from({ length: 5 }, () => redeemDiscount({
+      code: discount.code,
+      customerId: customer.id,
+      machineId: machine.id,
+    })));
+
+    assert.equal(outcomes.filter(outcome => outcome.status === 'fulfilled').length, 1);
+
+    const codeResult = await query('SELECT current_uses FROM discount_codes WHERE id = $1', [discount.id]);
+    assert.equal(codeResult.rows[0].current_uses, 1);
+  });
+});
@@ -0,0 +1,65 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  skipWithoutDatabase, migrate, closeDatabase, createUser,
+} = require('./helpers/db');
+
+describe('vendor feature flags', { skip: skipWithoutDatabase }, () => {
+  let server;
+  let baseUrl;
+  let featureFlags;
+  let organization;
+  let token;
+
+  before(async () => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+    process.env.REFRESH_TOKEN_SECRET = process.env.REFRESH_TOKEN_SECRET || 'test-refresh-secret';
+
+    await migrate();
+    featureFlags = require('../src/services/featureFlagService');
+    const { createOrganization } = require('../src/services/organizationService');
+    const { issueTokens } = require('../src/services/tokenService');
+
+    const vendor = await createUser('vendor');
+    organization = await createOrganization(vendor.id, 'Flag Test Vendor');
+    ({ token } = await issueTokens({ ...vendor, role: 'vendor' }));
+
+    const app = require('../src/app');
+    await new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await closeDatabase();
+  });
+
+  const get = path => fetch(`${baseUrl}/api/vendor${path}`, {
+    headers: { Authorization: `Bearer ${token}` },
+  });
+
+  it('seeds the gated features switched on', async () => {
+    const flags = await featureFlags.getOrganizationFlags(organization.id);
+    const enabled = Object.fromEntries(flags.map(flag => [flag.key, flag.enabled]));
+
+    assert.equal(enabled.dex_import, true);
+    assert.equal(enabled.discount_campaigns, true);
+    assert.equal(enabled.payout_batches, true);
+  });
+
+  it('closes a feature\'s routes when it is switched off for the organization', async () => {
+    assert.equal((await get('/discount-campaigns')).status, 200);
+
+    await featureFlags.setOrganizationFlag(organization.id, 'discount_campaigns', false, null);
+    const res = await get('/discount-campaigns');
+    assert.equal(res.status, 403);
+    assert.equal((await res.json()).message, 'This feature is not enabled for your account.');
+
+    // Other features are unaffected, and clearing the override restores the default
+    assert.equal((await get('/payout-batches')).status, 200);
+    await featureFlags.setOrganizationFlag(organization.id, 'discount_campaigns', null, null);
+    assert.equal((await get('/discount-campaigns')).status, 200);
+  });
+});
@@ -0,0 +1,80 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  skipWithoutDatabase, migrate, closeDatabase, createUser, createMachine,
+} = require('./helpers/db');
+
+describe('expirePoints', { skip: skipWithoutDatabase }, () => {
+  let query;
+  let transaction;
+  let loyalty;
+
+  before(async () => {
+    await migrate();
+    ({ query, transaction } = require('../src/config/database'));
+    loyalty = require('../src/services/loyaltyService');
+  });
+
+  after(closeDatabase);
+
+  const ledgerFor = async (customerId) => {
+    const result = await query(
+      'SELECT entry_type, points, balance_after FROM loyalty_ledger WHERE customer_id = $1 ORDER BY id',
+      [customerId]
+    );
+    return result.rows;
+  };
+
+  it('expires unspent points older than the vendor window, once', async () => {
+    const vendor = await createUser('vendor');
+    const customer = await createUser('customer');
+    const machine = await createMachine(vendor.id);
+
+    await query(
+      `INSERT INTO loyalty_programs (vendor_id, balance_scope, points_expiry_days)
+       VALUES ($1, 'machine', 30)`,
+      [vendor.id]
+    );
+
+    await transaction(client => loyalty.postEntry(client, {
+      customerId: customer.id, machineId: machine.id, entryType: 'earn', points: 100,
+    }));
+    await transaction(client => loyalty.postEntry(client, {
+      customerId: customer.id, machineId: machine.id, entryType: 'redeem', points: -30,
+    }));
+
+    const later = new Date(Date.now() + 60 * 24 * 60 * 60 * 1000);
+    const summary = await loyalty.expirePoints({ now: later });
+
+    assert.ok(summary.accounts >= 1);
+    assert.ok(summary.pointsExpired >= 70);
+    assert.deepEqual((await ledgerFor(customer.id)).map(entry => [entry.entry_type, entry.points, entry.balance_after]), [
+      ['earn', 100, 100],
+      ['redeem', -30, 70],
+      ['expire', -70, 0],
+    ]);
+
+    // A second pass finds nothing left to expire in this account
+    await loyalty.expirePoints({ now: later });
+    assert.equal((await ledgerFor(customer.id)).length, 3);
+  });
+
+  it('keeps points that are still inside the window', async () => {
+    const vendor = await createUser('vendor');
+    const customer = await createUser('customer');
+    const machine = await createMachine(vendor.id);
+
+    await query(
+      `INSERT INTO loyalty_programs (vendor_id, balance_scope, points_expiry_days)
+       VALUES ($1, 'machine', 30)`,
+      [vendor.id]
+    );
+    await transaction(client => loyalty.postEntry(client, {
+      customerId: customer.id, machineId: machine.id, entryType: 'earn', points: 50,
+    }));
+
+    await loyalty.expirePoints();
+
+    assert.deepEqual((await ledgerFor(customer.id)).map(entry => entry.entry_type), ['earn']);
+  });
+});
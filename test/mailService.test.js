@@ -0,0 +1,61 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { assertMailConfigured, frontendLink, sendMail } = require('../src/services/mailService');
+
+describe('mailService', () => {
+  const saved = {};
+
+  beforeEach(() => {
+    for (const name of ['NODE_ENV', 'MAIL_TRANSPORT']) {
+      saved[name] = process.env[name];
+      delete process.env[name];
+    }
+  });
+
+  afterEach(() => {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  });
+
+  it('masks token links when logging to the console', async (t) => {
+    const log = t.mock.method(console, 'log', () => {});
+
+    await sendMail({
+      to: 'someone@test.local',
+      subject: 'Reset your password',
+      text: `Reset it here: ${frontendLink('/reset-password', 'secret-token-value')}\nThanks`,
+    });
+
+    const output = log.mock.calls[0].arguments[0];
+    assert.match(output, /\/reset-password\?token=\[redacted\]\nThanks/);
+    assert.doesNotMatch(output, /secret-token-value/);
+  });
+
+  it('defaults to the console transport outside production', () => {
+    assert.doesNotThrow(assertMailConfigured);
+  });
+
+  it('requires MAIL_TRANSPORT in production', async () => {
+    process.env.NODE_ENV = 'production';
+
+    assert.throws(assertMailConfigured, /MAIL_TRANSPORT must be set in production/);
+    await assert.rejects(
+      sendMail({ to: 'someone@test.local', subject: 'Hi', text: 'Hi' }),
+      /MAIL_TRANSPORT must be set in production/
+    );
+
+    process.env.MAIL_TRANSPORT = 'file';
+    assert.doesNotThrow(assertMailConfigured);
+  });
+
+  it('rejects an unknown transport', () => {
+    process.env.MAIL_TRANSPORT = 'pigeon';
+
+    assert.throws(assertMailConfigured, /Unknown mail transport: pigeon/);
+  });
+});
@@ -0,0 +1,231 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  skipWithoutDatabase, migrate, closeDatabase, uniqueSuffix, createUser, createMachine, createStockedProduct,
+} = require('./helpers/db');
+
+// Contract tests for the rebates/payouts schema (migrations 007 and 027) and the
+// service code that relies on it
+describe('rebate schema', { skip: skipWithoutDatabase }, () => {
+  let query;
+  let rebates;
+  let vendor;
+  let machine;
+  let productId;
+
+  before(async () => {
+    await migrate();
+    ({ query } = require('../src/config/database'));
+    rebates = require('../src/services/rebateService');
+
+    vendor = await createUser('vendor');
+    machine = await createMachine(vendor.id);
+    ({ productId } = await createStockedProduct({ vendorId: vendor.id, machineId: machine.id, price: 2.5 }));
+  });
+
+  after(closeDatabase);
+
+  const createCode = async ({
+    discountType = 'percentage', discountValue = 50, maxUses = null, customerId = null, validUntil = null,
+  } = {}) => {
+    const result = await query(
+      `INSERT INTO discount_codes
+       (vendor_id, code, discount_type, discount_value, machine_id, valid_from,
+        max_uses, customer_id, valid_until)
+       VALUES ($1, $2, $3, $4, $5, NOW() - INTERVAL '1 day', $6, $7, $8)
+       RETURNING id, code`,
+      [vendor.id, `REBATE${uniqueSuffix().toUpperCase()}`, discountType, discountValue, machine.id,
+        maxUses, customerId, validUntil]
+    );
+    return result.rows[0];
+  };
+
+  const submit = (customer, discount, purchaseAmount = null) => rebates.submitRebate({
+    customerId: customer.id,
+    machineId: machine.id,
+    productId,
+    discountId: discount.id,
+    purchaseAmount,
+    photoUrl: '/uploads/receipts/test.jpg',
+  });
+
+  const insertRebate = (customer, discount, overrides = {}) => {
+    const row = {
+      purchase_amount: 2.5,
+      rebate_amount: 1.25,
+      approved_amount: null,
+      status: 'pending',
+      ...overrides,
+    };
+    return query(
+      `INSERT INTO rebates
+       (customer_id, machine_id, product_id, discount_code_id, discount_code_used,
+        purchase_amount, rebate_amount, approved_amount, photo_url, status)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'photo.jpg', $9)
+       RETURNING *`,
+      [customer.id, machine.id, productId, discount.id, discount.code,
+        row.purchase_amount, row.rebate_amount, row.approved_amount, row.status]
+    );
+  };
+
+  const rejectsWith = async (promise, code, constraint) => {
+    await assert.rejects(promise, (error) => {
+      assert.equal(error.code, code);
+      if (constraint) {
+        assert.equal(error.constraint, constraint);
+      }
+      return true;
+    });
+  };
+
+  it('has the columns the rebate and payout code reads and writes', async () => {
+    const result = await query(
+      `SELECT table_name, column_name, data_type, is_nullable, column_default
+       FROM information_schema.columns
+       WHERE table_name IN ('rebates', 'payouts')`
+    );
+    const columns = Object.fromEntries(result.rows.map(row => [`${row.table_name}.${row.column_name}`, row]));
+
+    for (const name of [
+      'rebates.customer_id', 'rebates.machine_id', 'rebates.product_id',
+      'rebates.purchase_amount', 'rebates.rebate_amount', 'rebates.photo_url',
+      'payouts.vendor_id', 'payouts.customer_id', 'payouts.amount', 'payouts.status',
+    ]) {
+      assert.ok(columns[name], `${name} is missing`);
+      assert.equal(columns[name].is_nullable, 'NO', `${name} should be NOT NULL`);
+    }
+    for (const name of [
+      'rebates.discount_code_id', 'rebates.discount_code_used', 'rebates.approved_amount',
+      'rebates.vendor_notes', 'rebates.reviewed_at', 'rebates.reviewed_by',
+      'payouts.rebate_id', 'payouts.created_by', 'payouts.paid_at',
+    ]) {
+      assert.ok(columns[name], `${name} is missing`);
+    }
+    for (const name of ['rebates.purchase_amount', 'rebates.rebate_amount', 'rebates.approved_amount', 'payouts.amount']) {
+      assert.equal(columns[name].data_type, 'numeric', `${name} should be numeric`);
+    }
+    assert.match(columns['rebates.status'].column_default, /'pending'/);
+    assert.match(columns['payouts.status'].column_default, /'pending'/);
+  });
+
+  it('rejects a negative approved amount', async () => {
+    const customer = await createUser('customer');
+    const discount = await createCode();
+
+    await rejectsWith(insertRebate(customer, discount, { approved_amount: -1 }), '23514');
+  });
+
+  it('allows one live rebate per customer and code, but a new one after a rejection', async () => {
+    const customer = await createUser('customer');
+    const discount = await createCode();
+
+    const first = await insertRebate(customer, discount);
+    await rejectsWith(insertRebate(customer, discount), '23505', 'idx_rebates_customer_discount');
+
+    await query("UPDATE rebates SET status = 'rejected' WHERE id = $1", [first.rows[0].id]);
+    await insertRebate(customer, discount);
+  });
+
+  it('keeps payouts positive, in a known status and one per rebate', async () => {
+    const customer = await createUser('customer');
+    const discount = await createCode();
+    const rebate = (await insertRebate(customer, discount)).rows[0];
+
+    const insertPayout = (amount, status = 'pending') => query(
+      `INSERT INTO payouts (vendor_id, customer_id, rebate_id, amount, status)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [vendor.id, customer.id, rebate.id, amount, status]
+    );
+
+    await rejectsWith(insertPayout(0), '23514');
+    await rejectsWith(insertPayout(1, 'sent'), '23514');
+    await insertPayout(1);
+    await rejectsWith(insertPayout(1), '23505');
+  });
+
+  it('maps a duplicate submission to a 409', async () => {
+    const customer = await createUser('customer');
+    const discount = await createCode();
+
+    await submit(customer, discount);
+    await assert.rejects(submit(customer, discount), { statusCode: 409 });
+  });
+
+  it('caps the claimed purchase at the slot price', async () => {
+    const customer = await createUser('customer');
+    const discount = await createCode({ discountType: 'percentage', discountValue: 50 });
+
+    const rebate = await submit(customer, discount, 1000);
+
+    assert.equal(parseFloat(rebate.purchase_amount), 2.5);
+    assert.equal(parseFloat(rebate.rebate_amount), 1.25);
+
+    const { payout } = await rebates.reviewRebate({
+      rebateId: rebate.id,
+      vendorId: vendor.id,
+      reviewerId: vendor.id,
+      decision: 'approve',
+    });
+    assert.equal(parseFloat(payout.amount), 1.25);
+  });
+
+  it('keeps a lower claimed purchase', async () => {
+    const customer = await createUser('customer');
+    const discount = await createCode({ discountType: 'percentage', discountValue: 50 });
+
+    const rebate = await submit(customer, discount, 2);
+
+    assert.equal(parseFloat(rebate.purchase_amount), 2);
+    assert.equal(parseFloat(rebate.rebate_amount), 1);
+  });
+
+  const currentUses = async (discount) => {
+    const result = await query('SELECT current_uses FROM discount_codes WHERE id = $1', [discount.id]);
+    return result.rows[0].current_uses;
+  };
+
+  it('takes a use of the code, so a single-use code only pays out once', async () => {
+    const discount = await createCode({ maxUses: 1 });
+
+    await submit(await createUser('customer'), discount);
+    assert.equal(await currentUses(discount), 1);
+
+    await assert.rejects(submit(await createUser('customer'), discount), {
+      statusCode: 400,
+      message: /reached its maximum usage limit/,
+    });
+  });
+
+  it('gives the use back when the rebate is rejected', async () => {
+    const customer = await createUser('customer');
+    const discount = await createCode({ maxUses: 1 });
+    const rebate = await submit(customer, discount);
+
+    await rebates.reviewRebate({
+      rebateId: rebate.id,
+      vendorId: vendor.id,
+      reviewerId: vendor.id,
+      decision: 'reject',
+    });
+
+    assert.equal(await currentUses(discount), 0);
+    await submit(customer, discount);
+  });
+
+  it('refuses another customer\'s reward code and an expired code', async () => {
+    const owner = await createUser('customer');
+    const rewardCode = await createCode({ customerId: owner.id });
+    await assert.rejects(submit(await createUser('customer'), rewardCode), {
+      statusCode: 400,
+      message: 'This discount code was issued to another customer',
+    });
+
+    const expired = await createCode({ validUntil: new Date(Date.now() - 60 * 1000) });
+
+    await assert.rejects(submit(await createUser('customer'), expired), {
+      statusCode: 400,
+      message: /has expired/,
+    });
+    assert.equal(await currentUses(expired), 0);
+  });
+});
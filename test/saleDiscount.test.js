@@ -0,0 +1,77 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  skipWithoutDatabase, migrate, closeDatabase, uniqueSuffix, createUser, createMachine, createStockedProduct,
+} = require('./helpers/db');
+
+describe('recordSale with a discount code', { skip: skipWithoutDatabase }, () => {
+  let query;
+  let recordSale;
+  let vendor;
+  let machine;
+  let otherMachine;
+  let slot;
+
+  before(async () => {
+    await migrate();
+    ({ query } = require('../src/config/database'));
+    ({ recordSale } = require('../src/services/salesService'));
+
+    vendor = await createUser('vendor');
+    machine = await createMachine(vendor.id);
+    otherMachine = await createMachine(vendor.id);
+    slot = await createStockedProduct({ vendorId: vendor.id, machineId: machine.id, price: 2 });
+    await query(
+      'INSERT INTO machine_products (machine_id, product_id, current_stock) VALUES ($1, $2, 10)',
+      [otherMachine.id, slot.productId]
+    );
+  });
+
+  after(closeDatabase);
+
+  const createDiscount = async ({ isActive = true, validUntil = null } = {}) => {
+    const code = `SALE${uniqueSuffix().toUpperCase()}`;
+    await query(
+      `INSERT INTO discount_codes
+       (vendor_id, code, discount_type, discount_value, machine_id, is_active, valid_from, valid_until)
+       VALUES ($1, $2, 'fixed', 1, $3, $4, NOW() - INTERVAL '2 days', $5)`,
+      [vendor.id, code, machine.id, isActive, validUntil]
+    );
+    return code;
+  };
+
+  const sell = (machineId, discountCode, soldAt = null) => recordSale({
+    machineId,
+    productId: slot.productId,
+    pricePaid: 1,
+    paymentType: 'cash',
+    discountCode,
+    soldAt,
+  });
+
+  it('links a code that is valid at the machine', async () => {
+    const { sale } = await sell(machine.id, await createDiscount());
+    assert.ok(sale.discount_code_id);
+  });
+
+  it('rejects a code outside its machine scope', async () => {
+    await assert.rejects(sell(otherMachine.id, await createDiscount()), {
+      statusCode: 400,
+      message: 'This discount code is not valid for this machine',
+    });
+  });
+
+  it('rejects an inactive code', async () => {
+    await assert.rejects(sell(machine.id, await createDiscount({ isActive: false })), { statusCode: 400 });
+  });
+
+  it('judges the validity window at the time of the vend', async () => {
+    const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const code = await createDiscount({ validUntil: yesterday });
+
+    await assert.rejects(sell(machine.id, code), { statusCode: 400, message: 'This discount code has expired' });
+
+    const { sale } = await sell(machine.id, code, new Date(yesterday.getTime() - 60 * 60 * 1000));
+    assert.ok(sale.discount_code_id);
+  });
+});
@@ -0,0 +1,61 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  skipWithoutDatabase, migrate, closeDatabase, createUser, createMachine,
+} = require('./helpers/db');
+
+describe('step-up protected vendor routes', { skip: skipWithoutDatabase }, () => {
+  let server;
+  let baseUrl;
+  let vendor;
+  let ownerToken;
+  let impersonationToken;
+
+  before(async () => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+    process.env.REFRESH_TOKEN_SECRET = process.env.REFRESH_TOKEN_SECRET || 'test-refresh-secret';
+
+    await migrate();
+    const { createOrganization } = require('../src/services/organizationService');
+    const { issueTokens } = require('../src/services/tokenService');
+    const { startImpersonation } = require('../src/services/adminService');
+
+    // The owner has no 2FA, so their own logins are never asked to step up
+    vendor = await createUser('vendor');
+    const organization = await createOrganization(vendor.id, 'Step-up Test Vendor');
+    ({ token: ownerToken } = await issueTokens({ ...vendor, role: 'vendor' }));
+
+    const admin = await createUser('admin');
+    ({ token: impersonationToken } = await startImpersonation({
+      organizationId: organization.id,
+      adminId: admin.id,
+      reason: 'Support ticket',
+    }));
+
+    const app = require('../src/app');
+    await new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await closeDatabase();
+  });
+
+  const deleteMachine = (machineId, token) => fetch(`${baseUrl}/api/vendor/machines/${machineId}`, {
+    method: 'DELETE',
+    headers: { Authorization: `Bearer ${token}` },
+  });
+
+  it('refuses an impersonating admin even when the owner has no 2FA', async () => {
+    const machine = await createMachine(vendor.id);
+
+    const res = await deleteMachine(machine.id, impersonationToken);
+    assert.equal(res.status, 403);
+    assert.equal((await res.json()).message, 'Not available while impersonating');
+
+    assert.equal((await deleteMachine(machine.id, ownerToken)).status, 200);
+  });
+});
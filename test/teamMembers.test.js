@@ -0,0 +1,82 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  skipWithoutDatabase, migrate, closeDatabase, createUser,
+} = require('./helpers/db');
+
+describe('removeMember', { skip: skipWithoutDatabase }, () => {
+  let query;
+  let organizations;
+  let tokens;
+  let organization;
+
+  before(async () => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+    process.env.REFRESH_TOKEN_SECRET = process.env.REFRESH_TOKEN_SECRET || 'test-refresh-secret';
+
+    await migrate();
+    ({ query } = require('../src/config/database'));
+    organizations = require('../src/services/organizationService');
+    tokens = require('../src/services/tokenService');
+
+    // Logging this member out fails (see the trigger below)
+    await query(`
+      CREATE OR REPLACE FUNCTION test_fail_session_revocation() RETURNS trigger AS $$
+      BEGIN
+        IF OLD.full_name = 'Unrevokable Member' THEN
+          RAISE EXCEPTION 'session revocation failed';
+        END IF;
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+    await query(`
+      CREATE OR REPLACE TRIGGER test_fail_session_revocation
+      BEFORE UPDATE ON users
+      FOR EACH ROW EXECUTE FUNCTION test_fail_session_revocation()
+    `);
+
+    const owner = await createUser('vendor');
+    organization = await organizations.createOrganization(owner.id, 'Team Test Vendor');
+  });
+
+  after(async () => {
+    await query('DROP TRIGGER IF EXISTS test_fail_session_revocation ON users');
+    await query('DROP FUNCTION IF EXISTS test_fail_session_revocation()');
+    await closeDatabase();
+  });
+
+  const addMember = async () => {
+    const member = await createUser('vendor');
+    await query(
+      `INSERT INTO organization_members (organization_id, user_id, role)
+       VALUES ($1, $2, 'driver')`,
+      [organization.id, member.id]
+    );
+    const { token } = await tokens.issueTokens({ ...member, role: 'vendor' });
+    return { ...member, token };
+  };
+
+  const isMember = async (userId) => {
+    const result = await query('SELECT 1 FROM organization_members WHERE user_id = $1', [userId]);
+    return result.rows.length > 0;
+  };
+
+  it('removes the member and logs them out', async () => {
+    const member = await addMember();
+
+    assert.equal(await organizations.removeMember(organization.id, member.id), true);
+
+    assert.equal(await isMember(member.id), false);
+    assert.equal(await tokens.authenticateAccessToken(member.token), null);
+  });
+
+  it('keeps the member when their sessions cannot be revoked', async () => {
+    const member = await addMember();
+    await query("UPDATE users SET full_name = 'Unrevokable Member' WHERE id = $1", [member.id]);
+
+    await assert.rejects(organizations.removeMember(organization.id, member.id), /session revocation failed/);
+
+    assert.equal(await isMember(member.id), true);
+  });
+});
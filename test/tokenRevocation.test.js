@@ -0,0 +1,50 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const {
+  skipWithoutDatabase, migrate, closeDatabase, createUser,
+} = require('./helpers/db');
+
+describe('revokeAllSessions', { skip: skipWithoutDatabase }, () => {
+  let tokens;
+
+  before(async () => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+    process.env.REFRESH_TOKEN_SECRET = process.env.REFRESH_TOKEN_SECRET || 'test-refresh-secret';
+
+    await migrate();
+    tokens = require('../src/services/tokenService');
+  });
+
+  after(closeDatabase);
+
+  it('rejects tokens issued earlier in the same second', async () => {
+    const vendor = await createUser('vendor');
+    const user = { ...vendor, role: 'vendor' };
+
+    const { token } = await tokens.issueTokens(user);
+    // Access tokens from before auth sessions carry no session to revoke
+    const sessionless = jwt.sign({ id: user.id, email: user.email, role: user.role }, process.env.JWT_SECRET);
+    assert.ok(await tokens.authenticateAccessToken(token));
+    assert.ok(await tokens.authenticateAccessToken(sessionless));
+
+    await tokens.revokeAllSessions(user.id);
+
+    assert.equal(await tokens.authenticateAccessToken(token), null);
+    assert.equal(await tokens.authenticateAccessToken(sessionless), null);
+  });
+
+  it('accepts tokens issued right after the revocation', async () => {
+    const vendor = await createUser('vendor');
+    const user = { ...vendor, role: 'vendor' };
+
+    await tokens.issueTokens(user);
+    await tokens.revokeAllSessions(user.id);
+    const { token, refreshToken } = await tokens.issueTokens(user);
+
+    assert.equal((await tokens.authenticateAccessToken(token)).id, user.id);
+
+    const rotated = await tokens.rotateRefreshToken(refreshToken);
+    assert.equal((await tokens.authenticateAccessToken(rotated.token)).id, user.id);
+  });
+});
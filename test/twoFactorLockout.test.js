@@ -0,0 +1,120 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  skipWithoutDatabase, migrate, closeDatabase, createUser,
+} = require('./helpers/db');
+
+const WRONG_CODE = { code: '000000' };
+
+describe('second-factor lockout', { skip: skipWithoutDatabase }, () => {
+  let query;
+  let totp;
+  let twoFactor;
+
+  before(async () => {
+    await migrate();
+    ({ query } = require('../src/config/database'));
+    totp = require('../src/utils/totp');
+    twoFactor = require('../src/services/twoFactorService');
+  });
+
+  after(closeDatabase);
+
+  // A vendor with 2FA on and a live session; codeFor() gives the next acceptable code
+  const enrolledVendor = async () => {
+    const { encrypt } = require('../src/services/qrCodeService');
+    const vendor = await createUser('vendor');
+    const secret = totp.generateSecret();
+
+    await query(
+      'UPDATE users SET totp_secret = $1, totp_enabled_at = NOW() WHERE id = $2',
+      [encrypt(secret), vendor.id]
+    );
+    const sessionResult = await query(
+      'INSERT INTO auth_sessions (user_id) VALUES ($1) RETURNING id',
+      [vendor.id]
+    );
+
+    return {
+      ...vendor,
+      sessionId: sessionResult.rows[0].id,
+      codeFor: () => ({ code: totp.generateCode(secret, totp.currentStep()) }),
+    };
+  };
+
+  const failedAttempts = async (userId) => {
+    const result = await query('SELECT mfa_failed_attempts FROM users WHERE id = $1', [userId]);
+    return result.rows[0].mfa_failed_attempts;
+  };
+
+  it('locks step-up after five wrong codes, even for the right one', async () => {
+    const vendor = await enrolledVendor();
+
+    for (let i = 0; i < 5; i++) {
+      await assert.rejects(twoFactor.stepUp(vendor.id, vendor.sessionId, WRONG_CODE), { statusCode: 401 });
+    }
+
+    await assert.rejects(twoFactor.stepUp(vendor.id, vendor.sessionId, vendor.codeFor()), { statusCode: 429 });
+    await assert.rejects(twoFactor.regenerateRecoveryCodes(vendor.id, vendor.codeFor()), { statusCode: 429 });
+    assert.equal(await twoFactor.hasRecentStepUp(vendor.id, vendor.sessionId), false);
+
+    // Once the lockout has passed the right code works again
+    await query("UPDATE users SET mfa_locked_until = NOW() - INTERVAL '1 second' WHERE id = $1", [vendor.id]);
+    await twoFactor.stepUp(vendor.id, vendor.sessionId, vendor.codeFor());
+    assert.equal(await twoFactor.hasRecentStepUp(vendor.id, vendor.sessionId), true);
+  });
+
+  it('counts misses across actions and clears them on success', async () => {
+    const vendor = await enrolledVendor();
+
+    await assert.rejects(twoFactor.stepUp(vendor.id, vendor.sessionId, WRONG_CODE), { statusCode: 401 });
+    await assert.rejects(twoFactor.regenerateRecoveryCodes(vendor.id, { recoveryCode: 'AAAAA-BBBBB' }), { statusCode: 401 });
+    assert.equal(await failedAttempts(vendor.id), 2);
+
+    const codes = await twoFactor.regenerateRecoveryCodes(vendor.id, vendor.codeFor());
+    assert.equal(codes.length, 10);
+    assert.equal(await failedAttempts(vendor.id), 0);
+  });
+
+  it('counts wrong login codes per user, not per challenge', async () => {
+    const vendor = await enrolledVendor();
+
+    // A fresh challenge after each miss used to mean a fresh set of guesses
+    for (let i = 0; i < 5; i++) {
+      const { mfaToken } = await twoFactor.createLoginChallenge(vendor.id);
+      await assert.rejects(twoFactor.completeLoginChallenge(mfaToken, WRONG_CODE), { statusCode: 401 });
+    }
+
+    await assert.rejects(twoFactor.createLoginChallenge(vendor.id), { statusCode: 429 });
+    await assert.rejects(twoFactor.stepUp(vendor.id, vendor.sessionId, vendor.codeFor()), { statusCode: 429 });
+
+    await query("UPDATE users SET mfa_locked_until = NOW() - INTERVAL '1 second' WHERE id = $1", [vendor.id]);
+    const { mfaToken } = await twoFactor.createLoginChallenge(vendor.id);
+    const user = await twoFactor.completeLoginChallenge(mfaToken, vendor.codeFor());
+    assert.equal(user.id, vendor.id);
+    assert.equal(await failedAttempts(vendor.id), 0);
+  });
+
+  it('refuses the right login code on an open challenge once locked', async () => {
+    const vendor = await enrolledVendor();
+    const { mfaToken } = await twoFactor.createLoginChallenge(vendor.id);
+
+    for (let i = 0; i < 5; i++) {
+      await assert.rejects(twoFactor.stepUp(vendor.id, vendor.sessionId, WRONG_CODE), { statusCode: 401 });
+    }
+
+    await assert.rejects(twoFactor.completeLoginChallenge(mfaToken, vendor.codeFor()), { statusCode: 429 });
+  });
+
+  it('is cleared by an admin reset', async () => {
+    const vendor = await enrolledVendor();
+
+    for (let i = 0; i < 5; i++) {
+      await assert.rejects(twoFactor.stepUp(vendor.id, vendor.sessionId, WRONG_CODE), { statusCode: 401 });
+    }
+    await twoFactor.resetTwoFactor(vendor.id);
+
+    const result = await query('SELECT mfa_failed_attempts, mfa_locked_until FROM users WHERE id = $1', [vendor.id]);
+    assert.deepEqual(result.rows[0], { mfa_failed_attempts: 0, mfa_locked_until: null });
+  });
+});
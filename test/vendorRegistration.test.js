@@ -0,0 +1,95 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  skipWithoutDatabase, migrate, closeDatabase, uniqueSuffix,
+} = require('./helpers/db');
+
+// Organizations with this name fail to insert (see the trigger below)
+const FAILING_ORGANIZATION_NAME = 'Registration Test Failing Organization';
+
+describe('POST /api/auth/vendor/register', { skip: skipWithoutDatabase }, () => {
+  let query;
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+    process.env.REFRESH_TOKEN_SECRET = process.env.REFRESH_TOKEN_SECRET || 'test-refresh-secret';
+    console.error = () => {};
+
+    await migrate();
+    ({ query } = require('../src/config/database'));
+
+    await query(`
+      CREATE OR REPLACE FUNCTION test_fail_organization_insert() RETURNS trigger AS $$
+      BEGIN
+        IF NEW.name = '${FAILING_ORGANIZATION_NAME}' THEN
+          RAISE EXCEPTION 'organization insert failed';
+        END IF;
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+    await query(`
+      CREATE OR REPLACE TRIGGER test_fail_organization_insert
+      BEFORE INSERT ON organizations
+      FOR EACH ROW EXECUTE FUNCTION test_fail_organization_insert()
+    `);
+
+    const app = require('../src/app');
+    await new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await query('DROP TRIGGER IF EXISTS test_fail_organization_insert ON organizations');
+    await query('DROP FUNCTION IF EXISTS test_fail_organization_insert()');
+    await closeDatabase();
+  });
+
+  const register = body => fetch(`${baseUrl}/api/auth/vendor/register`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ password: 'secret123', ...body }),
+  });
+
+  const userCount = async (email) => {
+    const result = await query('SELECT COUNT(*)::int as count FROM users WHERE email = $1', [email]);
+    return result.rows[0].count;
+  };
+
+  it('creates the vendor and the organization it owns', async () => {
+    const email = `vendor-${uniqueSuffix()}@example.com`;
+
+    const res = await register({ email, fullName: 'Test Vendor' });
+    assert.equal(res.status, 201);
+    const { data } = await res.json();
+
+    const result = await query(
+      `SELECT o.name, m.role FROM organizations o
+       JOIN organization_members m ON m.organization_id = o.id AND m.user_id = o.owner_id
+       WHERE o.owner_id = $1`,
+      [data.user.id]
+    );
+    assert.deepEqual(result.rows, [{ name: 'Test Vendor', role: 'owner' }]);
+
+    const duplicate = await register({ email, fullName: 'Test Vendor' });
+    assert.equal(duplicate.status, 409);
+  });
+
+  it('leaves no user behind when the organization cannot be created', async () => {
+    const email = `vendor-${uniqueSuffix()}@example.com`;
+
+    const res = await register({ email, fullName: FAILING_ORGANIZATION_NAME });
+    assert.equal(res.status, 500);
+    assert.equal(await userCount(email), 0);
+
+    // The same email can register once the problem is gone
+    const retry = await register({ email, fullName: 'Test Vendor' });
+    assert.equal(retry.status, 201);
+    assert.equal(await userCount(email), 1);
+  });
+});